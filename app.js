@@ -84,15 +84,27 @@ async function initializeApp() {
   const hideSplash = initSplashScreen();
 
   try {
-    // Load roles from storage with timeout
+    // Load roles with timeout - the subscription delivers the first page of
+    // roles, then the full list once every page has arrived
     console.log('[Agentique] Loading roles from storage...');
-    const loadPromise = RoleStorage.getAllRoles();
+    let loadedRoles = []; // Latest roles until the home screen shows them
+    const loadPromise = new Promise((resolve) => {
+      RoleClient.onRolesChanged((newRoles) => {
+        if (currentHomeScreen) {
+          console.log('[Agentique] Roles changed, updating UI');
+          currentHomeScreen.setRoles(newRoles);
+          return;
+        }
+        loadedRoles = newRoles;
+        resolve();
+      });
+    });
     const timeoutPromise = new Promise((_, reject) =>
       setTimeout(() => reject(new Error('Loading timeout')), MAX_SPLASH_DURATION)
     );
 
-    const roles = await Promise.race([loadPromise, timeoutPromise]);
-    console.log('[Agentique] Loaded', roles.length, 'roles');
+    await Promise.race([loadPromise, timeoutPromise]);
+    console.log('[Agentique] Loaded', loadedRoles.length, 'roles');
 
     // Hide splash screen
     console.log('[Agentique] Hiding splash screen...');
@@ -101,14 +113,62 @@ async function initializeApp() {
 
     // Render the home screen
     console.log('[Agentique] Rendering home screen...');
-    renderHomeScreen(roles);
+    renderHomeScreen(loadedRoles);
     console.log('[Agentique] Home screen rendered');
 
-    // Subscribe to storage changes
-    RoleStorage.onRolesChanged((newRoles) => {
-      console.log('[Agentique] Roles changed, updating UI');
+    // Keep the trash count and trash modal up to date
+    RoleClient.onTrashChanged((entries) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setTrash(entries);
+      }
+    });
+
+    // Keep injection templates up to date for the editor preview and template manager
+    RoleClient.onTemplatesChanged((templateState) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setTemplates(templateState);
+      }
+    });
+
+    // Keep the snippet library up to date for the role editor and snippet manager
+    RoleClient.onSnippetsChanged((snippets) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setSnippets(snippets);
+      }
+    });
+
+    // Keep usage counts and usage sorting on the role cards up to date
+    RoleClient.onUsageChanged((usage) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setUsage(usage);
+      }
+    });
+
+    // Keep the settings modal and role sort order up to date
+    RoleClient.onSettingsChanged((settings) => {
       if (currentHomeScreen) {
-        currentHomeScreen.setRoles(newRoles);
+        currentHomeScreen.setSettings(settings);
+      }
+    });
+
+    // Keep area colors and emoji up to date in the list and area manager
+    RoleClient.onAreaStylesChanged((areaStyles) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setAreaStyles(areaStyles);
+      }
+    });
+
+    // Show whether the vault is set up and unlocked
+    RoleClient.onVaultChanged((vaultState) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setVaultState(vaultState);
+      }
+    });
+
+    // Show whether roles are replicated to chrome.storage.sync
+    RoleClient.onSyncStatusChanged((state) => {
+      if (currentHomeScreen) {
+        currentHomeScreen.setSyncStatus(state);
       }
     });
 
@@ -146,7 +206,36 @@ function renderHomeScreen(roles) {
   currentHomeScreen = createHome({
     roles: roles,
     onRoleSave: handleRoleSave,
-    onRoleDelete: handleRoleDelete
+    onRoleDelete: handleRoleDelete,
+    onRoleDuplicate: handleRoleDuplicate,
+    onRolesUpdate: handleRolesUpdate,
+    onRolesDelete: handleRolesDelete,
+    onRolePin: handleRolePin,
+    onRoleHistory: handleRoleHistory,
+    onRoleRestore: handleRoleRestore,
+    onTrashRestore: handleTrashRestore,
+    onTrashPurge: handleTrashPurge,
+    onTrashEmpty: handleTrashEmpty,
+    onRolesExport: handleRolesExport,
+    onImportFiles: handleImportFiles,
+    onRolesImport: handleRolesImport,
+    onTemplateSave: handleTemplateSave,
+    onTemplateDelete: handleTemplateDelete,
+    onTemplateSetDefault: handleTemplateSetDefault,
+    onSnippetSave: handleSnippetSave,
+    onSnippetDelete: handleSnippetDelete,
+    onSettingsChange: handleSettingsChange,
+    onUsageClear: handleUsageClear,
+    onCatalogAdd: handleCatalogAdd,
+    onAreaRename: handleAreaRename,
+    onAreaMerge: handleAreaMerge,
+    onAreaDelete: handleAreaDelete,
+    onAreaStyleChange: handleAreaStyleChange,
+    onVaultCreate: handleVaultCreate,
+    onVaultUnlock: handleVaultUnlock,
+    onVaultLock: handleVaultLock,
+    onVaultOptionsChange: handleVaultOptionsChange,
+    onVaultRemove: handleVaultRemove
   });
 
   appContainer.appendChild(currentHomeScreen.element);
@@ -179,16 +268,42 @@ function renderErrorScreen(message) {
  */
 async function handleRoleSave(roleData) {
   try {
-    const savedRole = await RoleStorage.saveRole(roleData);
+    const savedRole = await RoleClient.saveRole(roleData);
     console.log('[Agentique] Role saved:', savedRole.name);
     return savedRole;
   } catch (error) {
+    if (error.code === ROLE_ERRORS.CONFLICT) {
+      return handleRoleSaveConflict(roleData, error);
+    }
     console.error('[Agentique] Failed to save role:', error);
-    alert('Failed to save role. Please try again.');
+    alert(error.message);
     return null;
   }
 }
 
+/**
+ * Handle a save of a role that changed or was deleted in another window
+ * The list already shows the other version; the user decides whether their
+ * edit replaces it.
+ * @param {Object} roleData - Role data that failed to save
+ * @param {Error} error - The conflict error
+ * @returns {Promise<Object|null>} Saved role, or null to keep the other version
+ */
+async function handleRoleSaveConflict(roleData, error) {
+  console.warn('[Agentique] Save conflict:', error.message);
+  const current = await RoleClient.getRole(roleData.id).catch(() => null);
+  const question = current
+    ? 'Save your version anyway? The other version stays in the role history.'
+    : 'Save your version as a new role?';
+  if (!confirm(`${error.message}.\n\n${question}`)) {
+    return null;
+  }
+
+  // Saving without a version skips the check
+  const { id, updatedAt, ...fields } = roleData;
+  return handleRoleSave(current ? { ...fields, id } : fields);
+}
+
 /**
  * Handle role delete
  * @param {string} roleId - Role ID to delete
@@ -196,7 +311,7 @@ async function handleRoleSave(roleData) {
  */
 async function handleRoleDelete(roleId) {
   try {
-    const success = await RoleStorage.deleteRole(roleId);
+    const success = await RoleClient.deleteRole(roleId);
     if (success) {
       console.log('[Agentique] Role deleted:', roleId);
     }
@@ -208,6 +323,458 @@ async function handleRoleDelete(roleId) {
   }
 }
 
+/**
+ * Handle deleting several roles at once
+ * @param {string[]} roleIds - Role IDs to delete
+ * @returns {Promise<number>} Number of deleted roles
+ */
+async function handleRolesDelete(roleIds) {
+  try {
+    const deletedCount = await RoleClient.deleteRoles(roleIds);
+    console.log('[Agentique] Roles deleted:', deletedCount);
+    return deletedCount;
+  } catch (error) {
+    console.error('[Agentique] Failed to delete roles:', error);
+    alert('Failed to delete roles. Please try again.');
+    return 0;
+  }
+}
+
+/**
+ * Handle moving several roles to an area or tagging them
+ * @param {string[]} roleIds - Role IDs to change
+ * @param {Object} changes - { area } or { addTags }
+ * @returns {Promise<Object[]|null>} Changed roles
+ */
+async function handleRolesUpdate(roleIds, changes) {
+  try {
+    const updatedRoles = await RoleClient.updateRoles(roleIds, changes);
+    console.log('[Agentique] Roles updated:', updatedRoles.length);
+    return updatedRoles;
+  } catch (error) {
+    console.error('[Agentique] Failed to update roles:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle duplicating a role
+ * @param {string} roleId - Role ID to copy
+ * @returns {Promise<Object|null>} The copy
+ */
+async function handleRoleDuplicate(roleId) {
+  try {
+    const copy = await RoleClient.duplicateRole(roleId);
+    console.log('[Agentique] Role duplicated:', copy.name);
+    return copy;
+  } catch (error) {
+    console.error('[Agentique] Failed to duplicate role:', error);
+    alert('Failed to duplicate role. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Handle pinning or unpinning a role
+ * @param {string} roleId - Role ID
+ * @param {boolean} pinned - Whether the role should be pinned
+ * @returns {Promise<Object|null>} Updated role
+ */
+async function handleRolePin(roleId, pinned) {
+  try {
+    return await RoleClient.setPinned(roleId, pinned);
+  } catch (error) {
+    console.error('[Agentique] Failed to pin role:', error);
+    alert('Failed to pin role. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Handle loading a role's version history
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Array>} Past revisions, newest first
+ */
+async function handleRoleHistory(roleId) {
+  return RoleClient.getHistory(roleId);
+}
+
+/**
+ * Handle restoring a past revision
+ * @param {string} roleId - Role ID
+ * @param {string} revisionId - Revision to restore
+ * @returns {Promise<Object>} Restored role
+ */
+async function handleRoleRestore(roleId, revisionId) {
+  try {
+    const restoredRole = await RoleClient.restoreRevision(roleId, revisionId);
+    console.log('[Agentique] Role restored:', restoredRole.name);
+    return restoredRole;
+  } catch (error) {
+    console.error('[Agentique] Failed to restore role:', error);
+    alert('Failed to restore this version. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Handle restoring a role from the trash
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object>} Restored role
+ */
+async function handleTrashRestore(roleId) {
+  try {
+    const restoredRole = await RoleClient.restoreFromTrash(roleId);
+    console.log('[Agentique] Role restored from trash:', restoredRole.name);
+    return restoredRole;
+  } catch (error) {
+    console.error('[Agentique] Failed to restore role from trash:', error);
+    alert('Failed to restore role. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Handle permanently deleting a trashed role
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} Success
+ */
+async function handleTrashPurge(roleId) {
+  try {
+    return await RoleClient.purgeFromTrash(roleId);
+  } catch (error) {
+    console.error('[Agentique] Failed to purge role:', error);
+    alert('Failed to delete role. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Handle emptying the trash
+ * @returns {Promise<number>} Number of purged roles
+ */
+async function handleTrashEmpty() {
+  try {
+    return await RoleClient.emptyTrash();
+  } catch (error) {
+    console.error('[Agentique] Failed to empty trash:', error);
+    alert('Failed to empty trash. Please try again.');
+    return 0;
+  }
+}
+
+/**
+ * Handle exporting roles to a file
+ * @param {Array} roles - Roles to export
+ * @param {string} label - Scope label used in the file name
+ * @param {string} format - One of RoleTransfer.TRANSFER_FORMATS
+ * @param {Array} snippets - Snippet library the roles reference
+ */
+function handleRolesExport(roles, label, format, snippets) {
+  try {
+    const { content, fileName, mimeType } = RoleTransfer.buildExport(roles, label, format, snippets);
+    RoleTransfer.downloadFile(content, fileName, mimeType);
+    console.log('[Agentique] Exported', roles.length, 'roles as', fileName);
+  } catch (error) {
+    console.error('[Agentique] Failed to export roles:', error);
+    alert('Failed to export roles. Please try again.');
+  }
+}
+
+/**
+ * Handle reading import files
+ * @param {File[]} files - JSON exports, Markdown role files or zip bundles
+ * @returns {Promise<Array|null>} Roles from the files, or null if they cannot be imported
+ */
+async function handleImportFiles(files) {
+  try {
+    return await RoleTransfer.readImportFiles(files);
+  } catch (error) {
+    console.error('[Agentique] Failed to read import files:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle importing roles after the preview
+ * @param {Array} items - Import items ({ role, action, targetId })
+ * @returns {Promise<Object|null>} Import counts
+ */
+async function handleRolesImport(items) {
+  try {
+    const result = await RoleClient.importRoles(items);
+    console.log('[Agentique] Roles imported:', result);
+    return result;
+  } catch (error) {
+    console.error('[Agentique] Failed to import roles:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle saving an injection template (create or update)
+ * @param {Object} template - Template data ({ id?, name, body })
+ * @returns {Promise<Object|null>} Saved template
+ */
+async function handleTemplateSave(template) {
+  try {
+    const savedTemplate = await RoleClient.saveTemplate(template);
+    console.log('[Agentique] Template saved:', savedTemplate.name);
+    return savedTemplate;
+  } catch (error) {
+    console.error('[Agentique] Failed to save template:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle deleting an injection template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} Success
+ */
+async function handleTemplateDelete(templateId) {
+  try {
+    return await RoleClient.deleteTemplate(templateId);
+  } catch (error) {
+    console.error('[Agentique] Failed to delete template:', error);
+    alert('Failed to delete template. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Handle choosing the default injection template
+ * @param {string} templateId - Template ID
+ */
+async function handleTemplateSetDefault(templateId) {
+  try {
+    await RoleClient.setDefaultTemplate(templateId);
+  } catch (error) {
+    console.error('[Agentique] Failed to set default template:', error);
+    alert('Failed to change the default template. Please try again.');
+  }
+}
+
+/**
+ * Handle saving a snippet (create or update)
+ * @param {Object} snippet - Snippet data ({ id?, name, body })
+ * @returns {Promise<Object|null>} Saved snippet
+ */
+async function handleSnippetSave(snippet) {
+  try {
+    const savedSnippet = await RoleClient.saveSnippet(snippet);
+    console.log('[Agentique] Snippet saved:', savedSnippet.name);
+    return savedSnippet;
+  } catch (error) {
+    console.error('[Agentique] Failed to save snippet:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle deleting a snippet
+ * @param {string} snippetId - Snippet ID
+ * @returns {Promise<boolean>} Success
+ */
+async function handleSnippetDelete(snippetId) {
+  try {
+    return await RoleClient.deleteSnippet(snippetId);
+  } catch (error) {
+    console.error('[Agentique] Failed to delete snippet:', error);
+    alert('Failed to delete snippet. Please try again.');
+    return false;
+  }
+}
+
+/**
+ * Handle a settings change
+ * @param {Object} changes - Settings to update
+ */
+async function handleSettingsChange(changes) {
+  try {
+    await RoleClient.saveSettings(changes);
+  } catch (error) {
+    console.error('[Agentique] Failed to save settings:', error);
+    alert('Failed to save settings. Please try again.');
+  }
+}
+
+/**
+ * Handle clearing the recorded role usage
+ */
+async function handleUsageClear() {
+  try {
+    await RoleClient.clearUsage();
+    console.log('[Agentique] Usage cleared');
+  } catch (error) {
+    console.error('[Agentique] Failed to clear usage:', error);
+    alert('Failed to clear usage data. Please try again.');
+  }
+}
+
+/**
+ * Handle adding roles from the starter role library
+ * @param {string[]} catalogIds - Catalog entry IDs
+ * @returns {Promise<Object[]|null>} Added roles
+ */
+async function handleCatalogAdd(catalogIds) {
+  try {
+    const addedRoles = await RoleClient.addCatalogRoles(catalogIds);
+    console.log('[Agentique] Roles added from library:', addedRoles.length);
+    return addedRoles;
+  } catch (error) {
+    console.error('[Agentique] Failed to add roles from library:', error);
+    alert('Failed to add roles. Please try again.');
+    return null;
+  }
+}
+
+/**
+ * Handle renaming an area (merges it when the new name is taken)
+ * @param {string} name - Current area name
+ * @param {string} newName - New area name
+ * @returns {Promise<Object[]|null>} Moved roles
+ */
+async function handleAreaRename(name, newName) {
+  try {
+    const movedRoles = await RoleClient.renameArea(name, newName);
+    console.log('[Agentique] Area renamed:', name, '->', newName);
+    return movedRoles;
+  } catch (error) {
+    console.error('[Agentique] Failed to rename area:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle merging areas into another one
+ * @param {string[]} names - Areas to merge away
+ * @param {string} target - Area to move their roles to
+ * @returns {Promise<Object[]|null>} Moved roles
+ */
+async function handleAreaMerge(names, target) {
+  try {
+    const movedRoles = await RoleClient.mergeAreas(names, target);
+    console.log('[Agentique] Areas merged into:', target);
+    return movedRoles;
+  } catch (error) {
+    console.error('[Agentique] Failed to merge areas:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle deleting an area (its roles lose their area)
+ * @param {string} name - Area name
+ * @returns {Promise<Object[]|null>} Moved roles
+ */
+async function handleAreaDelete(name) {
+  try {
+    const movedRoles = await RoleClient.deleteArea(name);
+    console.log('[Agentique] Area deleted:', name);
+    return movedRoles;
+  } catch (error) {
+    console.error('[Agentique] Failed to delete area:', error);
+    alert(error.message);
+    return null;
+  }
+}
+
+/**
+ * Handle changing the color or emoji of an area
+ * @param {string} name - Area name
+ * @param {{ color: string, emoji: string }} style - Empty values clear them
+ */
+async function handleAreaStyleChange(name, style) {
+  try {
+    await RoleClient.saveAreaStyle(name, style);
+  } catch (error) {
+    console.error('[Agentique] Failed to save area style:', error);
+    alert('Failed to save area. Please try again.');
+  }
+}
+
+/**
+ * Handle setting up the vault
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} Whether the vault was created
+ */
+async function handleVaultCreate(passphrase) {
+  try {
+    await RoleClient.createVault(passphrase);
+    console.log('[Agentique] Vault created');
+    return true;
+  } catch (error) {
+    console.error('[Agentique] Failed to create vault:', error);
+    alert(error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle unlocking the vault
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} Whether the passphrase was right
+ */
+async function handleVaultUnlock(passphrase) {
+  try {
+    await RoleClient.unlockVault(passphrase);
+    console.log('[Agentique] Vault unlocked');
+    return true;
+  } catch (error) {
+    console.error('[Agentique] Failed to unlock vault:', error);
+    // A wrong passphrase is shown in the vault modal
+    if (error.message !== 'Wrong passphrase') alert(error.message);
+    return false;
+  }
+}
+
+/**
+ * Handle locking the vault
+ */
+async function handleVaultLock() {
+  try {
+    await RoleClient.lockVault();
+    console.log('[Agentique] Vault locked');
+  } catch (error) {
+    console.error('[Agentique] Failed to lock vault:', error);
+    alert('Failed to lock the vault. Please try again.');
+  }
+}
+
+/**
+ * Handle changing vault options
+ * @param {{ encryptAll?: boolean, timeoutMinutes?: number }} changes
+ */
+async function handleVaultOptionsChange(changes) {
+  try {
+    await RoleClient.setVaultOptions(changes);
+  } catch (error) {
+    console.error('[Agentique] Failed to save vault options:', error);
+    alert(error.message);
+  }
+}
+
+/**
+ * Handle removing the vault (decrypts all roles)
+ */
+async function handleVaultRemove() {
+  try {
+    await RoleClient.removeVault();
+    console.log('[Agentique] Vault removed');
+  } catch (error) {
+    console.error('[Agentique] Failed to remove vault:', error);
+    alert(error.message);
+  }
+}
+
 // ============================================================================
 // STARTUP
 // ============================================================================
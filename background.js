@@ -1,8 +1,35 @@
 /**
  * Agentique Background Service Worker
- * Minimal background script for the extension
+ * Owns the role repository and serves it to the popup, side panel and
+ * content scripts via the message API in services/role-messages.js
  */
 
+importScripts(
+  'services/role-messages.js',
+  'services/write-queue.js',
+  'services/role-schema.js',
+  'services/role-diff.js',
+  'services/role-inheritance.js',
+  'services/role-variables.js',
+  'services/format-profiles.js',
+  'services/role-snippets.js',
+  'services/role-template.js',
+  'services/template-storage.js',
+  'services/snippet-storage.js',
+  'services/settings-storage.js',
+  'services/role-grouping.js',
+  'services/area-storage.js',
+  'services/role-history.js',
+  'services/role-variable-values.js',
+  'services/role-usage.js',
+  'services/role-trash.js',
+  'services/role-catalog.js',
+  'services/role-vault.js',
+  'services/role-database.js',
+  'services/role-storage.js',
+  'services/role-sync.js'
+);
+
 console.log('[Agentique] Background service worker started');
 
 // Listen for installation
@@ -10,24 +37,341 @@ chrome.runtime.onInstalled.addListener((details) => {
   console.log('[Agentique] Extension installed:', details.reason);
 
   if (details.reason === 'install') {
-    // First install - could show onboarding page
+    // First install - seed starter roles once roles from other devices had
+    // a chance to arrive through sync
     console.log('[Agentique] First install - welcome!');
+    syncReady
+      .then(() => RoleStorage.seedStarterRoles())
+      .catch((error) => console.error('[Agentique] Failed to add starter roles:', error));
   } else if (details.reason === 'update') {
     console.log('[Agentique] Extension updated from', details.previousVersion);
+    RoleStorage.migrateStoredRoles()
+      .then(() => RoleStorage.updateCatalogRoles())
+      .catch((error) => console.error('[Agentique] Failed to update catalog roles:', error));
   }
 });
 
+// ============================================================================
+// ROLE REPOSITORY
+// ============================================================================
+
+// Upgrade stored roles before serving any request
+const rolesReady = RoleStorage.migrateStoredRoles();
+
+/**
+ * Decrypt the roles a handler returns before they leave the background
+ * @param {Function} handler - Returns a stored Role, Role[] or null
+ * @returns {Function}
+ */
+function revealing(handler) {
+  return async (message) => {
+    const data = await handler(message);
+    return Array.isArray(data) ? RoleVault.revealRoles(data) : RoleVault.revealRole(data);
+  };
+}
+
+/**
+ * Get a role's history with its revisions decrypted
+ * @param {string} id
+ * @returns {Promise<Revision[]>}
+ */
+async function getRevealedHistory(id) {
+  const revisions = await RoleHistory.getHistory(id);
+  const roles = await RoleVault.revealRoles(revisions.map(revision => revision.role));
+  return revisions.map((revision, index) => ({ ...revision, role: roles[index] }));
+}
+
+/**
+ * Get a page of roles, decrypted, in the order of the user's role list
+ * @param {{ offset: number, limit?: number }} message
+ * @returns {Promise<{ roles: Role[], total: number }>}
+ */
+async function getRevealedPage(message) {
+  const [settings, usage] = await Promise.all([SettingsStorage.getSettings(), RoleUsage.getUsage()]);
+  const page = await RoleStorage.getRolePage(message.offset, message.limit, {
+    sort: settings.roleSort,
+    usage,
+    roleOrder: settings.roleOrder,
+    areaOrder: settings.areaOrder
+  });
+  return { ...page, roles: await RoleVault.revealRoles(page.roles) };
+}
+
+/**
+ * Request handlers keyed by message type
+ * Each handler receives the message and returns the response data
+ */
+const roleHandlers = {
+  [ROLE_MESSAGES.LIST]: revealing(() => RoleStorage.getAllRoles()),
+  [ROLE_MESSAGES.LIST_PAGE]: (message) => getRevealedPage(message),
+  [ROLE_MESSAGES.GET]: revealing((message) => RoleStorage.getRole(message.id)),
+  [ROLE_MESSAGES.SAVE]: revealing((message) => RoleStorage.saveRole(message.role)),
+  [ROLE_MESSAGES.PIN]: revealing((message) => RoleStorage.setRolePinned(message.id, message.pinned)),
+  [ROLE_MESSAGES.DELETE]: (message) => RoleStorage.deleteRole(message.id),
+  [ROLE_MESSAGES.DELETE_MANY]: (message) => RoleStorage.deleteRoles(message.ids),
+  [ROLE_MESSAGES.UPDATE_MANY]: revealing((message) => RoleStorage.updateRoles(message.ids, message.changes)),
+  [ROLE_MESSAGES.DUPLICATE]: revealing((message) => RoleStorage.duplicateRole(message.id)),
+  [ROLE_MESSAGES.SYNC_STATE]: () => RoleSync.getSyncState(),
+  [ROLE_MESSAGES.HISTORY]: (message) => getRevealedHistory(message.id),
+  [ROLE_MESSAGES.RESTORE]: revealing((message) => RoleStorage.restoreRevision(message.id, message.revisionId)),
+  [ROLE_MESSAGES.TRASH_LIST]: () => RoleTrash.getTrash(),
+  [ROLE_MESSAGES.TRASH_RESTORE]: revealing((message) => RoleStorage.restoreDeletedRole(message.id)),
+  [ROLE_MESSAGES.TRASH_PURGE]: (message) => RoleTrash.purgeRole(message.id),
+  [ROLE_MESSAGES.TRASH_EMPTY]: () => RoleTrash.emptyTrash(),
+  [ROLE_MESSAGES.IMPORT]: (message) => RoleStorage.importRoles(message.items),
+  [ROLE_MESSAGES.CATALOG_ADD]: revealing((message) => RoleStorage.addCatalogRoles(message.catalogIds)),
+  [ROLE_MESSAGES.VARIABLES_GET]: (message) => RoleVariableValues.getValues(message.id),
+  [ROLE_MESSAGES.VARIABLES_SAVE]: (message) => RoleVariableValues.saveValues(message.id, message.values),
+  [ROLE_MESSAGES.TEMPLATES_LIST]: () => TemplateStorage.getTemplateState(),
+  [ROLE_MESSAGES.TEMPLATES_SAVE]: (message) => TemplateStorage.saveTemplate(message.template),
+  [ROLE_MESSAGES.TEMPLATES_DELETE]: (message) => TemplateStorage.deleteTemplate(message.id),
+  [ROLE_MESSAGES.TEMPLATES_SET_DEFAULT]: (message) => TemplateStorage.setDefaultTemplate(message.id),
+  [ROLE_MESSAGES.SNIPPETS_LIST]: () => SnippetStorage.getSnippets(),
+  [ROLE_MESSAGES.SNIPPETS_SAVE]: (message) => SnippetStorage.saveSnippet(message.snippet),
+  [ROLE_MESSAGES.SNIPPETS_DELETE]: (message) => RoleStorage.deleteSnippet(message.id),
+  [ROLE_MESSAGES.SETTINGS_GET]: () => SettingsStorage.getSettings(),
+  [ROLE_MESSAGES.SETTINGS_SAVE]: (message) => SettingsStorage.saveSettings(message.changes),
+  [ROLE_MESSAGES.AREAS_GET]: () => AreaStorage.getAreaStyles(),
+  [ROLE_MESSAGES.AREA_STYLE]: (message) => AreaStorage.saveAreaStyle(message.name, message.style),
+  [ROLE_MESSAGES.AREA_RENAME]: revealing((message) => RoleStorage.renameArea(message.name, message.newName)),
+  [ROLE_MESSAGES.AREA_MERGE]: revealing((message) => RoleStorage.mergeAreas(message.names, message.target)),
+  [ROLE_MESSAGES.AREA_DELETE]: revealing((message) => RoleStorage.deleteArea(message.name)),
+  [ROLE_MESSAGES.USAGE_GET]: () => RoleUsage.getUsage(),
+  [ROLE_MESSAGES.USAGE_RECORD]: (message) => RoleUsage.recordUsage(message.id, message.platformId),
+  [ROLE_MESSAGES.USAGE_CLEAR]: () => RoleUsage.clearUsage(),
+  [ROLE_MESSAGES.VAULT_STATE]: () => RoleVault.getVaultState(),
+  [ROLE_MESSAGES.VAULT_CREATE]: (message) => RoleVault.createVault(message.passphrase),
+  [ROLE_MESSAGES.VAULT_UNLOCK]: (message) => RoleVault.unlockVault(message.passphrase),
+  [ROLE_MESSAGES.VAULT_LOCK]: () => RoleVault.lockVault().then(() => RoleVault.getVaultState()),
+  [ROLE_MESSAGES.VAULT_OPTIONS]: (message) => RoleStorage.saveVaultOptions(message.changes),
+  [ROLE_MESSAGES.VAULT_ENCRYPT]: revealing((message) => RoleStorage.setRolesEncrypted(message.ids, message.encrypted)),
+  [ROLE_MESSAGES.VAULT_REMOVE]: () => RoleStorage.removeVault().then(() => RoleVault.getVaultState())
+};
+
+// Vault requests only extension pages may send: content scripts run inside
+// the chat pages, which must never see the passphrase or change the vault
+const EXTENSION_PAGE_MESSAGES = new Set([
+  ROLE_MESSAGES.VAULT_CREATE,
+  ROLE_MESSAGES.VAULT_UNLOCK,
+  ROLE_MESSAGES.VAULT_OPTIONS,
+  ROLE_MESSAGES.VAULT_ENCRYPT,
+  ROLE_MESSAGES.VAULT_REMOVE
+]);
+
+/**
+ * Check whether a message comes from one of the extension's own pages
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id &&
+    typeof sender.url === 'string' &&
+    sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Open the side panel next to the tab that asked, so the vault can be
+ * unlocked there. Opens Agentique in a new tab if the side panel cannot open.
+ * Runs right away: the side panel only opens in response to the user's click.
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {Promise<boolean>}
+ */
+function openVaultSurface(sender) {
+  const opened = sender.tab
+    ? chrome.sidePanel.open({ tabId: sender.tab.id })
+    : Promise.reject(new Error('No tab to open the side panel in'));
+
+  return opened
+    .catch((error) => {
+      console.warn('[Agentique] Could not open the side panel, opening a tab instead:', error);
+      return chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+    })
+    .then(() => true);
+}
+
 // Listen for messages from content scripts or popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[Agentique] Message received:', message);
+  if (message && message.type === ROLE_MESSAGES.VAULT_OPEN) {
+    openVaultSurface(sender)
+      .then((data) => sendResponse({ ok: true, data }))
+      .catch((error) => {
+        console.error('[Agentique] Failed to open Agentique:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true; // Keep channel open for async response
+  }
+
+  const handler = message && roleHandlers[message.type];
+  if (!handler) {
+    return false;
+  }
 
-  if (message.type === 'GET_ROLES') {
-    // Get roles from storage
-    chrome.storage.sync.get('agentique_roles', (result) => {
-      sendResponse({ roles: result.agentique_roles || [] });
+  if (EXTENSION_PAGE_MESSAGES.has(message.type) && !isExtensionPage(sender)) {
+    console.warn('[Agentique] Refused', message.type, 'from', sender.url);
+    sendResponse({ ok: false, error: 'The vault can only be changed in Agentique itself' });
+    return false;
+  }
+
+  rolesReady
+    .then(() => handler(message))
+    .then((data) => sendResponse({ ok: true, data }))
+    .catch((error) => {
+      console.error('[Agentique] Role request failed:', message.type, error);
+      sendResponse({ ok: false, error: error.message, code: error.code });
     });
-    return true; // Keep channel open for async response
+
+  return true; // Keep channel open for async response
+});
+
+// Subscribers connected via long-lived ports
+const rolePorts = new Set();
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ROLE_PORT_NAME) return;
+
+  rolePorts.add(port);
+  port.onDisconnect.addListener(() => {
+    rolePorts.delete(port);
+  });
+
+  // Send the current state so (re)connecting clients never miss a change.
+  // Roles are not sent: clients that list them load them a page at a time
+  rolesReady
+    .then(() => Promise.all([
+      RoleStorage.countRoles(),
+      RoleSync.getSyncState(),
+      RoleTrash.getTrash(),
+      TemplateStorage.getTemplateState(),
+      SnippetStorage.getSnippets(),
+      SettingsStorage.getSettings(),
+      RoleUsage.getUsage(),
+      AreaStorage.getAreaStyles(),
+      RoleVault.getVaultState()
+    ]))
+    .then(([total, state, trash, templates, snippets, settings, usage, areas, vault]) => {
+      if (rolePorts.has(port)) {
+        port.postMessage({ type: ROLE_MESSAGES.VAULT_CHANGED, vault });
+        port.postMessage({ type: ROLE_MESSAGES.CHANGED, reset: true, total });
+        port.postMessage({ type: ROLE_MESSAGES.SYNC_STATE_CHANGED, state });
+        port.postMessage({ type: ROLE_MESSAGES.TRASH_CHANGED, trash });
+        port.postMessage({ type: ROLE_MESSAGES.TEMPLATES_CHANGED, templates });
+        port.postMessage({ type: ROLE_MESSAGES.SNIPPETS_CHANGED, snippets });
+        port.postMessage({ type: ROLE_MESSAGES.SETTINGS_CHANGED, settings });
+        port.postMessage({ type: ROLE_MESSAGES.USAGE_CHANGED, usage });
+        port.postMessage({ type: ROLE_MESSAGES.AREAS_CHANGED, areas });
+      }
+    })
+    .catch((error) => {
+      console.error('[Agentique] Failed to send the current state:', error);
+      if (rolePorts.has(port)) {
+        port.postMessage({ type: ROLE_MESSAGES.STATE_FAILED, error: error.message });
+      }
+    });
+});
+
+/**
+ * Post a message to every connected subscriber
+ * @param {Object} message
+ */
+function broadcast(message) {
+  rolePorts.forEach((port) => {
+    port.postMessage(message);
+  });
+}
+
+// Pending role broadcast - decrypting is async, broadcasts are chained to keep their order
+let rolesBroadcast = Promise.resolve();
+
+/**
+ * Broadcast the roles a write changed, decrypted as far as the vault allows
+ * A write that replaced every role is broadcast as a reset instead.
+ * @param {{ put?: Role[], remove?: string[], replace?: boolean }} changes - Stored roles
+ */
+function broadcastRoles(changes) {
+  rolesBroadcast = rolesBroadcast
+    .then(async () => {
+      const total = await RoleStorage.countRoles();
+      if (changes.replace) {
+        broadcast({ type: ROLE_MESSAGES.CHANGED, reset: true, total });
+        return;
+      }
+      const put = await RoleVault.revealRoles(changes.put || []);
+      broadcast({ type: ROLE_MESSAGES.CHANGED, put, remove: changes.remove || [], total });
+    })
+    .catch((error) => console.error('[Agentique] Failed to broadcast roles:', error));
+}
+
+// Broadcast every stored change to all subscribers
+RoleStorage.onRolesChanged(broadcastRoles);
+
+// Locking and unlocking changes what the encrypted roles look like to clients
+RoleVault.onVaultChanged((vault) => {
+  broadcast({ type: ROLE_MESSAGES.VAULT_CHANGED, vault });
+  RoleStorage.getAllRoles()
+    .then((roles) => broadcastRoles({ put: roles.filter(role => role.encrypted) }))
+    .catch((error) => console.error('[Agentique] Failed to broadcast roles:', error));
+});
+
+RoleSync.onSyncStateChanged((state) => {
+  broadcast({ type: ROLE_MESSAGES.SYNC_STATE_CHANGED, state });
+});
+
+RoleTrash.onTrashChanged((trash) => {
+  broadcast({ type: ROLE_MESSAGES.TRASH_CHANGED, trash });
+});
+
+TemplateStorage.onTemplatesChanged((templates) => {
+  broadcast({ type: ROLE_MESSAGES.TEMPLATES_CHANGED, templates });
+});
+
+SnippetStorage.onSnippetsChanged((snippets) => {
+  broadcast({ type: ROLE_MESSAGES.SNIPPETS_CHANGED, snippets });
+});
+
+SettingsStorage.onSettingsChanged((settings) => {
+  broadcast({ type: ROLE_MESSAGES.SETTINGS_CHANGED, settings });
+});
+
+RoleUsage.onUsageChanged((usage) => {
+  broadcast({ type: ROLE_MESSAGES.USAGE_CHANGED, usage });
+});
+
+AreaStorage.onAreaStylesChanged((areas) => {
+  broadcast({ type: ROLE_MESSAGES.AREAS_CHANGED, areas });
+});
+
+// ============================================================================
+// TRASH RETENTION
+// ============================================================================
+
+const TRASH_PURGE_ALARM = 'agentique-trash-purge';
+
+// Purge expired trash on startup and once a day while the browser runs
+rolesReady
+  .then(() => RoleTrash.purgeExpired())
+  .catch((error) => console.error('[Agentique] Failed to purge expired trash:', error));
+chrome.alarms.create(TRASH_PURGE_ALARM, { periodInMinutes: 24 * 60 });
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_PURGE_ALARM) {
+    RoleTrash.purgeExpired()
+      .catch((error) => console.error('[Agentique] Failed to purge expired trash:', error));
+  } else if (alarm.name === RoleVault.VAULT_LOCK_ALARM) {
+    RoleVault.lockVault()
+      .catch((error) => console.error('[Agentique] Failed to lock the vault:', error));
   }
+});
+
+// ============================================================================
+// SYNC REPLICATION
+// ============================================================================
+
+const syncReady = rolesReady.then(() => RoleSync.startSync());
 
-  return false;
+// Registered at the top level so a write from another device wakes the
+// worker; the pull waits until the first sync has run
+RoleSync.onRemoteRolesChanged(() => {
+  syncReady
+    .then(() => RoleSync.pullRoles())
+    .catch((error) => console.error('[Agentique] Failed to pull synced roles:', error));
 });
@@ -0,0 +1,268 @@
+/**
+ * Area Modal Component
+ * Manages areas: rename, merge into another area, delete (roles move to
+ * Uncategorized) and an optional color and emoji per area
+ * Requires: overlay.js, services/role-grouping.js
+ */
+
+function createAreaModal(options = {}) {
+  const {
+    roles = [],
+    areaStyles = {}, // { [area]: { color, emoji } }
+    areaOrder = [],
+    onRename = null, // (name, newName) => void
+    onMerge = null, // (names, target) => void
+    onDelete = null, // (name) => void
+    onStyleChange = null, // (name, { color, emoji }) => void
+    onClose = null
+  } = options;
+
+  let currentRoles = roles;
+  let currentStyles = areaStyles;
+  let currentAreaOrder = areaOrder;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'area-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'area-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'area-modal__title';
+  title.textContent = 'Areas';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'area-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'area-modal__content';
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'area-modal__footer';
+
+  const hint = document.createElement('p');
+  hint.className = 'area-modal__hint';
+  hint.textContent = 'Renaming an area to the name of another area merges both';
+  footer.appendChild(hint);
+
+  modalElement.appendChild(footer);
+
+  /**
+   * Render a single area
+   */
+  function renderArea(area, areas) {
+    const count = currentRoles.filter(r => r.area === area).length;
+    const style = currentStyles[area] || { color: '', emoji: '' };
+
+    const row = document.createElement('div');
+    row.className = 'area-modal__item';
+
+    // Emoji
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'area-modal__emoji';
+    emojiInput.maxLength = 8;
+    emojiInput.placeholder = '-';
+    emojiInput.value = style.emoji;
+    emojiInput.setAttribute('aria-label', `Emoji of ${area}`);
+    emojiInput.addEventListener('change', () => {
+      if (onStyleChange) onStyleChange(area, { color: style.color, emoji: emojiInput.value });
+    });
+    row.appendChild(emojiInput);
+
+    // Color
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'area-modal__color';
+    colorInput.classList.toggle('area-modal__color--none', !style.color);
+    colorInput.value = style.color || '#98a0a6';
+    colorInput.title = style.color ? 'Change color' : 'Add color';
+    colorInput.setAttribute('aria-label', `Color of ${area}`);
+    colorInput.addEventListener('change', () => {
+      if (onStyleChange) onStyleChange(area, { color: colorInput.value, emoji: style.emoji });
+    });
+    row.appendChild(colorInput);
+
+    if (style.color) {
+      const clearColorButton = document.createElement('button');
+      clearColorButton.className = 'area-modal__clear-color';
+      clearColorButton.setAttribute('aria-label', `Remove color of ${area}`);
+      clearColorButton.title = 'Remove color';
+      clearColorButton.textContent = '×';
+      clearColorButton.addEventListener('click', () => {
+        if (onStyleChange) onStyleChange(area, { color: '', emoji: style.emoji });
+      });
+      row.appendChild(clearColorButton);
+    }
+
+    // Name (renames on change)
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'area-modal__name';
+    nameInput.value = area;
+    nameInput.setAttribute('aria-label', `Name of ${area}`);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') nameInput.blur();
+    });
+    nameInput.addEventListener('change', () => {
+      const newName = nameInput.value.trim();
+      if (!newName || newName === area) {
+        nameInput.value = area;
+        return;
+      }
+      if (areas.includes(newName) && !confirm(`Merge "${area}" into "${newName}"?`)) {
+        nameInput.value = area;
+        return;
+      }
+      if (onRename) onRename(area, newName);
+    });
+    row.appendChild(nameInput);
+
+    const countElement = document.createElement('span');
+    countElement.className = 'area-modal__count';
+    countElement.textContent = `${count} role${count === 1 ? '' : 's'}`;
+    row.appendChild(countElement);
+
+    // Merge into another area
+    const otherAreas = areas.filter(other => other !== area);
+    if (otherAreas.length > 0) {
+      const mergeSelect = document.createElement('select');
+      mergeSelect.className = 'area-modal__merge';
+      mergeSelect.setAttribute('aria-label', `Merge ${area} into`);
+
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = 'Merge into...';
+      mergeSelect.appendChild(placeholder);
+
+      otherAreas.forEach(other => {
+        const option = document.createElement('option');
+        option.value = other;
+        option.textContent = other;
+        mergeSelect.appendChild(option);
+      });
+
+      mergeSelect.addEventListener('change', () => {
+        const target = mergeSelect.value;
+        if (!target) return;
+        if (confirm(`Move all roles of "${area}" to "${target}" and remove "${area}"?`)) {
+          if (onMerge) onMerge([area], target);
+        } else {
+          mergeSelect.value = '';
+        }
+      });
+      row.appendChild(mergeSelect);
+    }
+
+    // Delete
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'area-modal__delete';
+    deleteButton.setAttribute('aria-label', `Delete ${area}`);
+    deleteButton.title = 'Delete area';
+    deleteButton.innerHTML = typeof getIcon === 'function' ? getIcon('trash') : 'Delete';
+    deleteButton.addEventListener('click', () => {
+      const message = `Delete the area "${area}"? Its ${count} role${count === 1 ? '' : 's'} move to Uncategorized.`;
+      if (confirm(message)) {
+        if (onDelete) onDelete(area);
+      }
+    });
+    row.appendChild(deleteButton);
+
+    return row;
+  }
+
+  /**
+   * Render all areas in the user's order
+   */
+  function renderAreas() {
+    content.innerHTML = '';
+
+    const allAreas = [...new Set(currentRoles.map(r => r.area).filter(Boolean))];
+    const areas = RoleGrouping.orderAreas(allAreas, currentAreaOrder);
+
+    if (areas.length === 0) {
+      const emptyState = document.createElement('p');
+      emptyState.className = 'area-modal__empty';
+      emptyState.textContent = 'No areas yet. Give a role an area to create one.';
+      content.appendChild(emptyState);
+      return;
+    }
+
+    areas.forEach(area => content.appendChild(renderArea(area, areas)));
+  }
+
+  renderAreas();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('area-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('area-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setRoles: (newRoles) => {
+      currentRoles = newRoles;
+      renderAreas();
+    },
+    setAreaStyles: (newStyles) => {
+      currentStyles = newStyles;
+      renderAreas();
+    },
+    setAreaOrder: (newAreaOrder) => {
+      currentAreaOrder = newAreaOrder;
+      renderAreas();
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createAreaModal };
+}
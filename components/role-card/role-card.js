@@ -1,6 +1,9 @@
 /**
  * Role Card Component
- * Displays a role with name, area, and description preview
+ * Displays a role with name, area, tags, description preview and usage,
+ * with search matches highlighted. Roles locked in the vault show their
+ * name and area only.
+ * Requires: services/role-search.js
  */
 
 function createRoleCard(options = {}) {
@@ -9,14 +12,72 @@ function createRoleCard(options = {}) {
     name = 'Untitled Role',
     area = '',
     description = '',
+    tags = [],
+    pinned = false,
+    locked = false, // Encrypted and the vault is locked
+    usage = null, // { count, lastUsedAt } or null if never used
+    highlights = {}, // Search matches: { name, area, description } ranges
+    match = null, // Search match in a field the card doesn't show: { label, text, ranges }
+    selectable = false, // Selection mode: clicking toggles selection, actions are hidden
+    selected = false,
+
     onClick = null,
     onEdit = null,
-    onDelete = null
+    onDuplicate = null,
+    onShare = null,
+    onDelete = null,
+    onTogglePin = null,
+    onSelectChange = null // (id, selected) => void
   } = options;
 
+  let isSelected = selected;
+
+  /**
+   * Describe how often and how recently the role was used
+   */
+  function describeUsage(stats) {
+    if (!stats || !stats.count) return 'Not used yet';
+
+    const minutes = Math.floor((Date.now() - stats.lastUsedAt) / 60000);
+    let lastUsed;
+    if (minutes < 1) {
+      lastUsed = 'just now';
+    } else if (minutes < 60) {
+      lastUsed = `${minutes} min ago`;
+    } else if (minutes < 24 * 60) {
+      const hours = Math.floor(minutes / 60);
+      lastUsed = `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    } else if (minutes < 30 * 24 * 60) {
+      const days = Math.floor(minutes / (24 * 60));
+      lastUsed = `${days} day${days === 1 ? '' : 's'} ago`;
+    } else {
+      lastUsed = `on ${new Date(stats.lastUsedAt).toLocaleDateString()}`;
+    }
+
+    return `Used ${stats.count} time${stats.count === 1 ? '' : 's'} · last ${lastUsed}`;
+  }
+
+  /**
+   * Set element text, wrapping matched ranges in <mark>
+   */
+  function setHighlightedText(element, text, ranges) {
+    element.textContent = '';
+    RoleSearch.splitHighlights(text, ranges).forEach(part => {
+      if (part.highlighted) {
+        const mark = document.createElement('mark');
+        mark.className = 'role-card__highlight';
+        mark.textContent = part.text;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(part.text));
+      }
+    });
+  }
+
   // Create card element
   const card = document.createElement('div');
   card.className = 'role-card';
+  card.classList.toggle('role-card--locked', locked);
   if (id) {
     card.setAttribute('data-role-id', id);
   }
@@ -25,6 +86,21 @@ function createRoleCard(options = {}) {
   const content = document.createElement('div');
   content.className = 'role-card__content';
 
+  // Selection checkbox
+  let checkbox = null;
+  if (selectable) {
+    card.classList.add('role-card--selectable');
+    card.classList.toggle('role-card--selected', isSelected);
+    checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'role-card__checkbox';
+    checkbox.checked = isSelected;
+    checkbox.setAttribute('aria-label', `Select ${name}`);
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', () => setSelected(checkbox.checked, true));
+    content.appendChild(checkbox);
+  }
+
   // Create text container
   const textContainer = document.createElement('div');
   textContainer.className = 'role-card__text-container';
@@ -33,17 +109,26 @@ function createRoleCard(options = {}) {
   const header = document.createElement('div');
   header.className = 'role-card__header';
 
+  // Lock marker
+  if (locked) {
+    const lockElement = document.createElement('span');
+    lockElement.className = 'role-card__lock';
+    lockElement.title = 'Encrypted - unlock the vault to view';
+    lockElement.innerHTML = typeof getIcon === 'function' ? getIcon('lock') : '';
+    header.appendChild(lockElement);
+  }
+
   // Name
   const nameElement = document.createElement('h3');
   nameElement.className = 'role-card__name';
-  nameElement.textContent = name;
+  setHighlightedText(nameElement, name, highlights.name);
   header.appendChild(nameElement);
 
   // Area badge (if present)
   if (area) {
     const areaBadge = document.createElement('span');
     areaBadge.className = 'role-card__area';
-    areaBadge.textContent = area;
+    setHighlightedText(areaBadge, area, highlights.area);
     header.appendChild(areaBadge);
   }
 
@@ -55,18 +140,68 @@ function createRoleCard(options = {}) {
     descElement.className = 'role-card__description';
     // Truncate description for preview
     const maxLength = 100;
-    descElement.textContent = description.length > maxLength
-      ? description.substring(0, maxLength) + '...'
-      : description;
+    if (description.length > maxLength) {
+      setHighlightedText(descElement, description.substring(0, maxLength), highlights.description);
+      descElement.appendChild(document.createTextNode('...'));
+    } else {
+      setHighlightedText(descElement, description, highlights.description);
+    }
     textContainer.appendChild(descElement);
   }
 
+  // Why the role matched the search, if not visible above
+  if (match) {
+    const matchElement = document.createElement('p');
+    matchElement.className = 'role-card__match';
+    const matchLabel = document.createElement('span');
+    matchLabel.className = 'role-card__match-label';
+    matchLabel.textContent = `${match.label}: `;
+    const matchText = document.createElement('span');
+    setHighlightedText(matchText, match.text, match.ranges);
+    matchElement.appendChild(matchLabel);
+    matchElement.appendChild(matchText);
+    textContainer.appendChild(matchElement);
+  }
+
+  // Tags
+  if (tags.length > 0 && !locked) {
+    const tagsElement = document.createElement('div');
+    tagsElement.className = 'role-card__tags';
+    tags.forEach(tag => {
+      const tagElement = document.createElement('span');
+      tagElement.className = 'role-card__tag';
+      tagElement.textContent = tag;
+      tagsElement.appendChild(tagElement);
+    });
+    textContainer.appendChild(tagsElement);
+  }
+
+  // Usage (recorded on this device only)
+  const usageElement = document.createElement('span');
+  usageElement.className = 'role-card__usage';
+  usageElement.textContent = locked ? 'Encrypted - unlock to view' : describeUsage(usage);
+  textContainer.appendChild(usageElement);
+
   content.appendChild(textContainer);
 
   // Create actions container
   const actions = document.createElement('div');
   actions.className = 'role-card__actions';
 
+  // Pin button
+  const pinButton = document.createElement('button');
+  pinButton.className = 'role-card__icon-button role-card__icon-button--pin';
+  pinButton.classList.toggle('role-card__icon-button--pinned', pinned);
+  pinButton.setAttribute('aria-label', pinned ? 'Unpin role' : 'Pin role');
+  pinButton.setAttribute('aria-pressed', String(pinned));
+  pinButton.title = pinned ? 'Unpin' : 'Pin to top';
+  pinButton.innerHTML = typeof getIcon === 'function' ? getIcon(pinned ? 'heartFilled' : 'heart') : (pinned ? 'Unpin' : 'Pin');
+  pinButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (onTogglePin) onTogglePin(id, !pinned);
+  });
+  actions.appendChild(pinButton);
+
   // Edit button
   const editButton = document.createElement('button');
   editButton.className = 'role-card__icon-button';
@@ -82,6 +217,30 @@ function createRoleCard(options = {}) {
   });
   actions.appendChild(editButton);
 
+  // Duplicate button
+  const duplicateButton = document.createElement('button');
+  duplicateButton.className = 'role-card__icon-button';
+  duplicateButton.setAttribute('aria-label', 'Duplicate role');
+  duplicateButton.title = 'Duplicate';
+  duplicateButton.innerHTML = typeof getIcon === 'function' ? getIcon('copy') : 'Duplicate';
+  duplicateButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (onDuplicate) onDuplicate(id);
+  });
+  actions.appendChild(duplicateButton);
+
+  // Share button
+  const shareButton = document.createElement('button');
+  shareButton.className = 'role-card__icon-button';
+  shareButton.setAttribute('aria-label', 'Share role');
+  shareButton.title = 'Share';
+  shareButton.innerHTML = typeof getIcon === 'function' ? getIcon('share') : 'Share';
+  shareButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (onShare) onShare(id);
+  });
+  actions.appendChild(shareButton);
+
   // Delete button
   const deleteButton = document.createElement('button');
   deleteButton.className = 'role-card__icon-button role-card__icon-button--delete';
@@ -100,9 +259,23 @@ function createRoleCard(options = {}) {
   content.appendChild(actions);
   card.appendChild(content);
 
+  /**
+   * Select or deselect the card
+   */
+  function setSelected(value, notify) {
+    isSelected = value;
+    card.classList.toggle('role-card--selected', isSelected);
+    if (checkbox) checkbox.checked = isSelected;
+    if (notify && onSelectChange) onSelectChange(id, isSelected);
+  }
+
   // Card click handler
   card.addEventListener('click', () => {
-    if (onClick) onClick(id);
+    if (selectable) {
+      setSelected(!isSelected, true);
+    } else if (onClick) {
+      onClick(id);
+    }
   });
 
   // Public API
@@ -111,6 +284,12 @@ function createRoleCard(options = {}) {
     getId: () => id,
     getName: () => name,
     getArea: () => area,
+    isSelected: () => isSelected,
+    setSelected: (value) => setSelected(value, false),
+    setUsage: (stats) => {
+      if (locked) return;
+      usageElement.textContent = describeUsage(stats);
+    },
     setName: (newName) => {
       nameElement.textContent = newName;
     },
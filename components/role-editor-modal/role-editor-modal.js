@@ -1,16 +1,29 @@
 /**
  * Role Editor Modal Component
  * Modal for creating and editing roles
- * Fields: name, area, description, skills, tools, constraints, behavior, moreInfo
+ * Fields: name, area, tags, parent role, description, skills, tools, constraints, behavior, moreInfo, snippets,
+ * template, and encryption once the vault is set up
+ * Fields are checked with the shared schema rules before saving.
+ * Requires: overlay.js, role-history-panel.js, services/role-schema.js, services/role-inheritance.js,
+ *           services/role-variables.js, services/role-snippets.js, services/role-template.js,
+ *           services/format-profiles.js, services/role-budget.js
  */
 
 function createRoleEditorModal(options = {}) {
   const {
     role = null, // Existing role to edit, or null for new
     existingAreas = [], // Suggestions for area field
+    existingTags = [], // Suggestions for tags
+    allRoles = [], // Roles that can be chosen as parent, and whose names are taken
+    templateState = { templates: RoleTemplate.BUILT_IN_TEMPLATES, defaultId: RoleTemplate.DEFAULT_TEMPLATE_ID },
+    snippets = [], // Snippet library the role can reference
+    settings = {}, // Format profiles and input limits per platform
+    vaultState = { enabled: false, unlocked: false },
     onSave = null,
     onDelete = null,
-    onClose = null
+    onClose = null,
+    onLoadHistory = null, // (roleId) => Promise<Revision[]>
+    onRestoreRevision = null // (roleId, revisionId) => Promise<Role|null>
   } = options;
 
   const isEditMode = role !== null;
@@ -51,7 +64,28 @@ function createRoleEditorModal(options = {}) {
     if (onClose) onClose();
     api.hide();
   });
-  header.appendChild(closeButton);
+
+  // History button (only in edit mode)
+  if (isEditMode && onLoadHistory) {
+    const headerActions = document.createElement('div');
+    headerActions.className = 'role-editor-modal__header-actions';
+
+    const historyButton = document.createElement('button');
+    historyButton.className = 'role-editor-modal__history-button';
+    historyButton.setAttribute('aria-label', 'Version history');
+    historyButton.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+        <path stroke-linecap="round" stroke-linejoin="round" d="M12 6v6h4.5m4.5 0a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z" />
+      </svg>
+      <span>History</span>
+    `;
+    historyButton.addEventListener('click', () => showHistory());
+    headerActions.appendChild(historyButton);
+    headerActions.appendChild(closeButton);
+    header.appendChild(headerActions);
+  } else {
+    header.appendChild(closeButton);
+  }
 
   modalElement.appendChild(header);
 
@@ -127,11 +161,24 @@ function createRoleEditorModal(options = {}) {
       field.appendChild(datalist);
     }
 
-    return { field, input };
+    // Validation message below the input, cleared when the value changes
+    const error = document.createElement('p');
+    error.className = 'role-editor-modal__field-error';
+    error.hidden = true;
+    field.appendChild(error);
+
+    const setError = (message) => {
+      error.textContent = message || '';
+      error.hidden = !message;
+      input.classList.toggle('role-editor-modal__input--error', Boolean(message));
+    };
+    input.addEventListener('input', () => setError(''));
+
+    return { field, input, setError };
   }
 
   // Helper to create dynamic list field (individual inputs with add/remove)
-  function createDynamicListField(label, values, placeholder) {
+  function createDynamicListField(label, values, placeholder, options = {}) {
     const field = document.createElement('div');
     field.className = 'role-editor-modal__field';
 
@@ -147,6 +194,20 @@ function createRoleEditorModal(options = {}) {
     itemsContainer.className = 'role-editor-modal__dynamic-list-items';
     listContainer.appendChild(itemsContainer);
 
+    // One datalist with suggestions shared by all items
+    let datalistId = null;
+    if (options.suggestions && options.suggestions.length > 0) {
+      datalistId = `datalist-${label.toLowerCase().replace(/\s/g, '-')}`;
+      const datalist = document.createElement('datalist');
+      datalist.id = datalistId;
+      options.suggestions.forEach(suggestion => {
+        const option = document.createElement('option');
+        option.value = suggestion;
+        datalist.appendChild(option);
+      });
+      field.appendChild(datalist);
+    }
+
     // Function to create a single list item
     function createListItem(value = '') {
       const item = document.createElement('div');
@@ -157,6 +218,7 @@ function createRoleEditorModal(options = {}) {
       input.className = 'role-editor-modal__input';
       input.value = value;
       input.placeholder = placeholder;
+      if (datalistId) input.setAttribute('list', datalistId);
       item.appendChild(input);
 
       const removeButton = document.createElement('button');
@@ -170,6 +232,7 @@ function createRoleEditorModal(options = {}) {
       `;
       removeButton.addEventListener('click', () => {
         item.remove();
+        setError('');
       });
       item.appendChild(removeButton);
 
@@ -203,6 +266,18 @@ function createRoleEditorModal(options = {}) {
 
     field.appendChild(listContainer);
 
+    // Validation message below the list, cleared when an entry changes
+    const error = document.createElement('p');
+    error.className = 'role-editor-modal__field-error';
+    error.hidden = true;
+    field.appendChild(error);
+
+    function setError(message) {
+      error.textContent = message || '';
+      error.hidden = !message;
+    }
+    itemsContainer.addEventListener('input', () => setError(''));
+
     // Method to get all values
     const getValues = () => {
       const inputs = itemsContainer.querySelectorAll('input');
@@ -211,12 +286,140 @@ function createRoleEditorModal(options = {}) {
         .filter(value => value.length > 0);
     };
 
-    return { field, getValues };
+    return { field, getValues, setError };
+  }
+
+  // Helper to create the parent role selector
+  function createParentField(selectedId) {
+    const field = document.createElement('div');
+    field.className = 'role-editor-modal__field';
+
+    const labelElement = document.createElement('label');
+    labelElement.className = 'role-editor-modal__label';
+    labelElement.textContent = 'Extends';
+    field.appendChild(labelElement);
+
+    const select = document.createElement('select');
+    select.className = 'role-editor-modal__input role-editor-modal__select';
+
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = 'No parent role';
+    select.appendChild(noneOption);
+
+    // Roles that would end up inheriting from this one are not offered
+    allRoles
+      .filter(r => r.id !== role?.id && !RoleInheritance.createsCycle(role?.id, r.id, allRoles))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(r => {
+        const option = document.createElement('option');
+        option.value = r.id;
+        option.textContent = r.area ? `${r.name} (${r.area})` : r.name;
+        select.appendChild(option);
+      });
+
+    // Keep a link to a parent that is currently in the trash
+    if (selectedId && !allRoles.some(r => r.id === selectedId)) {
+      const missingOption = document.createElement('option');
+      missingOption.value = selectedId;
+      missingOption.textContent = 'Missing role (in trash or deleted)';
+      select.appendChild(missingOption);
+    }
+
+    select.value = selectedId || '';
+    field.appendChild(select);
+
+    const hint = document.createElement('p');
+    hint.className = 'role-editor-modal__hint';
+    hint.textContent = 'Skills, tools, constraints and behavior are inherited from the parent role';
+    field.appendChild(hint);
+
+    return { field, select };
+  }
+
+  // Helper to show inherited values under a field, with its merge rule
+  function createInheritedBlock(fieldKey) {
+    const block = document.createElement('div');
+    block.className = 'role-editor-modal__inherited';
+
+    const blockHeader = document.createElement('div');
+    blockHeader.className = 'role-editor-modal__inherited-header';
+
+    const blockTitle = document.createElement('span');
+    blockTitle.className = 'role-editor-modal__inherited-title';
+    blockTitle.textContent = 'Inherited';
+    blockHeader.appendChild(blockTitle);
+
+    const ruleSelect = document.createElement('select');
+    ruleSelect.className = 'role-editor-modal__merge-select';
+    ruleSelect.setAttribute('aria-label', 'Merge rule');
+    [
+      [RoleInheritance.MERGE_RULES.APPEND, 'Add to inherited'],
+      [RoleInheritance.MERGE_RULES.OVERRIDE, 'Replace inherited']
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      ruleSelect.appendChild(option);
+    });
+    ruleSelect.value = RoleInheritance.getMergeRule(role || {}, fieldKey);
+    ruleSelect.title = 'Replace uses the inherited value only while this field is empty';
+    blockHeader.appendChild(ruleSelect);
+
+    block.appendChild(blockHeader);
+
+    const values = document.createElement('div');
+    values.className = 'role-editor-modal__inherited-values';
+    block.appendChild(values);
+
+    const render = (sources) => {
+      values.innerHTML = '';
+
+      if (sources.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'role-editor-modal__inherited-empty';
+        empty.textContent = 'Nothing to inherit';
+        values.appendChild(empty);
+        return;
+      }
+
+      sources.forEach(source => {
+        const sourceElement = document.createElement('div');
+        sourceElement.className = 'role-editor-modal__inherited-source';
+
+        const from = document.createElement('span');
+        from.className = 'role-editor-modal__inherited-from';
+        from.textContent = `From ${source.roleName || 'Untitled Role'}`;
+        sourceElement.appendChild(from);
+
+        if (Array.isArray(source.value)) {
+          const list = document.createElement('ul');
+          list.className = 'role-editor-modal__inherited-list';
+          source.value.forEach(item => {
+            const listItem = document.createElement('li');
+            listItem.textContent = item;
+            list.appendChild(listItem);
+          });
+          sourceElement.appendChild(list);
+        } else {
+          const text = document.createElement('p');
+          text.className = 'role-editor-modal__inherited-text';
+          text.textContent = source.value;
+          sourceElement.appendChild(text);
+        }
+
+        values.appendChild(sourceElement);
+      });
+    };
+
+    return { element: block, render, getRule: () => ruleSelect.value };
   }
 
   // Create form fields
   const nameField = createField('Name', 'text', role?.name, 'e.g., Web Analyst', { required: true });
   const areaField = createField('Area', 'text', role?.area, 'e.g., Marketing, Development', { suggestions: existingAreas });
+  const tagsField = createDynamicListField('Tags', role?.tags, 'e.g., Writing', { suggestions: existingTags });
+  const parentField = createParentField(role?.parentId);
   const descriptionField = createField('Description', 'textarea', role?.description, 'Describe this role...', { rows: 3 });
   const skillsField = createDynamicListField('Skills', role?.skills, 'e.g., Data analysis');
   const toolsField = createDynamicListField('Tools', role?.tools, 'e.g., Google Analytics');
@@ -227,6 +430,8 @@ function createRoleEditorModal(options = {}) {
   // Add fields to content
   content.appendChild(nameField.field);
   content.appendChild(areaField.field);
+  content.appendChild(tagsField.field);
+  content.appendChild(parentField.field);
   content.appendChild(descriptionField.field);
   content.appendChild(skillsField.field);
   content.appendChild(toolsField.field);
@@ -234,6 +439,312 @@ function createRoleEditorModal(options = {}) {
   content.appendChild(behaviorField.field);
   content.appendChild(moreInfoField.field);
 
+  // Snippets: shared blocks of context added after the Additional Information
+  const snippetsField = document.createElement('div');
+  snippetsField.className = 'role-editor-modal__field';
+
+  const snippetsLabel = document.createElement('label');
+  snippetsLabel.className = 'role-editor-modal__label';
+  snippetsLabel.textContent = 'Snippets';
+  snippetsField.appendChild(snippetsLabel);
+
+  const snippetCheckboxes = snippets.map(snippet => {
+    const option = document.createElement('label');
+    option.className = 'role-editor-modal__option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = snippet.id;
+    checkbox.checked = (role?.snippetIds || []).includes(snippet.id);
+    option.appendChild(checkbox);
+    option.appendChild(document.createTextNode(snippet.name));
+    snippetsField.appendChild(option);
+    return checkbox;
+  });
+
+  const snippetsHint = document.createElement('p');
+  snippetsHint.className = 'role-editor-modal__hint';
+  snippetsHint.textContent = snippets.length > 0
+    ? 'Their text is added to Additional Information when the role is injected, and stays in step with the snippet'
+    : 'No snippets yet - create them with the Snippets button on the home screen';
+  snippetsField.appendChild(snippetsHint);
+
+  const snippetsError = document.createElement('p');
+  snippetsError.className = 'role-editor-modal__field-error';
+  snippetsError.hidden = true;
+  snippetsField.appendChild(snippetsError);
+
+  content.appendChild(snippetsField);
+
+  // References to snippets that are not in the library (yet) are kept as they are
+  const unknownSnippetIds = (role?.snippetIds || []).filter(id => !snippets.some(snippet => snippet.id === id));
+
+  function getSnippetIds() {
+    return [
+      ...snippetCheckboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value),
+      ...unknownSnippetIds
+    ];
+  }
+
+  const snippetsFormField = {
+    field: snippetsField,
+    setError: (message) => {
+      snippetsError.textContent = message || '';
+      snippetsError.hidden = !message;
+    }
+  };
+
+  // Inherited values for each inheritable field
+  const inheritableFields = {
+    skills: skillsField,
+    tools: toolsField,
+    constraints: constraintsField,
+    behavior: behaviorField
+  };
+  const inheritedBlocks = {};
+  Object.entries(inheritableFields).forEach(([key, formField]) => {
+    inheritedBlocks[key] = createInheritedBlock(key);
+    formField.field.appendChild(inheritedBlocks[key].element);
+  });
+
+  // Show what the chosen parent chain contributes to each field
+  function renderInheritance() {
+    const parentId = parentField.select.value;
+    const { sources } = RoleInheritance.resolveRoleWithSources({ id: role?.id, parentId }, allRoles);
+
+    Object.entries(inheritedBlocks).forEach(([key, block]) => {
+      block.element.hidden = !parentId;
+      block.render(sources[key] || []);
+    });
+  }
+
+  parentField.select.addEventListener('change', renderInheritance);
+  renderInheritance();
+
+  // Merge rules that differ from the defaults
+  function getMergeRules() {
+    const rules = {};
+    Object.entries(inheritedBlocks).forEach(([key, block]) => {
+      if (block.getRule() !== RoleInheritance.INHERITED_FIELDS[key].rule) {
+        rules[key] = block.getRule();
+      }
+    });
+    return rules;
+  }
+
+  // Variables: one default value per {{name}} used in the role
+  const variableDefaults = { ...(role?.variables || {}) };
+
+  const variablesField = document.createElement('div');
+  variablesField.className = 'role-editor-modal__field';
+
+  const variablesLabel = document.createElement('label');
+  variablesLabel.className = 'role-editor-modal__label';
+  variablesLabel.textContent = 'Variables';
+  variablesField.appendChild(variablesLabel);
+
+  const variablesHint = document.createElement('p');
+  variablesHint.className = 'role-editor-modal__hint';
+  variablesHint.textContent = 'Write {{name}} in any field to be asked for a value when the role is injected';
+  variablesField.appendChild(variablesHint);
+
+  const variablesList = document.createElement('div');
+  variablesList.className = 'role-editor-modal__variables';
+  variablesField.appendChild(variablesList);
+
+  content.appendChild(variablesField);
+
+  // Fields as currently entered in the form (variables are found in these)
+  function getFormFields() {
+    return {
+      name: nameField.input.value,
+      area: areaField.input.value,
+      description: descriptionField.input.value,
+      skills: skillsField.getValues(),
+      tools: toolsField.getValues(),
+      constraints: constraintsField.getValues(),
+      behavior: behaviorField.input.value,
+      moreInfo: moreInfoField.input.value,
+      snippetIds: getSnippetIds()
+    };
+  }
+
+  function renderVariables() {
+    // Inherited fields, snippets and defaults count too
+    const resolved = RoleSnippets.expandSnippets(RoleInheritance.resolveRole(
+      { ...getFormFields(), id: role?.id, parentId: parentField.select.value, mergeRules: getMergeRules(), variables: {} },
+      allRoles
+    ), snippets);
+    const names = RoleVariables.findVariables(resolved);
+
+    variablesList.innerHTML = '';
+    variablesHint.hidden = names.length > 0;
+
+    names.forEach(name => {
+      const row = document.createElement('div');
+      row.className = 'role-editor-modal__variable';
+
+      const nameElement = document.createElement('code');
+      nameElement.className = 'role-editor-modal__variable-name';
+      nameElement.textContent = name;
+      row.appendChild(nameElement);
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'role-editor-modal__input';
+      input.value = variableDefaults[name] || '';
+      input.placeholder = resolved.variables[name] ? `Inherited: ${resolved.variables[name]}` : 'Default value (optional)';
+      input.addEventListener('input', () => {
+        variableDefaults[name] = input.value;
+      });
+      row.appendChild(input);
+
+      variablesList.appendChild(row);
+    });
+  }
+
+  // Defaults for variables that are still used
+  function getVariableDefaults() {
+    const defaults = {};
+    [...variablesList.querySelectorAll('.role-editor-modal__variable-name')].forEach(nameElement => {
+      const value = (variableDefaults[nameElement.textContent] || '').trim();
+      if (value) defaults[nameElement.textContent] = value;
+    });
+    return defaults;
+  }
+
+  // Injection template: the default one, or a template chosen for this role
+  const templateField = document.createElement('div');
+  templateField.className = 'role-editor-modal__field';
+
+  const templateLabel = document.createElement('label');
+  templateLabel.className = 'role-editor-modal__label';
+  templateLabel.textContent = 'Injection Template';
+  templateField.appendChild(templateLabel);
+
+  const templateSelect = document.createElement('select');
+  templateSelect.className = 'role-editor-modal__input role-editor-modal__select';
+
+  const defaultTemplate = RoleTemplate.getTemplateForRole({}, templateState);
+  const defaultTemplateOption = document.createElement('option');
+  defaultTemplateOption.value = '';
+  defaultTemplateOption.textContent = `Default (${defaultTemplate.name})`;
+  templateSelect.appendChild(defaultTemplateOption);
+
+  templateState.templates.forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name;
+    templateSelect.appendChild(option);
+  });
+
+  // A deleted template falls back to the default
+  templateSelect.value = templateState.templates.some(t => t.id === role?.templateId) ? role.templateId : '';
+  templateField.appendChild(templateSelect);
+
+  const previewLabel = document.createElement('span');
+  previewLabel.className = 'role-editor-modal__preview-label';
+  previewLabel.textContent = 'Preview';
+  templateField.appendChild(previewLabel);
+
+  const preview = document.createElement('pre');
+  preview.className = 'role-editor-modal__preview';
+  templateField.appendChild(preview);
+
+  const budgetInfo = document.createElement('div');
+  budgetInfo.className = 'role-editor-modal__budget';
+  templateField.appendChild(budgetInfo);
+
+  content.appendChild(templateField);
+
+  // Encryption (only once a vault is set up)
+  let encryptCheckbox = null;
+  if (vaultState.enabled) {
+    const encryptField = document.createElement('div');
+    encryptField.className = 'role-editor-modal__field';
+
+    const encryptOption = document.createElement('label');
+    encryptOption.className = 'role-editor-modal__option';
+    encryptCheckbox = document.createElement('input');
+    encryptCheckbox.type = 'checkbox';
+    encryptCheckbox.checked = role ? Boolean(role.encrypted) : Boolean(vaultState.encryptAll);
+    encryptCheckbox.disabled = !vaultState.unlocked;
+    encryptOption.appendChild(encryptCheckbox);
+    encryptOption.appendChild(document.createTextNode('Encrypt this role'));
+    encryptField.appendChild(encryptOption);
+
+    const encryptHint = document.createElement('p');
+    encryptHint.className = 'role-editor-modal__hint';
+    encryptHint.textContent = vaultState.unlocked
+      ? 'Everything except name, area and tags is encrypted with your vault passphrase.'
+      : 'Unlock the vault to change encryption.';
+    encryptField.appendChild(encryptHint);
+
+    content.appendChild(encryptField);
+  }
+
+  // Render the role as it would be injected, with variable defaults filled in
+  function renderPreview() {
+    const formRole = {
+      ...getFormFields(),
+      id: role?.id,
+      parentId: parentField.select.value,
+      mergeRules: getMergeRules(),
+      variables: getVariableDefaults(),
+      templateId: templateSelect.value
+    };
+    preview.textContent = RoleTemplate.renderRoleInjection(formRole, allRoles, {}, templateState, FORMAT_PROFILES.PLAIN, snippets);
+    renderBudget(formRole);
+  }
+
+  // Size of the preview, and how the role fares against each platform's limits
+  function renderBudget(formRole) {
+    const measure = RoleBudget.measureText(preview.textContent);
+    budgetInfo.innerHTML = '';
+
+    const summary = document.createElement('span');
+    summary.className = 'role-editor-modal__budget-summary';
+    summary.textContent = `${RoleBudget.formatTokenCount(measure.tokens)} · ${measure.characters.toLocaleString('en-US')} characters`;
+    budgetInfo.appendChild(summary);
+
+    FormatProfiles.PLATFORM_PROFILES.forEach(platform => {
+      const result = RoleBudget.renderRoleForPlatform(formRole, allRoles, {}, templateState, platform.id, settings, snippets);
+      const limitText = RoleBudget.describeLimits(result.limits);
+      if (!result.overLimit && result.droppedFields.length === 0) return;
+
+      const warning = document.createElement('span');
+      warning.className = 'role-editor-modal__budget-warning';
+      if (result.overLimit) {
+        warning.classList.add('role-editor-modal__budget-warning--over');
+        warning.textContent = `Over the ${platform.name} limit of ${limitText}`;
+      } else {
+        const dropped = result.droppedFields.map(field => RoleBudget.CONDENSE_LABELS[field]).join(', ');
+        warning.textContent = `Condensed on ${platform.name} to fit ${limitText} (without ${dropped})`;
+      }
+      budgetInfo.appendChild(warning);
+    });
+  }
+
+  // Re-detect variables when text changes (skipping the default inputs themselves)
+  content.addEventListener('input', (event) => {
+    if (!variablesList.contains(event.target)) renderVariables();
+    renderPreview();
+  });
+  content.addEventListener('click', (event) => {
+    // Removing a list item changes the fields without an input event
+    if (event.target.closest('.role-editor-modal__dynamic-list-remove')) {
+      renderVariables();
+      renderPreview();
+    }
+  });
+  content.addEventListener('change', (event) => {
+    if (event.target.tagName === 'SELECT') {
+      renderVariables();
+      renderPreview();
+    }
+  });
+  renderVariables();
+  renderPreview();
+
   modalElement.appendChild(content);
 
   // Create footer with buttons
@@ -245,11 +756,10 @@ function createRoleEditorModal(options = {}) {
     const deleteButton = document.createElement('button');
     deleteButton.className = 'role-editor-modal__delete-button';
     deleteButton.textContent = 'Delete';
+    deleteButton.setAttribute('title', 'Move this role to the trash');
     deleteButton.addEventListener('click', () => {
-      if (confirm('Are you sure you want to delete this role?')) {
-        onDelete(role.id);
-        api.hide();
-      }
+      onDelete(role.id);
+      api.hide();
     });
     footer.appendChild(deleteButton);
   }
@@ -259,6 +769,43 @@ function createRoleEditorModal(options = {}) {
   spacer.className = 'role-editor-modal__spacer';
   footer.appendChild(spacer);
 
+  // Role as entered in the form
+  function getRoleData() {
+    return {
+      id: role?.id,
+      updatedAt: role?.updatedAt, // Version the edit started from
+      name: nameField.input.value.trim(),
+      area: areaField.input.value.trim(),
+      tags: tagsField.getValues(),
+      description: descriptionField.input.value.trim(),
+      skills: skillsField.getValues(),
+      tools: toolsField.getValues(),
+      constraints: constraintsField.getValues(),
+      behavior: behaviorField.input.value.trim(),
+      moreInfo: moreInfoField.input.value.trim(),
+      snippetIds: getSnippetIds(),
+      parentId: parentField.select.value,
+      mergeRules: getMergeRules(),
+      variables: getVariableDefaults(),
+      templateId: templateSelect.value,
+      ...(encryptCheckbox ? { encrypted: encryptCheckbox.checked } : {})
+    };
+  }
+
+  // Fields that show validation errors, in form order
+  const validatedFields = {
+    name: nameField,
+    area: areaField,
+    tags: tagsField,
+    description: descriptionField,
+    skills: skillsField,
+    tools: toolsField,
+    constraints: constraintsField,
+    behavior: behaviorField,
+    moreInfo: moreInfoField,
+    snippetIds: snippetsFormField
+  };
+
   // Cancel button
   const cancelButton = document.createElement('button');
   cancelButton.className = 'role-editor-modal__cancel-button';
@@ -274,32 +821,18 @@ function createRoleEditorModal(options = {}) {
   saveButton.className = 'role-editor-modal__save-button';
   saveButton.textContent = 'Save';
   saveButton.addEventListener('click', () => {
-    // Validate name
-    const name = nameField.input.value.trim();
-    if (!name) {
-      nameField.input.focus();
-      nameField.input.classList.add('role-editor-modal__input--error');
-      return;
-    }
+    const roleData = getRoleData();
 
-    // Parse list fields (split by newlines)
-    const parseList = (value) => {
-      return value.split('\n')
-        .map(item => item.trim())
-        .filter(item => item.length > 0);
-    };
+    // Same rules as the role storage, shown next to each field
+    const errors = RoleSchema.validateRole(roleData, allRoles);
+    Object.entries(validatedFields).forEach(([key, formField]) => formField.setError(errors[key]));
 
-    const roleData = {
-      id: role?.id,
-      name: name,
-      area: areaField.input.value.trim(),
-      description: descriptionField.input.value.trim(),
-      skills: skillsField.getValues(),
-      tools: toolsField.getValues(),
-      constraints: constraintsField.getValues(),
-      behavior: behaviorField.input.value.trim(),
-      moreInfo: moreInfoField.input.value.trim()
-    };
+    const invalidKey = Object.keys(validatedFields).find(key => errors[key]);
+    if (invalidKey) {
+      const invalidInput = validatedFields[invalidKey].field.querySelector('input, textarea');
+      if (invalidInput) invalidInput.focus();
+      return;
+    }
 
     if (onSave) {
       onSave(roleData);
@@ -310,10 +843,47 @@ function createRoleEditorModal(options = {}) {
 
   modalElement.appendChild(footer);
 
-  // Remove error class on input
-  nameField.input.addEventListener('input', () => {
-    nameField.input.classList.remove('role-editor-modal__input--error');
-  });
+  // History view (replaces form content and footer while open)
+  let historyPanel = null;
+
+  async function showHistory() {
+    let revisions = [];
+    try {
+      revisions = await onLoadHistory(role.id);
+    } catch (error) {
+      console.error('[RoleEditor] Failed to load history:', error);
+      alert('Failed to load version history. Please try again.');
+      return;
+    }
+
+    historyPanel = createRoleHistoryPanel({
+      role: role,
+      revisions: revisions,
+      onBack: hideHistory,
+      onRestore: async (revisionId) => {
+        if (!onRestoreRevision) return;
+        const restored = await onRestoreRevision(role.id, revisionId);
+        if (restored) {
+          api.hide();
+        }
+      }
+    });
+
+    title.textContent = 'Version History';
+    content.hidden = true;
+    footer.hidden = true;
+    modalElement.insertBefore(historyPanel.element, footer);
+  }
+
+  function hideHistory() {
+    if (historyPanel) {
+      historyPanel.element.remove();
+      historyPanel = null;
+    }
+    title.textContent = 'Edit Role';
+    content.hidden = false;
+    footer.hidden = false;
+  }
 
   // Public API
   const api = {
@@ -339,17 +909,7 @@ function createRoleEditorModal(options = {}) {
         }
       }, 200);
     },
-    getRole: () => ({
-      id: role?.id,
-      name: nameField.input.value.trim(),
-      area: areaField.input.value.trim(),
-      description: descriptionField.input.value.trim(),
-      skills: skillsField.getValues(),
-      tools: toolsField.getValues(),
-      constraints: constraintsField.getValues(),
-      behavior: behaviorField.input.value.trim(),
-      moreInfo: moreInfoField.input.value.trim()
-    })
+    getRole: getRoleData
   };
 
   return api;
@@ -0,0 +1,215 @@
+/**
+ * Role History Panel Component
+ * Lists past revisions of a role, shows a field-by-field diff between two
+ * revisions and restores a revision with one click
+ * Requires: services/role-schema.js, services/role-diff.js
+ */
+
+function createRoleHistoryPanel(options = {}) {
+  const {
+    role = null, // Current role
+    revisions = [], // Past revisions, newest first
+    onRestore = null,
+    onBack = null
+  } = options;
+
+  const CURRENT = 'current';
+
+  // Create container
+  const container = document.createElement('div');
+  container.className = 'role-history-panel';
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString([], {
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  // Resolve a select value to a role snapshot
+  const getSnapshot = (value) => {
+    if (value === CURRENT) return role;
+    const revision = revisions.find(r => r.id === value);
+    return revision ? revision.role : null;
+  };
+
+  // Create content
+  const content = document.createElement('div');
+  content.className = 'role-history-panel__content';
+  container.appendChild(content);
+
+  let fromSelect = null;
+  let toSelect = null;
+  let diffContainer = null;
+
+  if (revisions.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'role-history-panel__empty';
+    emptyState.innerHTML = `
+      <p class="role-history-panel__empty-text">No earlier versions yet</p>
+      <p class="role-history-panel__empty-hint">Each save keeps the previous version here</p>
+    `;
+    content.appendChild(emptyState);
+  } else {
+    // Helper to create a revision select
+    const createSelect = (label, includeCurrent) => {
+      const field = document.createElement('label');
+      field.className = 'role-history-panel__select-field';
+
+      const labelElement = document.createElement('span');
+      labelElement.className = 'role-history-panel__select-label';
+      labelElement.textContent = label;
+      field.appendChild(labelElement);
+
+      const select = document.createElement('select');
+      select.className = 'role-history-panel__select';
+
+      if (includeCurrent) {
+        const option = document.createElement('option');
+        option.value = CURRENT;
+        option.textContent = 'Current version';
+        select.appendChild(option);
+      }
+
+      revisions.forEach(revision => {
+        const option = document.createElement('option');
+        option.value = revision.id;
+        option.textContent = formatDate(revision.savedAt);
+        select.appendChild(option);
+      });
+
+      select.addEventListener('change', renderDiff);
+      field.appendChild(select);
+
+      return { field, select };
+    };
+
+    const selectRow = document.createElement('div');
+    selectRow.className = 'role-history-panel__selects';
+
+    const from = createSelect('Version', false);
+    const to = createSelect('Compared with', true);
+    fromSelect = from.select;
+    toSelect = to.select;
+
+    selectRow.appendChild(from.field);
+    selectRow.appendChild(to.field);
+    content.appendChild(selectRow);
+
+    diffContainer = document.createElement('div');
+    diffContainer.className = 'role-history-panel__diff';
+    content.appendChild(diffContainer);
+  }
+
+  /**
+   * Render a value block for one side of a string change
+   */
+  function createValueBlock(text, modifier) {
+    const block = document.createElement('p');
+    block.className = `role-history-panel__value role-history-panel__value--${modifier}`;
+    block.textContent = text || '(empty)';
+    return block;
+  }
+
+  /**
+   * Render the diff between the two selected revisions
+   */
+  function renderDiff() {
+    diffContainer.innerHTML = '';
+
+    const before = getSnapshot(fromSelect.value);
+    const after = getSnapshot(toSelect.value);
+    const changes = RoleDiff.diffRoles(before, after);
+
+    if (changes.length === 0) {
+      const same = document.createElement('p');
+      same.className = 'role-history-panel__no-changes';
+      same.textContent = 'No differences';
+      diffContainer.appendChild(same);
+      return;
+    }
+
+    changes.forEach(change => {
+      const row = document.createElement('div');
+      row.className = 'role-history-panel__change';
+
+      const label = document.createElement('span');
+      label.className = 'role-history-panel__change-label';
+      label.textContent = change.label;
+      row.appendChild(label);
+
+      if (change.type === 'list') {
+        const list = document.createElement('ul');
+        list.className = 'role-history-panel__list';
+        change.removed.forEach(item => {
+          const li = document.createElement('li');
+          li.className = 'role-history-panel__value role-history-panel__value--removed';
+          li.textContent = item;
+          list.appendChild(li);
+        });
+        change.added.forEach(item => {
+          const li = document.createElement('li');
+          li.className = 'role-history-panel__value role-history-panel__value--added';
+          li.textContent = item;
+          list.appendChild(li);
+        });
+        if (change.added.length === 0 && change.removed.length === 0) {
+          const li = document.createElement('li');
+          li.className = 'role-history-panel__value';
+          li.textContent = 'Order changed';
+          list.appendChild(li);
+        }
+        row.appendChild(list);
+      } else {
+        row.appendChild(createValueBlock(change.before, 'removed'));
+        row.appendChild(createValueBlock(change.after, 'added'));
+      }
+
+      diffContainer.appendChild(row);
+    });
+  }
+
+  if (diffContainer) {
+    renderDiff();
+  }
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'role-history-panel__footer';
+
+  const backButton = document.createElement('button');
+  backButton.className = 'role-history-panel__back-button';
+  backButton.textContent = 'Back';
+  backButton.addEventListener('click', () => {
+    if (onBack) onBack();
+  });
+  footer.appendChild(backButton);
+
+  const spacer = document.createElement('div');
+  spacer.className = 'role-history-panel__spacer';
+  footer.appendChild(spacer);
+
+  if (revisions.length > 0) {
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'role-history-panel__restore-button';
+    restoreButton.textContent = 'Restore this version';
+    restoreButton.addEventListener('click', async () => {
+      if (!onRestore) return;
+      restoreButton.disabled = true;
+      await onRestore(fromSelect.value);
+      restoreButton.disabled = false;
+    });
+    footer.appendChild(restoreButton);
+  }
+
+  container.appendChild(footer);
+
+  // Public API
+  return {
+    element: container,
+    getSelectedRevisionId: () => (fromSelect ? fromSelect.value : null)
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRoleHistoryPanel };
+}
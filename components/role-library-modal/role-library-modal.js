@@ -0,0 +1,220 @@
+/**
+ * Role Library Modal Component
+ * Browses the starter role catalog grouped by area, with a preview of each
+ * role and an action to add it to the user's roles
+ * Requires: overlay.js, services/role-catalog.js, services/role-template.js
+ */
+
+function createRoleLibraryModal(options = {}) {
+  const {
+    roles = [], // The user's roles, to mark entries that were already added
+    templateState = {},
+    onAdd = null, // Receives catalog ids, resolves once they are added
+    onClose = null
+  } = options;
+
+  let currentRoles = roles;
+
+  // Catalog entries currently being added
+  const pendingIds = new Set();
+
+  // Catalog entry whose preview is open
+  let previewId = null;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'role-library-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'role-library-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'role-library-modal__title';
+  title.textContent = 'Role Library';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'role-library-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'role-library-modal__content';
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'role-library-modal__footer';
+
+  const hint = document.createElement('p');
+  hint.className = 'role-library-modal__hint';
+  hint.textContent = 'Added roles get catalog updates with new versions of the extension until you edit them';
+  footer.appendChild(hint);
+
+  modalElement.appendChild(footer);
+
+  /**
+   * Whether the user already has a role from this catalog entry
+   */
+  function isAdded(entry) {
+    return currentRoles.some(role => role.catalogId === entry.catalogId);
+  }
+
+  /**
+   * Add entries and re-render once they are stored
+   */
+  async function addEntries(catalogIds) {
+    catalogIds.forEach(id => pendingIds.add(id));
+    renderCatalog();
+    try {
+      if (onAdd) await onAdd(catalogIds);
+    } finally {
+      catalogIds.forEach(id => pendingIds.delete(id));
+      renderCatalog();
+    }
+  }
+
+  /**
+   * Render a single catalog entry
+   */
+  function renderEntry(entry) {
+    const item = document.createElement('div');
+    item.className = 'role-library-modal__item';
+
+    const row = document.createElement('div');
+    row.className = 'role-library-modal__item-row';
+
+    const text = document.createElement('button');
+    text.className = 'role-library-modal__item-text';
+    text.setAttribute('aria-expanded', String(previewId === entry.catalogId));
+    text.title = 'Preview';
+    text.addEventListener('click', () => {
+      previewId = previewId === entry.catalogId ? null : entry.catalogId;
+      renderCatalog();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'role-library-modal__item-name';
+    name.textContent = entry.name;
+    text.appendChild(name);
+
+    const description = document.createElement('span');
+    description.className = 'role-library-modal__item-description';
+    description.textContent = entry.description;
+    text.appendChild(description);
+
+    row.appendChild(text);
+
+    const added = isAdded(entry);
+    const pending = pendingIds.has(entry.catalogId);
+    const addButton = document.createElement('button');
+    addButton.className = 'role-library-modal__add-button';
+    addButton.classList.toggle('role-library-modal__add-button--added', added);
+    addButton.textContent = added ? 'Added' : (pending ? 'Adding...' : 'Add');
+    addButton.disabled = added || pending;
+    addButton.addEventListener('click', () => addEntries([entry.catalogId]));
+    row.appendChild(addButton);
+
+    item.appendChild(row);
+
+    if (previewId === entry.catalogId) {
+      const preview = document.createElement('pre');
+      preview.className = 'role-library-modal__preview';
+      preview.textContent = RoleTemplate.renderRoleInjection(RoleCatalog.catalogEntryToRole(entry), [], {}, templateState);
+      item.appendChild(preview);
+    }
+
+    return item;
+  }
+
+  /**
+   * Render the catalog grouped by area
+   */
+  function renderCatalog() {
+    content.innerHTML = '';
+
+    RoleCatalog.getCatalogByArea().forEach(group => {
+      const areaHeader = document.createElement('div');
+      areaHeader.className = 'role-library-modal__area-header';
+
+      const areaName = document.createElement('span');
+      areaName.textContent = group.area;
+      areaHeader.appendChild(areaName);
+
+      const missingIds = group.entries
+        .filter(entry => !isAdded(entry) && !pendingIds.has(entry.catalogId))
+        .map(entry => entry.catalogId);
+      if (missingIds.length > 1) {
+        const addAllButton = document.createElement('button');
+        addAllButton.className = 'role-library-modal__add-all-button';
+        addAllButton.textContent = `Add all ${missingIds.length}`;
+        addAllButton.addEventListener('click', () => addEntries(missingIds));
+        areaHeader.appendChild(addAllButton);
+      }
+
+      content.appendChild(areaHeader);
+      group.entries.forEach(entry => content.appendChild(renderEntry(entry)));
+    });
+  }
+
+  renderCatalog();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('role-library-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('role-library-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setRoles: (newRoles) => {
+      currentRoles = newRoles;
+      renderCatalog();
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRoleLibraryModal };
+}
@@ -1,6 +1,9 @@
 /**
  * Role List Component
- * Displays a list of role cards with add functionality
+ * Displays a list of role cards with add functionality, search, a tag filter,
+ * a selection mode for bulk actions, drag and drop ordering and collapsible
+ * area headers. Cards are rendered a page at a time.
+ * Requires: role-card.js, services/role-messages.js, services/role-grouping.js, services/role-search.js
  */
 
 function createRoleList(options = {}) {
@@ -9,9 +12,36 @@ function createRoleList(options = {}) {
     onRoleClick = null,
     onRoleEdit = null,
     onRoleDelete = null,
-    onAddRole = null
+    onRoleDuplicate = null,
+    onRoleShare = null,
+    onAddRole = null,
+    onRoleTogglePin = null,
+    onBrowseLibrary = null,
+    sort = ROLE_SORTS.DEFAULT, // One of ROLE_SORTS
+    usage = {}, // Recorded usage ({ roles: { [roleId]: stats } })
+    onSortChange = null,
+    roleOrder = [], // Role ids in the user's order
+    areaOrder = [], // Area names in the user's order
+    onOrderChange = null, // ({ roleOrder } | { areaOrder }) => void
+    onRoleMove = null, // (id, area) => Promise - role dragged into another area
+    areaStyles = {}, // { [area]: { color, emoji } }
+    collapsedAreas = [], // Areas whose roles are hidden
+    onCollapseChange = null, // (collapsedAreas) => void
+    onBulkUpdate = null, // (ids, { area } | { addTags }) => Promise
+    onBulkDelete = null, // (ids) => Promise
+    onBulkExport = null // (ids) => void
   } = options;
 
+  let currentSort = sort;
+  let currentUsage = usage;
+  let currentRoleOrder = roleOrder;
+  let currentAreaOrder = areaOrder;
+  let currentAreaStyles = areaStyles;
+  let currentCollapsedAreas = collapsedAreas;
+
+  // What is being dragged: { type: 'role', id, pinned } or { type: 'area', area }
+  let dragged = null;
+
   // Create container
   const container = document.createElement('div');
   container.className = 'role-list';
@@ -25,6 +55,36 @@ function createRoleList(options = {}) {
   title.textContent = 'My Roles';
   header.appendChild(title);
 
+  // Sort order
+  const sortSelect = document.createElement('select');
+  sortSelect.className = 'role-list__sort';
+  sortSelect.setAttribute('aria-label', 'Sort roles');
+  Object.values(ROLE_SORTS).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = RoleGrouping.ROLE_SORT_LABELS[value];
+    sortSelect.appendChild(option);
+  });
+  sortSelect.value = currentSort;
+  sortSelect.addEventListener('change', () => {
+    currentSort = sortSelect.value;
+    renderRoles(currentRoles);
+    if (onSortChange) onSortChange(currentSort);
+  });
+  header.appendChild(sortSelect);
+
+  // Selection mode toggle
+  const selectButton = document.createElement('button');
+  selectButton.className = 'role-list__select-button';
+  selectButton.setAttribute('aria-label', 'Select roles');
+  selectButton.setAttribute('aria-pressed', 'false');
+  selectButton.title = 'Select roles';
+  selectButton.innerHTML = typeof getIcon === 'function' ? getIcon('select') : 'Select';
+  selectButton.addEventListener('click', () => {
+    setSelectionMode(!selectionMode);
+  });
+  header.appendChild(selectButton);
+
   // Add button
   const addButton = document.createElement('button');
   addButton.className = 'role-list__add-button';
@@ -42,6 +102,172 @@ function createRoleList(options = {}) {
 
   container.appendChild(header);
 
+  // Bulk actions for the selected roles (selection mode only)
+  const bulkBar = document.createElement('div');
+  bulkBar.className = 'role-list__bulk-bar';
+  bulkBar.hidden = true;
+
+  const bulkCount = document.createElement('span');
+  bulkCount.className = 'role-list__bulk-count';
+  bulkBar.appendChild(bulkCount);
+
+  const createBulkButton = (label, onClick, modifier = '') => {
+    const button = document.createElement('button');
+    button.className = `role-list__bulk-button${modifier ? ` role-list__bulk-button--${modifier}` : ''}`;
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    bulkBar.appendChild(button);
+    return button;
+  };
+
+  createBulkButton('All', () => {
+    listedRoleIds.forEach(roleId => selectedIds.add(roleId));
+    updateSelection();
+  }, 'link');
+  createBulkButton('None', () => {
+    selectedIds.clear();
+    updateSelection();
+  }, 'link');
+
+  const bulkActionButtons = [
+    createBulkButton('Move to Area', () => {
+      const areas = [...new Set(currentRoles.map(r => r.area).filter(Boolean))].sort();
+      showBulkForm('Area (leave empty for none)', areas, (value) => runBulkUpdate({ area: value }));
+    }),
+    createBulkButton('Add Tag', () => {
+      showBulkForm('Tag', RoleGrouping.getAllTags(currentRoles), (value) => {
+        if (value) runBulkUpdate({ addTags: [value] });
+      });
+    }),
+    createBulkButton('Export', () => {
+      if (onBulkExport) onBulkExport([...selectedIds]);
+    }),
+    createBulkButton('Delete', async () => {
+      const count = selectedIds.size;
+      if (!confirm(`Move ${count} role${count === 1 ? '' : 's'} to the trash?`)) return;
+      if (onBulkDelete) await onBulkDelete([...selectedIds]);
+    }, 'danger')
+  ];
+
+  createBulkButton('Done', () => setSelectionMode(false), 'done');
+
+  // Inline form for the area or tag of a bulk edit
+  const bulkForm = document.createElement('form');
+  bulkForm.className = 'role-list__bulk-form';
+  bulkForm.hidden = true;
+
+  const bulkInput = document.createElement('input');
+  bulkInput.type = 'text';
+  bulkInput.className = 'role-list__bulk-input';
+  bulkInput.setAttribute('list', 'role-list-bulk-suggestions');
+  bulkForm.appendChild(bulkInput);
+
+  const bulkSuggestions = document.createElement('datalist');
+  bulkSuggestions.id = 'role-list-bulk-suggestions';
+  bulkForm.appendChild(bulkSuggestions);
+
+  const bulkApply = document.createElement('button');
+  bulkApply.type = 'submit';
+  bulkApply.className = 'role-list__bulk-button role-list__bulk-button--primary';
+  bulkApply.textContent = 'Apply';
+  bulkForm.appendChild(bulkApply);
+
+  const bulkCancel = document.createElement('button');
+  bulkCancel.type = 'button';
+  bulkCancel.className = 'role-list__bulk-button role-list__bulk-button--link';
+  bulkCancel.textContent = 'Cancel';
+  bulkCancel.addEventListener('click', () => {
+    bulkForm.hidden = true;
+  });
+  bulkForm.appendChild(bulkCancel);
+
+  let applyBulkForm = null;
+  bulkForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    bulkForm.hidden = true;
+    if (applyBulkForm) applyBulkForm(bulkInput.value.trim());
+  });
+
+  bulkBar.appendChild(bulkForm);
+  container.appendChild(bulkBar);
+
+  let selectionMode = false;
+  const selectedIds = new Set();
+
+  /**
+   * Ask for the value of a bulk edit
+   */
+  function showBulkForm(placeholder, suggestions, onApply) {
+    bulkInput.value = '';
+    bulkInput.placeholder = placeholder;
+    bulkInput.setAttribute('aria-label', placeholder);
+    bulkSuggestions.innerHTML = '';
+    suggestions.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      bulkSuggestions.appendChild(option);
+    });
+    applyBulkForm = onApply;
+    bulkForm.hidden = false;
+    bulkInput.focus();
+  }
+
+  /**
+   * Apply a bulk edit to the selected roles
+   */
+  async function runBulkUpdate(changes) {
+    if (onBulkUpdate && selectedIds.size > 0) {
+      await onBulkUpdate([...selectedIds], changes);
+    }
+  }
+
+  /**
+   * Turn selection mode on or off
+   */
+  function setSelectionMode(enabled) {
+    selectionMode = enabled;
+    selectedIds.clear();
+    bulkForm.hidden = true;
+    bulkBar.hidden = !selectionMode;
+    selectButton.classList.toggle('role-list__select-button--active', selectionMode);
+    selectButton.setAttribute('aria-pressed', String(selectionMode));
+    selectButton.innerHTML = typeof getIcon === 'function' ? getIcon(selectionMode ? 'selectFilled' : 'select') : 'Select';
+    renderRoles(currentRoles);
+  }
+
+  /**
+   * Show the selection on the cards and in the bulk bar
+   */
+  function updateSelection() {
+    cardInstances.forEach((card, roleId) => card.setSelected(selectedIds.has(roleId)));
+    bulkCount.textContent = `${selectedIds.size} selected`;
+    bulkActionButtons.forEach(button => {
+      button.disabled = selectedIds.size === 0;
+    });
+  }
+
+  // Search: ranked results replace the grouped list while there is a query
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.className = 'role-list__search';
+  searchInput.placeholder = 'Search roles';
+  searchInput.setAttribute('aria-label', 'Search roles');
+  searchInput.hidden = true;
+  searchInput.addEventListener('input', () => {
+    renderRoles(currentRoles);
+  });
+  container.appendChild(searchInput);
+
+  // Tag filter: roles must have every selected tag
+  const tagFilter = document.createElement('div');
+  tagFilter.className = 'role-list__tag-filter';
+  tagFilter.setAttribute('aria-label', 'Filter by tags');
+  tagFilter.hidden = true;
+  container.appendChild(tagFilter);
+
+  const selectedTags = new Set(); // lowercase tags
+  let currentRoles = roles;
+
   // Create cards container
   const cardsContainer = document.createElement('div');
   cardsContainer.className = 'role-list__cards';
@@ -50,79 +276,437 @@ function createRoleList(options = {}) {
   // Track card instances
   const cardInstances = new Map();
 
+  // Cards are added a page at a time: the next page follows when the end of
+  // the list scrolls into view, or when the "more" button is clicked
+  let pendingItems = []; // { isCard, render } - headers and cards not rendered yet
+  let listedRoleIds = []; // Roles listed in the current view, rendered or not
+
+  const moreButton = document.createElement('button');
+  moreButton.className = 'role-list__more';
+  moreButton.addEventListener('click', () => renderNextPage());
+  if (typeof IntersectionObserver === 'function') {
+    new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) renderNextPage();
+    }).observe(moreButton);
+  }
+
+  /**
+   * Queue a header or card; renderNextPage() adds it to the list
+   */
+  function queueItem(render, role = null) {
+    pendingItems.push({ isCard: Boolean(role), render });
+    if (role) listedRoleIds.push(role.id);
+  }
+
+  /**
+   * Render the next ROLE_PAGE_SIZE cards and the headers between them
+   */
+  function renderNextPage() {
+    moreButton.remove();
+
+    let renderedCards = 0;
+    while (pendingItems.length > 0 && renderedCards < ROLE_PAGE_SIZE) {
+      const item = pendingItems.shift();
+      item.render();
+      if (item.isCard) renderedCards++;
+    }
+
+    const remaining = pendingItems.filter(item => item.isCard).length;
+    if (remaining > 0) {
+      moreButton.textContent = `Show ${remaining} more role${remaining === 1 ? '' : 's'}`;
+      cardsContainer.appendChild(moreButton);
+    }
+  }
+
   /**
    * Render all roles
    */
   function renderRoles(rolesToRender) {
+    currentRoles = rolesToRender;
     cardsContainer.innerHTML = '';
     cardInstances.clear();
+    pendingItems = [];
+    listedRoleIds = [];
+
+    // Forget selected roles that no longer exist
+    [...selectedIds].forEach(roleId => {
+      if (!rolesToRender.some(role => role.id === roleId)) selectedIds.delete(roleId);
+    });
+    updateSelection();
 
     if (rolesToRender.length === 0) {
+      tagFilter.hidden = true;
+      searchInput.hidden = true;
       // Show empty state
       const emptyState = document.createElement('div');
       emptyState.className = 'role-list__empty';
       emptyState.innerHTML = `
         <p class="role-list__empty-text">No roles yet</p>
-        <p class="role-list__empty-hint">Create your first role to get started</p>
+        <p class="role-list__empty-hint">Create your first role or start from the role library</p>
       `;
+      if (onBrowseLibrary) {
+        const libraryButton = document.createElement('button');
+        libraryButton.className = 'role-list__library-button';
+        libraryButton.textContent = 'Browse Role Library';
+        libraryButton.addEventListener('click', onBrowseLibrary);
+        emptyState.appendChild(libraryButton);
+      }
       cardsContainer.appendChild(emptyState);
       return;
     }
 
-    // Group roles by area
-    const rolesByArea = {};
-    const rolesWithoutArea = [];
+    searchInput.hidden = false;
+    renderTagFilter(rolesToRender);
 
-    rolesToRender.forEach(role => {
-      if (role.area) {
-        if (!rolesByArea[role.area]) {
-          rolesByArea[role.area] = [];
-        }
-        rolesByArea[role.area].push(role);
+    const visibleRoles = RoleGrouping.filterRolesByTags(rolesToRender, [...selectedTags]);
+    if (visibleRoles.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'role-list__empty';
+      emptyState.innerHTML = `
+        <p class="role-list__empty-text">No roles match the selected tags</p>
+      `;
+      cardsContainer.appendChild(emptyState);
+      return;
+    }
+
+    if (searchInput.value.trim()) {
+      renderSearchResults(visibleRoles, searchInput.value);
+      renderNextPage();
+      return;
+    }
+
+    // Pinned roles first, then roles without area, then one group per area
+    const reorderable = currentSort === ROLE_SORTS.DEFAULT && !selectionMode;
+    RoleGrouping.groupRoles(visibleRoles, {
+      sort: currentSort,
+      usage: currentUsage,
+      roleOrder: currentRoleOrder,
+      areaOrder: currentAreaOrder
+    }).forEach(group => {
+      if (group.label) {
+        queueItem(() => {
+          const areaHeader = group.area ? renderAreaHeader(group) : document.createElement('div');
+          areaHeader.classList.add('role-list__area-header');
+          if (!group.area) areaHeader.textContent = group.label;
+          if (reorderable) enableAreaDrag(areaHeader, group);
+          cardsContainer.appendChild(areaHeader);
+        });
+      }
+
+      if (group.area && currentCollapsedAreas.includes(group.area)) return;
+
+      group.roles.forEach(role => {
+        queueItem(() => {
+          const card = renderCard(role, { area: group.showArea ? role.area : '' }); // Don't show area badge when grouped
+          if (reorderable) enableRoleDrag(card.element, role, group);
+        }, role);
+      });
+    });
+    renderNextPage();
+  }
+
+  /**
+   * Header of an area group with its color and emoji, collapsing the group
+   * when clicked
+   */
+  function renderAreaHeader(group) {
+    const collapsed = currentCollapsedAreas.includes(group.area);
+    const style = currentAreaStyles[group.area] || {};
+
+    const areaHeader = document.createElement('div');
+    areaHeader.classList.toggle('role-list__area-header--collapsed', collapsed);
+
+    const toggle = document.createElement('button');
+    toggle.className = 'role-list__area-toggle';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    toggle.innerHTML = typeof getIcon === 'function' ? getIcon(collapsed ? 'chevronRight' : 'chevronDown') : '';
+
+    if (style.color) {
+      const dot = document.createElement('span');
+      dot.className = 'role-list__area-dot';
+      dot.style.backgroundColor = style.color;
+      toggle.appendChild(dot);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'role-list__area-name';
+    name.textContent = style.emoji ? `${style.emoji} ${group.label}` : group.label;
+    toggle.appendChild(name);
+
+    const count = document.createElement('span');
+    count.className = 'role-list__area-count';
+    count.textContent = String(group.roles.length);
+    toggle.appendChild(count);
+
+    toggle.addEventListener('click', () => {
+      currentCollapsedAreas = collapsed
+        ? currentCollapsedAreas.filter(area => area !== group.area)
+        : [...currentCollapsedAreas, group.area];
+      renderRoles(currentRoles);
+      if (onCollapseChange) onCollapseChange(currentCollapsedAreas);
+    });
+
+    areaHeader.appendChild(toggle);
+    return areaHeader;
+  }
+
+  /**
+   * Remove drop position markers
+   */
+  function clearDropMarkers() {
+    cardsContainer.querySelectorAll('.role-list__drop-before, .role-list__drop-after, .role-list__drop-into').forEach(element => {
+      element.classList.remove('role-list__drop-before', 'role-list__drop-after', 'role-list__drop-into');
+    });
+  }
+
+  /**
+   * Mark whether a drop lands before or after an element
+   * @returns {boolean} After the element
+   */
+  function markDropPosition(element, event) {
+    const rect = element.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    clearDropMarkers();
+    element.classList.add(after ? 'role-list__drop-after' : 'role-list__drop-before');
+    return after;
+  }
+
+  /**
+   * Let a card be dragged, and other roles of the same pinned state be
+   * dropped before or after it
+   */
+  function enableRoleDrag(element, role, group) {
+    const pinned = Boolean(role.pinned);
+    element.draggable = true;
+
+    element.addEventListener('dragstart', (e) => {
+      dragged = { type: 'role', id: role.id, pinned };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', role.name);
+      element.classList.add('role-list__dragging');
+    });
+    element.addEventListener('dragend', () => {
+      dragged = null;
+      element.classList.remove('role-list__dragging');
+      clearDropMarkers();
+    });
+    element.addEventListener('dragover', (e) => {
+      if (!dragged || dragged.type !== 'role' || dragged.id === role.id || dragged.pinned !== pinned) return;
+      e.preventDefault();
+      markDropPosition(element, e);
+    });
+    element.addEventListener('drop', (e) => {
+      if (!dragged || dragged.type !== 'role') return;
+      e.preventDefault();
+      const after = element.classList.contains('role-list__drop-after');
+      clearDropMarkers();
+      moveRole(dragged.id, role.id, after, group.area);
+    });
+  }
+
+  /**
+   * Let an area header be dragged between other area headers, and roles be
+   * dropped on it to move them into the area
+   */
+  function enableAreaDrag(header, group) {
+    const isArea = Boolean(group.area);
+    header.draggable = isArea;
+
+    header.addEventListener('dragstart', (e) => {
+      dragged = { type: 'area', area: group.area };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', group.area);
+      header.classList.add('role-list__dragging');
+    });
+    header.addEventListener('dragend', () => {
+      dragged = null;
+      header.classList.remove('role-list__dragging');
+      clearDropMarkers();
+    });
+    header.addEventListener('dragover', (e) => {
+      if (!dragged) return;
+      if (dragged.type === 'area' && isArea && dragged.area !== group.area) {
+        e.preventDefault();
+        markDropPosition(header, e);
+      } else if (dragged.type === 'role' && !dragged.pinned && group.area !== null) {
+        e.preventDefault();
+        clearDropMarkers();
+        header.classList.add('role-list__drop-into');
+      }
+    });
+    header.addEventListener('dragleave', () => {
+      header.classList.remove('role-list__drop-before', 'role-list__drop-after', 'role-list__drop-into');
+    });
+    header.addEventListener('drop', (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      const after = header.classList.contains('role-list__drop-after');
+      clearDropMarkers();
+      if (dragged.type === 'area') {
+        moveArea(dragged.area, group.area, after);
       } else {
-        rolesWithoutArea.push(role);
+        // First role of the area
+        moveRole(dragged.id, group.roles[0].id, false, group.area);
       }
     });
+  }
 
-    // Render roles without area first
-    rolesWithoutArea.forEach(role => {
-      const card = createRoleCard({
-        id: role.id,
-        name: role.name,
-        area: role.area,
-        description: role.description,
-        onClick: onRoleClick,
-        onEdit: onRoleEdit,
-        onDelete: onRoleDelete
-      });
-      cardInstances.set(role.id, card);
-      cardsContainer.appendChild(card.element);
-    });
-
-    // Render grouped roles by area
-    const sortedAreas = Object.keys(rolesByArea).sort();
-    sortedAreas.forEach(area => {
-      // Area header
-      const areaHeader = document.createElement('div');
-      areaHeader.className = 'role-list__area-header';
-      areaHeader.textContent = area;
-      cardsContainer.appendChild(areaHeader);
-
-      // Roles in this area
-      rolesByArea[area].forEach(role => {
-        const card = createRoleCard({
-          id: role.id,
-          name: role.name,
-          area: '', // Don't show area badge when grouped
-          description: role.description,
-          onClick: onRoleClick,
-          onEdit: onRoleEdit,
-          onDelete: onRoleDelete
+  /**
+   * Move a role before or after another one, and into the target's area
+   * @param {string} roleId
+   * @param {string} targetId
+   * @param {boolean} after
+   * @param {string|null} area - Area of the target group, null keeps the role's area
+   */
+  function moveRole(roleId, targetId, after, area) {
+    if (roleId === targetId) return;
+
+    const ids = RoleGrouping.orderRoles(currentRoles, currentRoleOrder)
+      .map(role => role.id)
+      .filter(id => id !== roleId);
+    ids.splice(ids.indexOf(targetId) + (after ? 1 : 0), 0, roleId);
+    currentRoleOrder = ids;
+
+    const role = currentRoles.find(r => r.id === roleId);
+    const areaChanged = role && area !== null && role.area !== area;
+    if (areaChanged) {
+      currentRoles = currentRoles.map(r => (r.id === roleId ? { ...r, area } : r));
+    }
+
+    renderRoles(currentRoles);
+    if (onOrderChange) onOrderChange({ roleOrder: currentRoleOrder });
+    if (areaChanged && onRoleMove) onRoleMove(roleId, area);
+  }
+
+  /**
+   * Move an area group before or after another one
+   */
+  function moveArea(area, targetArea, after) {
+    const allAreas = [...new Set(currentRoles.map(r => r.area).filter(Boolean))];
+    const areas = RoleGrouping.orderAreas(allAreas, currentAreaOrder).filter(a => a !== area);
+    areas.splice(areas.indexOf(targetArea) + (after ? 1 : 0), 0, area);
+    currentAreaOrder = areas;
+
+    renderRoles(currentRoles);
+    if (onOrderChange) onOrderChange({ areaOrder: currentAreaOrder });
+  }
+
+  /**
+   * Render the roles matching the search, best match first
+   */
+  function renderSearchResults(visibleRoles, query) {
+    const results = RoleSearch.searchRoles(visibleRoles, query);
+    if (results.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'role-list__empty';
+      const emptyText = document.createElement('p');
+      emptyText.className = 'role-list__empty-text';
+      emptyText.textContent = `No roles match "${query.trim()}"`;
+      emptyState.appendChild(emptyText);
+      cardsContainer.appendChild(emptyState);
+      return;
+    }
+
+    results.forEach(result => {
+      const { role, fields } = result;
+      queueItem(() => {
+        const description = fields.description ? RoleSearch.getSnippet(fields.description) : null;
+        renderCard(role, {
+          description: description ? description.text : role.description,
+          highlights: {
+            name: fields.name ? fields.name.ranges : [],
+            area: fields.area ? fields.area.ranges : [],
+            description: description ? description.ranges : []
+          },
+          match: RoleSearch.getMatchSnippet(result, ['skills', 'tools', 'constraints'])
         });
-        cardInstances.set(role.id, card);
-        cardsContainer.appendChild(card.element);
+      }, role);
+    });
+  }
+
+  /**
+   * Render a role card
+   * @param {Role} role
+   * @param {Object} overrides - Card options that differ from the role
+   * @returns {Object} The card
+   */
+  function renderCard(role, overrides = {}) {
+    const card = createRoleCard({
+      id: role.id,
+      name: role.name,
+      area: role.area,
+      description: role.description,
+      tags: role.tags,
+      pinned: role.pinned,
+      locked: Boolean(role.locked),
+      usage: (currentUsage.roles || {})[role.id] || null,
+      selectable: selectionMode,
+      selected: selectedIds.has(role.id),
+      onClick: onRoleClick,
+      onEdit: onRoleEdit,
+      onDuplicate: onRoleDuplicate,
+      onShare: onRoleShare,
+      onDelete: onRoleDelete,
+      onTogglePin: onRoleTogglePin,
+      onSelectChange: (roleId, selected) => {
+        if (selected) {
+          selectedIds.add(roleId);
+        } else {
+          selectedIds.delete(roleId);
+        }
+        updateSelection();
+      },
+      ...overrides
+    });
+    cardInstances.set(role.id, card);
+    cardsContainer.appendChild(card.element);
+    return card;
+  }
+
+  /**
+   * Render the tag filter (hidden while no role has tags)
+   */
+  function renderTagFilter(rolesToRender) {
+    const allTags = RoleGrouping.getAllTags(rolesToRender);
+    const available = allTags.map(tag => tag.toLowerCase());
+
+    // Forget selected tags that no longer exist
+    [...selectedTags].forEach(key => {
+      if (!available.includes(key)) selectedTags.delete(key);
+    });
+
+    tagFilter.innerHTML = '';
+    tagFilter.hidden = allTags.length === 0;
+
+    allTags.forEach(tag => {
+      const chip = document.createElement('button');
+      chip.className = 'role-list__tag-chip';
+      const key = tag.toLowerCase();
+      const selected = selectedTags.has(key);
+      chip.classList.toggle('role-list__tag-chip--selected', selected);
+      chip.setAttribute('aria-pressed', String(selected));
+      chip.textContent = tag;
+      chip.addEventListener('click', () => {
+        if (selectedTags.has(key)) {
+          selectedTags.delete(key);
+        } else {
+          selectedTags.add(key);
+        }
+        renderRoles(currentRoles);
       });
+      tagFilter.appendChild(chip);
     });
+
+    if (selectedTags.size > 0) {
+      const clearButton = document.createElement('button');
+      clearButton.className = 'role-list__tag-clear';
+      clearButton.textContent = 'Clear';
+      clearButton.addEventListener('click', () => {
+        selectedTags.clear();
+        renderRoles(currentRoles);
+      });
+      tagFilter.appendChild(clearButton);
+    }
   }
 
   // Initial render
@@ -134,24 +718,41 @@ function createRoleList(options = {}) {
     setRoles: (newRoles) => {
       renderRoles(newRoles);
     },
+    setSort: (newSort) => {
+      if (newSort === currentSort) return;
+      currentSort = newSort;
+      sortSelect.value = currentSort;
+      renderRoles(currentRoles);
+    },
+    setOrder: (newRoleOrder = [], newAreaOrder = []) => {
+      if (JSON.stringify([newRoleOrder, newAreaOrder]) === JSON.stringify([currentRoleOrder, currentAreaOrder])) return;
+      currentRoleOrder = newRoleOrder;
+      currentAreaOrder = newAreaOrder;
+      renderRoles(currentRoles);
+    },
+    setAreaStyles: (newAreaStyles) => {
+      currentAreaStyles = newAreaStyles || {};
+      renderRoles(currentRoles);
+    },
+    setCollapsedAreas: (newCollapsedAreas = []) => {
+      if (JSON.stringify(newCollapsedAreas) === JSON.stringify(currentCollapsedAreas)) return;
+      currentCollapsedAreas = newCollapsedAreas;
+      renderRoles(currentRoles);
+    },
+    setUsage: (newUsage) => {
+      currentUsage = newUsage || {};
+      // Usage orders need a full re-render, the default order only new texts
+      if (currentSort === ROLE_SORTS.DEFAULT || searchInput.value.trim()) {
+        cardInstances.forEach((card, roleId) => card.setUsage((currentUsage.roles || {})[roleId] || null));
+      } else {
+        renderRoles(currentRoles);
+      }
+    },
     addRole: (role) => {
-      const allRoles = [...cardInstances.keys()].map(id => {
-        const card = cardInstances.get(id);
-        return { id, name: card.getName(), area: card.getArea() };
-      });
-      allRoles.push(role);
-      renderRoles(allRoles);
+      renderRoles([...currentRoles, role]);
     },
     removeRole: (roleId) => {
-      const card = cardInstances.get(roleId);
-      if (card) {
-        card.element.remove();
-        cardInstances.delete(roleId);
-      }
-      // Check if empty
-      if (cardInstances.size === 0) {
-        renderRoles([]);
-      }
+      renderRoles(currentRoles.filter(r => r.id !== roleId));
     },
     updateRole: (roleId, updates) => {
       const card = cardInstances.get(roleId);
@@ -161,7 +762,9 @@ function createRoleList(options = {}) {
         if (updates.description !== undefined) card.setDescription(updates.description);
       }
     },
-    getCardCount: () => cardInstances.size
+    getCardCount: () => cardInstances.size,
+    getSelectedIds: () => [...selectedIds],
+    setSelectionMode
   };
 }
 
@@ -0,0 +1,608 @@
+/**
+ * Role Transfer Modal Components
+ * Export: pick all roles, one area or selected roles, as JSON or Markdown
+ * Import: preview roles from files, flag duplicates and pick an action each
+ * Share: show a role's share code, ready to copy
+ * Add from code: decode a pasted code, preview the role and add it
+ * Requires: overlay.js, services/role-messages.js, services/role-schema.js,
+ *           services/role-template.js, services/role-transfer.js
+ */
+
+/**
+ * Create the shared modal frame (overlay, header, content, footer)
+ * @param {string} titleText
+ * @param {Function|null} onClose
+ * @returns {Object}
+ */
+function createTransferModalFrame(titleText, onClose) {
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      frame.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'role-transfer-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'role-transfer-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'role-transfer-modal__title';
+  title.textContent = titleText;
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'role-transfer-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    frame.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'role-transfer-modal__content';
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'role-transfer-modal__footer';
+
+  const summary = document.createElement('p');
+  summary.className = 'role-transfer-modal__summary';
+  footer.appendChild(summary);
+
+  const cancelButton = document.createElement('button');
+  cancelButton.className = 'role-transfer-modal__cancel-button';
+  cancelButton.textContent = 'Cancel';
+  cancelButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    frame.hide();
+  });
+  footer.appendChild(cancelButton);
+
+  const confirmButton = document.createElement('button');
+  confirmButton.className = 'role-transfer-modal__confirm-button';
+  footer.appendChild(confirmButton);
+
+  modalElement.appendChild(footer);
+
+  const frame = {
+    element: modalElement,
+    overlay,
+    content,
+    footer,
+    summary,
+    cancelButton,
+    confirmButton,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('role-transfer-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('role-transfer-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    }
+  };
+
+  return frame;
+}
+
+/**
+ * Create a labelled radio option
+ * @returns {{ option: HTMLElement, input: HTMLInputElement }}
+ */
+function createTransferRadio(name, value, labelText, checked) {
+  const option = document.createElement('label');
+  option.className = 'role-transfer-modal__option';
+
+  const input = document.createElement('input');
+  input.type = 'radio';
+  input.name = name;
+  input.value = value;
+  input.checked = checked;
+  option.appendChild(input);
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  option.appendChild(label);
+
+  return { option, input };
+}
+
+function createRoleExportModal(options = {}) {
+  const {
+    roles = [],
+    selectedIds = [], // Pre-selected roles for the "selected" scope
+    onExport = null, // (roles, label, format) => void
+    onClose = null
+  } = options;
+
+  const frame = createTransferModalFrame('Export Roles', onClose);
+  const areas = [...new Set(roles.map(r => r.area).filter(Boolean))].sort();
+  const selected = new Set(selectedIds);
+  const initialScope = selected.size > 0 ? 'selected' : 'all';
+
+  // Scope options
+  const scopeSection = document.createElement('div');
+  scopeSection.className = 'role-transfer-modal__section';
+
+  const scopeLabel = document.createElement('span');
+  scopeLabel.className = 'role-transfer-modal__section-label';
+  scopeLabel.textContent = 'Roles';
+  scopeSection.appendChild(scopeLabel);
+
+  const allOption = createTransferRadio('export-scope', 'all', `All roles (${roles.length})`, initialScope === 'all');
+  scopeSection.appendChild(allOption.option);
+
+  const areaOption = createTransferRadio('export-scope', 'area', 'One area', false);
+  const areaSelect = document.createElement('select');
+  areaSelect.className = 'role-transfer-modal__select';
+  areas.forEach(area => {
+    const option = document.createElement('option');
+    option.value = area;
+    option.textContent = area;
+    areaSelect.appendChild(option);
+  });
+  areaOption.option.appendChild(areaSelect);
+  if (areas.length === 0) {
+    areaOption.input.disabled = true;
+    areaSelect.disabled = true;
+  }
+  scopeSection.appendChild(areaOption.option);
+
+  const selectedOption = createTransferRadio('export-scope', 'selected', 'Selected roles', initialScope === 'selected');
+  scopeSection.appendChild(selectedOption.option);
+
+  frame.content.appendChild(scopeSection);
+
+  // Format options
+  const formatSection = document.createElement('div');
+  formatSection.className = 'role-transfer-modal__section';
+
+  const formatLabel = document.createElement('span');
+  formatLabel.className = 'role-transfer-modal__section-label';
+  formatLabel.textContent = 'Format';
+  formatSection.appendChild(formatLabel);
+
+  const { TRANSFER_FORMATS } = RoleTransfer;
+  const jsonOption = createTransferRadio('export-format', TRANSFER_FORMATS.JSON, 'JSON (single file)', true);
+  formatSection.appendChild(jsonOption.option);
+  const markdownOption = createTransferRadio('export-format', TRANSFER_FORMATS.MARKDOWN, 'Markdown (one .md per role, zipped if several)', false);
+  formatSection.appendChild(markdownOption.option);
+
+  // Role checklist for the "selected" scope
+  const checklist = document.createElement('div');
+  checklist.className = 'role-transfer-modal__list';
+
+  roles.forEach(role => {
+    const item = document.createElement('label');
+    item.className = 'role-transfer-modal__item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(role.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.add(role.id);
+      } else {
+        selected.delete(role.id);
+      }
+      update();
+    });
+    item.appendChild(checkbox);
+
+    const name = document.createElement('span');
+    name.className = 'role-transfer-modal__item-name';
+    name.textContent = role.name || 'Untitled Role';
+    item.appendChild(name);
+
+    if (role.area) {
+      const area = document.createElement('span');
+      area.className = 'role-transfer-modal__item-meta';
+      area.textContent = role.area;
+      item.appendChild(area);
+    }
+
+    checklist.appendChild(item);
+  });
+
+  frame.content.appendChild(checklist);
+  frame.content.appendChild(formatSection);
+
+  /**
+   * Get the scope selection
+   * @returns {{ roles: Role[], label: string }}
+   */
+  function getSelection() {
+    if (areaOption.input.checked) {
+      return { roles: roles.filter(r => r.area === areaSelect.value), label: areaSelect.value };
+    }
+    if (selectedOption.input.checked) {
+      return { roles: roles.filter(r => selected.has(r.id)), label: 'selection' };
+    }
+    return { roles, label: 'all-roles' };
+  }
+
+  function update() {
+    checklist.hidden = !selectedOption.input.checked;
+    const count = getSelection().roles.length;
+    frame.summary.textContent = `${count} role${count === 1 ? '' : 's'}`;
+    frame.confirmButton.disabled = count === 0;
+  }
+
+  [allOption.input, areaOption.input, selectedOption.input].forEach(input => {
+    input.addEventListener('change', update);
+  });
+  areaSelect.addEventListener('change', () => {
+    areaOption.input.checked = true;
+    update();
+  });
+
+  frame.confirmButton.textContent = 'Export';
+  frame.confirmButton.addEventListener('click', () => {
+    const { roles: rolesToExport, label } = getSelection();
+    const format = markdownOption.input.checked ? TRANSFER_FORMATS.MARKDOWN : TRANSFER_FORMATS.JSON;
+    if (onExport) onExport(rolesToExport, label, format);
+    frame.hide();
+  });
+
+  update();
+
+  // Public API
+  return {
+    element: frame.element,
+    overlay: frame.overlay,
+    show: frame.show,
+    hide: frame.hide
+  };
+}
+
+function createRoleImportModal(options = {}) {
+  const {
+    plan = [], // Import plan items from RoleTransfer.planImport()
+    fileName = '',
+    onImport = null, // (items) => Promise<void>
+    onClose = null
+  } = options;
+
+  const frame = createTransferModalFrame('Import Roles', onClose);
+
+  const source = document.createElement('p');
+  source.className = 'role-transfer-modal__source';
+  source.textContent = fileName ? `From ${fileName}` : '';
+  frame.content.appendChild(source);
+
+  const list = document.createElement('div');
+  list.className = 'role-transfer-modal__list';
+
+  plan.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'role-transfer-modal__item';
+
+    const text = document.createElement('div');
+    text.className = 'role-transfer-modal__item-text';
+
+    const name = document.createElement('span');
+    name.className = 'role-transfer-modal__item-name';
+    name.textContent = item.role.name || 'Untitled Role';
+    text.appendChild(name);
+
+    const status = document.createElement('span');
+    status.className = 'role-transfer-modal__item-meta';
+    if (item.error) {
+      status.classList.add('role-transfer-modal__item-meta--conflict');
+      status.textContent = `Cannot be imported: ${item.error}`;
+    } else if (item.conflict === 'id') {
+      status.classList.add('role-transfer-modal__item-meta--conflict');
+      status.textContent = `Already exists as "${item.existing.name}"`;
+    } else if (item.conflict === 'name') {
+      status.classList.add('role-transfer-modal__item-meta--conflict');
+      status.textContent = 'A role with this name already exists';
+    } else {
+      status.textContent = item.role.area ? `New · ${item.role.area}` : 'New';
+    }
+    text.appendChild(status);
+    row.appendChild(text);
+
+    if (item.conflict) {
+      const select = document.createElement('select');
+      select.className = 'role-transfer-modal__select';
+      [
+        [IMPORT_ACTIONS.SKIP, 'Skip'],
+        [IMPORT_ACTIONS.OVERWRITE, 'Overwrite'],
+        [IMPORT_ACTIONS.KEEP_BOTH, 'Keep both']
+      ].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = item.action;
+      select.addEventListener('change', () => {
+        item.action = select.value;
+        update();
+      });
+      row.appendChild(select);
+    }
+
+    list.appendChild(row);
+  });
+
+  frame.content.appendChild(list);
+
+  function update() {
+    const count = plan.filter(item => item.action !== IMPORT_ACTIONS.SKIP).length;
+    const conflicts = plan.filter(item => item.conflict).length;
+    const invalid = plan.filter(item => item.error).length;
+    frame.summary.textContent = [
+      `${count} to import`,
+      conflicts > 0 ? `${conflicts} duplicate${conflicts === 1 ? '' : 's'}` : '',
+      invalid > 0 ? `${invalid} invalid` : ''
+    ].filter(Boolean).join(' · ');
+    frame.confirmButton.disabled = count === 0;
+  }
+
+  frame.confirmButton.textContent = 'Import';
+  frame.confirmButton.addEventListener('click', async () => {
+    if (!onImport) return;
+    frame.confirmButton.disabled = true;
+    const items = plan.map(item => ({
+      role: item.role,
+      action: item.action,
+      targetId: item.existing ? item.existing.id : undefined
+    }));
+    await onImport(items);
+    frame.hide();
+  });
+
+  update();
+
+  // Public API
+  return {
+    element: frame.element,
+    overlay: frame.overlay,
+    show: frame.show,
+    hide: frame.hide
+  };
+}
+
+/**
+ * Create a labelled read-only code field with a copy button
+ * @param {string} labelText
+ * @param {string} value
+ * @returns {HTMLElement}
+ */
+function createTransferCopyField(labelText, value) {
+  const section = document.createElement('div');
+  section.className = 'role-transfer-modal__section';
+
+  const label = document.createElement('span');
+  label.className = 'role-transfer-modal__section-label';
+  label.textContent = labelText;
+  section.appendChild(label);
+
+  const field = document.createElement('textarea');
+  field.className = 'role-transfer-modal__code';
+  field.readOnly = true;
+  field.rows = 3;
+  field.value = value;
+  field.setAttribute('aria-label', labelText);
+  field.addEventListener('focus', () => field.select());
+  section.appendChild(field);
+
+  const copyButton = document.createElement('button');
+  copyButton.className = 'role-transfer-modal__copy-button';
+  copyButton.textContent = `Copy ${labelText.toLowerCase()}`;
+  copyButton.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(value);
+      copyButton.textContent = 'Copied';
+    } catch (error) {
+      // Leave the text selected so it can be copied by hand
+      console.error('[Agentique] Failed to copy:', error);
+      field.focus();
+    }
+  });
+  section.appendChild(copyButton);
+
+  return section;
+}
+
+function createRoleShareModal(options = {}) {
+  const {
+    role = null,
+    code = '', // From RoleTransfer.buildShareCode()
+    onClose = null
+  } = options;
+
+  const frame = createTransferModalFrame('Share Role', onClose);
+
+  const source = document.createElement('p');
+  source.className = 'role-transfer-modal__source';
+  source.textContent = `Send this code to share "${role ? role.name : 'this role'}". ` +
+    'Whoever gets it pastes it into Add from code in their Agentique.';
+  frame.content.appendChild(source);
+
+  frame.content.appendChild(createTransferCopyField('Code', code));
+
+  frame.summary.textContent = `${code.length.toLocaleString('en-US')} characters`;
+  frame.cancelButton.hidden = true;
+  frame.confirmButton.textContent = 'Done';
+  frame.confirmButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    frame.hide();
+  });
+
+  // Public API
+  return {
+    element: frame.element,
+    overlay: frame.overlay,
+    show: frame.show,
+    hide: frame.hide
+  };
+}
+
+function createRoleCodeImportModal(options = {}) {
+  const {
+    roles = [], // Stored roles, to keep the added role's name unique
+    templateState = {}, // Templates to render the preview with
+    onAdd = null, // (role) => Promise<Role|null>
+    onClose = null
+  } = options;
+
+  const frame = createTransferModalFrame('Add Role from Code', onClose);
+  let decodedRole = null;
+  let decodeToken = 0;
+
+  const codeSection = document.createElement('div');
+  codeSection.className = 'role-transfer-modal__section';
+
+  const codeLabel = document.createElement('span');
+  codeLabel.className = 'role-transfer-modal__section-label';
+  codeLabel.textContent = 'Code';
+  codeSection.appendChild(codeLabel);
+
+  const codeInput = document.createElement('textarea');
+  codeInput.className = 'role-transfer-modal__code';
+  codeInput.rows = 4;
+  codeInput.spellcheck = false;
+  codeInput.placeholder = 'Paste a role code (AGQ1...)';
+  codeInput.setAttribute('aria-label', 'Role code');
+  codeSection.appendChild(codeInput);
+
+  const status = document.createElement('p');
+  status.className = 'role-transfer-modal__item-meta';
+  codeSection.appendChild(status);
+
+  frame.content.appendChild(codeSection);
+
+  // Preview of the decoded role
+  const previewSection = document.createElement('div');
+  previewSection.className = 'role-transfer-modal__section';
+  previewSection.hidden = true;
+
+  const previewName = document.createElement('span');
+  previewName.className = 'role-transfer-modal__item-name';
+  previewSection.appendChild(previewName);
+
+  const previewMeta = document.createElement('span');
+  previewMeta.className = 'role-transfer-modal__item-meta';
+  previewSection.appendChild(previewMeta);
+
+  const preview = document.createElement('pre');
+  preview.className = 'role-transfer-modal__preview';
+  previewSection.appendChild(preview);
+
+  frame.content.appendChild(previewSection);
+
+  /**
+   * Show a problem with the pasted code
+   * @param {string} message
+   */
+  function showStatus(message, isError) {
+    status.textContent = message;
+    status.classList.toggle('role-transfer-modal__item-meta--conflict', Boolean(isError));
+  }
+
+  /**
+   * Decode the pasted code and render the preview
+   */
+  async function decode() {
+    const token = ++decodeToken;
+    decodedRole = null;
+    previewSection.hidden = true;
+    frame.confirmButton.disabled = true;
+    frame.summary.textContent = '';
+
+    if (!codeInput.value.trim()) {
+      showStatus('', false);
+      return;
+    }
+
+    let role;
+    try {
+      role = await RoleTransfer.parseShareCode(codeInput.value);
+    } catch (error) {
+      if (token === decodeToken) showStatus(error.message, true);
+      return;
+    }
+    if (token !== decodeToken) return;
+
+    // Added as a new role - take the next free name in its area
+    const name = RoleSchema.getAvailableRoleName(role.name || 'Shared Role', role.area, roles);
+    decodedRole = { ...role, name };
+
+    const error = Object.values(RoleSchema.validateRole(decodedRole))[0];
+    showStatus(error ? `Cannot be added: ${error}` : 'Code is valid', Boolean(error));
+
+    previewName.textContent = decodedRole.name;
+    previewMeta.textContent = [
+      decodedRole.area,
+      name !== role.name ? `renamed from "${role.name}", which already exists` : ''
+    ].filter(Boolean).join(' · ');
+    preview.textContent = RoleTemplate.renderRoleInjection(decodedRole, [], {}, templateState);
+    previewSection.hidden = false;
+
+    frame.summary.textContent = 'Added as a new role';
+    frame.confirmButton.disabled = Boolean(error);
+  }
+
+  codeInput.addEventListener('input', decode);
+
+  frame.confirmButton.textContent = 'Add Role';
+  frame.confirmButton.addEventListener('click', async () => {
+    if (!decodedRole || !onAdd) return;
+    frame.confirmButton.disabled = true;
+    const added = await onAdd(decodedRole);
+    if (added) {
+      frame.hide();
+    } else {
+      frame.confirmButton.disabled = false;
+    }
+  });
+
+  decode();
+
+  // Public API
+  return {
+    element: frame.element,
+    overlay: frame.overlay,
+    show: () => {
+      frame.show();
+      codeInput.focus();
+    },
+    hide: frame.hide
+  };
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRoleExportModal, createRoleImportModal, createRoleShareModal, createRoleCodeImportModal };
+}
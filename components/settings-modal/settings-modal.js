@@ -0,0 +1,291 @@
+/**
+ * Settings Modal Component
+ * Extension settings: output format profile and input limits per AI platform,
+ * and clearing recorded role usage
+ * Requires: overlay.js, services/format-profiles.js, services/role-budget.js
+ */
+
+function createSettingsModal(options = {}) {
+  const {
+    settings = {},
+    onChange = null, // (changes) => void - top-level keys replace the stored ones
+    onClearUsage = null,
+    onClose = null
+  } = options;
+
+  let currentSettings = settings;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'settings-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'settings-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'settings-modal__title';
+  title.textContent = 'Settings';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'settings-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'settings-modal__content';
+  modalElement.appendChild(content);
+
+  // Output format per platform
+  const formatSection = document.createElement('div');
+  formatSection.className = 'settings-modal__section';
+
+  const formatLabel = document.createElement('span');
+  formatLabel.className = 'settings-modal__section-label';
+  formatLabel.textContent = 'Output Format';
+  formatSection.appendChild(formatLabel);
+
+  const formatHint = document.createElement('p');
+  formatHint.className = 'settings-modal__hint';
+  formatHint.textContent = 'How roles are structured on each AI chat. Automatic uses the format the chat ' +
+    'reads best, or the role\'s own injection template if it picks one. Plain text always uses templates.';
+  formatSection.appendChild(formatHint);
+
+  const profileSelects = {};
+
+  FormatProfiles.PLATFORM_PROFILES.forEach(platform => {
+    const row = document.createElement('label');
+    row.className = 'settings-modal__row';
+
+    const name = document.createElement('span');
+    name.className = 'settings-modal__row-label';
+    name.textContent = platform.name;
+    row.appendChild(name);
+
+    const select = document.createElement('select');
+    select.className = 'settings-modal__select';
+
+    const autoOption = document.createElement('option');
+    autoOption.value = '';
+    autoOption.textContent = `Automatic (${FormatProfiles.FORMAT_PROFILE_LABELS[platform.profile]})`;
+    select.appendChild(autoOption);
+
+    Object.entries(FormatProfiles.FORMAT_PROFILE_LABELS).forEach(([profile, label]) => {
+      const option = document.createElement('option');
+      option.value = profile;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      if (onChange) onChange({ platformProfiles: getPlatformProfiles() });
+    });
+    row.appendChild(select);
+
+    profileSelects[platform.id] = select;
+    formatSection.appendChild(row);
+  });
+
+  content.appendChild(formatSection);
+
+  // Input limits per platform
+  const limitsSection = document.createElement('div');
+  limitsSection.className = 'settings-modal__section';
+
+  const limitsLabel = document.createElement('span');
+  limitsLabel.className = 'settings-modal__section-label';
+  limitsLabel.textContent = 'Input Limits';
+  limitsSection.appendChild(limitsLabel);
+
+  const limitsHint = document.createElement('p');
+  limitsHint.className = 'settings-modal__hint';
+  limitsHint.textContent = 'Roles over a limit are flagged in the editor and the injection menu. Token counts are estimates.';
+  limitsSection.appendChild(limitsHint);
+
+  const limitInputs = {};
+
+  // Number input for one limit; empty means no limit
+  const createLimitInput = (label) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '100';
+    input.className = 'settings-modal__number';
+    input.placeholder = 'No limit';
+    input.setAttribute('aria-label', label);
+    input.addEventListener('change', () => {
+      if (onChange) onChange({ platformLimits: getPlatformLimits() });
+    });
+    return input;
+  };
+
+  const limitsHeader = document.createElement('div');
+  limitsHeader.className = 'settings-modal__row settings-modal__row--header';
+  ['', 'Tokens', 'Characters'].forEach((text, index) => {
+    const cell = document.createElement('span');
+    cell.className = index === 0 ? 'settings-modal__row-label' : 'settings-modal__column-label';
+    cell.textContent = text;
+    limitsHeader.appendChild(cell);
+  });
+  limitsSection.appendChild(limitsHeader);
+
+  FormatProfiles.PLATFORM_PROFILES.forEach(platform => {
+    const row = document.createElement('div');
+    row.className = 'settings-modal__row';
+
+    const name = document.createElement('span');
+    name.className = 'settings-modal__row-label';
+    name.textContent = platform.name;
+    row.appendChild(name);
+
+    const tokensInput = createLimitInput(`${platform.name} token limit`);
+    const charactersInput = createLimitInput(`${platform.name} character limit`);
+    row.appendChild(tokensInput);
+    row.appendChild(charactersInput);
+
+    limitInputs[platform.id] = { tokens: tokensInput, characters: charactersInput };
+    limitsSection.appendChild(row);
+  });
+
+  const condenseOption = document.createElement('label');
+  condenseOption.className = 'settings-modal__option';
+  const condenseCheckbox = document.createElement('input');
+  condenseCheckbox.type = 'checkbox';
+  condenseCheckbox.addEventListener('change', () => {
+    if (onChange) onChange({ condenseToFit: condenseCheckbox.checked });
+  });
+  condenseOption.appendChild(condenseCheckbox);
+  condenseOption.appendChild(document.createTextNode('Condense roles to fit by leaving out optional sections'));
+  limitsSection.appendChild(condenseOption);
+
+  content.appendChild(limitsSection);
+
+  // Recorded usage
+  const usageSection = document.createElement('div');
+  usageSection.className = 'settings-modal__section';
+
+  const usageLabel = document.createElement('span');
+  usageLabel.className = 'settings-modal__section-label';
+  usageLabel.textContent = 'Usage';
+  usageSection.appendChild(usageLabel);
+
+  const usageHint = document.createElement('p');
+  usageHint.className = 'settings-modal__hint';
+  usageHint.textContent = 'How often and when you use each role is recorded on this device only and never synced.';
+  usageSection.appendChild(usageHint);
+
+  const clearUsageButton = document.createElement('button');
+  clearUsageButton.className = 'settings-modal__clear-button';
+  clearUsageButton.textContent = 'Clear Usage Data';
+  clearUsageButton.addEventListener('click', () => {
+    if (confirm('Clear the usage recorded for all roles? This cannot be undone.')) {
+      if (onClearUsage) onClearUsage();
+    }
+  });
+  usageSection.appendChild(clearUsageButton);
+
+  content.appendChild(usageSection);
+
+  /**
+   * Profile overrides as chosen in the form
+   */
+  function getPlatformProfiles() {
+    const profiles = {};
+    Object.entries(profileSelects).forEach(([platformId, select]) => {
+      if (select.value) profiles[platformId] = select.value;
+    });
+    return profiles;
+  }
+
+  /**
+   * Limits as entered in the form
+   */
+  function getPlatformLimits() {
+    const limits = {};
+    Object.entries(limitInputs).forEach(([platformId, inputs]) => {
+      limits[platformId] = {
+        tokens: Math.max(0, parseInt(inputs.tokens.value, 10) || 0),
+        characters: Math.max(0, parseInt(inputs.characters.value, 10) || 0)
+      };
+    });
+    return limits;
+  }
+
+  /**
+   * Show the current settings
+   */
+  function renderSettings() {
+    const overrides = currentSettings.platformProfiles || {};
+    Object.entries(profileSelects).forEach(([platformId, select]) => {
+      select.value = overrides[platformId] || '';
+    });
+
+    Object.entries(limitInputs).forEach(([platformId, inputs]) => {
+      const limits = RoleBudget.getPlatformLimits(platformId, currentSettings);
+      inputs.tokens.value = limits.tokens || '';
+      inputs.characters.value = limits.characters || '';
+    });
+    condenseCheckbox.checked = currentSettings.condenseToFit !== false;
+  }
+
+  renderSettings();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('settings-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('settings-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setSettings: (newSettings) => {
+      currentSettings = newSettings;
+      renderSettings();
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createSettingsModal };
+}
@@ -0,0 +1,311 @@
+/**
+ * Snippet Modal Component
+ * Manages the snippet library: edit, create and delete the reusable blocks
+ * of context roles reference, showing which roles use each snippet
+ * Requires: overlay.js, services/role-snippets.js
+ */
+
+function createSnippetModal(options = {}) {
+  const {
+    snippets = [],
+    roles = [], // Roles checked for references to the shown snippet
+    onSave = null, // (snippet) => Promise<Snippet|null>
+    onDelete = null, // (snippetId) => Promise<boolean>
+    onClose = null
+  } = options;
+
+  let currentSnippets = [...snippets];
+  let currentRoles = [...roles];
+  let selectedId = currentSnippets.length > 0 ? currentSnippets[0].id : null;
+  let isDraft = currentSnippets.length === 0;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'snippet-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'snippet-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'snippet-modal__title';
+  title.textContent = 'Snippets';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'snippet-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'snippet-modal__content';
+
+  const intro = document.createElement('p');
+  intro.className = 'snippet-modal__hint';
+  intro.textContent = 'Blocks of context shared by several roles, such as company background or a style guide. ' +
+    'Roles list the snippets they use in the editor; the text is added to their Additional Information when injected.';
+  content.appendChild(intro);
+
+  // Snippet picker
+  const pickerRow = document.createElement('div');
+  pickerRow.className = 'snippet-modal__row';
+
+  const snippetSelect = document.createElement('select');
+  snippetSelect.className = 'snippet-modal__input snippet-modal__select';
+  snippetSelect.setAttribute('aria-label', 'Snippet');
+  snippetSelect.addEventListener('change', () => {
+    selectedId = snippetSelect.value;
+    isDraft = false;
+    loadSelected();
+  });
+  pickerRow.appendChild(snippetSelect);
+
+  const newButton = document.createElement('button');
+  newButton.className = 'snippet-modal__secondary-button';
+  newButton.textContent = 'New';
+  newButton.title = 'New snippet';
+  newButton.addEventListener('click', () => {
+    isDraft = true;
+    nameInput.value = '';
+    bodyInput.value = '';
+    updateEditor();
+    nameInput.focus();
+  });
+  pickerRow.appendChild(newButton);
+
+  content.appendChild(pickerRow);
+
+  // Name and body
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'snippet-modal__input';
+  nameInput.placeholder = 'Snippet name, e.g. Company background';
+  nameInput.maxLength = RoleSnippets.SNIPPET_NAME_MAX_LENGTH;
+  nameInput.setAttribute('aria-label', 'Snippet name');
+  content.appendChild(nameInput);
+
+  const bodyInput = document.createElement('textarea');
+  bodyInput.className = 'snippet-modal__input snippet-modal__body';
+  bodyInput.rows = 12;
+  bodyInput.placeholder = 'Text added to every role that uses this snippet';
+  bodyInput.setAttribute('aria-label', 'Snippet text');
+  content.appendChild(bodyInput);
+
+  const usageHint = document.createElement('p');
+  usageHint.className = 'snippet-modal__hint';
+  content.appendChild(usageHint);
+
+  const errorMessage = document.createElement('p');
+  errorMessage.className = 'snippet-modal__error';
+  errorMessage.hidden = true;
+  content.appendChild(errorMessage);
+
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'snippet-modal__footer';
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'snippet-modal__delete-button';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', async () => {
+    const users = RoleSnippets.getSnippetUsers(selectedId, currentRoles);
+    const consequence = users.length > 0
+      ? ` ${users.length === 1 ? '1 role uses' : `${users.length} roles use`} it and will no longer include its text.`
+      : '';
+    if (!confirm(`Delete the snippet "${nameInput.value}"?${consequence}`)) return;
+    if (onDelete && await onDelete(selectedId)) {
+      currentSnippets = currentSnippets.filter(s => s.id !== selectedId);
+      selectedId = currentSnippets.length > 0 ? currentSnippets[0].id : null;
+      isDraft = currentSnippets.length === 0;
+      renderPicker();
+      loadSelected();
+    }
+  });
+  footer.appendChild(deleteButton);
+
+  const spacer = document.createElement('div');
+  spacer.className = 'snippet-modal__spacer';
+  footer.appendChild(spacer);
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'snippet-modal__save-button';
+  saveButton.textContent = 'Save';
+  saveButton.addEventListener('click', async () => {
+    const snippet = { id: isDraft ? undefined : selectedId, name: nameInput.value, body: bodyInput.value };
+    const validationError = RoleSnippets.validateSnippet(snippet, currentSnippets);
+    if (validationError) {
+      showError(validationError);
+      return;
+    }
+    if (!onSave) return;
+
+    const saved = await onSave(snippet);
+    if (saved) {
+      const index = currentSnippets.findIndex(s => s.id === saved.id);
+      if (index >= 0) {
+        currentSnippets[index] = saved;
+      } else {
+        currentSnippets.push(saved);
+      }
+      selectedId = saved.id;
+      isDraft = false;
+      renderPicker();
+      updateEditor();
+    }
+  });
+  footer.appendChild(saveButton);
+
+  modalElement.appendChild(footer);
+
+  /**
+   * Get the selected snippet
+   */
+  function getSelected() {
+    return currentSnippets.find(s => s.id === selectedId) || null;
+  }
+
+  /**
+   * Show a validation error below the editor
+   * @param {string} message
+   */
+  function showError(message) {
+    errorMessage.textContent = message;
+    errorMessage.hidden = false;
+  }
+
+  /**
+   * Fill the snippet picker
+   */
+  function renderPicker() {
+    snippetSelect.innerHTML = '';
+    currentSnippets.forEach(snippet => {
+      const option = document.createElement('option');
+      option.value = snippet.id;
+      option.textContent = snippet.name;
+      snippetSelect.appendChild(option);
+    });
+    snippetSelect.hidden = currentSnippets.length === 0;
+    if (selectedId) snippetSelect.value = selectedId;
+  }
+
+  /**
+   * Show the selected snippet in the editor
+   */
+  function loadSelected() {
+    const snippet = getSelected();
+    nameInput.value = snippet ? snippet.name : '';
+    bodyInput.value = snippet ? snippet.body : '';
+    updateEditor();
+  }
+
+  /**
+   * Update buttons, errors and the list of roles using the snippet
+   */
+  function updateEditor() {
+    deleteButton.hidden = isDraft;
+    saveButton.textContent = isDraft ? 'Create' : 'Save';
+    newButton.disabled = isDraft;
+    errorMessage.hidden = true;
+
+    const users = isDraft ? [] : RoleSnippets.getSnippetUsers(selectedId, currentRoles);
+    if (isDraft) {
+      usageHint.textContent = 'Add the snippet to roles in the role editor once it is created.';
+    } else if (users.length === 0) {
+      usageHint.textContent = 'Not used by any role yet.';
+    } else {
+      const names = users.map(role => role.name || 'Untitled Role').join(', ');
+      usageHint.textContent = `Used by ${users.length === 1 ? '1 role' : `${users.length} roles`}: ${names}. ` +
+        'Saving changes them all.';
+    }
+  }
+
+  nameInput.addEventListener('input', () => {
+    errorMessage.hidden = true;
+  });
+  bodyInput.addEventListener('input', () => {
+    errorMessage.hidden = true;
+  });
+
+  renderPicker();
+  loadSelected();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('snippet-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('snippet-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setSnippets: (newSnippets) => {
+      currentSnippets = [...newSnippets];
+      if (!isDraft && !getSelected()) {
+        selectedId = currentSnippets.length > 0 ? currentSnippets[0].id : null;
+        isDraft = currentSnippets.length === 0;
+        renderPicker();
+        loadSelected();
+        return;
+      }
+      renderPicker();
+      if (isDraft) return;
+
+      // Keep unsaved edits of the shown snippet
+      const snippet = getSelected();
+      if (snippet.body === bodyInput.value && snippet.name === nameInput.value) {
+        loadSelected();
+      } else {
+        updateEditor();
+      }
+    },
+    setRoles: (newRoles) => {
+      currentRoles = [...newRoles];
+      updateEditor();
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createSnippetModal };
+}
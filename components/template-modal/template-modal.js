@@ -0,0 +1,381 @@
+/**
+ * Template Modal Component
+ * Manages injection templates: edit, create, delete and choose the default,
+ * with a live preview rendered from one of the user's roles
+ * Requires: overlay.js, services/role-inheritance.js, services/role-variables.js,
+ *           services/format-profiles.js, services/role-template.js
+ */
+
+// Shown in the preview when there are no roles yet
+const TEMPLATE_SAMPLE_ROLE = {
+  id: 'sample',
+  name: 'Technical Writer',
+  area: 'Documentation',
+  description: 'Writes clear, task-focused documentation for developers',
+  skills: ['API reference docs', 'Step-by-step guides'],
+  tools: ['Markdown'],
+  constraints: ['Keep sentences short'],
+  behavior: 'Friendly and precise',
+  moreInfo: '',
+  variables: {}
+};
+
+function createTemplateModal(options = {}) {
+  const {
+    templateState = { templates: RoleTemplate.BUILT_IN_TEMPLATES, defaultId: RoleTemplate.DEFAULT_TEMPLATE_ID },
+    roles = [], // Roles the preview can be rendered with
+    settings = {}, // Settings with platformProfiles, to name the chats that use another format
+    onSave = null, // (template) => Promise<Template|null>
+    onDelete = null, // (templateId) => Promise<boolean>
+    onSetDefault = null, // (templateId) => void
+    onClose = null
+  } = options;
+
+  let currentState = templateState;
+  let currentSettings = settings;
+  let selectedId = currentState.defaultId;
+  let isDraft = false;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'template-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'template-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'template-modal__title';
+  title.textContent = 'Injection Templates';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'template-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'template-modal__content';
+
+  // Which AI chats write roles with templates
+  const profileHint = document.createElement('p');
+  profileHint.className = 'template-modal__hint';
+  content.appendChild(profileHint);
+
+  // Template picker
+  const pickerRow = document.createElement('div');
+  pickerRow.className = 'template-modal__row';
+
+  const templateSelect = document.createElement('select');
+  templateSelect.className = 'template-modal__input template-modal__select';
+  templateSelect.setAttribute('aria-label', 'Template');
+  templateSelect.addEventListener('change', () => {
+    selectedId = templateSelect.value;
+    isDraft = false;
+    loadSelected();
+  });
+  pickerRow.appendChild(templateSelect);
+
+  const newButton = document.createElement('button');
+  newButton.className = 'template-modal__secondary-button';
+  newButton.textContent = 'New';
+  newButton.title = 'New template based on the one shown';
+  newButton.addEventListener('click', () => {
+    isDraft = true;
+    nameInput.value = `${nameInput.value} (copy)`;
+    updateEditor();
+    nameInput.focus();
+    nameInput.select();
+  });
+  pickerRow.appendChild(newButton);
+
+  content.appendChild(pickerRow);
+
+  // Name and body
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'template-modal__input';
+  nameInput.placeholder = 'Template name';
+  nameInput.setAttribute('aria-label', 'Template name');
+  content.appendChild(nameInput);
+
+  const bodyInput = document.createElement('textarea');
+  bodyInput.className = 'template-modal__input template-modal__body';
+  bodyInput.rows = 12;
+  bodyInput.spellcheck = false;
+  bodyInput.setAttribute('aria-label', 'Template');
+  content.appendChild(bodyInput);
+
+  const syntaxHint = document.createElement('p');
+  syntaxHint.className = 'template-modal__hint';
+  syntaxHint.textContent = '{{name}} inserts a field · {{?skills}}…{{/skills}} only if not empty · ' +
+    '{{^skills}}…{{/skills}} only if empty · {{#skills}}- {{.}}{{/skills}} repeats for each item';
+  content.appendChild(syntaxHint);
+
+  const errorMessage = document.createElement('p');
+  errorMessage.className = 'template-modal__error';
+  errorMessage.hidden = true;
+  content.appendChild(errorMessage);
+
+  // Preview
+  const previewRow = document.createElement('div');
+  previewRow.className = 'template-modal__row';
+
+  const previewLabel = document.createElement('span');
+  previewLabel.className = 'template-modal__label';
+  previewLabel.textContent = 'Preview';
+  previewRow.appendChild(previewLabel);
+
+  const previewRoles = roles.length > 0 ? roles : [TEMPLATE_SAMPLE_ROLE];
+  const previewSelect = document.createElement('select');
+  previewSelect.className = 'template-modal__input template-modal__select';
+  previewSelect.setAttribute('aria-label', 'Preview with role');
+  previewRoles.forEach(r => {
+    const option = document.createElement('option');
+    option.value = r.id;
+    option.textContent = r.name || 'Untitled Role';
+    previewSelect.appendChild(option);
+  });
+  previewSelect.addEventListener('change', renderPreview);
+  previewRow.appendChild(previewSelect);
+
+  content.appendChild(previewRow);
+
+  const preview = document.createElement('pre');
+  preview.className = 'template-modal__preview';
+  content.appendChild(preview);
+
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'template-modal__footer';
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'template-modal__delete-button';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', async () => {
+    if (!confirm(`Delete the template "${nameInput.value}"? Roles using it switch to the default template.`)) return;
+    if (onDelete && await onDelete(selectedId)) {
+      selectedId = currentState.defaultId === selectedId ? RoleTemplate.DEFAULT_TEMPLATE_ID : currentState.defaultId;
+      loadSelected();
+    }
+  });
+  footer.appendChild(deleteButton);
+
+  const defaultButton = document.createElement('button');
+  defaultButton.className = 'template-modal__secondary-button';
+  defaultButton.textContent = 'Use as Default';
+  defaultButton.addEventListener('click', () => {
+    if (onSetDefault) onSetDefault(selectedId);
+  });
+  footer.appendChild(defaultButton);
+
+  const spacer = document.createElement('div');
+  spacer.className = 'template-modal__spacer';
+  footer.appendChild(spacer);
+
+  const saveButton = document.createElement('button');
+  saveButton.className = 'template-modal__save-button';
+  saveButton.textContent = 'Save';
+  saveButton.addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      nameInput.classList.add('template-modal__input--error');
+      return;
+    }
+    if (!onSave) return;
+
+    const saved = await onSave({ id: isDraft ? undefined : selectedId, name, body: bodyInput.value });
+    if (saved) {
+      selectedId = saved.id;
+      isDraft = false;
+    }
+  });
+  footer.appendChild(saveButton);
+
+  modalElement.appendChild(footer);
+
+  /**
+   * Get the selected template
+   */
+  function getSelected() {
+    return currentState.templates.find(t => t.id === selectedId) || currentState.templates[0];
+  }
+
+  /**
+   * Name the AI chats that write roles in a structured format: automatic
+   * ones use templates only for roles that pick their own, chosen ones never
+   */
+  function renderProfileHint() {
+    const overrides = currentSettings.platformProfiles || {};
+    const structured = FormatProfiles.PLATFORM_PROFILES
+      .map(platform => ({ ...platform, profile: FormatProfiles.getProfileForPlatform(platform.id, currentSettings) }))
+      .filter(platform => platform.profile !== FormatProfiles.FORMAT_PROFILES.PLAIN);
+    const automatic = structured.filter(platform => !overrides[platform.id]);
+    const chosen = structured.filter(platform => overrides[platform.id]);
+    const describe = (platforms) => platforms
+      .map(platform => `${platform.name} (${FormatProfiles.FORMAT_PROFILE_LABELS[platform.profile]})`)
+      .join(', ');
+
+    const parts = ['Templates shape the plain text written into AI chats.'];
+    if (automatic.length > 0) {
+      const verb = automatic.length === 1 ? 'uses its' : 'use their';
+      parts.push(`${describe(automatic)} ${verb} own format, except for roles that pick a template.`);
+    }
+    if (chosen.length > 0) {
+      parts.push(`${describe(chosen)} never ${chosen.length === 1 ? 'uses' : 'use'} templates.`);
+    }
+    if (structured.length > 0) {
+      parts.push('Change this under Output Format in Settings.');
+    }
+    profileHint.textContent = parts.join(' ');
+  }
+
+  /**
+   * Fill the template picker
+   */
+  function renderPicker() {
+    templateSelect.innerHTML = '';
+    currentState.templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      const tags = [template.builtIn && 'built-in', template.id === currentState.defaultId && 'default'].filter(Boolean);
+      option.textContent = tags.length > 0 ? `${template.name} (${tags.join(', ')})` : template.name;
+      templateSelect.appendChild(option);
+    });
+    templateSelect.value = getSelected().id;
+  }
+
+  /**
+   * Show the selected template in the editor
+   */
+  function loadSelected() {
+    const template = getSelected();
+    selectedId = template.id;
+    nameInput.value = template.name;
+    bodyInput.value = template.body;
+    updateEditor();
+  }
+
+  /**
+   * Update buttons, read-only state, errors and preview
+   */
+  function updateEditor() {
+    const template = getSelected();
+    const readOnly = !isDraft && Boolean(template.builtIn);
+
+    nameInput.readOnly = readOnly;
+    bodyInput.readOnly = readOnly;
+    nameInput.classList.remove('template-modal__input--error');
+    deleteButton.hidden = isDraft || readOnly;
+    defaultButton.hidden = isDraft;
+    defaultButton.disabled = template.id === currentState.defaultId;
+    saveButton.hidden = readOnly;
+    saveButton.textContent = isDraft ? 'Create' : 'Save';
+    newButton.disabled = isDraft;
+
+    const syntaxError = RoleTemplate.validateTemplate(bodyInput.value);
+    errorMessage.textContent = syntaxError || '';
+    errorMessage.hidden = !syntaxError;
+    saveButton.disabled = Boolean(syntaxError);
+
+    renderPreview();
+  }
+
+  /**
+   * Render the template for the chosen role
+   */
+  function renderPreview() {
+    const previewRole = previewRoles.find(r => r.id === previewSelect.value) || previewRoles[0];
+    try {
+      preview.textContent = RoleTemplate.renderTemplate(
+        bodyInput.value,
+        RoleVariables.fillVariables(RoleInheritance.resolveRole(previewRole, roles))
+      );
+    } catch (error) {
+      preview.textContent = '';
+    }
+  }
+
+  nameInput.addEventListener('input', () => {
+    nameInput.classList.remove('template-modal__input--error');
+  });
+  bodyInput.addEventListener('input', updateEditor);
+
+  renderProfileHint();
+  renderPicker();
+  loadSelected();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('template-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('template-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setSettings: (newSettings) => {
+      currentSettings = newSettings;
+      renderProfileHint();
+    },
+    setTemplateState: (newState) => {
+      currentState = newState;
+      renderPicker();
+      if (isDraft) return;
+
+      // Keep unsaved edits of the shown template
+      const template = currentState.templates.find(t => t.id === selectedId);
+      if (!template || template.builtIn || template.body === bodyInput.value) {
+        loadSelected();
+      } else {
+        updateEditor();
+      }
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createTemplateModal };
+}
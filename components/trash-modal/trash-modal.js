@@ -0,0 +1,190 @@
+/**
+ * Trash Modal Component
+ * Lists deleted roles with restore and permanent delete actions
+ * Requires: overlay.js
+ */
+
+function createTrashModal(options = {}) {
+  const {
+    entries = [], // Trash entries ({ role, deletedAt }), most recent first
+    retentionDays = 30,
+    onRestore = null,
+    onPurge = null,
+    onEmpty = null,
+    onClose = null
+  } = options;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'trash-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'trash-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'trash-modal__title';
+  title.textContent = 'Trash';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'trash-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'trash-modal__content';
+  modalElement.appendChild(content);
+
+  // Create footer
+  const footer = document.createElement('div');
+  footer.className = 'trash-modal__footer';
+
+  const hint = document.createElement('p');
+  hint.className = 'trash-modal__hint';
+  hint.textContent = `Roles are deleted permanently after ${retentionDays} days`;
+  footer.appendChild(hint);
+
+  const emptyButton = document.createElement('button');
+  emptyButton.className = 'trash-modal__empty-button';
+  emptyButton.textContent = 'Empty Trash';
+  emptyButton.addEventListener('click', () => {
+    if (confirm('Permanently delete all roles in the trash? This cannot be undone.')) {
+      if (onEmpty) onEmpty();
+    }
+  });
+  footer.appendChild(emptyButton);
+
+  modalElement.appendChild(footer);
+
+  /**
+   * Describe when a role was deleted and when it will be purged
+   */
+  function describeEntry(entry) {
+    const daysAgo = Math.floor((Date.now() - entry.deletedAt) / DAY_MS);
+    const daysLeft = Math.max(0, retentionDays - daysAgo);
+    const deleted = daysAgo === 0 ? 'Deleted today' : `Deleted ${daysAgo} day${daysAgo === 1 ? '' : 's'} ago`;
+    return `${deleted} · removed in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Render all trash entries
+   */
+  function renderEntries(entriesToRender) {
+    content.innerHTML = '';
+    emptyButton.disabled = entriesToRender.length === 0;
+
+    if (entriesToRender.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'trash-modal__empty';
+      emptyState.innerHTML = `
+        <p class="trash-modal__empty-text">Trash is empty</p>
+        <p class="trash-modal__empty-hint">Deleted roles show up here and can be restored</p>
+      `;
+      content.appendChild(emptyState);
+      return;
+    }
+
+    entriesToRender.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'trash-modal__item';
+
+      const text = document.createElement('div');
+      text.className = 'trash-modal__item-text';
+
+      const name = document.createElement('span');
+      name.className = 'trash-modal__item-name';
+      name.textContent = entry.role.name || 'Untitled Role';
+      text.appendChild(name);
+
+      const meta = document.createElement('span');
+      meta.className = 'trash-modal__item-meta';
+      meta.textContent = (entry.role.area ? `${entry.role.area} · ` : '') + describeEntry(entry);
+      text.appendChild(meta);
+
+      item.appendChild(text);
+
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'trash-modal__restore-button';
+      restoreButton.textContent = 'Restore';
+      restoreButton.addEventListener('click', () => {
+        if (onRestore) onRestore(entry.role.id);
+      });
+      item.appendChild(restoreButton);
+
+      const purgeButton = document.createElement('button');
+      purgeButton.className = 'trash-modal__purge-button';
+      purgeButton.setAttribute('aria-label', 'Delete forever');
+      purgeButton.innerHTML = typeof getIcon === 'function' ? getIcon('trash') : 'Delete';
+      purgeButton.addEventListener('click', () => {
+        if (confirm('Permanently delete this role? This cannot be undone.')) {
+          if (onPurge) onPurge(entry.role.id);
+        }
+      });
+      item.appendChild(purgeButton);
+
+      content.appendChild(item);
+    });
+  }
+
+  renderEntries(entries);
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('trash-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('trash-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setEntries: (newEntries) => {
+      renderEntries(newEntries);
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createTrashModal };
+}
@@ -0,0 +1,337 @@
+/**
+ * Vault Modal Component
+ * Sets up the passphrase vault, unlocks and locks it, and manages which
+ * roles are encrypted and how long an unlock lasts
+ * Requires: overlay.js, services/role-messages.js
+ */
+
+function createVaultModal(options = {}) {
+  const {
+    vaultState = { enabled: false, unlocked: false },
+    roles = [],
+    onCreate = null, // async (passphrase) => boolean
+    onUnlock = null, // async (passphrase) => boolean
+    onLock = null,
+    onOptionsChange = null, // ({ encryptAll?, timeoutMinutes? }) => void
+    onRemove = null, // async () => void
+    onClose = null
+  } = options;
+
+  let currentState = vaultState;
+  let currentRoles = roles;
+
+  // Create modal overlay
+  const overlay = createOverlay({
+    blur: false,
+    opacity: 'default',
+    visible: false,
+    onClick: () => {
+      if (onClose) onClose();
+      api.hide();
+    }
+  });
+
+  // Create modal container
+  const modalElement = document.createElement('div');
+  modalElement.className = 'vault-modal';
+
+  // Create header
+  const header = document.createElement('div');
+  header.className = 'vault-modal__header';
+
+  const title = document.createElement('h2');
+  title.className = 'vault-modal__title';
+  title.textContent = 'Vault';
+  header.appendChild(title);
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'vault-modal__close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M6 18 18 6M6 6l12 12" />
+    </svg>
+  `;
+  closeButton.addEventListener('click', () => {
+    if (onClose) onClose();
+    api.hide();
+  });
+  header.appendChild(closeButton);
+
+  modalElement.appendChild(header);
+
+  // Create scrollable content
+  const content = document.createElement('div');
+  content.className = 'vault-modal__content';
+  modalElement.appendChild(content);
+
+  /**
+   * Create a labeled section
+   */
+  function createSection(label, hintText) {
+    const section = document.createElement('div');
+    section.className = 'vault-modal__section';
+
+    const sectionLabel = document.createElement('span');
+    sectionLabel.className = 'vault-modal__section-label';
+    sectionLabel.textContent = label;
+    section.appendChild(sectionLabel);
+
+    if (hintText) {
+      const hint = document.createElement('p');
+      hint.className = 'vault-modal__hint';
+      hint.textContent = hintText;
+      section.appendChild(hint);
+    }
+
+    return section;
+  }
+
+  /**
+   * Create a passphrase input
+   */
+  function createPassphraseInput(label) {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'vault-modal__input';
+    input.placeholder = label;
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+
+  /**
+   * Create a primary button that stays disabled while its action runs
+   */
+  function createActionButton(text, action) {
+    const button = document.createElement('button');
+    button.className = 'vault-modal__primary-button';
+    button.textContent = text;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await action();
+      } finally {
+        button.disabled = false;
+      }
+    });
+    return button;
+  }
+
+  /**
+   * Create an error line
+   */
+  function createError() {
+    const error = document.createElement('p');
+    error.className = 'vault-modal__error';
+    error.hidden = true;
+    return error;
+  }
+
+  function showError(element, message) {
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  /**
+   * Set up form - shown before a vault exists
+   */
+  function renderCreate() {
+    const section = createSection(
+      'Set Up Vault',
+      'Encrypted roles keep their name, area and tags readable. Everything else is encrypted with a key derived from your passphrase, on this device and in sync. A forgotten passphrase cannot be recovered.'
+    );
+
+    const passphraseInput = createPassphraseInput('Passphrase');
+    const confirmInput = createPassphraseInput('Repeat passphrase');
+    const error = createError();
+
+    const createButton = createActionButton('Create Vault', async () => {
+      if (passphraseInput.value.length < MIN_PASSPHRASE_LENGTH) {
+        showError(error, `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        passphraseInput.focus();
+        return;
+      }
+      if (passphraseInput.value !== confirmInput.value) {
+        showError(error, 'The passphrases do not match.');
+        confirmInput.focus();
+        return;
+      }
+      showError(error, '');
+      if (onCreate) await onCreate(passphraseInput.value);
+    });
+
+    section.appendChild(passphraseInput);
+    section.appendChild(confirmInput);
+    section.appendChild(error);
+    section.appendChild(createButton);
+    content.appendChild(section);
+    passphraseInput.focus();
+  }
+
+  /**
+   * Unlock form - shown while the vault is locked
+   */
+  function renderUnlock() {
+    const lockedCount = currentRoles.filter(role => role.locked).length;
+    const section = createSection(
+      'Unlock',
+      `${lockedCount} encrypted role${lockedCount === 1 ? ' is' : 's are'} locked. Unlocking also unlocks the injection menu on AI chats.`
+    );
+
+    const passphraseInput = createPassphraseInput('Passphrase');
+    const error = createError();
+
+    const unlock = async () => {
+      showError(error, '');
+      const unlocked = onUnlock ? await onUnlock(passphraseInput.value) : false;
+      if (!unlocked) {
+        showError(error, 'Wrong passphrase.');
+        passphraseInput.select();
+      }
+    };
+    const unlockButton = createActionButton('Unlock', unlock);
+    passphraseInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') unlockButton.click();
+    });
+
+    section.appendChild(passphraseInput);
+    section.appendChild(error);
+    section.appendChild(unlockButton);
+    content.appendChild(section);
+    passphraseInput.focus();
+  }
+
+  /**
+   * Options - shown while the vault is unlocked
+   */
+  function renderUnlocked() {
+    const until = new Date(currentState.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const statusSection = createSection('Unlocked', `Locks again at ${until}.`);
+
+    const lockButton = document.createElement('button');
+    lockButton.className = 'vault-modal__secondary-button';
+    lockButton.textContent = 'Lock Now';
+    lockButton.addEventListener('click', () => {
+      if (onLock) onLock();
+    });
+    statusSection.appendChild(lockButton);
+    content.appendChild(statusSection);
+
+    // Unlock timeout
+    const optionsSection = createSection('Options');
+
+    const timeoutRow = document.createElement('label');
+    timeoutRow.className = 'vault-modal__row';
+    const timeoutLabel = document.createElement('span');
+    timeoutLabel.className = 'vault-modal__row-label';
+    timeoutLabel.textContent = 'Lock after';
+    timeoutRow.appendChild(timeoutLabel);
+
+    const timeoutSelect = document.createElement('select');
+    timeoutSelect.className = 'vault-modal__select';
+    VAULT_TIMEOUTS.forEach(minutes => {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+      timeoutSelect.appendChild(option);
+    });
+    timeoutSelect.value = String(currentState.timeoutMinutes);
+    timeoutSelect.addEventListener('change', () => {
+      if (onOptionsChange) onOptionsChange({ timeoutMinutes: parseInt(timeoutSelect.value, 10) });
+    });
+    timeoutRow.appendChild(timeoutSelect);
+    optionsSection.appendChild(timeoutRow);
+
+    // Encrypt all roles
+    const encryptedCount = currentRoles.filter(role => role.encrypted).length;
+    const encryptAllOption = document.createElement('label');
+    encryptAllOption.className = 'vault-modal__option';
+    const encryptAllCheckbox = document.createElement('input');
+    encryptAllCheckbox.type = 'checkbox';
+    encryptAllCheckbox.checked = currentState.encryptAll;
+    encryptAllCheckbox.addEventListener('change', () => {
+      if (onOptionsChange) onOptionsChange({ encryptAll: encryptAllCheckbox.checked });
+    });
+    encryptAllOption.appendChild(encryptAllCheckbox);
+    encryptAllOption.appendChild(document.createTextNode('Encrypt all roles, including new ones'));
+    optionsSection.appendChild(encryptAllOption);
+
+    const countHint = document.createElement('p');
+    countHint.className = 'vault-modal__hint';
+    countHint.textContent = `${encryptedCount} of ${currentRoles.length} roles are encrypted. Encrypt single roles in the role editor.`;
+    optionsSection.appendChild(countHint);
+
+    content.appendChild(optionsSection);
+
+    // Remove vault
+    const removeSection = createSection('Remove Vault', 'Decrypts every role and its history, then forgets the passphrase.');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'vault-modal__remove-button';
+    removeButton.textContent = 'Remove Vault';
+    removeButton.addEventListener('click', async () => {
+      if (!confirm('Decrypt all roles and remove the vault?')) return;
+      if (onRemove) await onRemove();
+    });
+    removeSection.appendChild(removeButton);
+    content.appendChild(removeSection);
+  }
+
+  /**
+   * Render the form for the current vault state
+   */
+  function renderVault() {
+    content.innerHTML = '';
+
+    if (!currentState.enabled) {
+      renderCreate();
+    } else if (!currentState.unlocked) {
+      renderUnlock();
+    } else {
+      renderUnlocked();
+    }
+  }
+
+  renderVault();
+
+  // Public API
+  const api = {
+    element: modalElement,
+    overlay: overlay,
+    show: () => {
+      overlay.show();
+      modalElement.classList.add('vault-modal--visible');
+      document.body.appendChild(overlay.element);
+      document.body.appendChild(modalElement);
+    },
+    hide: () => {
+      overlay.hide();
+      modalElement.classList.remove('vault-modal--visible');
+      setTimeout(() => {
+        if (modalElement.parentNode) {
+          modalElement.parentNode.removeChild(modalElement);
+        }
+        if (overlay.element.parentNode) {
+          overlay.element.parentNode.removeChild(overlay.element);
+        }
+      }, 200);
+    },
+    setVaultState: (newState) => {
+      const lockChanged = newState.enabled !== currentState.enabled || newState.unlocked !== currentState.unlocked;
+      currentState = newState;
+      // Keep a half-typed passphrase unless the form changes
+      if (lockChanged || newState.unlocked) renderVault();
+    },
+    setRoles: (newRoles) => {
+      currentRoles = newRoles;
+      if (currentState.unlocked) renderVault();
+    }
+  };
+
+  return api;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createVaultModal };
+}
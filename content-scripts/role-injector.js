@@ -5,8 +5,10 @@
  */
 
 // Platform detection and configuration
+// (ids match PLATFORM_PROFILES in services/format-profiles.js)
 const PLATFORMS = {
   CHATGPT: {
+    id: 'chatgpt',
     name: 'ChatGPT',
     hostPatterns: ['chat.openai.com', 'chatgpt.com'],
     selectors: {
@@ -16,6 +18,7 @@ const PLATFORMS = {
     isContentEditable: true
   },
   CLAUDE: {
+    id: 'claude',
     name: 'Claude',
     hostPatterns: ['claude.ai'],
     selectors: {
@@ -25,6 +28,7 @@ const PLATFORMS = {
     isContentEditable: true
   },
   GEMINI: {
+    id: 'gemini',
     name: 'Gemini',
     hostPatterns: ['gemini.google.com'],
     selectors: {
@@ -34,6 +38,7 @@ const PLATFORMS = {
     isContentEditable: true
   },
   GROK: {
+    id: 'grok',
     name: 'Grok',
     hostPatterns: ['grok.com', 'x.com', 'twitter.com'],
     selectors: {
@@ -44,12 +49,28 @@ const PLATFORMS = {
   }
 };
 
+const ROLE_LOAD_TIMEOUT = 5000; // ms - wait for the roles when the dropdown first opens
+
 // Global state
 let currentPlatform = null;
 let injectionButton = null;
 let promptElement = null;
-let roles = [];
-let observerActive = false;
+let roleCount = 0; // stored roles, known without loading them
+let roles = []; // loaded when the dropdown first opens - most chats never need them
+let rolesLoaded = false; // every role has arrived
+let rolesSubscribed = false;
+const roleWaiters = []; // resolve functions waiting for rolesLoaded
+let templateState = {};
+let snippets = []; // snippet library, expanded into roles and insertable on its own
+let settings = {};
+let usage = {}; // recorded role usage, for the usage sort orders
+let areaStyles = {}; // area colors and emoji
+const dropdownTags = new Set(); // lowercase tags the dropdown is filtered by
+let dropdownKeyHandler = null;
+let dropdownClickHandler = null;
+let variableFormClickHandler = null;
+let urlObserver = null; // watches for navigation in the chat app, replaced after each one
+let changesSubscribed = false; // RoleClient subscriptions last as long as the page
 
 /**
  * Detect current platform
@@ -87,6 +108,16 @@ function getPromptValue() {
   }
 }
 
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 /**
  * Set prompt element value
  */
@@ -104,7 +135,8 @@ function setPromptValue(text) {
       .split('\n\n')
       .map(paragraph => {
         // Convert single newlines within paragraphs to <br>
-        const withBreaks = paragraph.split('\n').join('<br>');
+        // (text is escaped so XML-tagged roles are not parsed as HTML)
+        const withBreaks = paragraph.split('\n').map(escapeHtml).join('<br>');
         return `<p>${withBreaks}</p>`;
       })
       .join('');
@@ -131,64 +163,6 @@ function setPromptValue(text) {
   }
 }
 
-/**
- * Format role for injection
- */
-function formatRoleForInjection(role) {
-  const sections = [];
-
-  // 1. Role name
-  sections.push(`Role: ${role.name}`);
-  sections.push('');
-  sections.push('');
-
-  // 2. Task placeholder
-  sections.push('Task: [Describe your task here]');
-  sections.push('');
-  sections.push('');
-
-  // 3. Role Context (details from extension)
-  const contextParts = [];
-
-  if (role.area) {
-    contextParts.push(`Area: ${role.area}`);
-  }
-
-  if (role.description) {
-    contextParts.push(`Description: ${role.description}`);
-  }
-
-  if (role.skills && role.skills.length > 0) {
-    contextParts.push('Skills:\n' + role.skills.map(s => `- ${s}`).join('\n'));
-  }
-
-  if (role.tools && role.tools.length > 0) {
-    contextParts.push('Tools:\n' + role.tools.map(t => `- ${t}`).join('\n'));
-  }
-
-  if (role.constraints && role.constraints.length > 0) {
-    contextParts.push('Constraints:\n' + role.constraints.map(c => `- ${c}`).join('\n'));
-  }
-
-  if (role.behavior) {
-    contextParts.push(`Behavior & Tonality: ${role.behavior}`);
-  }
-
-  if (role.moreInfo) {
-    contextParts.push(`Additional Information: ${role.moreInfo}`);
-  }
-
-  sections.push('Role Context:');
-  sections.push(contextParts.join('\n\n'));
-  sections.push('');
-  sections.push('');
-
-  // 4. More Context placeholder
-  sections.push('More Context: [Add any additional context, data, or background information here]');
-
-  return sections.join('\n');
-}
-
 /**
  * Create the injection button
  */
@@ -242,15 +216,24 @@ function hideInjectionButton() {
 /**
  * Show role selection dropdown
  */
-function showRoleDropdown() {
-  if (roles.length === 0) {
+async function showRoleDropdown() {
+  if (roleCount === 0) {
     alert('No roles configured. Create roles in the Agentique extension popup.');
     return;
   }
 
+  try {
+    await loadRoles();
+  } catch (error) {
+    console.error('[Agentique] Failed to load roles:', error);
+    alert('Roles could not be loaded. Please try again.');
+    return;
+  }
+
   // Remove existing dropdown
   const existingDropdown = document.getElementById('agentique-role-dropdown');
   if (existingDropdown) {
+    closeRoleDropdown();
     existingDropdown.remove();
   }
 
@@ -259,40 +242,89 @@ function showRoleDropdown() {
   dropdown.id = 'agentique-role-dropdown';
   dropdown.className = 'agentique-dropdown';
 
-  // Group roles by area
-  const rolesByArea = {};
-  const rolesWithoutArea = [];
+  const list = document.createElement('div');
+  list.className = 'agentique-dropdown__list';
 
-  roles.forEach(role => {
-    if (role.area) {
-      if (!rolesByArea[role.area]) {
-        rolesByArea[role.area] = [];
-      }
-      rolesByArea[role.area].push(role);
-    } else {
-      rolesWithoutArea.push(role);
+  // Encrypted roles are unlocked in the popup, never in the chat page
+  if (roles.some(role => role.locked)) {
+    createLockedNotice(dropdown);
+  }
+
+  // Search (starts empty every time the dropdown opens)
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.className = 'agentique-dropdown__search';
+  searchInput.placeholder = 'Search roles';
+  searchInput.setAttribute('aria-label', 'Search roles');
+  searchInput.addEventListener('input', () => renderDropdownItems(list, searchInput.value));
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      // Inject the best match
+      e.preventDefault();
+      const firstItem = list.querySelector('.agentique-dropdown__item:not(.agentique-dropdown__item--locked)');
+      if (firstItem) firstItem.click();
+    } else if (e.key === 'Escape') {
+      closeRoleDropdown();
     }
   });
+  dropdown.appendChild(searchInput);
+
+  // Sort order (shared with the popup through settings)
+  const sortSelect = document.createElement('select');
+  sortSelect.className = 'agentique-dropdown__sort';
+  sortSelect.setAttribute('aria-label', 'Sort roles');
+  Object.values(ROLE_SORTS).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = RoleGrouping.ROLE_SORT_LABELS[value];
+    sortSelect.appendChild(option);
+  });
+  sortSelect.value = settings.roleSort || ROLE_SORTS.DEFAULT;
+  sortSelect.addEventListener('change', () => {
+    settings = { ...settings, roleSort: sortSelect.value };
+    renderDropdownItems(list, searchInput.value);
+    RoleClient.saveSettings({ roleSort: sortSelect.value }).catch(error => {
+      console.error('[Agentique] Failed to save sort order:', error);
+    });
+  });
+  dropdown.appendChild(sortSelect);
+
+  // Tag filter (only when roles have tags)
+  const allTags = RoleGrouping.getAllTags(roles);
 
-  // Render roles without area
-  rolesWithoutArea.forEach(role => {
-    const item = createDropdownItem(role);
-    dropdown.appendChild(item);
+  // Drop selected tags that no longer exist
+  [...dropdownTags].forEach(key => {
+    if (!allTags.some(tag => tag.toLowerCase() === key)) dropdownTags.delete(key);
   });
 
-  // Render grouped roles
-  const sortedAreas = Object.keys(rolesByArea).sort();
-  sortedAreas.forEach(area => {
-    const areaHeader = document.createElement('div');
-    areaHeader.className = 'agentique-dropdown__area';
-    areaHeader.textContent = area;
-    dropdown.appendChild(areaHeader);
-
-    rolesByArea[area].forEach(role => {
-      const item = createDropdownItem(role);
-      dropdown.appendChild(item);
+  if (allTags.length > 0) {
+    const tagBar = document.createElement('div');
+    tagBar.className = 'agentique-dropdown__tags';
+
+    allTags.forEach(tag => {
+      const key = tag.toLowerCase();
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'agentique-dropdown__tag';
+      chip.textContent = tag;
+      chip.classList.toggle('agentique-dropdown__tag--selected', dropdownTags.has(key));
+      chip.addEventListener('click', () => {
+        if (dropdownTags.has(key)) {
+          dropdownTags.delete(key);
+        } else {
+          dropdownTags.add(key);
+        }
+        chip.classList.toggle('agentique-dropdown__tag--selected', dropdownTags.has(key));
+        renderDropdownItems(list, searchInput.value);
+      });
+      tagBar.appendChild(chip);
     });
-  });
+
+    dropdown.appendChild(tagBar);
+  }
+
+  dropdown.appendChild(list);
+  renderDropdownItems(list, '');
 
   // Position dropdown
   const wrapper = injectionButton._wrapper;
@@ -306,44 +338,462 @@ function showRoleDropdown() {
 
   // Show with animation
   setTimeout(() => dropdown.classList.add('agentique-dropdown--open'), 10);
+  searchInput.focus();
+
+  // Typing anywhere while the dropdown is open goes to the search box
+  dropdownKeyHandler = (e) => {
+    if (e.target === searchInput || e.target === sortSelect || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Escape') {
+      closeRoleDropdown();
+    } else if (e.key.length === 1) {
+      searchInput.focus();
+    }
+  };
+  document.addEventListener('keydown', dropdownKeyHandler, true);
 
   // Close on outside click
-  const closeDropdown = (e) => {
+  dropdownClickHandler = (e) => {
     if (!dropdown.contains(e.target) && !injectionButton.contains(e.target)) {
-      dropdown.classList.remove('agentique-dropdown--open');
-      setTimeout(() => dropdown.remove(), 200);
-      document.removeEventListener('click', closeDropdown);
+      closeRoleDropdown();
     }
   };
-  setTimeout(() => document.addEventListener('click', closeDropdown), 100);
+  setTimeout(() => {
+    if (dropdownClickHandler) document.addEventListener('click', dropdownClickHandler);
+  }, 100);
+}
+
+/**
+ * Tell the user that encrypted roles are locked and offer to unlock them in
+ * the side panel. The passphrase is only ever typed into the extension's own
+ * pages: a field in the chat page could be read by the page's scripts.
+ * @param {HTMLElement} dropdown
+ */
+function createLockedNotice(dropdown) {
+  const notice = document.createElement('div');
+  notice.className = 'agentique-dropdown__locked-notice';
+
+  const text = document.createElement('span');
+  text.textContent = 'Encrypted roles are locked.';
+  notice.appendChild(text);
+
+  const unlockButton = document.createElement('button');
+  unlockButton.type = 'button';
+  unlockButton.className = 'agentique-dropdown__unlock-button';
+  unlockButton.textContent = 'Unlock in Agentique';
+  unlockButton.addEventListener('click', () => {
+    closeRoleDropdown();
+    RoleClient.openVault().catch(error => {
+      console.error('[Agentique] Failed to open Agentique:', error);
+      alert('Could not open Agentique. Open it from the toolbar to unlock the vault.');
+    });
+  });
+  notice.appendChild(unlockButton);
+
+  dropdown.appendChild(notice);
+}
+
+/**
+ * Close the role dropdown and stop listening for its keys and clicks
+ */
+function closeRoleDropdown() {
+  const dropdown = document.getElementById('agentique-role-dropdown');
+  if (dropdown) {
+    // Free the id right away so a reopened dropdown is not removed with this one
+    dropdown.removeAttribute('id');
+    dropdown.classList.remove('agentique-dropdown--open');
+    setTimeout(() => dropdown.remove(), 200);
+  }
+  if (dropdownKeyHandler) {
+    document.removeEventListener('keydown', dropdownKeyHandler, true);
+    dropdownKeyHandler = null;
+  }
+  if (dropdownClickHandler) {
+    document.removeEventListener('click', dropdownClickHandler);
+    dropdownClickHandler = null;
+  }
+}
+
+/**
+ * Render the roles matching the selected tags and the search
+ * Without a search: pinned first, then by area or in the chosen usage order,
+ * as arranged in the popup.
+ * With a search: best match first, with the matched text highlighted.
+ * @param {HTMLElement} list
+ * @param {string} query
+ */
+function renderDropdownItems(list, query) {
+  list.innerHTML = '';
+  renderDropdownRoles(list, query);
+  renderDropdownSnippets(list, query);
+}
+
+/**
+ * Render the roles part of the dropdown
+ * @param {HTMLElement} list
+ * @param {string} query
+ */
+function renderDropdownRoles(list, query) {
+  const visibleRoles = RoleGrouping.filterRolesByTags(roles, [...dropdownTags]);
+  const results = query.trim() ? RoleSearch.searchRoles(visibleRoles, query) : null;
+  if (visibleRoles.length === 0 || (results && results.length === 0)) {
+    const empty = document.createElement('div');
+    empty.className = 'agentique-dropdown__empty';
+    empty.textContent = visibleRoles.length === 0 ? 'No roles with these tags' : `No roles match "${query.trim()}"`;
+    list.appendChild(empty);
+    return;
+  }
+
+  if (results) {
+    results.forEach(result => {
+      list.appendChild(createDropdownItem(result.role, result));
+    });
+    return;
+  }
+
+  RoleGrouping.groupRoles(visibleRoles, {
+    sort: settings.roleSort,
+    usage,
+    roleOrder: settings.roleOrder,
+    areaOrder: settings.areaOrder
+  }).forEach(group => {
+    if (group.label) {
+      const areaHeader = document.createElement('div');
+      areaHeader.className = 'agentique-dropdown__area';
+      const style = (group.area && areaStyles[group.area]) || {};
+      if (style.color) {
+        const dot = document.createElement('span');
+        dot.className = 'agentique-dropdown__area-dot';
+        dot.style.backgroundColor = style.color;
+        areaHeader.appendChild(dot);
+      }
+      areaHeader.appendChild(document.createTextNode(style.emoji ? `${style.emoji} ${group.label}` : group.label));
+      list.appendChild(areaHeader);
+    }
+
+    group.roles.forEach(role => {
+      list.appendChild(createDropdownItem(role));
+    });
+  });
+}
+
+/**
+ * Render the snippets whose name or text contains the search below the roles
+ * @param {HTMLElement} list
+ * @param {string} query
+ */
+function renderDropdownSnippets(list, query) {
+  const needle = query.trim().toLowerCase();
+  const matches = snippets.filter(snippet => !needle ||
+    snippet.name.toLowerCase().includes(needle) || snippet.body.toLowerCase().includes(needle));
+  if (matches.length === 0) return;
+
+  const header = document.createElement('div');
+  header.className = 'agentique-dropdown__area';
+  header.textContent = 'Snippets';
+  list.appendChild(header);
+
+  matches.forEach(snippet => {
+    list.appendChild(createSnippetItem(snippet));
+  });
+}
+
+/**
+ * Create dropdown item that inserts a snippet's text as written
+ * @param {Snippet} snippet
+ */
+function createSnippetItem(snippet) {
+  const item = document.createElement('div');
+  item.className = 'agentique-dropdown__item';
+
+  const text = document.createElement('span');
+  text.className = 'agentique-dropdown__item-text';
+
+  const name = document.createElement('span');
+  name.className = 'agentique-dropdown__item-name';
+  name.textContent = snippet.name;
+  text.appendChild(name);
+
+  // First line of the text, so similar names can be told apart
+  const preview = document.createElement('span');
+  preview.className = 'agentique-dropdown__item-match';
+  preview.textContent = snippet.body.trim().split('\n')[0];
+  text.appendChild(preview);
+
+  item.appendChild(text);
+
+  const size = document.createElement('span');
+  size.className = 'agentique-dropdown__item-size';
+  size.textContent = RoleBudget.formatTokenCount(RoleBudget.measureText(snippet.body).tokens);
+  item.appendChild(size);
+
+  item.addEventListener('click', () => {
+    closeRoleDropdown();
+    setPromptValue(snippet.body);
+    console.log('[Agentique] Inserted snippet:', snippet.name);
+  });
+  return item;
+}
+
+/**
+ * Append text to an element, wrapping matched ranges in <mark>
+ */
+function appendHighlightedText(element, text, ranges) {
+  RoleSearch.splitHighlights(text, ranges).forEach(part => {
+    if (part.highlighted) {
+      const mark = document.createElement('mark');
+      mark.className = 'agentique-dropdown__highlight';
+      mark.textContent = part.text;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part.text));
+    }
+  });
 }
 
 /**
  * Create dropdown item for a role
+ * @param {Role} role
+ * @param {SearchResult} searchResult - Highlights search matches if given
  */
-function createDropdownItem(role) {
+function createDropdownItem(role, searchResult = null) {
   const item = document.createElement('div');
   item.className = 'agentique-dropdown__item';
-  item.textContent = role.name;
+
+  const text = document.createElement('span');
+  text.className = 'agentique-dropdown__item-text';
+
+  const name = document.createElement('span');
+  name.className = 'agentique-dropdown__item-name';
+  const nameMatch = searchResult && searchResult.fields.name;
+  appendHighlightedText(name, role.name, nameMatch ? nameMatch.ranges : []);
+  text.appendChild(name);
+
+  // Why the role matched, when it wasn't the name
+  const match = searchResult && RoleSearch.getMatchSnippet(searchResult, ['area', 'description', 'skills', 'tools', 'constraints']);
+  if (match) {
+    const matchElement = document.createElement('span');
+    matchElement.className = 'agentique-dropdown__item-match';
+    appendHighlightedText(matchElement, `${match.label}: ${match.text}`, match.ranges.map(
+      ([start, end]) => [start + match.label.length + 2, end + match.label.length + 2]
+    ));
+    text.appendChild(matchElement);
+  }
+
+  item.appendChild(text);
+
+  // Locked roles cannot be injected until they are unlocked in the popup
+  if (role.locked) {
+    item.classList.add('agentique-dropdown__item--locked');
+    item.title = 'Encrypted - open Agentique to unlock';
+    const lockElement = document.createElement('span');
+    lockElement.className = 'agentique-dropdown__item-size';
+    lockElement.textContent = 'Locked';
+    item.appendChild(lockElement);
+    return item;
+  }
+
+  // Approximate size with variable defaults, as injected on this platform
+  const budget = RoleBudget.renderRoleForPlatform(role, roles, {}, templateState, currentPlatform.id, settings, snippets);
+  const size = document.createElement('span');
+  size.className = 'agentique-dropdown__item-size';
+  size.textContent = RoleBudget.formatTokenCount(budget.measure.tokens);
+  size.title = `${budget.measure.characters.toLocaleString('en-US')} characters`;
+
+  const limitText = RoleBudget.describeLimits(budget.limits);
+  if (budget.overLimit) {
+    item.classList.add('agentique-dropdown__item--over-limit');
+    size.title += ` - over the ${currentPlatform.name} limit of ${limitText}`;
+  } else if (budget.droppedFields.length > 0) {
+    item.classList.add('agentique-dropdown__item--condensed');
+    const dropped = budget.droppedFields.map(field => RoleBudget.CONDENSE_LABELS[field]).join(', ');
+    size.title += ` - condensed to fit ${limitText} (without ${dropped})`;
+  }
+  item.appendChild(size);
   item.addEventListener('click', () => {
+    closeRoleDropdown();
     injectRole(role);
-    // Close dropdown
-    const dropdown = document.getElementById('agentique-role-dropdown');
-    if (dropdown) {
-      dropdown.classList.remove('agentique-dropdown--open');
-      setTimeout(() => dropdown.remove(), 200);
-    }
   });
   return item;
 }
 
 /**
  * Inject a role into the chat
+ * Roles with {{variables}} ask for their values first.
+ */
+async function injectRole(role) {
+  if (refuseLockedRole(role)) return;
+
+  const resolvedRole = RoleSnippets.expandSnippets(RoleInheritance.resolveRole(role, roles), snippets);
+  const variableNames = RoleVariables.findVariables(resolvedRole);
+
+  if (variableNames.length === 0) {
+    insertRole(role, {});
+    return;
+  }
+
+  let lastValues = {};
+  try {
+    lastValues = await RoleClient.getVariableValues(role.id);
+  } catch (error) {
+    console.error('[Agentique] Failed to load variable values:', error);
+  }
+
+  showVariableForm(role, variableNames, resolvedRole.variables, lastValues);
+}
+
+/**
+ * Tell the user when a role or a role it extends is locked in the vault
+ * @param {Role} role
+ * @returns {boolean} True if the role cannot be injected
  */
-function injectRole(role) {
-  const formattedText = formatRoleForInjection(role);
-  setPromptValue(formattedText);
+function refuseLockedRole(role) {
+  // The vault may have locked since the dropdown was rendered
+  const current = roles.find(r => r.id === role.id) || role;
+  const locked = Boolean(current.locked) || RoleInheritance.getAncestors(current, roles).some(parent => parent.locked);
+  if (locked) {
+    alert(`"${role.name}" uses encrypted content. Open Agentique and unlock the vault to inject it.`);
+  }
+  return locked;
+}
+
+/**
+ * Format and insert a role with the given variable values
+ * Roles that are (or extend) locked roles are refused.
+ */
+function insertRole(role, variableValues) {
+  if (refuseLockedRole(role)) return;
+
+  const { text, droppedFields } = RoleBudget.renderRoleForPlatform(
+    role, roles, variableValues, templateState, currentPlatform.id, settings, snippets
+  );
+  setPromptValue(text);
   console.log('[Agentique] Injected role:', role.name);
+  RoleClient.recordUsage(role.id, currentPlatform.id).catch(error => {
+    console.error('[Agentique] Failed to record usage:', error);
+  });
+  if (droppedFields.length > 0) {
+    console.log('[Agentique] Condensed to fit the input limit, dropped:', droppedFields.join(', '));
+  }
+}
+
+/**
+ * Close the variable form and stop listening for clicks outside it
+ */
+function closeVariableForm() {
+  const form = document.getElementById('agentique-variable-form');
+  if (form) {
+    // Free the id right away so a new form is not removed with this one
+    form.removeAttribute('id');
+    form.classList.remove('agentique-dropdown--open');
+    setTimeout(() => form.remove(), 200);
+  }
+  if (variableFormClickHandler) {
+    document.removeEventListener('click', variableFormClickHandler);
+    variableFormClickHandler = null;
+  }
+}
+
+/**
+ * Show the form that asks for a role's variable values
+ */
+function showVariableForm(role, variableNames, defaults, lastValues) {
+  closeVariableForm();
+
+  const form = document.createElement('form');
+  form.id = 'agentique-variable-form';
+  form.className = 'agentique-variable-form';
+
+  const title = document.createElement('div');
+  title.className = 'agentique-variable-form__title';
+  title.textContent = role.name;
+  form.appendChild(title);
+
+  const inputs = {};
+  variableNames.forEach(name => {
+    const label = document.createElement('label');
+    label.className = 'agentique-variable-form__field';
+
+    const labelText = document.createElement('span');
+    labelText.className = 'agentique-variable-form__label';
+    labelText.textContent = name;
+    label.appendChild(labelText);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'agentique-variable-form__input';
+    input.value = typeof lastValues[name] === 'string' ? lastValues[name] : (defaults[name] || '');
+    input.placeholder = defaults[name] || '';
+    label.appendChild(input);
+
+    inputs[name] = input;
+    form.appendChild(label);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'agentique-variable-form__actions';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'agentique-variable-form__cancel';
+  cancelButton.textContent = 'Cancel';
+  actions.appendChild(cancelButton);
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'agentique-variable-form__submit';
+  submitButton.textContent = 'Inject';
+  actions.appendChild(submitButton);
+
+  form.appendChild(actions);
+
+  cancelButton.addEventListener('click', closeVariableForm);
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeVariableForm();
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = {};
+    Object.entries(inputs).forEach(([name, input]) => {
+      values[name] = input.value;
+    });
+
+    insertRole(role, values);
+    closeVariableForm();
+
+    RoleClient.saveVariableValues(role.id, values).catch(error => {
+      console.error('[Agentique] Failed to remember variable values:', error);
+    });
+  });
+
+  // Position like the dropdown
+  const wrapper = injectionButton && injectionButton._wrapper;
+  if (!wrapper) return;
+  wrapper.style.position = 'relative';
+  form.style.position = 'absolute';
+  form.style.bottom = 'calc(100% + 8px)';
+  form.style.right = '0';
+  wrapper.appendChild(form);
+
+  setTimeout(() => {
+    form.classList.add('agentique-dropdown--open');
+    const firstInput = form.querySelector('input');
+    if (firstInput) firstInput.focus();
+  }, 10);
+
+  // Close on outside click
+  const closeOnOutsideClick = (e) => {
+    if (!form.contains(e.target)) {
+      closeVariableForm();
+    }
+  };
+  variableFormClickHandler = closeOnOutsideClick;
+  setTimeout(() => {
+    if (variableFormClickHandler === closeOnOutsideClick) document.addEventListener('click', closeOnOutsideClick);
+  }, 100);
 }
 
 /**
@@ -355,22 +805,58 @@ function handleInjectionClick(event) {
 }
 
 /**
- * Load roles from storage
+ * Count the roles in the background role repository
+ * Enough to decide whether to show the injection button.
  */
-async function loadRoles() {
+async function loadRoleCount() {
   try {
-    const result = await chrome.storage.sync.get('agentique_roles');
-    roles = result.agentique_roles || [];
-    console.log('[Agentique] Loaded', roles.length, 'roles');
-
-    // Try local storage as fallback
-    if (roles.length === 0) {
-      const localResult = await chrome.storage.local.get('agentique_roles');
-      roles = localResult.agentique_roles || [];
-    }
+    roleCount = (await RoleClient.getRolePage(0, 1)).total;
   } catch (error) {
-    console.error('[Agentique] Failed to load roles:', error);
-    roles = [];
+    console.error('[Agentique] Failed to count roles:', error);
+    roleCount = 0;
+  }
+}
+
+/**
+ * Load roles from the background role repository and keep them up to date
+ * @returns {Promise<void>} Resolves once every role has arrived
+ * @throws {Error} If they have not arrived within ROLE_LOAD_TIMEOUT
+ */
+function loadRoles() {
+  if (!rolesSubscribed) {
+    rolesSubscribed = true;
+    RoleClient.onRolesChanged((newRoles, complete) => {
+      roles = newRoles;
+      if (!complete) return;
+      rolesLoaded = true;
+      console.log('[Agentique] Roles updated:', roles.length);
+      roleWaiters.splice(0).forEach(resolve => resolve());
+    });
+  } else if (!rolesLoaded) {
+    // An earlier load may have failed - ask for the roles again
+    RoleClient.reloadRoles();
+  }
+
+  if (rolesLoaded) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    roleWaiters.push(resolve);
+    setTimeout(() => reject(new Error('Loading timeout')), ROLE_LOAD_TIMEOUT);
+  });
+}
+
+/**
+ * Load injection templates, snippets, settings, usage and area styles from the background role repository
+ * Until they arrive, roles are rendered with the built-in template and the
+ * platform's automatic format profile.
+ */
+async function loadTemplates() {
+  try {
+    [templateState, snippets, settings, usage, areaStyles] = await Promise.all([
+      RoleClient.getTemplates(), RoleClient.getSnippets(), RoleClient.getSettings(), RoleClient.getUsage(),
+      RoleClient.getAreaStyles()
+    ]);
+  } catch (error) {
+    console.error('[Agentique] Failed to load templates:', error);
   }
 }
 
@@ -387,8 +873,8 @@ async function initializeInjector() {
 
   console.log('[Agentique] Detected platform:', currentPlatform.name);
 
-  // Load roles
-  await loadRoles();
+  // Count roles and load templates
+  await Promise.all([loadRoleCount(), loadTemplates()]);
 
   // Wait for prompt element
   const waitForPrompt = setInterval(() => {
@@ -399,7 +885,7 @@ async function initializeInjector() {
       console.log('[Agentique] Found prompt element');
 
       // Show button if we have roles
-      if (roles.length > 0) {
+      if (roleCount > 0) {
         showInjectionButton();
       }
 
@@ -414,39 +900,63 @@ async function initializeInjector() {
 
 /**
  * Setup monitoring for URL changes and storage updates
+ * Runs again after every navigation: the previous URL observer is
+ * disconnected, the storage subscriptions are only made once.
  */
 function setupMonitoring() {
-  if (observerActive) return;
+  if (urlObserver) urlObserver.disconnect();
 
   // Monitor URL changes
-  let lastUrl = window.location.href;
-  const urlObserver = new MutationObserver(() => {
+  const lastUrl = window.location.href;
+  urlObserver = new MutationObserver(() => {
     if (window.location.href !== lastUrl) {
-      lastUrl = window.location.href;
+      urlObserver.disconnect();
+      urlObserver = null;
       hideInjectionButton();
       promptElement = null;
-      observerActive = false;
       setTimeout(initializeInjector, 1000);
     }
   });
 
   urlObserver.observe(document.body, { childList: true, subtree: true });
 
-  // Listen for storage changes
-  chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (changes.agentique_roles) {
-      roles = changes.agentique_roles.newValue || [];
-      console.log('[Agentique] Roles updated:', roles.length);
+  subscribeToChanges();
+}
 
-      if (roles.length > 0 && !injectionButton) {
-        showInjectionButton();
-      } else if (roles.length === 0 && injectionButton) {
-        hideInjectionButton();
-      }
+/**
+ * Keep role count, templates, snippets, settings, usage and area styles up to date
+ */
+function subscribeToChanges() {
+  if (changesSubscribed) return;
+  changesSubscribed = true;
+
+  // Listen for roles being added or removed
+  RoleClient.onRoleCountChanged((total) => {
+    roleCount = total;
+
+    if (roleCount > 0 && !injectionButton) {
+      showInjectionButton();
+    } else if (roleCount === 0 && injectionButton) {
+      hideInjectionButton();
     }
   });
 
-  observerActive = true;
+  // Listen for template, snippet and settings changes
+  RoleClient.onTemplatesChanged((newTemplateState) => {
+    templateState = newTemplateState;
+  });
+  RoleClient.onSnippetsChanged((newSnippets) => {
+    snippets = newSnippets;
+  });
+  RoleClient.onSettingsChanged((newSettings) => {
+    settings = newSettings;
+  });
+  RoleClient.onUsageChanged((newUsage) => {
+    usage = newUsage;
+  });
+  RoleClient.onAreaStylesChanged((newAreaStyles) => {
+    areaStyles = newAreaStyles;
+  });
 }
 
 // Initialize when DOM is ready
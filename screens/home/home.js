@@ -1,14 +1,43 @@
 /**
  * Home Screen
  * Displays role list with add/edit/delete functionality
- * Requires: header.js, role-list.js, role-card.js, role-editor-modal.js, overlay.js
+ * Requires: header.js, role-list.js, role-card.js, role-editor-modal.js, role-history-panel.js, trash-modal.js, role-transfer-modal.js, template-modal.js, snippet-modal.js, settings-modal.js, role-library-modal.js, area-modal.js, vault-modal.js, overlay.js, services/role-transfer.js, services/role-grouping.js
  */
 
 function createHome(options = {}) {
   const {
     roles = [],
     onRoleSave = null,
-    onRoleDelete = null
+    onRoleDelete = null,
+    onRoleDuplicate = null,
+    onRolesUpdate = null,
+    onRolesDelete = null,
+    onRolePin = null,
+    onRoleHistory = null,
+    onRoleRestore = null,
+    onTrashRestore = null,
+    onTrashPurge = null,
+    onTrashEmpty = null,
+    onRolesExport = null,
+    onImportFiles = null,
+    onRolesImport = null,
+    onTemplateSave = null,
+    onTemplateDelete = null,
+    onTemplateSetDefault = null,
+    onSnippetSave = null,
+    onSnippetDelete = null,
+    onSettingsChange = null,
+    onUsageClear = null,
+    onCatalogAdd = null,
+    onAreaRename = null,
+    onAreaMerge = null,
+    onAreaDelete = null,
+    onAreaStyleChange = null,
+    onVaultCreate = null,
+    onVaultUnlock = null,
+    onVaultLock = null,
+    onVaultOptionsChange = null,
+    onVaultRemove = null
   } = options;
 
   // Create home container
@@ -18,6 +47,36 @@ function createHome(options = {}) {
   // Track current roles
   let currentRoles = [...roles];
 
+  // Track trashed roles and the open trash modal
+  let currentTrash = [];
+  let trashModal = null;
+
+  // Track injection templates and the open template modal
+  let currentTemplateState = {
+    templates: RoleTemplate.BUILT_IN_TEMPLATES,
+    defaultId: RoleTemplate.DEFAULT_TEMPLATE_ID
+  };
+  let templateModal = null;
+
+  // Track the snippet library and the open snippet modal
+  let currentSnippets = [];
+  let snippetModal = null;
+
+  // Track settings and the open settings modal
+  let currentSettings = {};
+  let settingsModal = null;
+
+  // Track the open role library
+  let libraryModal = null;
+
+  // Track area colors and emoji, and the open area modal
+  let currentAreaStyles = {};
+  let areaModal = null;
+
+  // Track the vault state and the open vault modal
+  let currentVaultState = { enabled: false, unlocked: false };
+  let vaultModal = null;
+
   // Get existing areas for suggestions
   const getExistingAreas = () => {
     return [...new Set(currentRoles.map(r => r.area).filter(Boolean))].sort();
@@ -25,9 +84,20 @@ function createHome(options = {}) {
 
   // Open role editor modal
   const openRoleEditor = (role = null) => {
+    if (role && role.locked) {
+      openVault();
+      return;
+    }
+
     const modal = createRoleEditorModal({
       role: role,
+      vaultState: currentVaultState,
       existingAreas: getExistingAreas(),
+      existingTags: RoleGrouping.getAllTags(currentRoles),
+      allRoles: currentRoles,
+      templateState: currentTemplateState,
+      snippets: currentSnippets,
+      settings: currentSettings,
       onSave: async (roleData) => {
         if (onRoleSave) {
           const savedRole = await onRoleSave(roleData);
@@ -55,11 +125,292 @@ function createHome(options = {}) {
           }
         }
       },
+      onLoadHistory: onRoleHistory,
+      onRestoreRevision: async (roleId, revisionId) => {
+        if (!onRoleRestore) return null;
+        const restoredRole = await onRoleRestore(roleId, revisionId);
+        if (restoredRole) {
+          // Update local state
+          const existingIndex = currentRoles.findIndex(r => r.id === restoredRole.id);
+          if (existingIndex >= 0) {
+            currentRoles[existingIndex] = restoredRole;
+            roleList.setRoles(currentRoles);
+          }
+        }
+        return restoredRole;
+      },
+      onClose: () => {}
+    });
+    modal.show();
+  };
+
+  // Open trash modal
+  const openTrash = () => {
+    trashModal = createTrashModal({
+      entries: currentTrash,
+      retentionDays: TRASH_RETENTION_DAYS,
+      onRestore: async (roleId) => {
+        if (onTrashRestore) {
+          const restoredRole = await onTrashRestore(roleId);
+          if (restoredRole && !currentRoles.some(r => r.id === restoredRole.id)) {
+            currentRoles.push(restoredRole);
+            roleList.setRoles(currentRoles);
+          }
+        }
+      },
+      onPurge: (roleId) => {
+        if (onTrashPurge) onTrashPurge(roleId);
+      },
+      onEmpty: () => {
+        if (onTrashEmpty) onTrashEmpty();
+      },
+      onClose: () => {
+        trashModal = null;
+      }
+    });
+    trashModal.show();
+  };
+
+  // Open export modal
+  const openExport = (selectedIds = []) => {
+    const modal = createRoleExportModal({
+      roles: currentRoles,
+      selectedIds,
+      onExport: (rolesToExport, label, format) => {
+        if (onRolesExport) onRolesExport(rolesToExport, label, format, currentSnippets);
+      },
+      onClose: () => {}
+    });
+    modal.show();
+  };
+
+  // Open import preview for the chosen files
+  const openImport = async (files) => {
+    if (!onImportFiles) return;
+    const importedRoles = await onImportFiles(files);
+    if (!importedRoles) return;
+
+    const modal = createRoleImportModal({
+      plan: RoleTransfer.planImport(importedRoles, currentRoles),
+      fileName: files.length === 1 ? files[0].name : `${files.length} files`,
+      onImport: async (items) => {
+        if (onRolesImport) await onRolesImport(items);
+      },
+      onClose: () => {}
+    });
+    modal.show();
+  };
+
+  // Open the share code of a role
+  const openShare = async (role) => {
+    if (role.locked) {
+      openVault();
+      return;
+    }
+    if (role.encrypted && !confirm(`"${role.name}" is encrypted. The share code will contain it unencrypted - anyone with the code can read it. Share anyway?`)) {
+      return;
+    }
+
+    try {
+      const code = await RoleTransfer.buildShareCode(role, currentRoles, currentSnippets);
+      const modal = createRoleShareModal({
+        role,
+        code,
+        onClose: () => {}
+      });
+      modal.show();
+    } catch (error) {
+      console.error('[Home] Failed to build share code:', error);
+      alert('Failed to share role: ' + error.message);
+    }
+  };
+
+  // Open the add-from-code preview
+  const openCodeImport = () => {
+    const modal = createRoleCodeImportModal({
+      roles: currentRoles,
+      templateState: currentTemplateState,
+      onAdd: async (role) => {
+        if (!onRoleSave) return null;
+        const savedRole = await onRoleSave(role);
+        if (savedRole && !currentRoles.some(r => r.id === savedRole.id)) {
+          currentRoles.push(savedRole);
+          roleList.setRoles(currentRoles);
+        }
+        return savedRole;
+      },
       onClose: () => {}
     });
     modal.show();
   };
 
+  // Open template manager
+  const openTemplates = () => {
+    templateModal = createTemplateModal({
+      templateState: currentTemplateState,
+      roles: currentRoles,
+      settings: currentSettings,
+      onSave: (template) => (onTemplateSave ? onTemplateSave(template) : null),
+      onDelete: (templateId) => (onTemplateDelete ? onTemplateDelete(templateId) : false),
+      onSetDefault: (templateId) => {
+        if (onTemplateSetDefault) onTemplateSetDefault(templateId);
+      },
+      onClose: () => {
+        templateModal = null;
+      }
+    });
+    templateModal.show();
+  };
+
+  // Open snippet library
+  const openSnippets = () => {
+    snippetModal = createSnippetModal({
+      snippets: currentSnippets,
+      roles: currentRoles,
+      onSave: (snippet) => (onSnippetSave ? onSnippetSave(snippet) : null),
+      onDelete: (snippetId) => (onSnippetDelete ? onSnippetDelete(snippetId) : false),
+      onClose: () => {
+        snippetModal = null;
+      }
+    });
+    snippetModal.show();
+  };
+
+  // Open settings
+  const openSettings = () => {
+    settingsModal = createSettingsModal({
+      settings: currentSettings,
+      onChange: (changes) => {
+        if (onSettingsChange) onSettingsChange(changes);
+      },
+      onClearUsage: () => {
+        if (onUsageClear) onUsageClear();
+      },
+      onClose: () => {
+        settingsModal = null;
+      }
+    });
+    settingsModal.show();
+  };
+
+  // Open the starter role library
+  const openLibrary = () => {
+    libraryModal = createRoleLibraryModal({
+      roles: currentRoles,
+      templateState: currentTemplateState,
+      onAdd: async (catalogIds) => {
+        if (!onCatalogAdd) return;
+        const addedRoles = await onCatalogAdd(catalogIds);
+        if (addedRoles && addedRoles.length > 0) {
+          currentRoles.push(...addedRoles.filter(role => !currentRoles.some(r => r.id === role.id)));
+          roleList.setRoles(currentRoles);
+          if (libraryModal) libraryModal.setRoles(currentRoles);
+        }
+      },
+      onClose: () => {
+        libraryModal = null;
+      }
+    });
+    libraryModal.show();
+  };
+
+  // Show roles moved to another area
+  const applyUpdatedRoles = (updatedRoles) => {
+    if (!updatedRoles) return;
+    currentRoles = currentRoles.map(r => updatedRoles.find(updated => updated.id === r.id) || r);
+    roleList.setRoles(currentRoles);
+    if (areaModal) areaModal.setRoles(currentRoles);
+  };
+
+  // Open the area manager
+  const openAreas = () => {
+    areaModal = createAreaModal({
+      roles: currentRoles,
+      areaStyles: currentAreaStyles,
+      areaOrder: currentSettings.areaOrder,
+      onRename: async (name, newName) => {
+        if (onAreaRename) applyUpdatedRoles(await onAreaRename(name, newName));
+      },
+      onMerge: async (names, target) => {
+        if (onAreaMerge) applyUpdatedRoles(await onAreaMerge(names, target));
+      },
+      onDelete: async (name) => {
+        if (onAreaDelete) applyUpdatedRoles(await onAreaDelete(name));
+      },
+      onStyleChange: (name, style) => {
+        if (onAreaStyleChange) onAreaStyleChange(name, style);
+      },
+      onClose: () => {
+        areaModal = null;
+      }
+    });
+    areaModal.show();
+  };
+
+  // Open the vault (set up, unlock or options)
+  const openVault = () => {
+    vaultModal = createVaultModal({
+      vaultState: currentVaultState,
+      roles: currentRoles,
+      onCreate: async (passphrase) => (onVaultCreate ? onVaultCreate(passphrase) : false),
+      onUnlock: async (passphrase) => (onVaultUnlock ? onVaultUnlock(passphrase) : false),
+      onLock: () => {
+        if (onVaultLock) onVaultLock();
+      },
+      onOptionsChange: (changes) => {
+        if (onVaultOptionsChange) onVaultOptionsChange(changes);
+      },
+      onRemove: async () => {
+        if (onVaultRemove) await onVaultRemove();
+      },
+      onClose: () => {
+        vaultModal = null;
+      }
+    });
+    vaultModal.show();
+  };
+
+  // Show whether the vault is set up and unlocked on its header button
+  const renderVaultButton = () => {
+    vaultButton.classList.toggle('home__header-button--locked', currentVaultState.enabled && !currentVaultState.unlocked);
+    const label = !currentVaultState.enabled
+      ? 'Vault'
+      : currentVaultState.unlocked ? 'Vault (unlocked)' : 'Vault (locked)';
+    vaultButton.setAttribute('aria-label', label);
+    vaultButton.title = label;
+  };
+
+  // Render the trash button count
+  const renderTrashCount = () => {
+    trashCount.textContent = currentTrash.length;
+    trashCount.hidden = currentTrash.length === 0;
+  };
+
+  // Render the sync status badge
+  const renderSyncStatus = (state) => {
+    syncStatus.className = 'home__sync-status';
+    syncStatus.hidden = !state;
+    if (!state) return;
+
+    const kb = (bytes) => Math.ceil(bytes / 1024);
+
+    if (state.status === SYNC_STATUS.TOO_LARGE) {
+      syncStatus.classList.add('home__sync-status--warning');
+      syncStatus.textContent = `Not syncing (${kb(state.bytes)} / ${kb(state.quota)} KB)`;
+      syncStatus.title = 'Your roles are too large for Chrome sync. They are still saved on this device.';
+    } else if (state.status === SYNC_STATUS.ERROR) {
+      syncStatus.classList.add('home__sync-status--error');
+      syncStatus.textContent = 'Sync error';
+      syncStatus.title = state.error || 'Roles could not be synced';
+    } else if (state.status === SYNC_STATUS.PENDING) {
+      syncStatus.textContent = 'Syncing...';
+      syncStatus.title = 'Waiting to sync roles to your Chrome profile';
+    } else {
+      syncStatus.textContent = 'Synced';
+      syncStatus.title = `${kb(state.bytes)} of ${kb(state.quota)} KB sync storage used`;
+    }
+  };
+
   // Create header
   const headerWrapper = document.createElement('div');
   headerWrapper.className = 'home__header';
@@ -74,6 +425,118 @@ function createHome(options = {}) {
   `;
   header.appendChild(logo);
 
+  // Sync status (chrome.storage.sync replication)
+  const syncStatus = document.createElement('span');
+  syncStatus.className = 'home__sync-status';
+  syncStatus.hidden = true;
+
+  // Trash button with count of deleted roles
+  const trashButton = document.createElement('button');
+  trashButton.className = 'home__trash-button';
+  trashButton.setAttribute('aria-label', 'Trash');
+  trashButton.innerHTML = typeof getIcon === 'function' ? getIcon('trash') : 'Trash';
+  const trashCount = document.createElement('span');
+  trashCount.className = 'home__trash-count';
+  trashCount.hidden = true;
+  trashButton.appendChild(trashCount);
+  trashButton.addEventListener('click', openTrash);
+
+  // Role library button
+  const libraryButton = document.createElement('button');
+  libraryButton.className = 'home__header-button';
+  libraryButton.setAttribute('aria-label', 'Role library');
+  libraryButton.title = 'Role library';
+  libraryButton.innerHTML = typeof getIcon === 'function' ? getIcon('book') : 'Library';
+  libraryButton.addEventListener('click', openLibrary);
+
+  // Area manager button
+  const areasButton = document.createElement('button');
+  areasButton.className = 'home__header-button';
+  areasButton.setAttribute('aria-label', 'Manage areas');
+  areasButton.title = 'Manage areas';
+  areasButton.innerHTML = typeof getIcon === 'function' ? getIcon('folder') : 'Areas';
+  areasButton.addEventListener('click', openAreas);
+
+  // Vault button
+  const vaultButton = document.createElement('button');
+  vaultButton.className = 'home__header-button';
+  vaultButton.innerHTML = typeof getIcon === 'function' ? getIcon('lock') : 'Vault';
+  vaultButton.addEventListener('click', openVault);
+  renderVaultButton();
+
+  // Injection templates button
+  const templatesButton = document.createElement('button');
+  templatesButton.className = 'home__header-button';
+  templatesButton.setAttribute('aria-label', 'Injection templates');
+  templatesButton.title = 'Injection templates';
+  templatesButton.innerHTML = typeof getIcon === 'function' ? getIcon('message') : 'Templates';
+  templatesButton.addEventListener('click', openTemplates);
+
+  // Snippet library button
+  const snippetsButton = document.createElement('button');
+  snippetsButton.className = 'home__header-button';
+  snippetsButton.setAttribute('aria-label', 'Snippets');
+  snippetsButton.title = 'Snippets';
+  snippetsButton.innerHTML = typeof getIcon === 'function' ? getIcon('snippet') : 'Snippets';
+  snippetsButton.addEventListener('click', openSnippets);
+
+  // Settings button
+  const settingsButton = document.createElement('button');
+  settingsButton.className = 'home__header-button';
+  settingsButton.setAttribute('aria-label', 'Settings');
+  settingsButton.title = 'Settings';
+  settingsButton.innerHTML = typeof getIcon === 'function' ? getIcon('settings') : 'Settings';
+  settingsButton.addEventListener('click', openSettings);
+
+  // Import and export buttons
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = '.json,.md,.markdown,.zip,application/json,text/markdown,application/zip';
+  importInput.multiple = true;
+  importInput.hidden = true;
+  importInput.addEventListener('change', () => {
+    const files = [...importInput.files];
+    importInput.value = '';
+    if (files.length > 0) openImport(files);
+  });
+
+  const importButton = document.createElement('button');
+  importButton.className = 'home__header-button';
+  importButton.setAttribute('aria-label', 'Import roles');
+  importButton.title = 'Import roles';
+  importButton.innerHTML = typeof getIcon === 'function' ? getIcon('upload') : 'Import';
+  importButton.addEventListener('click', () => importInput.click());
+
+  const codeImportButton = document.createElement('button');
+  codeImportButton.className = 'home__header-button';
+  codeImportButton.setAttribute('aria-label', 'Add role from code');
+  codeImportButton.title = 'Add role from code';
+  codeImportButton.innerHTML = typeof getIcon === 'function' ? getIcon('link') : 'Add from code';
+  codeImportButton.addEventListener('click', () => openCodeImport());
+
+  const exportButton = document.createElement('button');
+  exportButton.className = 'home__header-button';
+  exportButton.setAttribute('aria-label', 'Export roles');
+  exportButton.title = 'Export roles';
+  exportButton.innerHTML = typeof getIcon === 'function' ? getIcon('download') : 'Export';
+  exportButton.addEventListener('click', () => openExport());
+
+  const headerActions = document.createElement('div');
+  headerActions.className = 'home__header-actions';
+  headerActions.appendChild(syncStatus);
+  headerActions.appendChild(libraryButton);
+  headerActions.appendChild(areasButton);
+  headerActions.appendChild(vaultButton);
+  headerActions.appendChild(templatesButton);
+  headerActions.appendChild(snippetsButton);
+  headerActions.appendChild(importInput);
+  headerActions.appendChild(importButton);
+  headerActions.appendChild(codeImportButton);
+  headerActions.appendChild(exportButton);
+  headerActions.appendChild(trashButton);
+  headerActions.appendChild(settingsButton);
+  header.appendChild(headerActions);
+
   headerWrapper.appendChild(header);
   screenElement.appendChild(headerWrapper);
 
@@ -81,6 +544,11 @@ function createHome(options = {}) {
   const contentWrapper = document.createElement('div');
   contentWrapper.className = 'home__content';
 
+  // Edit several roles at once and show the result
+  const updateRoles = async (roleIds, changes) => {
+    if (onRolesUpdate) applyUpdatedRoles(await onRolesUpdate(roleIds, changes));
+  };
+
   // Create role list
   const roleList = createRoleList({
     roles: currentRoles,
@@ -97,11 +565,56 @@ function createHome(options = {}) {
       }
     },
     onRoleDelete: async (roleId) => {
-      if (confirm('Are you sure you want to delete this role?')) {
-        if (onRoleDelete) {
-          const success = await onRoleDelete(roleId);
-          if (success) {
-            currentRoles = currentRoles.filter(r => r.id !== roleId);
+      // Deleted roles go to the trash, so no confirmation is needed
+      if (onRoleDelete) {
+        const success = await onRoleDelete(roleId);
+        if (success) {
+          currentRoles = currentRoles.filter(r => r.id !== roleId);
+          roleList.setRoles(currentRoles);
+        }
+      }
+    },
+    onRoleDuplicate: async (roleId) => {
+      const role = currentRoles.find(r => r.id === roleId);
+      if (role && role.locked) {
+        openVault();
+        return;
+      }
+      if (onRoleDuplicate) {
+        const copy = await onRoleDuplicate(roleId);
+        if (copy) {
+          currentRoles.push(copy);
+          roleList.setRoles(currentRoles);
+        }
+      }
+    },
+    onRoleShare: (roleId) => {
+      const role = currentRoles.find(r => r.id === roleId);
+      if (role) {
+        openShare(role);
+      }
+    },
+    onBulkUpdate: updateRoles,
+    onBulkDelete: async (roleIds) => {
+      // Deleted roles go to the trash and can be restored from there
+      if (onRolesDelete) {
+        const deletedCount = await onRolesDelete(roleIds);
+        if (deletedCount) {
+          currentRoles = currentRoles.filter(r => !roleIds.includes(r.id));
+          roleList.setRoles(currentRoles);
+        }
+      }
+    },
+    onBulkExport: (roleIds) => {
+      openExport(roleIds);
+    },
+    onRoleTogglePin: async (roleId, pinned) => {
+      if (onRolePin) {
+        const pinnedRole = await onRolePin(roleId, pinned);
+        if (pinnedRole) {
+          const index = currentRoles.findIndex(r => r.id === pinnedRole.id);
+          if (index >= 0) {
+            currentRoles[index] = pinnedRole;
             roleList.setRoles(currentRoles);
           }
         }
@@ -109,6 +622,17 @@ function createHome(options = {}) {
     },
     onAddRole: () => {
       openRoleEditor(null);
+    },
+    onBrowseLibrary: openLibrary,
+    onSortChange: (sort) => {
+      if (onSettingsChange) onSettingsChange({ roleSort: sort });
+    },
+    onOrderChange: (changes) => {
+      if (onSettingsChange) onSettingsChange(changes);
+    },
+    onRoleMove: (roleId, area) => updateRoles([roleId], { area }),
+    onCollapseChange: (collapsedAreas) => {
+      if (onSettingsChange) onSettingsChange({ collapsedAreas });
     }
   });
 
@@ -126,6 +650,18 @@ function createHome(options = {}) {
     setRoles(newRoles) {
       currentRoles = [...newRoles];
       roleList.setRoles(currentRoles);
+      if (libraryModal) {
+        libraryModal.setRoles(currentRoles);
+      }
+      if (areaModal) {
+        areaModal.setRoles(currentRoles);
+      }
+      if (vaultModal) {
+        vaultModal.setRoles(currentRoles);
+      }
+      if (snippetModal) {
+        snippetModal.setRoles(currentRoles);
+      }
     },
 
     addRole(role) {
@@ -148,6 +684,68 @@ function createHome(options = {}) {
 
     openRoleEditor(role = null) {
       openRoleEditor(role);
+    },
+
+    setSyncStatus(state) {
+      renderSyncStatus(state);
+    },
+
+    setTemplates(templateState) {
+      currentTemplateState = templateState;
+      if (templateModal) {
+        templateModal.setTemplateState(currentTemplateState);
+      }
+    },
+
+    setSnippets(snippets) {
+      currentSnippets = [...snippets];
+      if (snippetModal) {
+        snippetModal.setSnippets(currentSnippets);
+      }
+    },
+
+    setSettings(settings) {
+      currentSettings = settings;
+      roleList.setSort(currentSettings.roleSort);
+      roleList.setOrder(currentSettings.roleOrder, currentSettings.areaOrder);
+      roleList.setCollapsedAreas(currentSettings.collapsedAreas);
+      if (settingsModal) {
+        settingsModal.setSettings(currentSettings);
+      }
+      if (areaModal) {
+        areaModal.setAreaOrder(currentSettings.areaOrder);
+      }
+      if (templateModal) {
+        templateModal.setSettings(currentSettings);
+      }
+    },
+
+    setAreaStyles(areaStyles) {
+      currentAreaStyles = areaStyles;
+      roleList.setAreaStyles(currentAreaStyles);
+      if (areaModal) {
+        areaModal.setAreaStyles(currentAreaStyles);
+      }
+    },
+
+    setUsage(usage) {
+      roleList.setUsage(usage);
+    },
+
+    setVaultState(vaultState) {
+      currentVaultState = vaultState;
+      renderVaultButton();
+      if (vaultModal) {
+        vaultModal.setVaultState(currentVaultState);
+      }
+    },
+
+    setTrash(entries) {
+      currentTrash = [...entries];
+      renderTrashCount();
+      if (trashModal) {
+        trashModal.setEntries(currentTrash);
+      }
     }
   };
 }
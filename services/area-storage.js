@@ -0,0 +1,115 @@
+/**
+ * Area Storage Service
+ * Roles name their area in their own `area` field. This keeps what belongs
+ * to an area itself - an optional color and emoji - keyed by area name.
+ * Renaming, merging and deleting areas also touches roles, so those live in
+ * role-storage.js.
+ * Loaded via importScripts in background.js
+ * Requires: services/write-queue.js
+ */
+
+/**
+ * Area Styles Schema:
+ * {
+ *   [areaName]: {
+ *     color: string,  // '#rrggbb' or '' for none
+ *     emoji: string   // shown before the area name, '' for none
+ *   }
+ * }
+ */
+
+const AREA_STORAGE_KEY = 'agentique_areas';
+const MAX_AREA_EMOJI_LENGTH = 8; // room for emoji built from several code points
+
+/**
+ * Clean up an area style
+ * @param {Object} style
+ * @returns {AreaStyle|null} null when nothing is set
+ */
+function normalizeAreaStyle(style = {}) {
+  const color = /^#[0-9a-f]{6}$/i.test(style.color || '') ? style.color.toLowerCase() : '';
+  const emoji = typeof style.emoji === 'string' ? style.emoji.trim().slice(0, MAX_AREA_EMOJI_LENGTH) : '';
+  return color || emoji ? { color, emoji } : null;
+}
+
+/**
+ * Get the styles of all areas
+ * @returns {Promise<AreaStyles>}
+ */
+async function getAreaStyles() {
+  const result = await chrome.storage.local.get(AREA_STORAGE_KEY);
+  return result[AREA_STORAGE_KEY] || {};
+}
+
+/**
+ * Set the color and emoji of an area
+ * @param {string} name
+ * @param {{ color?: string, emoji?: string }} style - Empty values clear them
+ * @returns {Promise<AreaStyles>}
+ */
+async function saveAreaStyle(name, style) {
+  if (!name) {
+    throw new Error('Area name is required');
+  }
+
+  const styles = await getAreaStyles();
+  const normalized = normalizeAreaStyle(style);
+  if (normalized) {
+    styles[name] = normalized;
+  } else {
+    delete styles[name];
+  }
+
+  await chrome.storage.local.set({ [AREA_STORAGE_KEY]: styles });
+  console.log('[AreaStorage] Saved style of area:', name);
+  return styles;
+}
+
+/**
+ * Styles after merging areas into another one
+ * The target keeps its own style, or takes the first style of the merged areas.
+ * @param {AreaStyles} styles
+ * @param {string[]} names - Areas merged away
+ * @param {string} target - '' when the areas are deleted
+ * @returns {AreaStyles} New object
+ */
+function mergeAreaStyles(styles, names, target) {
+  const merged = { ...styles };
+  const inherited = names.map(name => merged[name]).find(Boolean);
+
+  names.forEach(name => {
+    delete merged[name];
+  });
+  if (target && !merged[target] && inherited) {
+    merged[target] = inherited;
+  }
+
+  return merged;
+}
+
+/**
+ * Subscribe to area style changes
+ * @param {Function} callback - Receives the new styles
+ * @returns {Function} Unsubscribe function
+ */
+function onAreaStylesChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[AREA_STORAGE_KEY]) {
+      callback(changes[AREA_STORAGE_KEY].newValue || {});
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const AreaStorage = {
+  getAreaStyles,
+  saveAreaStyle: WriteQueue.queued(saveAreaStyle),
+  mergeAreaStyles,
+  onAreaStylesChanged
+};
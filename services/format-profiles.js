@@ -0,0 +1,182 @@
+/**
+ * Format Profiles
+ * How a role is structured for a given AI platform. The plain profile uses
+ * the role's injection template; the others build Markdown headings, XML
+ * tags or JSON from the role fields. A role that picks its own template is
+ * written with it wherever the platform's profile is automatic.
+ * Pure functions only - loaded via importScripts in background.js, as regular
+ * script in popup.html and as content script
+ */
+
+const FORMAT_PROFILES = {
+  PLAIN: 'plain',
+  MARKDOWN: 'markdown',
+  XML: 'xml',
+  JSON: 'json'
+};
+
+const FORMAT_PROFILE_LABELS = {
+  [FORMAT_PROFILES.PLAIN]: 'Plain text (template)',
+  [FORMAT_PROFILES.MARKDOWN]: 'Markdown',
+  [FORMAT_PROFILES.XML]: 'XML tags',
+  [FORMAT_PROFILES.JSON]: 'JSON'
+};
+
+/**
+ * Supported platforms and the profile each one gets unless the user
+ * overrides it in settings (ids match PLATFORMS in role-injector.js)
+ */
+const PLATFORM_PROFILES = [
+  { id: 'chatgpt', name: 'ChatGPT', profile: FORMAT_PROFILES.MARKDOWN },
+  { id: 'claude', name: 'Claude', profile: FORMAT_PROFILES.XML },
+  { id: 'gemini', name: 'Gemini', profile: FORMAT_PROFILES.MARKDOWN },
+  { id: 'grok', name: 'Grok', profile: FORMAT_PROFILES.PLAIN }
+];
+
+const TASK_PLACEHOLDER = '[Describe your task here]';
+const CONTEXT_PLACEHOLDER = '[Add any additional context, data, or background information here]';
+
+/**
+ * Profile used on a platform
+ * A profile picked in settings always applies. Otherwise the platform's
+ * automatic profile does, unless the role picks its own template.
+ * @param {string} platformId
+ * @param {Object} settings - Settings with platformProfiles overrides
+ * @param {boolean} [hasOwnTemplate=false] - See RoleTemplate.hasOwnTemplate()
+ * @returns {string} One of FORMAT_PROFILES
+ */
+function getProfileForPlatform(platformId, settings = {}, hasOwnTemplate = false) {
+  const override = (settings.platformProfiles || {})[platformId];
+  if (Object.values(FORMAT_PROFILES).includes(override)) {
+    return override;
+  }
+  if (hasOwnTemplate) {
+    return FORMAT_PROFILES.PLAIN;
+  }
+  const platform = PLATFORM_PROFILES.find(p => p.id === platformId);
+  return platform ? platform.profile : FORMAT_PROFILES.PLAIN;
+}
+
+/**
+ * Role as Markdown with headings
+ * @param {Role} role - Resolved role with variables filled in
+ * @returns {string}
+ */
+function formatAsMarkdown(role) {
+  const lines = [`# Role: ${role.name}`, '', '## Task', TASK_PLACEHOLDER, '', '## Role Context'];
+  const addText = (label, value) => {
+    if (value) lines.push('', `**${label}:** ${value}`);
+  };
+  const addList = (label, items) => {
+    if (items && items.length > 0) lines.push('', `### ${label}`, ...items.map(item => `- ${item}`));
+  };
+
+  addText('Area', role.area);
+  addText('Description', role.description);
+  addList('Skills', role.skills);
+  addList('Tools', role.tools);
+  addList('Constraints', role.constraints);
+  addText('Behavior & Tonality', role.behavior);
+  addText('Additional Information', role.moreInfo);
+
+  lines.push('', '## More Context', CONTEXT_PLACEHOLDER);
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Role as XML-tagged sections
+ * @param {Role} role - Resolved role with variables filled in
+ * @returns {string}
+ */
+function formatAsXml(role) {
+  const lines = [`<role name="${escapeXml(role.name)}">`];
+  const addText = (tag, value) => {
+    if (value) lines.push(`<${tag}>${escapeXml(value)}</${tag}>`);
+  };
+  const addList = (tag, itemTag, items) => {
+    if (items && items.length > 0) {
+      lines.push(`<${tag}>`, ...items.map(item => `<${itemTag}>${escapeXml(item)}</${itemTag}>`), `</${tag}>`);
+    }
+  };
+
+  addText('area', role.area);
+  addText('description', role.description);
+  addList('skills', 'skill', role.skills);
+  addList('tools', 'tool', role.tools);
+  addList('constraints', 'constraint', role.constraints);
+  addText('behavior', role.behavior);
+  addText('additional_information', role.moreInfo);
+  lines.push('</role>');
+
+  return [
+    lines.join('\n'),
+    `<task>\n${TASK_PLACEHOLDER}\n</task>`,
+    `<context>\n${CONTEXT_PLACEHOLDER}\n</context>`
+  ].join('\n\n');
+}
+
+/**
+ * Role as a JSON object (empty fields are left out)
+ * @param {Role} role - Resolved role with variables filled in
+ * @returns {string}
+ */
+function formatAsJson(role) {
+  const data = {
+    role: role.name,
+    area: role.area,
+    description: role.description,
+    skills: role.skills,
+    tools: role.tools,
+    constraints: role.constraints,
+    behavior: role.behavior,
+    additionalInformation: role.moreInfo,
+    task: TASK_PLACEHOLDER,
+    moreContext: CONTEXT_PLACEHOLDER
+  };
+
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    if (!value || (Array.isArray(value) && value.length === 0)) delete data[key];
+  });
+
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Format a role with a structured profile
+ * @param {Role} role - Resolved role with variables filled in
+ * @param {string} profile - FORMAT_PROFILES.MARKDOWN, XML or JSON
+ * @returns {string|null} Null for the plain profile, which uses templates
+ */
+function formatWithProfile(role, profile) {
+  switch (profile) {
+    case FORMAT_PROFILES.MARKDOWN:
+      return formatAsMarkdown(role);
+    case FORMAT_PROFILES.XML:
+      return formatAsXml(role);
+    case FORMAT_PROFILES.JSON:
+      return formatAsJson(role);
+    default:
+      return null;
+  }
+}
+
+// Expose globally (loaded via importScripts in background.js, as regular script in popup.html and as content script)
+const FormatProfiles = {
+  FORMAT_PROFILES,
+  FORMAT_PROFILE_LABELS,
+  PLATFORM_PROFILES,
+  getProfileForPlatform,
+  formatWithProfile
+};
@@ -0,0 +1,158 @@
+/**
+ * Role Budget
+ * Approximate token and character counts of formatted roles, checked against
+ * per-platform input limits. Roles that go over a limit can be condensed by
+ * dropping optional sections until they fit.
+ * Pure functions only - loaded as regular script in popup.html and as
+ * content script
+ * Requires: services/role-inheritance.js, services/role-variables.js,
+ *           services/format-profiles.js, services/role-snippets.js,
+ *           services/role-template.js
+ */
+
+/**
+ * Limits Schema (0 = no limit):
+ * { tokens: number, characters: number }
+ */
+
+// Rough average for English text; good enough for a budget warning
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Limits used unless the user sets their own (platforms not listed have none)
+ */
+const DEFAULT_PLATFORM_LIMITS = {
+  grok: { tokens: 0, characters: 4000 }
+};
+
+/**
+ * Optional sections, in the order they are dropped when condensing
+ */
+const CONDENSE_ORDER = ['moreInfo', 'tools', 'behavior', 'constraints', 'description', 'skills', 'area'];
+
+const CONDENSE_LABELS = {
+  moreInfo: 'Additional Information',
+  tools: 'Tools',
+  behavior: 'Behavior & Tonality',
+  constraints: 'Constraints',
+  description: 'Description',
+  skills: 'Skills',
+  area: 'Area'
+};
+
+/**
+ * Count characters and estimate tokens
+ * @param {string} text
+ * @returns {{ characters: number, tokens: number }}
+ */
+function measureText(text) {
+  return {
+    characters: text.length,
+    tokens: Math.ceil(text.length / CHARS_PER_TOKEN)
+  };
+}
+
+/**
+ * Limits for a platform
+ * @param {string} platformId
+ * @param {Object} settings - Settings with platformLimits overrides
+ * @returns {{ tokens: number, characters: number }}
+ */
+function getPlatformLimits(platformId, settings = {}) {
+  const limits = (settings.platformLimits || {})[platformId] || DEFAULT_PLATFORM_LIMITS[platformId] || {};
+  return {
+    tokens: limits.tokens || 0,
+    characters: limits.characters || 0
+  };
+}
+
+/**
+ * Check a measurement against limits
+ * @param {{ characters: number, tokens: number }} measure
+ * @param {{ tokens: number, characters: number }} limits
+ * @returns {boolean}
+ */
+function isOverLimits(measure, limits) {
+  return (limits.tokens > 0 && measure.tokens > limits.tokens) ||
+    (limits.characters > 0 && measure.characters > limits.characters);
+}
+
+/**
+ * Describe limits for messages, e.g. "4,000 characters"
+ * @param {{ tokens: number, characters: number }} limits
+ * @returns {string}
+ */
+function describeLimits(limits) {
+  return [
+    limits.tokens > 0 && `${limits.tokens.toLocaleString('en-US')} tokens`,
+    limits.characters > 0 && `${limits.characters.toLocaleString('en-US')} characters`
+  ].filter(Boolean).join(' / ');
+}
+
+/**
+ * Short token count for tight spaces, e.g. "~1.2k tokens"
+ * @param {number} tokens
+ * @returns {string}
+ */
+function formatTokenCount(tokens) {
+  const count = tokens >= 1000 ? `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}k` : String(tokens);
+  return `~${count} tokens`;
+}
+
+/**
+ * Render a role the way it is injected on a platform
+ * With condensing enabled, optional sections are dropped (see CONDENSE_ORDER)
+ * until the role fits the platform limits or nothing is left to drop.
+ * @param {Role} role
+ * @param {Role[]} allRoles - Roles to look up parents in
+ * @param {Object} variableValues - { [name]: string }
+ * @param {TemplateState} templateState
+ * @param {string} platformId
+ * @param {Object} settings - Settings (platformProfiles, platformLimits, condenseToFit)
+ * @param {Snippet[]} snippets - Snippet library to expand references from
+ * @returns {{ text: string, measure: Object, limits: Object, overLimit: boolean, droppedFields: string[] }}
+ *   overLimit: whether the returned text is still over the limits
+ */
+function renderRoleForPlatform(role, allRoles, variableValues, templateState, platformId, settings = {}, snippets = []) {
+  const profile = FormatProfiles.getProfileForPlatform(
+    platformId, settings, RoleTemplate.hasOwnTemplate(role, templateState)
+  );
+  const limits = getPlatformLimits(platformId, settings);
+  let text = RoleTemplate.renderRoleInjection(role, allRoles, variableValues, templateState, profile, snippets);
+  let measure = measureText(text);
+  const droppedFields = [];
+
+  if (isOverLimits(measure, limits) && settings.condenseToFit !== false) {
+    // Work on the resolved role so inherited values and snippets are dropped as well
+    const resolved = RoleSnippets.expandSnippets(RoleInheritance.resolveRole(role, allRoles), snippets);
+    const condensed = {
+      ...RoleVariables.fillVariables(resolved, variableValues),
+      parentId: ''
+    };
+
+    for (const field of CONDENSE_ORDER) {
+      const value = condensed[field];
+      if (!value || (Array.isArray(value) && value.length === 0)) continue;
+
+      condensed[field] = Array.isArray(value) ? [] : '';
+      droppedFields.push(field);
+      text = RoleTemplate.renderRoleInjection(condensed, [], {}, templateState, profile);
+      measure = measureText(text);
+      if (!isOverLimits(measure, limits)) break;
+    }
+  }
+
+  return { text, measure, limits, overLimit: isOverLimits(measure, limits), droppedFields };
+}
+
+// Expose globally (loaded as regular script in popup.html and as content script)
+const RoleBudget = {
+  CONDENSE_LABELS,
+  DEFAULT_PLATFORM_LIMITS,
+  measureText,
+  getPlatformLimits,
+  isOverLimits,
+  describeLimits,
+  formatTokenCount,
+  renderRoleForPlatform
+};
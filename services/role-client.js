@@ -0,0 +1,847 @@
+/**
+ * Role Client
+ * Talks to the role repository in the background service worker.
+ * Used by the popup, side panel and content scripts so every context
+ * reads and writes the same data.
+ * Requires: services/role-messages.js
+ */
+
+const PORT_RECONNECT_DELAY = 1000; // ms - wait before reconnecting after the worker restarts
+
+/**
+ * Send a request to the background and unwrap the response
+ * @param {string} type - One of ROLE_MESSAGES
+ * @param {Object} payload
+ * @returns {Promise<any>}
+ */
+async function sendRoleMessage(type, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, ...payload });
+
+  if (!response) {
+    throw new Error('No response from background service worker');
+  }
+
+  if (!response.ok) {
+    const error = new Error(response.error || 'Role request failed');
+    error.code = response.code; // One of ROLE_ERRORS, if set
+    throw error;
+  }
+
+  return response.data;
+}
+
+/**
+ * Get all roles
+ * @returns {Promise<Role[]>}
+ */
+function listRoles() {
+  return sendRoleMessage(ROLE_MESSAGES.LIST);
+}
+
+/**
+ * Get a page of roles, in the order of the user's role list
+ * @param {number} offset - Roles to skip
+ * @param {number} [limit=ROLE_PAGE_SIZE]
+ * @returns {Promise<{ roles: Role[], total: number }>}
+ */
+function listRolePage(offset, limit = ROLE_PAGE_SIZE) {
+  return sendRoleMessage(ROLE_MESSAGES.LIST_PAGE, { offset, limit });
+}
+
+/**
+ * Get a single role by ID
+ * @param {string} id
+ * @returns {Promise<Role|null>}
+ */
+function getRoleById(id) {
+  return sendRoleMessage(ROLE_MESSAGES.GET, { id });
+}
+
+/**
+ * Save a role (create or update)
+ * @param {Partial<Role>} role
+ * @returns {Promise<Role>}
+ * @throws {Error} With code ROLE_ERRORS.CONFLICT if role.updatedAt is not
+ *                 the stored version
+ */
+function saveRoleData(role) {
+  return sendRoleMessage(ROLE_MESSAGES.SAVE, { role });
+}
+
+/**
+ * Pin or unpin a role
+ * @param {string} id
+ * @param {boolean} pinned
+ * @returns {Promise<Role>}
+ */
+function setRolePin(id, pinned) {
+  return sendRoleMessage(ROLE_MESSAGES.PIN, { id, pinned });
+}
+
+/**
+ * Delete a role by ID
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function deleteRoleById(id) {
+  return sendRoleMessage(ROLE_MESSAGES.DELETE, { id });
+}
+
+/**
+ * Delete several roles at once
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of roles moved to the trash
+ */
+function deleteRolesByIds(ids) {
+  return sendRoleMessage(ROLE_MESSAGES.DELETE_MANY, { ids });
+}
+
+/**
+ * Edit several roles at once
+ * @param {string[]} ids
+ * @param {{ area?: string, addTags?: string[] }} changes
+ * @returns {Promise<Role[]>} The changed roles
+ */
+function updateRolesByIds(ids, changes) {
+  return sendRoleMessage(ROLE_MESSAGES.UPDATE_MANY, { ids, changes });
+}
+
+/**
+ * Copy a role under a new id
+ * @param {string} id
+ * @returns {Promise<Role>} The copy
+ */
+function duplicateRoleById(id) {
+  return sendRoleMessage(ROLE_MESSAGES.DUPLICATE, { id });
+}
+
+/**
+ * Get the chrome.storage.sync replication state
+ * @returns {Promise<SyncState>}
+ */
+function getSyncStatus() {
+  return sendRoleMessage(ROLE_MESSAGES.SYNC_STATE);
+}
+
+/**
+ * Get past revisions of a role
+ * @param {string} id
+ * @returns {Promise<Revision[]>} Newest first
+ */
+function getRoleHistory(id) {
+  return sendRoleMessage(ROLE_MESSAGES.HISTORY, { id });
+}
+
+/**
+ * Restore a role to a past revision
+ * @param {string} id
+ * @param {string} revisionId
+ * @returns {Promise<Role>}
+ */
+function restoreRoleRevision(id, revisionId) {
+  return sendRoleMessage(ROLE_MESSAGES.RESTORE, { id, revisionId });
+}
+
+/**
+ * Get trashed roles
+ * @returns {Promise<TrashEntry[]>} Most recently deleted first
+ */
+function listTrash() {
+  return sendRoleMessage(ROLE_MESSAGES.TRASH_LIST);
+}
+
+/**
+ * Restore a role from the trash
+ * @param {string} id
+ * @returns {Promise<Role>}
+ */
+function restoreFromTrash(id) {
+  return sendRoleMessage(ROLE_MESSAGES.TRASH_RESTORE, { id });
+}
+
+/**
+ * Remove a trashed role for good
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function purgeFromTrash(id) {
+  return sendRoleMessage(ROLE_MESSAGES.TRASH_PURGE, { id });
+}
+
+/**
+ * Remove every trashed role for good
+ * @returns {Promise<number>}
+ */
+function emptyTrashBin() {
+  return sendRoleMessage(ROLE_MESSAGES.TRASH_EMPTY);
+}
+
+/**
+ * Import roles in one write
+ * @param {{ role: Role, action: string, targetId?: string }[]} items - action is one of IMPORT_ACTIONS
+ * @returns {Promise<{ added: number, overwritten: number, skipped: number }>}
+ */
+function importRoleItems(items) {
+  return sendRoleMessage(ROLE_MESSAGES.IMPORT, { items });
+}
+
+/**
+ * Add starter catalog entries to the user's roles
+ * @param {string[]} catalogIds
+ * @returns {Promise<Role[]>}
+ */
+function addFromCatalog(catalogIds) {
+  return sendRoleMessage(ROLE_MESSAGES.CATALOG_ADD, { catalogIds });
+}
+
+/**
+ * Get the {{variable}} values last used for a role
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+function getLastVariableValues(id) {
+  return sendRoleMessage(ROLE_MESSAGES.VARIABLES_GET, { id });
+}
+
+/**
+ * Remember the {{variable}} values used for a role
+ * @param {string} id
+ * @param {Object} values
+ * @returns {Promise<Object>}
+ */
+function rememberVariableValues(id, values) {
+  return sendRoleMessage(ROLE_MESSAGES.VARIABLES_SAVE, { id, values });
+}
+
+/**
+ * Get all injection templates and the default
+ * @returns {Promise<TemplateState>}
+ */
+function listTemplates() {
+  return sendRoleMessage(ROLE_MESSAGES.TEMPLATES_LIST);
+}
+
+/**
+ * Save an injection template (create or update)
+ * @param {Partial<Template>} template
+ * @returns {Promise<Template>}
+ */
+function saveTemplateData(template) {
+  return sendRoleMessage(ROLE_MESSAGES.TEMPLATES_SAVE, { template });
+}
+
+/**
+ * Delete an injection template
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function deleteTemplateById(id) {
+  return sendRoleMessage(ROLE_MESSAGES.TEMPLATES_DELETE, { id });
+}
+
+/**
+ * Choose the template used by roles without their own
+ * @param {string} id
+ * @returns {Promise<TemplateState>}
+ */
+function setDefaultTemplateId(id) {
+  return sendRoleMessage(ROLE_MESSAGES.TEMPLATES_SET_DEFAULT, { id });
+}
+
+/**
+ * Get the snippet library
+ * @returns {Promise<Snippet[]>}
+ */
+function listSnippets() {
+  return sendRoleMessage(ROLE_MESSAGES.SNIPPETS_LIST);
+}
+
+/**
+ * Save a snippet (create or update)
+ * @param {Partial<Snippet>} snippet
+ * @returns {Promise<Snippet>}
+ */
+function saveSnippetData(snippet) {
+  return sendRoleMessage(ROLE_MESSAGES.SNIPPETS_SAVE, { snippet });
+}
+
+/**
+ * Delete a snippet
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+function deleteSnippetById(id) {
+  return sendRoleMessage(ROLE_MESSAGES.SNIPPETS_DELETE, { id });
+}
+
+/**
+ * Get the extension settings
+ * @returns {Promise<Settings>}
+ */
+function loadSettings() {
+  return sendRoleMessage(ROLE_MESSAGES.SETTINGS_GET);
+}
+
+/**
+ * Update extension settings
+ * @param {Partial<Settings>} changes - Top-level keys replace the stored ones
+ * @returns {Promise<Settings>}
+ */
+function updateSettings(changes) {
+  return sendRoleMessage(ROLE_MESSAGES.SETTINGS_SAVE, { changes });
+}
+
+/**
+ * Get the color and emoji of every styled area
+ * @returns {Promise<AreaStyles>}
+ */
+function loadAreaStyles() {
+  return sendRoleMessage(ROLE_MESSAGES.AREAS_GET);
+}
+
+/**
+ * Set the color and emoji of an area
+ * @param {string} name
+ * @param {{ color?: string, emoji?: string }} style
+ * @returns {Promise<AreaStyles>}
+ */
+function updateAreaStyle(name, style) {
+  return sendRoleMessage(ROLE_MESSAGES.AREA_STYLE, { name, style });
+}
+
+/**
+ * Rename an area in every role (an existing name merges both areas)
+ * @param {string} name
+ * @param {string} newName
+ * @returns {Promise<Role[]>} The moved roles
+ */
+function renameAreaByName(name, newName) {
+  return sendRoleMessage(ROLE_MESSAGES.AREA_RENAME, { name, newName });
+}
+
+/**
+ * Move the roles of some areas to another area
+ * @param {string[]} names
+ * @param {string} target
+ * @returns {Promise<Role[]>} The moved roles
+ */
+function mergeAreasInto(names, target) {
+  return sendRoleMessage(ROLE_MESSAGES.AREA_MERGE, { names, target });
+}
+
+/**
+ * Delete an area, moving its roles to no area
+ * @param {string} name
+ * @returns {Promise<Role[]>} The moved roles
+ */
+function deleteAreaByName(name) {
+  return sendRoleMessage(ROLE_MESSAGES.AREA_DELETE, { name });
+}
+
+/**
+ * Get recorded role usage
+ * @returns {Promise<Usage>}
+ */
+function loadUsage() {
+  return sendRoleMessage(ROLE_MESSAGES.USAGE_GET);
+}
+
+/**
+ * Record that a role was injected
+ * @param {string} id
+ * @param {string} platformId
+ * @returns {Promise<Object>} Updated totals of the role
+ */
+function recordRoleUsage(id, platformId) {
+  return sendRoleMessage(ROLE_MESSAGES.USAGE_RECORD, { id, platformId });
+}
+
+/**
+ * Forget all recorded usage
+ * @returns {Promise<boolean>}
+ */
+function clearUsageData() {
+  return sendRoleMessage(ROLE_MESSAGES.USAGE_CLEAR);
+}
+
+/**
+ * Get the vault state
+ * @returns {Promise<VaultState>}
+ */
+function loadVaultState() {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_STATE);
+}
+
+/**
+ * Set up the vault with a passphrase (unlocks it)
+ * @param {string} passphrase
+ * @returns {Promise<VaultState>}
+ */
+function createRoleVault(passphrase) {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_CREATE, { passphrase });
+}
+
+/**
+ * Unlock the vault until its timeout
+ * @param {string} passphrase
+ * @returns {Promise<VaultState>}
+ */
+function unlockRoleVault(passphrase) {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_UNLOCK, { passphrase });
+}
+
+/**
+ * Lock the vault now
+ * @returns {Promise<VaultState>}
+ */
+function lockRoleVault() {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_LOCK);
+}
+
+/**
+ * Change vault options
+ * @param {{ encryptAll?: boolean, timeoutMinutes?: number }} changes
+ * @returns {Promise<VaultState>}
+ */
+function updateVaultOptions(changes) {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_OPTIONS, { changes });
+}
+
+/**
+ * Encrypt or decrypt roles
+ * @param {string[]} ids
+ * @param {boolean} encrypted
+ * @returns {Promise<Role[]>} The changed roles
+ */
+function setRolesEncryption(ids, encrypted) {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_ENCRYPT, { ids, encrypted });
+}
+
+/**
+ * Decrypt all roles and remove the vault
+ * @returns {Promise<VaultState>}
+ */
+function removeRoleVault() {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_REMOVE);
+}
+
+/**
+ * Open Agentique next to the current tab, where the vault can be unlocked
+ * Call it from a click: the side panel only opens in response to one.
+ * @returns {Promise<boolean>}
+ */
+function openRoleVault() {
+  return sendRoleMessage(ROLE_MESSAGES.VAULT_OPEN);
+}
+
+// Subscription state (one port shared by all listeners in this context)
+const portListeners = new Map(); // message type -> Set<Function>
+const lastPortMessages = new Map(); // message type -> latest message on the current port
+let rolePort = null;
+
+/**
+ * Count listeners across all message types
+ * @returns {number}
+ */
+function countPortListeners() {
+  let count = 0;
+  portListeners.forEach(listeners => {
+    count += listeners.size;
+  });
+  return count;
+}
+
+/**
+ * Open the subscription port if anyone is listening
+ */
+function connectRolePort() {
+  if (rolePort || countPortListeners() === 0) return;
+
+  rolePort = chrome.runtime.connect({ name: ROLE_PORT_NAME });
+  lastPortMessages.clear();
+
+  rolePort.onMessage.addListener((message) => {
+    if (message && message.type === ROLE_MESSAGES.STATE_FAILED) {
+      retryRolePort(message.error);
+      return;
+    }
+
+    if (message) lastPortMessages.set(message.type, message);
+    const listeners = message && portListeners.get(message.type);
+    if (listeners) {
+      listeners.forEach(listener => listener(message));
+    }
+  });
+
+  // The service worker may be stopped at any time - reconnect while subscribed
+  rolePort.onDisconnect.addListener(() => {
+    rolePort = null;
+    setTimeout(connectRolePort, PORT_RECONNECT_DELAY);
+  });
+}
+
+/**
+ * Drop the port and connect again later, so its current state is sent again
+ * @param {string} error - Why the background could not send the state
+ */
+function retryRolePort(error) {
+  console.error('[RoleClient] Background could not send the current state:', error);
+  if (rolePort) {
+    const port = rolePort;
+    rolePort = null;
+    port.disconnect();
+  }
+  setTimeout(connectRolePort, PORT_RECONNECT_DELAY);
+}
+
+/**
+ * Subscribe to a message type posted by the background
+ * @param {string} type - One of ROLE_MESSAGES
+ * @param {Function} listener - Receives the raw message
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToPort(type, listener) {
+  if (!portListeners.has(type)) {
+    portListeners.set(type, new Set());
+  }
+  portListeners.get(type).add(listener);
+
+  // The port may have delivered its current state before this listener
+  const last = rolePort && lastPortMessages.get(type);
+  if (last) {
+    setTimeout(() => {
+      if (portListeners.get(type).has(listener)) listener(last);
+    }, 0);
+  }
+  connectRolePort();
+
+  return () => {
+    portListeners.get(type).delete(listener);
+    if (countPortListeners() === 0 && rolePort) {
+      const port = rolePort;
+      rolePort = null;
+      port.disconnect();
+    }
+  };
+}
+
+// Roles of this context, shared by the onRolesChanged() listeners. They are
+// loaded a page at a time when the port (re)connects, then kept current from
+// the changes the background posts. Pages are read by offset, so they are
+// loaded again whenever the list order changes.
+const roleListListeners = new Set();
+let cachedRoles = null; // Role[] in list order, null until the first page arrives
+let rolesComplete = false; // Every page has arrived
+let roleLoad = null; // Token of the load in progress
+let roleOrderSettings = null; // Latest settings, for the list order
+let roleOrderUsage = null; // Latest usage, for the list order
+let roleOrderKey = null; // The list order the cache was loaded in
+let unsubscribeRoleCache = null;
+
+/**
+ * Tell the onRolesChanged() listeners about the cached roles
+ */
+function notifyRoleListListeners() {
+  roleListListeners.forEach(listener => listener(cachedRoles, rolesComplete));
+}
+
+/**
+ * Load the roles page by page into the cache
+ * Listeners hear about the first page, then about the whole set. A change
+ * while the pages load starts over, so no page is read from a shifted list.
+ */
+async function loadRoleCache() {
+  const load = {};
+  roleLoad = load;
+  const loaded = new Map();
+
+  try {
+    let total = Infinity;
+    for (let offset = 0; offset < total; offset += ROLE_PAGE_SIZE) {
+      const page = await listRolePage(offset);
+      if (roleLoad !== load) return;
+
+      total = page.total;
+      page.roles.forEach(role => loaded.set(role.id, role));
+      if (page.roles.length === 0) break;
+
+      // A complete cache that is loaded again stays until the new one is whole
+      if (offset === 0 && page.total > ROLE_PAGE_SIZE && !rolesComplete) {
+        cachedRoles = [...loaded.values()];
+        rolesComplete = false;
+        notifyRoleListListeners();
+      }
+    }
+  } catch (error) {
+    console.error('[RoleClient] Failed to load roles:', error);
+    if (roleLoad === load) {
+      roleLoad = null;
+      rolesComplete = false;
+      setTimeout(ensureRoleCache, PORT_RECONNECT_DELAY);
+    }
+    return;
+  }
+
+  roleLoad = null;
+  cachedRoles = [...loaded.values()];
+  rolesComplete = true;
+  notifyRoleListListeners();
+}
+
+/**
+ * Load the roles again if they are wanted but no load is complete or running
+ * Lets a context that is still waiting for its roles ask for them again
+ * after a failed load.
+ */
+function ensureRoleCache() {
+  if (unsubscribeRoleCache && !rolesComplete && !roleLoad) {
+    loadRoleCache();
+  }
+}
+
+/**
+ * Load the roles again when the list order changes
+ * Usage only orders the list when the roles are sorted by it.
+ */
+function checkRoleOrder() {
+  if (!roleOrderSettings || !roleOrderUsage) return;
+
+  const { roleSort, roleOrder, areaOrder } = roleOrderSettings;
+  const sortedByUsage = roleSort === ROLE_SORTS.MOST_USED || roleSort === ROLE_SORTS.RECENT;
+  const key = JSON.stringify([roleSort, roleOrder, areaOrder, sortedByUsage ? roleOrderUsage : null]);
+  const changed = roleOrderKey !== null && key !== roleOrderKey;
+  roleOrderKey = key;
+
+  if (changed && (cachedRoles || roleLoad)) {
+    loadRoleCache();
+  }
+}
+
+/**
+ * Subscribe the role cache to the port
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeRoleCache() {
+  const unsubscribers = [
+    subscribeToPort(ROLE_MESSAGES.CHANGED, applyRoleChanges),
+    subscribeToPort(ROLE_MESSAGES.SETTINGS_CHANGED, (message) => {
+      roleOrderSettings = message.settings;
+      checkRoleOrder();
+    }),
+    subscribeToPort(ROLE_MESSAGES.USAGE_CHANGED, (message) => {
+      roleOrderUsage = message.usage || {};
+      checkRoleOrder();
+    })
+  ];
+
+  return () => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    roleOrderSettings = null;
+    roleOrderUsage = null;
+    roleOrderKey = null;
+  };
+}
+
+/**
+ * Apply a CHANGED message to the cached roles
+ * @param {Object} message
+ */
+function applyRoleChanges(message) {
+  if (message.reset || roleLoad || !rolesComplete) {
+    loadRoleCache();
+    return;
+  }
+
+  const put = new Map((message.put || []).map(role => [role.id, role]));
+  const removed = new Set(message.remove || []);
+  const kept = cachedRoles
+    .filter(role => !removed.has(role.id))
+    .map(role => put.get(role.id) || role);
+  const added = [...put.values()].filter(role => !cachedRoles.some(cached => cached.id === role.id));
+
+  cachedRoles = [...kept, ...added];
+  notifyRoleListListeners();
+}
+
+/**
+ * Subscribe to role changes
+ * The roles are loaded when the first listener subscribes. The callback
+ * receives the roles loaded so far and whether every page has arrived: the
+ * first page comes on its own, so a list can show it while the rest loads.
+ * @param {Function} callback - (roles: Role[], complete: boolean)
+ * @returns {Function} Unsubscribe function
+ */
+function onRoleListChanged(callback) {
+  roleListListeners.add(callback);
+
+  if (!unsubscribeRoleCache) {
+    unsubscribeRoleCache = subscribeRoleCache();
+  } else if (cachedRoles) {
+    setTimeout(() => {
+      if (roleListListeners.has(callback)) callback(cachedRoles, rolesComplete);
+    }, 0);
+  }
+
+  return () => {
+    roleListListeners.delete(callback);
+    if (roleListListeners.size === 0 && unsubscribeRoleCache) {
+      unsubscribeRoleCache();
+      unsubscribeRoleCache = null;
+      cachedRoles = null;
+      rolesComplete = false;
+      roleLoad = null;
+    }
+  };
+}
+
+/**
+ * Subscribe to the number of stored roles
+ * Cheaper than onRolesChanged() for contexts that only need to know whether
+ * there are roles: no role is loaded.
+ * The callback also receives the current count once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onRoleCountChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.CHANGED, message => callback(message.total));
+}
+
+/**
+ * Subscribe to sync state changes
+ * The callback also receives the current state once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onSyncStatusChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.SYNC_STATE_CHANGED, message => callback(message.state));
+}
+
+/**
+ * Subscribe to trash changes
+ * The callback also receives the current trash once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onTrashListChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.TRASH_CHANGED, message => callback(message.trash || []));
+}
+
+/**
+ * Subscribe to template changes
+ * The callback also receives the current templates once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onTemplateListChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.TEMPLATES_CHANGED, message => callback(message.templates));
+}
+
+/**
+ * Subscribe to snippet library changes
+ * The callback also receives the current snippets once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onSnippetListChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.SNIPPETS_CHANGED, message => callback(message.snippets || []));
+}
+
+/**
+ * Subscribe to settings changes
+ * The callback also receives the current settings once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onSettingsUpdated(callback) {
+  return subscribeToPort(ROLE_MESSAGES.SETTINGS_CHANGED, message => callback(message.settings));
+}
+
+/**
+ * Subscribe to area style changes
+ * The callback also receives the current styles once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onAreaStylesUpdated(callback) {
+  return subscribeToPort(ROLE_MESSAGES.AREAS_CHANGED, message => callback(message.areas || {}));
+}
+
+/**
+ * Subscribe to role usage changes
+ * The callback also receives the current usage once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onUsageUpdated(callback) {
+  return subscribeToPort(ROLE_MESSAGES.USAGE_CHANGED, message => callback(message.usage));
+}
+
+/**
+ * Subscribe to vault changes (set up, options, lock and unlock)
+ * The callback also receives the current state once the port connects.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onVaultStateChanged(callback) {
+  return subscribeToPort(ROLE_MESSAGES.VAULT_CHANGED, message => callback(message.vault));
+}
+
+// Expose globally (loaded as regular script in popup.html and content scripts)
+const RoleClient = {
+  getAllRoles: listRoles,
+  getRolePage: listRolePage,
+  getRole: getRoleById,
+  saveRole: saveRoleData,
+  setPinned: setRolePin,
+  deleteRole: deleteRoleById,
+  deleteRoles: deleteRolesByIds,
+  updateRoles: updateRolesByIds,
+  duplicateRole: duplicateRoleById,
+  getSyncStatus,
+  getHistory: getRoleHistory,
+  restoreRevision: restoreRoleRevision,
+  getTrash: listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash: emptyTrashBin,
+  importRoles: importRoleItems,
+  addCatalogRoles: addFromCatalog,
+  getVariableValues: getLastVariableValues,
+  saveVariableValues: rememberVariableValues,
+  getTemplates: listTemplates,
+  saveTemplate: saveTemplateData,
+  deleteTemplate: deleteTemplateById,
+  setDefaultTemplate: setDefaultTemplateId,
+  getSnippets: listSnippets,
+  saveSnippet: saveSnippetData,
+  deleteSnippet: deleteSnippetById,
+  getSettings: loadSettings,
+  saveSettings: updateSettings,
+  getAreaStyles: loadAreaStyles,
+  saveAreaStyle: updateAreaStyle,
+  renameArea: renameAreaByName,
+  mergeAreas: mergeAreasInto,
+  deleteArea: deleteAreaByName,
+  getUsage: loadUsage,
+  recordUsage: recordRoleUsage,
+  clearUsage: clearUsageData,
+  getVaultState: loadVaultState,
+  createVault: createRoleVault,
+  unlockVault: unlockRoleVault,
+  lockVault: lockRoleVault,
+  setVaultOptions: updateVaultOptions,
+  encryptRoles: setRolesEncryption,
+  removeVault: removeRoleVault,
+  openVault: openRoleVault,
+  onRolesChanged: onRoleListChanged,
+  reloadRoles: ensureRoleCache,
+  onRoleCountChanged,
+  onSyncStatusChanged,
+  onTrashChanged: onTrashListChanged,
+  onTemplatesChanged: onTemplateListChanged,
+  onSnippetsChanged: onSnippetListChanged,
+  onSettingsChanged: onSettingsUpdated,
+  onAreaStylesChanged: onAreaStylesUpdated,
+  onUsageChanged: onUsageUpdated,
+  onVaultChanged: onVaultStateChanged
+};
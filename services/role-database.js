@@ -0,0 +1,261 @@
+/**
+ * Role Database Service
+ * IndexedDB store with one record per role, so a write only rewrites the
+ * roles it changes. Records are indexed by area, which is what the name
+ * check of a save reads. A second store keeps one record per past revision
+ * of a role (see role-history.js).
+ * Only role-storage.js and role-history.js use it - everything else goes
+ * through RoleStorage.
+ * Loaded via importScripts in background.js
+ */
+
+const ROLE_DB_NAME = 'agentique';
+const ROLE_DB_VERSION = 3;
+const ROLE_STORE_NAME = 'roles';
+const REVISION_STORE_NAME = 'revisions';
+
+// Indexes of the role store, keyed by index name
+const ROLE_INDEXES = {
+  AREA: 'area'
+};
+
+// Indexes of the revision store. Their keys carry what trimming needs, so it
+// walks the keys without loading the role snapshots.
+const REVISION_INDEXES = {
+  ROLE: { name: 'role', keyPath: ['roleId', 'savedAt'] },
+  SAVED_AT: { name: 'savedAt', keyPath: ['savedAt', 'bytes'] }
+};
+
+let roleDatabasePromise = null;
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Role database transaction aborted'));
+  });
+}
+
+/**
+ * Open the role database, creating or upgrading the store and its indexes
+ * The connection is opened once and shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openRoleDatabase() {
+  if (!roleDatabasePromise) {
+    const request = indexedDB.open(ROLE_DB_NAME, ROLE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      const store = database.objectStoreNames.contains(ROLE_STORE_NAME)
+        ? request.transaction.objectStore(ROLE_STORE_NAME)
+        : database.createObjectStore(ROLE_STORE_NAME, { keyPath: 'id' });
+      const fields = Object.values(ROLE_INDEXES);
+
+      // Version 1 also indexed name and updatedAt, which nothing read
+      [...store.indexNames].filter(name => !fields.includes(name)).forEach(name => store.deleteIndex(name));
+      fields.filter(field => !store.indexNames.contains(field)).forEach(field => store.createIndex(field, field));
+
+      // Version 3 moved role history here from chrome.storage.local
+      if (!database.objectStoreNames.contains(REVISION_STORE_NAME)) {
+        const revisions = database.createObjectStore(REVISION_STORE_NAME, { keyPath: 'id' });
+        Object.values(REVISION_INDEXES).forEach(index => revisions.createIndex(index.name, index.keyPath));
+      }
+    };
+    roleDatabasePromise = requestResult(request).catch((error) => {
+      roleDatabasePromise = null; // Try again on the next call
+      throw error;
+    });
+  }
+  return roleDatabasePromise;
+}
+
+/**
+ * Start a transaction on one store of the role database
+ * @param {IDBTransactionMode} mode
+ * @param {string} [storeName=ROLE_STORE_NAME]
+ * @returns {Promise<{ transaction: IDBTransaction, store: IDBObjectStore }>}
+ */
+async function openRoleStore(mode, storeName = ROLE_STORE_NAME) {
+  const database = await openRoleDatabase();
+  const transaction = database.transaction(storeName, mode);
+  return { transaction, store: transaction.objectStore(storeName) };
+}
+
+/**
+ * Get every role record
+ * @returns {Promise<Role[]>}
+ */
+async function getAllRoleRecords() {
+  const { store } = await openRoleStore('readonly');
+  return requestResult(store.getAll());
+}
+
+/**
+ * Get a role record by ID
+ * @param {string} id
+ * @returns {Promise<Role|null>}
+ */
+async function getRoleRecord(id) {
+  const { store } = await openRoleStore('readonly');
+  return (await requestResult(store.get(id))) || null;
+}
+
+/**
+ * Get the role records with a value in one of the indexes
+ * @param {string} index - One of ROLE_INDEXES
+ * @param {any} value
+ * @returns {Promise<Role[]>}
+ */
+async function getRoleRecordsBy(index, value) {
+  const { store } = await openRoleStore('readonly');
+  return requestResult(store.index(index).getAll(value));
+}
+
+/**
+ * Count the role records
+ * @returns {Promise<number>}
+ */
+async function countRoleRecords() {
+  const { store } = await openRoleStore('readonly');
+  return requestResult(store.count());
+}
+
+/**
+ * Write role records in a single transaction
+ * @param {Object} changes
+ * @param {Role[]} [changes.put] - Records to add or replace
+ * @param {string[]} [changes.remove] - IDs of records to delete
+ * @param {boolean} [changes.replace=false] - Delete every other record first
+ * @returns {Promise<void>}
+ */
+async function writeRoleRecords({ put = [], remove = [], replace = false }) {
+  const { transaction, store } = await openRoleStore('readwrite');
+  const done = transactionDone(transaction);
+
+  if (replace) store.clear();
+  remove.forEach(id => store.delete(id));
+  put.forEach(role => store.put(role));
+
+  await done;
+}
+
+/**
+ * Key range of one role's revisions in the ROLE index
+ * @param {string} roleId
+ * @returns {IDBKeyRange}
+ */
+function roleRevisionRange(roleId) {
+  return IDBKeyRange.bound([roleId, -Infinity], [roleId, Infinity]);
+}
+
+/**
+ * Get the revision records of a role, or of every role
+ * @param {string|null} roleId - null gets every revision
+ * @returns {Promise<Revision[]>} Newest first
+ */
+async function getRevisionRecords(roleId) {
+  const { store } = await openRoleStore('readonly', REVISION_STORE_NAME);
+  const records = roleId === null
+    ? await requestResult(store.getAll())
+    : await requestResult(store.index(REVISION_INDEXES.ROLE.name).getAll(roleRevisionRange(roleId)));
+  return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Write revision records in a single transaction
+ * @param {Object} changes
+ * @param {Revision[]} [changes.put] - Records to add or replace
+ * @param {string[]} [changes.removeRoles] - IDs of roles whose revisions are deleted
+ * @returns {Promise<void>}
+ */
+async function writeRevisionRecords({ put = [], removeRoles = [] }) {
+  const { transaction, store } = await openRoleStore('readwrite', REVISION_STORE_NAME);
+  const done = transactionDone(transaction);
+  const index = store.index(REVISION_INDEXES.ROLE.name);
+
+  removeRoles.forEach((roleId) => {
+    index.getAllKeys(roleRevisionRange(roleId)).onsuccess = (event) => {
+      event.target.result.forEach(id => store.delete(id));
+    };
+  });
+  put.forEach(revision => store.put(revision));
+
+  await done;
+}
+
+/**
+ * Delete the oldest revision records beyond the limits
+ * Walks the index keys only: no role snapshot is loaded.
+ * @param {string} roleId - Role that just got a revision
+ * @param {number} maxPerRole - Revisions kept for that role
+ * @param {number} maxBytes - Total size of the revisions kept for all roles
+ * @returns {Promise<number>} Number of deleted records
+ */
+async function trimRevisionRecords(roleId, maxPerRole, maxBytes) {
+  const { transaction, store } = await openRoleStore('readwrite', REVISION_STORE_NAME);
+  const done = transactionDone(transaction);
+  const deleted = new Set();
+
+  // The role's own limit first, then the total size of what is left
+  const trimSize = () => {
+    const sizeCursor = store.index(REVISION_INDEXES.SAVED_AT.name).openKeyCursor(null, 'prev');
+    let bytes = 0;
+    sizeCursor.onsuccess = () => {
+      const cursor = sizeCursor.result;
+      if (!cursor) {
+        deleted.forEach(id => store.delete(id));
+        return;
+      }
+      if (!deleted.has(cursor.primaryKey)) {
+        bytes += cursor.key[1];
+        if (bytes > maxBytes) deleted.add(cursor.primaryKey);
+      }
+      cursor.continue();
+    };
+  };
+
+  const roleCursor = store.index(REVISION_INDEXES.ROLE.name).openKeyCursor(roleRevisionRange(roleId), 'prev');
+  let kept = 0;
+  roleCursor.onsuccess = () => {
+    const cursor = roleCursor.result;
+    if (!cursor) {
+      trimSize();
+      return;
+    }
+    if (++kept > maxPerRole) deleted.add(cursor.primaryKey);
+    cursor.continue();
+  };
+
+  await done;
+  return deleted.size;
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleDatabase = {
+  ROLE_INDEXES,
+  getAllRecords: getAllRoleRecords,
+  getRecord: getRoleRecord,
+  getRecordsBy: getRoleRecordsBy,
+  countRecords: countRoleRecords,
+  writeRecords: writeRoleRecords,
+  getRevisionRecords,
+  writeRevisionRecords,
+  trimRevisionRecords
+};
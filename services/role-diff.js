@@ -0,0 +1,85 @@
+/**
+ * Role Diff
+ * Field-by-field comparison of two role revisions
+ * Requires: services/role-schema.js
+ */
+
+/**
+ * Field Change:
+ * {
+ *   field: string,        // key in ROLE_FIELDS
+ *   label: string,
+ *   type: 'string'|'list',
+ *   before: string|string[],
+ *   after: string|string[],
+ *   added: string[],      // list fields only
+ *   removed: string[]     // list fields only
+ * }
+ */
+
+/**
+ * Text form of a string or map field value
+ * @param {string|Object} value
+ * @param {Object} field - Entry of ROLE_FIELDS
+ * @returns {string}
+ */
+function formatDiffValue(value, field) {
+  if (field.type === 'map') {
+    return Object.entries(value || {})
+      .map(([key, item]) => `${key}: ${item}`)
+      .sort()
+      .join(', ');
+  }
+  return value || '';
+}
+
+/**
+ * Compare the user-editable fields of two roles
+ * @param {Partial<Role>} before
+ * @param {Partial<Role>} after
+ * @returns {FieldChange[]} Only fields that differ, in schema order
+ */
+function diffRoles(before = {}, after = {}) {
+  const changes = [];
+
+  Object.entries(RoleSchema.ROLE_FIELDS).forEach(([key, field]) => {
+    if (!field.label) return;
+
+    if (field.type === 'list') {
+      const beforeList = before[key] || [];
+      const afterList = after[key] || [];
+      if (JSON.stringify(beforeList) === JSON.stringify(afterList)) return;
+
+      changes.push({
+        field: key,
+        label: field.label,
+        type: 'list',
+        before: beforeList,
+        after: afterList,
+        added: afterList.filter(item => !beforeList.includes(item)),
+        removed: beforeList.filter(item => !afterList.includes(item))
+      });
+    } else {
+      const beforeValue = formatDiffValue(before[key], field);
+      const afterValue = formatDiffValue(after[key], field);
+      if (beforeValue === afterValue) return;
+
+      changes.push({
+        field: key,
+        label: field.label,
+        type: 'string',
+        before: beforeValue,
+        after: afterValue,
+        added: [],
+        removed: []
+      });
+    }
+  });
+
+  return changes;
+}
+
+// Expose globally (loaded via importScripts in background.js and as regular script in popup.html)
+const RoleDiff = {
+  diffRoles
+};
@@ -0,0 +1,186 @@
+/**
+ * Role Grouping
+ * How roles are filtered, sorted and grouped for display: pinned roles
+ * first, then roles without an area, then one group per area - or, when
+ * sorted by usage, one list after the pinned roles. Roles and areas follow
+ * the order the user arranged them in. Shared by the popup list
+ * and the in-page dropdown so both show roles the same way.
+ * Pure functions only - loaded as regular script in popup.html and as
+ * content script
+ * Requires: services/role-messages.js
+ */
+
+/**
+ * Role Group Schema:
+ * {
+ *   key: string,     // stable id of the group
+ *   label: string,   // header text ('' = no header)
+ *   showArea: boolean, // roles are not grouped by area, so show it per role
+ *   area: string|null, // area of the group's roles ('' = none, null = mixed)
+ *   roles: Role[]
+ * }
+ */
+
+const PINNED_GROUP_KEY = 'pinned';
+const NO_AREA_GROUP_KEY = 'no-area';
+const SORTED_GROUP_KEY = 'sorted';
+
+const ROLE_SORT_LABELS = {
+  [ROLE_SORTS.DEFAULT]: 'By area',
+  [ROLE_SORTS.MOST_USED]: 'Most used',
+  [ROLE_SORTS.RECENT]: 'Recently used'
+};
+
+/**
+ * All tags used by the roles, sorted
+ * Tags that only differ in case count as one (the first spelling wins).
+ * @param {Role[]} roles
+ * @returns {string[]}
+ */
+function getAllTags(roles) {
+  const tags = new Map();
+  roles.forEach(role => {
+    (role.tags || []).forEach(tag => {
+      const key = tag.toLowerCase();
+      if (!tags.has(key)) tags.set(key, tag);
+    });
+  });
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Roles that have every one of the given tags (case-insensitive)
+ * @param {Role[]} roles
+ * @param {string[]} tags - No tags keeps all roles
+ * @returns {Role[]}
+ */
+function filterRolesByTags(roles, tags) {
+  if (!tags || tags.length === 0) return roles;
+
+  const wanted = tags.map(tag => tag.toLowerCase());
+  return roles.filter(role => {
+    const roleTags = (role.tags || []).map(tag => tag.toLowerCase());
+    return wanted.every(tag => roleTags.includes(tag));
+  });
+}
+
+/**
+ * Put roles in the user's order
+ * Roles missing from the order keep their relative order after the others.
+ * @param {Role[]} roles
+ * @param {string[]} roleOrder - Role ids
+ * @returns {Role[]} New array
+ */
+function orderRoles(roles, roleOrder = []) {
+  const positions = new Map(roleOrder.map((id, index) => [id, index]));
+  const positionOf = (role) => (positions.has(role.id) ? positions.get(role.id) : roleOrder.length);
+
+  return roles
+    .map((role, index) => ({ role, index, position: positionOf(role) }))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map(entry => entry.role);
+}
+
+/**
+ * Put area names in the user's order
+ * Areas missing from the order follow the others alphabetically.
+ * @param {string[]} areas
+ * @param {string[]} areaOrder
+ * @returns {string[]} New array
+ */
+function orderAreas(areas, areaOrder = []) {
+  const positionOf = (area) => {
+    const index = areaOrder.indexOf(area);
+    return index >= 0 ? index : areaOrder.length;
+  };
+
+  return [...areas].sort((a, b) => positionOf(a) - positionOf(b) || a.localeCompare(b));
+}
+
+/**
+ * Sort roles by usage (stable - unused roles keep their order at the end)
+ * @param {Role[]} roles
+ * @param {string} sort - One of ROLE_SORTS
+ * @param {Usage} usage - Recorded usage ({ roles: { [roleId]: stats } })
+ * @returns {Role[]} New array
+ */
+function sortRoles(roles, sort, usage = {}) {
+  if (sort !== ROLE_SORTS.MOST_USED && sort !== ROLE_SORTS.RECENT) {
+    return [...roles];
+  }
+
+  const stats = (usage && usage.roles) || {};
+  const valueOf = (role) => {
+    const roleStats = stats[role.id];
+    if (!roleStats) return 0;
+    return sort === ROLE_SORTS.RECENT ? roleStats.lastUsedAt : roleStats.count;
+  };
+
+  return roles
+    .map((role, index) => ({ role, index, value: valueOf(role) }))
+    .sort((a, b) => b.value - a.value || a.index - b.index)
+    .map(entry => entry.role);
+}
+
+/**
+ * Group roles for display
+ * Empty groups are left out.
+ * @param {Role[]} roles
+ * @param {Object} options
+ * @param {string} options.sort - One of ROLE_SORTS; usage sorts list the
+ *   roles after the pinned ones without area groups
+ * @param {Usage} options.usage - Recorded usage for the usage sorts
+ * @param {string[]} options.roleOrder - Role ids in the user's order
+ * @param {string[]} options.areaOrder - Area names in the user's order
+ * @returns {RoleGroup[]}
+ */
+function groupRoles(roles, options = {}) {
+  const { sort = ROLE_SORTS.DEFAULT, usage = {}, roleOrder = [], areaOrder = [] } = options;
+  const sorted = sortRoles(orderRoles(roles, roleOrder), sort, usage);
+  const pinned = { key: PINNED_GROUP_KEY, label: 'Pinned', showArea: true, area: null, roles: sorted.filter(role => role.pinned) };
+  const unpinned = sorted.filter(role => !role.pinned);
+
+  if (sort === ROLE_SORTS.MOST_USED || sort === ROLE_SORTS.RECENT) {
+    const rest = {
+      key: SORTED_GROUP_KEY,
+      label: pinned.roles.length > 0 ? ROLE_SORT_LABELS[sort] : '',
+      showArea: true,
+      area: null,
+      roles: unpinned
+    };
+    return [pinned, rest].filter(group => group.roles.length > 0);
+  }
+
+  const noArea = { key: NO_AREA_GROUP_KEY, label: '', showArea: false, area: '', roles: [] };
+  const byArea = {};
+
+  unpinned.forEach(role => {
+    if (role.area) {
+      if (!byArea[role.area]) {
+        byArea[role.area] = { key: `area:${role.area}`, label: role.area, showArea: false, area: role.area, roles: [] };
+      }
+      byArea[role.area].roles.push(role);
+    } else {
+      noArea.roles.push(role);
+    }
+  });
+
+  // Without a header, roles right below the pinned ones would look pinned
+  if (pinned.roles.length > 0) {
+    noArea.label = 'Uncategorized';
+  }
+
+  const areaGroups = orderAreas(Object.keys(byArea), areaOrder).map(area => byArea[area]);
+  return [pinned, noArea, ...areaGroups].filter(group => group.roles.length > 0);
+}
+
+// Expose globally (loaded as regular script in popup.html and as content script)
+const RoleGrouping = {
+  ROLE_SORT_LABELS,
+  getAllTags,
+  filterRolesByTags,
+  orderRoles,
+  orderAreas,
+  sortRoles,
+  groupRoles
+};
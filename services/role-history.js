@@ -0,0 +1,147 @@
+/**
+ * Role History Service
+ * Keeps a bounded list of past revisions per role so edits can be compared
+ * and rolled back. Each revision is its own record in the role database, so
+ * recording one does not rewrite the others. History stays on this device -
+ * it is not replicated to chrome.storage.sync.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-diff.js, services/role-database.js
+ */
+
+/**
+ * Revision Schema:
+ * {
+ *   id: string,
+ *   roleId: string,
+ *   savedAt: number,  // when this revision was replaced
+ *   bytes: number,    // length of the snapshot's JSON, for the size limit
+ *   role: Role        // full snapshot of the role at that time
+ * }
+ */
+
+// History was kept as one { [roleId]: Revision[] } map under this key;
+// moveLegacyHistory() moves it into the role database and removes it
+const LEGACY_HISTORY_KEY = 'agentique_role_history';
+const MAX_REVISIONS = 20; // per role, oldest are dropped first
+const MAX_HISTORY_BYTES = 5 * 1024 * 1024; // all roles, oldest are dropped first
+
+/**
+ * Build a revision record
+ * @param {string} roleId
+ * @param {Role} role - Snapshot to keep
+ * @param {Object} [fields] - id and savedAt of an existing revision
+ * @returns {Revision}
+ */
+function createRevision(roleId, role, fields = {}) {
+  return {
+    id: fields.id || `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    roleId,
+    savedAt: fields.savedAt || Date.now(),
+    bytes: JSON.stringify(role).length,
+    role
+  };
+}
+
+/**
+ * Get past revisions of a role
+ * @param {string} roleId
+ * @returns {Promise<Revision[]>} Newest first
+ */
+async function getHistory(roleId) {
+  return RoleDatabase.getRevisionRecords(roleId);
+}
+
+/**
+ * Get a single revision
+ * @param {string} roleId
+ * @param {string} revisionId
+ * @returns {Promise<Revision|null>}
+ */
+async function getRevision(roleId, revisionId) {
+  const revisions = await getHistory(roleId);
+  return revisions.find(revision => revision.id === revisionId) || null;
+}
+
+/**
+ * Record the previous state of a role before it is overwritten.
+ * Nothing is recorded when no user-editable field changed. A failure is
+ * logged, not thrown: a lost revision must not stop the role from being saved.
+ * @param {Role} previous - Role as currently stored
+ * @param {Role} next - Role about to be stored
+ * @param {Role} [stored] - Form of previous to keep, when it differs from the
+ *   one compared (encrypted roles are compared decrypted, kept encrypted)
+ * @returns {Promise<boolean>} True if a revision was recorded
+ */
+async function recordRevision(previous, next, stored = previous) {
+  if (RoleDiff.diffRoles(previous, next).length === 0) {
+    return false;
+  }
+
+  try {
+    await RoleDatabase.writeRevisionRecords({ put: [createRevision(previous.id, stored)] });
+    await RoleDatabase.trimRevisionRecords(previous.id, MAX_REVISIONS, MAX_HISTORY_BYTES);
+    return true;
+  } catch (error) {
+    console.error('[RoleHistory] Failed to record a revision:', error);
+    return false;
+  }
+}
+
+/**
+ * Rewrite the stored revisions of some roles in a single write
+ * (used to encrypt or decrypt history together with its role)
+ * @param {string[]|null} roleIds - null rewrites every role's history
+ * @param {Function} transform - async (role) => role
+ * @returns {Promise<void>}
+ */
+async function rewriteRevisions(roleIds, transform) {
+  const revisions = roleIds === null
+    ? await RoleDatabase.getRevisionRecords(null)
+    : (await Promise.all(roleIds.map(id => RoleDatabase.getRevisionRecords(id)))).flat();
+  if (revisions.length === 0) return;
+
+  const put = await Promise.all(revisions.map(async revision =>
+    createRevision(revision.roleId, await transform(revision.role), revision)
+  ));
+  await RoleDatabase.writeRevisionRecords({ put });
+}
+
+/**
+ * Remove all revisions of a role
+ * @param {string} roleId
+ * @returns {Promise<void>}
+ */
+async function clearHistory(roleId) {
+  await RoleDatabase.writeRevisionRecords({ removeRoles: [roleId] });
+}
+
+/**
+ * Move history kept under the legacy chrome.storage.local key into the
+ * role database
+ * Revisions keep their ids, so a run that fails before the key is removed
+ * writes the same records again.
+ * @returns {Promise<void>}
+ */
+async function moveLegacyHistory() {
+  const result = await chrome.storage.local.get(LEGACY_HISTORY_KEY);
+  const history = result[LEGACY_HISTORY_KEY];
+  if (!history) return;
+
+  const put = Object.entries(history).flatMap(([roleId, revisions]) =>
+    revisions.map(revision => createRevision(roleId, revision.role, revision))
+  );
+  await RoleDatabase.writeRevisionRecords({ put });
+  await chrome.storage.local.remove(LEGACY_HISTORY_KEY);
+  console.log('[RoleHistory] Moved', put.length, 'revisions into the role database');
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleHistory = {
+  MAX_REVISIONS,
+  getHistory,
+  getRevision,
+  recordRevision,
+  rewriteRevisions,
+  clearHistory,
+  moveLegacyHistory
+};
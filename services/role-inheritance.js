@@ -0,0 +1,174 @@
+/**
+ * Role Inheritance
+ * A role can extend a parent role. Skills, tools, constraints and behavior are
+ * merged along the parent chain, per field either appended to the parent's
+ * values or overriding them. Variable defaults are inherited as well.
+ * Pure functions only - loaded via importScripts in background.js, as regular
+ * script in popup.html and as content script
+ */
+
+/**
+ * Merge rules
+ * append:   parent values first, then the role's own (lists skip duplicates)
+ * override: the role's own value; the parent's value only if the role has none
+ */
+const MERGE_RULES = {
+  APPEND: 'append',
+  OVERRIDE: 'override'
+};
+
+/**
+ * Fields that are inherited, with their type and default merge rule
+ */
+const INHERITED_FIELDS = {
+  skills: { type: 'list', rule: MERGE_RULES.APPEND },
+  tools: { type: 'list', rule: MERGE_RULES.APPEND },
+  constraints: { type: 'list', rule: MERGE_RULES.APPEND },
+  behavior: { type: 'string', rule: MERGE_RULES.OVERRIDE }
+};
+
+/**
+ * Merge rule a role uses for a field
+ * @param {Role} role
+ * @param {string} field
+ * @returns {string}
+ */
+function getMergeRule(role, field) {
+  const rule = role.mergeRules && role.mergeRules[field];
+  return Object.values(MERGE_RULES).includes(rule) ? rule : INHERITED_FIELDS[field].rule;
+}
+
+/**
+ * Parent chain of a role, nearest parent first
+ * Stops at missing parents and at cycles.
+ * @param {Role} role
+ * @param {Role[]} roles
+ * @returns {Role[]}
+ */
+function getAncestors(role, roles) {
+  const byId = new Map(roles.map(r => [r.id, r]));
+  const ancestors = [];
+  const seen = new Set([role.id]);
+  let parent = byId.get(role.parentId);
+
+  while (parent && !seen.has(parent.id)) {
+    ancestors.push(parent);
+    seen.add(parent.id);
+    parent = byId.get(parent.parentId);
+  }
+
+  return ancestors;
+}
+
+/**
+ * Whether setting parentId on a role would make it (indirectly) its own parent
+ * @param {string} roleId
+ * @param {string} parentId
+ * @param {Role[]} roles
+ * @returns {boolean}
+ */
+function createsCycle(roleId, parentId, roles) {
+  if (!parentId || !roleId) return false;
+  if (parentId === roleId) return true;
+
+  const parent = roles.find(r => r.id === parentId);
+  return Boolean(parent) && getAncestors(parent, roles).some(r => r.id === roleId);
+}
+
+/**
+ * Check whether a field value is empty
+ */
+function isEmptyValue(value) {
+  return Array.isArray(value) ? value.length === 0 : !value;
+}
+
+/**
+ * Merge a field value onto an inherited value
+ * @param {string|string[]} inherited
+ * @param {string|string[]} own
+ * @param {string} rule
+ * @returns {string|string[]}
+ */
+function mergeField(inherited, own, rule) {
+  if (rule === MERGE_RULES.OVERRIDE) {
+    return isEmptyValue(own) ? inherited : own;
+  }
+  if (Array.isArray(inherited)) {
+    return [...inherited, ...own.filter(item => !inherited.includes(item))];
+  }
+  return [inherited, own].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Resolve a role against its parent chain
+ * @param {Role} role
+ * @param {Role[]} roles - All roles (used to look up parents)
+ * @returns {{ role: Role, sources: Object }}
+ *   role: copy of the role with inherited fields merged in
+ *   sources: per inherited field, the ancestors that contributed a value,
+ *            as [{ roleId, roleName, value }] nearest parent first
+ */
+function resolveRoleWithSources(role, roles) {
+  const ancestors = getAncestors(role, roles);
+  const resolved = { ...role };
+  const sources = {};
+
+  Object.entries(INHERITED_FIELDS).forEach(([field, { type }]) => {
+    const empty = type === 'list' ? [] : '';
+    // Walk from the root ancestor down to the role itself
+    const chain = [...ancestors].reverse();
+    let value = empty;
+    let contributors = [];
+
+    chain.forEach(ancestor => {
+      const own = ancestor[field] || empty;
+      const rule = getMergeRule(ancestor, field);
+      if (rule === MERGE_RULES.OVERRIDE && !isEmptyValue(own)) {
+        contributors = [];
+      }
+      if (!isEmptyValue(own)) {
+        contributors.push({ roleId: ancestor.id, roleName: ancestor.name, value: own });
+      }
+      value = mergeField(value, own, rule);
+    });
+
+    const own = role[field] || empty;
+    const rule = getMergeRule(role, field);
+    if (rule === MERGE_RULES.OVERRIDE && !isEmptyValue(own)) {
+      contributors = [];
+    }
+
+    resolved[field] = mergeField(value, own, rule);
+    sources[field] = contributors.reverse();
+  });
+
+  // Variable defaults: nearer roles win
+  resolved.variables = Object.assign(
+    {},
+    ...[...ancestors].reverse().map(ancestor => ancestor.variables || {}),
+    role.variables || {}
+  );
+
+  return { role: resolved, sources };
+}
+
+/**
+ * Resolve a role against its parent chain
+ * @param {Role} role
+ * @param {Role[]} roles
+ * @returns {Role}
+ */
+function resolveRole(role, roles) {
+  return resolveRoleWithSources(role, roles).role;
+}
+
+// Expose globally (loaded via importScripts in background.js, as regular script in popup.html and as content script)
+const RoleInheritance = {
+  MERGE_RULES,
+  INHERITED_FIELDS,
+  getMergeRule,
+  getAncestors,
+  createsCycle,
+  resolveRole,
+  resolveRoleWithSources
+};
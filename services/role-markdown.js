@@ -0,0 +1,350 @@
+/**
+ * Role Markdown Format
+ * Reads and writes a role as a Markdown file: YAML frontmatter for the short
+ * fields, one "## <label>" section per long-form text field.
+ * Pure functions only - loaded as regular script in popup.html
+ * Requires: services/role-schema.js
+ */
+
+/**
+ * File layout:
+ *
+ * ---
+ * id: role_1700000000000_abc123def
+ * name: Code Reviewer
+ * area: Engineering
+ * skills:
+ *   - Reviewing pull requests
+ * tools: []
+ * constraints: []
+ * parentId: role_1690000000000_def456ghi
+ * mergeRules:
+ *   behavior: append
+ * createdAt: 1700000000000
+ * updatedAt: 1700000000000
+ * schemaVersion: 1
+ * ---
+ *
+ * ## Description
+ *
+ * Free Markdown text...
+ *
+ * ## Behavior & Tonality
+ *
+ * ...
+ *
+ * Section text is written verbatim. A text line that would read as one of the
+ * section headings gets an extra leading backslash, which parsing removes.
+ */
+
+const MARKDOWN_SECTION_FIELDS = ['description', 'behavior', 'moreInfo'];
+
+const MARKDOWN_FRONTMATTER_FIELDS = Object.keys(RoleSchema.ROLE_FIELDS)
+  .filter(key => !MARKDOWN_SECTION_FIELDS.includes(key));
+
+const MARKDOWN_FENCE = '---';
+
+/**
+ * Heading line for a section field
+ * @param {string} field
+ * @returns {string}
+ */
+function getSectionHeading(field) {
+  return `## ${RoleSchema.ROLE_FIELDS[field].label}`;
+}
+
+/**
+ * Matches a section heading, optionally escaped with backslashes
+ * @param {string} line
+ * @returns {{ field: string, escapes: number }|null}
+ */
+function matchSectionHeading(line) {
+  const match = /^(\\*)(## .*)$/.exec(line);
+  if (!match) return null;
+
+  const field = MARKDOWN_SECTION_FIELDS.find(key => getSectionHeading(key) === match[2].trimEnd());
+  return field ? { field, escapes: match[1].length } : null;
+}
+
+// ============================================================================
+// YAML SUBSET
+// ============================================================================
+
+/**
+ * Write a string as a YAML scalar, quoting it unless it is plainly safe
+ * @param {string} value
+ * @returns {string}
+ */
+function formatYamlString(value) {
+  const isPlain = /^[\p{L}\p{N}][\p{L}\p{N} _.,&()/+-]*$/u.test(value) &&
+    !/ $/.test(value) &&
+    !/^(true|false|yes|no|on|off|null|~|[-+]?[\d.]+(e[-+]?\d+)?)$/i.test(value);
+  // JSON strings are valid YAML double-quoted scalars
+  return isPlain ? value : JSON.stringify(value);
+}
+
+/**
+ * Read a YAML scalar (plain, single- or double-quoted)
+ * @param {string} raw
+ * @returns {string}
+ */
+function parseYamlString(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid quoted value: ${value}`);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw new Error(`Invalid quoted value: ${value}`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  // Plain scalars end at a comment
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Read a flow sequence such as [a, "b, c"]
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function parseYamlFlowList(raw) {
+  const inner = raw.trim().slice(1, -1).trim();
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < inner.length; i++) {
+    const char = inner[i];
+    if (quote) {
+      current += char;
+      if (char === '\\' && quote === '"') {
+        current += inner[++i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) {
+    items.push(current);
+  }
+
+  return items.map(parseYamlString);
+}
+
+/**
+ * Read a flow mapping such as { skills: append, behavior: override }
+ * @param {string} raw
+ * @returns {Object}
+ */
+function parseYamlFlowMap(raw) {
+  const value = raw.trim();
+  if (!value.startsWith('{') || !value.endsWith('}')) {
+    throw new Error(`Invalid mapping: ${value}`);
+  }
+
+  const map = {};
+  // Split like a flow list, then at the first colon of each entry
+  parseYamlFlowList(value).forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator < 0) {
+      throw new Error(`Invalid mapping entry: ${entry}`);
+    }
+    map[entry.slice(0, separator).trim()] = parseYamlString(entry.slice(separator + 1));
+  });
+  return map;
+}
+
+/**
+ * Write frontmatter lines for a role
+ * @param {Object} role
+ * @returns {string[]}
+ */
+function formatFrontmatter(role) {
+  const lines = [];
+
+  MARKDOWN_FRONTMATTER_FIELDS.forEach(key => {
+    const field = RoleSchema.ROLE_FIELDS[key];
+    const value = role[key];
+
+    if (value === undefined || value === null) return;
+
+    if (field.type === 'list') {
+      if (value.length === 0) {
+        lines.push(`${key}: []`);
+      } else {
+        lines.push(`${key}:`);
+        value.forEach(item => lines.push(`  - ${formatYamlString(item)}`));
+      }
+    } else if (field.type === 'map') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) {
+        lines.push(`${key}: {}`);
+      } else {
+        lines.push(`${key}:`);
+        entries.forEach(([mapKey, item]) => lines.push(`  ${mapKey}: ${formatYamlString(item)}`));
+      }
+    } else if (field.type === 'number' || field.type === 'boolean') {
+      lines.push(`${key}: ${value}`);
+    } else {
+      lines.push(`${key}: ${formatYamlString(value)}`);
+    }
+  });
+
+  lines.push(`schemaVersion: ${RoleSchema.ROLE_SCHEMA_VERSION}`);
+  return lines;
+}
+
+/**
+ * Read frontmatter lines into an object
+ * Numbers are only converted for number fields, so a name like "2024" stays text.
+ * @param {string[]} lines
+ * @returns {Object}
+ * @throws {Error} On lines that are not part of the supported YAML subset
+ */
+function parseFrontmatter(lines) {
+  const data = {};
+  let listKey = null;
+  let mapKey = null;
+
+  lines.forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = /^\s*-(?:\s(.*))?$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(parseYamlString(item[1] || ''));
+      return;
+    }
+
+    const mapEntry = /^\s+([A-Za-z_][\w-]*):\s+(.*)$/.exec(line);
+    if (mapEntry && mapKey) {
+      data[mapKey][mapEntry[1]] = parseYamlString(mapEntry[2]);
+      return;
+    }
+
+    const entry = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/.exec(line);
+    if (!entry) {
+      throw new Error(`Unreadable frontmatter on line ${index + 2}`);
+    }
+
+    const [, key, rawValue = ''] = entry;
+    const field = RoleSchema.ROLE_FIELDS[key];
+    listKey = null;
+    mapKey = null;
+
+    if (field && field.type === 'map') {
+      data[key] = rawValue.trim() ? parseYamlFlowMap(rawValue) : {};
+      mapKey = key;
+    } else if (!rawValue.trim()) {
+      if (field && field.type !== 'list') {
+        data[key] = '';
+      } else {
+        // Start of a block list
+        data[key] = [];
+        listKey = key;
+      }
+    } else if (rawValue.trim().startsWith('[')) {
+      data[key] = parseYamlFlowList(rawValue);
+    } else if ((field && field.type === 'number') || key === 'schemaVersion') {
+      data[key] = Number(parseYamlString(rawValue));
+    } else if (field && field.type === 'boolean') {
+      data[key] = parseYamlString(rawValue) === 'true';
+    } else {
+      data[key] = parseYamlString(rawValue);
+    }
+  });
+
+  return data;
+}
+
+// ============================================================================
+// ROLE FILES
+// ============================================================================
+
+/**
+ * Write a role as a Markdown document
+ * @param {Object} role
+ * @returns {string}
+ */
+function serializeRoleMarkdown(role) {
+  const frontmatter = [MARKDOWN_FENCE, ...formatFrontmatter(role), MARKDOWN_FENCE].join('\n');
+
+  const sections = MARKDOWN_SECTION_FIELDS
+    .filter(key => role[key])
+    .map(key => {
+      const text = role[key]
+        .split('\n')
+        .map(line => (matchSectionHeading(line) ? `\\${line}` : line))
+        .join('\n');
+      return `${getSectionHeading(key)}\n\n${text}\n`;
+    });
+
+  return `${frontmatter}\n\n${sections.join('\n')}`;
+}
+
+/**
+ * Read a role from a Markdown document
+ * @param {string} text
+ * @returns {{ role: Object, schemaVersion: number }}
+ * @throws {Error} If the document has no frontmatter or it cannot be read
+ */
+function parseRoleMarkdown(text) {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').split('\n');
+
+  if (lines[0].trim() !== MARKDOWN_FENCE) {
+    throw new Error('Missing frontmatter (the file must start with ---)');
+  }
+  const end = lines.indexOf(MARKDOWN_FENCE, 1);
+  if (end < 0) {
+    throw new Error('Frontmatter is not closed with ---');
+  }
+
+  const { schemaVersion = 0, ...role } = parseFrontmatter(lines.slice(1, end));
+
+  // Split the body at the section headings
+  const body = lines.slice(end + 1);
+  const headings = [];
+  body.forEach((line, index) => {
+    const heading = matchSectionHeading(line);
+    if (heading && heading.escapes === 0) {
+      headings.push({ field: heading.field, index });
+    }
+  });
+
+  headings.forEach((heading, i) => {
+    const next = i + 1 < headings.length ? headings[i + 1].index : body.length;
+    const sectionLines = body.slice(heading.index + 1, next);
+
+    // Drop the blank line after the heading and the one before the next
+    if (sectionLines.length && !sectionLines[0].trim()) sectionLines.shift();
+    if (sectionLines.length && !sectionLines[sectionLines.length - 1].trim()) sectionLines.pop();
+
+    role[heading.field] = sectionLines
+      .map(line => {
+        const escaped = matchSectionHeading(line);
+        return escaped && escaped.escapes > 0 ? line.slice(1) : line;
+      })
+      .join('\n');
+  });
+
+  return { role, schemaVersion };
+}
+
+// Expose globally (loaded as regular script in popup.html)
+const RoleMarkdown = {
+  serializeRole: serializeRoleMarkdown,
+  parseRole: parseRoleMarkdown
+};
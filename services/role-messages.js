@@ -0,0 +1,192 @@
+/**
+ * Role Messages
+ * Message contract between the background service worker (which owns the
+ * role repository) and the popup, side panel and content scripts
+ */
+
+/**
+ * Request messages (chrome.runtime.sendMessage):
+ * { type: ROLE_MESSAGES.LIST }                     -> Role[]
+ * { type: ROLE_MESSAGES.LIST_PAGE, offset: number, limit?: number }
+ *                                                  -> { roles: Role[], total: number }
+ *   Roles in the order of the user's role list (Settings.roleSort,
+ *   roleOrder and areaOrder); limit defaults to ROLE_PAGE_SIZE
+ * { type: ROLE_MESSAGES.GET, id: string }          -> Role|null
+ * { type: ROLE_MESSAGES.SAVE, role: Partial<Role> } -> Role
+ *   role.updatedAt is the version the edit started from; if the stored role
+ *   has changed or been deleted since, the save fails with ROLE_ERRORS.CONFLICT
+ * { type: ROLE_MESSAGES.PIN, id: string, pinned: boolean } -> Role
+ * { type: ROLE_MESSAGES.DELETE, id: string }       -> boolean
+ * { type: ROLE_MESSAGES.DELETE_MANY, ids: string[] } -> number
+ * { type: ROLE_MESSAGES.UPDATE_MANY, ids: string[], changes: { area?, addTags? } } -> Role[]
+ * { type: ROLE_MESSAGES.DUPLICATE, id: string }    -> Role
+ * { type: ROLE_MESSAGES.SYNC_STATE }               -> SyncState
+ * { type: ROLE_MESSAGES.HISTORY, id: string }      -> Revision[]
+ * { type: ROLE_MESSAGES.RESTORE, id: string, revisionId: string } -> Role
+ * { type: ROLE_MESSAGES.TRASH_LIST }               -> TrashEntry[]
+ * { type: ROLE_MESSAGES.TRASH_RESTORE, id: string } -> Role
+ * { type: ROLE_MESSAGES.TRASH_PURGE, id: string }  -> boolean
+ * { type: ROLE_MESSAGES.TRASH_EMPTY }              -> number
+ * { type: ROLE_MESSAGES.IMPORT, items: { role, action, targetId }[] }
+ *                                                  -> { added, overwritten, skipped }
+ * { type: ROLE_MESSAGES.CATALOG_ADD, catalogIds: string[] } -> Role[]
+ * { type: ROLE_MESSAGES.VARIABLES_GET, id: string } -> { [name]: string }
+ * { type: ROLE_MESSAGES.VARIABLES_SAVE, id: string, values: Object }
+ *                                                  -> { [name]: string }
+ * { type: ROLE_MESSAGES.TEMPLATES_LIST }           -> TemplateState
+ * { type: ROLE_MESSAGES.TEMPLATES_SAVE, template: Partial<Template> } -> Template
+ * { type: ROLE_MESSAGES.TEMPLATES_DELETE, id: string } -> boolean
+ * { type: ROLE_MESSAGES.TEMPLATES_SET_DEFAULT, id: string } -> TemplateState
+ * { type: ROLE_MESSAGES.SNIPPETS_LIST }            -> Snippet[]
+ * { type: ROLE_MESSAGES.SNIPPETS_SAVE, snippet: Partial<Snippet> } -> Snippet
+ * { type: ROLE_MESSAGES.SNIPPETS_DELETE, id: string } -> boolean
+ * { type: ROLE_MESSAGES.SETTINGS_GET }             -> Settings
+ * { type: ROLE_MESSAGES.SETTINGS_SAVE, changes: Partial<Settings> } -> Settings
+ * { type: ROLE_MESSAGES.AREAS_GET }                -> AreaStyles
+ * { type: ROLE_MESSAGES.AREA_STYLE, name: string, style: { color, emoji } } -> AreaStyles
+ * { type: ROLE_MESSAGES.AREA_RENAME, name: string, newName: string } -> Role[]
+ * { type: ROLE_MESSAGES.AREA_MERGE, names: string[], target: string } -> Role[]
+ * { type: ROLE_MESSAGES.AREA_DELETE, name: string } -> Role[]
+ * { type: ROLE_MESSAGES.USAGE_GET }                -> Usage
+ * { type: ROLE_MESSAGES.USAGE_RECORD, id: string, platformId: string } -> RoleUsageStats
+ * { type: ROLE_MESSAGES.USAGE_CLEAR }              -> boolean
+ * { type: ROLE_MESSAGES.VAULT_STATE }              -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_CREATE, passphrase: string } -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_UNLOCK, passphrase: string } -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_LOCK }               -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_OPTIONS, changes: { encryptAll?, timeoutMinutes? } } -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_ENCRYPT, ids: string[], encrypted: boolean } -> Role[]
+ * { type: ROLE_MESSAGES.VAULT_REMOVE }             -> VaultState
+ * { type: ROLE_MESSAGES.VAULT_OPEN }               -> true (opens Agentique next to the sending tab)
+ *
+ * Only extension pages may create, unlock, change or remove the vault:
+ * content scripts run inside the chat pages and only get VAULT_OPEN.
+ *
+ * Roles are sent decrypted. While the vault is locked, encrypted roles are
+ * sent with `locked: true` and without their content.
+ *
+ * Every request is answered with a RoleResponse:
+ * { ok: true, data: any } | { ok: false, error: string, code?: string }
+ * where code is one of ROLE_ERRORS.
+ *
+ * Subscriptions use a long-lived port named ROLE_PORT_NAME. Roles are not
+ * sent whole over it: right after the port connects the background posts
+ * { type: ROLE_MESSAGES.CHANGED, reset: true, total: number }, and after each
+ * write { type: ROLE_MESSAGES.CHANGED, put: Role[], remove: string[], total: number }
+ * with the roles the write saved and the IDs it deleted. A write that
+ * replaced every role is posted as a reset. Clients that keep roles load
+ * them with LIST_PAGE on a reset. It posts
+ * { type: ROLE_MESSAGES.SYNC_STATE_CHANGED, state: SyncState } and
+ * { type: ROLE_MESSAGES.TRASH_CHANGED, trash: TrashEntry[] },
+ * { type: ROLE_MESSAGES.TEMPLATES_CHANGED, templates: TemplateState },
+ * { type: ROLE_MESSAGES.SNIPPETS_CHANGED, snippets: Snippet[] },
+ * { type: ROLE_MESSAGES.SETTINGS_CHANGED, settings: Settings },
+ * { type: ROLE_MESSAGES.USAGE_CHANGED, usage: Usage },
+ * { type: ROLE_MESSAGES.AREAS_CHANGED, areas: AreaStyles } and
+ * { type: ROLE_MESSAGES.VAULT_CHANGED, vault: VaultState } the same way.
+ * Locking or unlocking the vault is followed by a CHANGED message with the
+ * encrypted roles.
+ * If the current state cannot be read when the port connects, the background
+ * posts { type: ROLE_MESSAGES.STATE_FAILED, error: string } instead and the
+ * client connects again to retry.
+ */
+
+const ROLE_MESSAGES = {
+  LIST: 'ROLES_LIST',
+  LIST_PAGE: 'ROLES_LIST_PAGE',
+  GET: 'ROLES_GET',
+  SAVE: 'ROLES_SAVE',
+  PIN: 'ROLES_PIN',
+  DELETE: 'ROLES_DELETE',
+  DELETE_MANY: 'ROLES_DELETE_MANY',
+  UPDATE_MANY: 'ROLES_UPDATE_MANY',
+  DUPLICATE: 'ROLES_DUPLICATE',
+  SYNC_STATE: 'ROLES_SYNC_STATE',
+  HISTORY: 'ROLES_HISTORY',
+  RESTORE: 'ROLES_RESTORE',
+  TRASH_LIST: 'ROLES_TRASH_LIST',
+  TRASH_RESTORE: 'ROLES_TRASH_RESTORE',
+  TRASH_PURGE: 'ROLES_TRASH_PURGE',
+  TRASH_EMPTY: 'ROLES_TRASH_EMPTY',
+  IMPORT: 'ROLES_IMPORT',
+  CATALOG_ADD: 'ROLES_CATALOG_ADD',
+  VARIABLES_GET: 'ROLES_VARIABLES_GET',
+  VARIABLES_SAVE: 'ROLES_VARIABLES_SAVE',
+  TEMPLATES_LIST: 'ROLES_TEMPLATES_LIST',
+  TEMPLATES_SAVE: 'ROLES_TEMPLATES_SAVE',
+  TEMPLATES_DELETE: 'ROLES_TEMPLATES_DELETE',
+  TEMPLATES_SET_DEFAULT: 'ROLES_TEMPLATES_SET_DEFAULT',
+  SNIPPETS_LIST: 'ROLES_SNIPPETS_LIST',
+  SNIPPETS_SAVE: 'ROLES_SNIPPETS_SAVE',
+  SNIPPETS_DELETE: 'ROLES_SNIPPETS_DELETE',
+  SETTINGS_GET: 'ROLES_SETTINGS_GET',
+  SETTINGS_SAVE: 'ROLES_SETTINGS_SAVE',
+  AREAS_GET: 'ROLES_AREAS_GET',
+  AREA_STYLE: 'ROLES_AREA_STYLE',
+  AREA_RENAME: 'ROLES_AREA_RENAME',
+  AREA_MERGE: 'ROLES_AREA_MERGE',
+  AREA_DELETE: 'ROLES_AREA_DELETE',
+  USAGE_GET: 'ROLES_USAGE_GET',
+  USAGE_RECORD: 'ROLES_USAGE_RECORD',
+  USAGE_CLEAR: 'ROLES_USAGE_CLEAR',
+  VAULT_STATE: 'ROLES_VAULT_STATE',
+  VAULT_CREATE: 'ROLES_VAULT_CREATE',
+  VAULT_UNLOCK: 'ROLES_VAULT_UNLOCK',
+  VAULT_LOCK: 'ROLES_VAULT_LOCK',
+  VAULT_OPTIONS: 'ROLES_VAULT_OPTIONS',
+  VAULT_ENCRYPT: 'ROLES_VAULT_ENCRYPT',
+  VAULT_REMOVE: 'ROLES_VAULT_REMOVE',
+  VAULT_OPEN: 'ROLES_VAULT_OPEN',
+  CHANGED: 'ROLES_CHANGED',
+  SYNC_STATE_CHANGED: 'ROLES_SYNC_STATE_CHANGED',
+  TRASH_CHANGED: 'ROLES_TRASH_CHANGED',
+  TEMPLATES_CHANGED: 'ROLES_TEMPLATES_CHANGED',
+  SNIPPETS_CHANGED: 'ROLES_SNIPPETS_CHANGED',
+  SETTINGS_CHANGED: 'ROLES_SETTINGS_CHANGED',
+  USAGE_CHANGED: 'ROLES_USAGE_CHANGED',
+  AREAS_CHANGED: 'ROLES_AREAS_CHANGED',
+  VAULT_CHANGED: 'ROLES_VAULT_CHANGED',
+  STATE_FAILED: 'ROLES_STATE_FAILED'
+};
+
+const ROLE_PORT_NAME = 'agentique-roles';
+
+// Roles per page when roles are loaded or shown a page at a time
+const ROLE_PAGE_SIZE = 50;
+
+// Values of RoleResponse.code
+const ROLE_ERRORS = {
+  CONFLICT: 'conflict' // The role changed in another window since the edit started
+};
+
+// Values of SyncState.status
+const SYNC_STATUS = {
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  TOO_LARGE: 'too_large',
+  ERROR: 'error'
+};
+
+// Days a deleted role stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = 30;
+
+// Orders for role lists (Settings.roleSort)
+const ROLE_SORTS = {
+  DEFAULT: 'default',
+  MOST_USED: 'most_used',
+  RECENT: 'recent'
+};
+
+// Minutes an unlocked vault stays unlocked (VaultState.timeoutMinutes)
+const VAULT_TIMEOUTS = [5, 15, 60, 240];
+
+// Shortest vault passphrase accepted
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// What to do with each role in an import
+const IMPORT_ACTIONS = {
+  ADD: 'add',
+  SKIP: 'skip',
+  OVERWRITE: 'overwrite',
+  KEEP_BOTH: 'keep_both'
+};
@@ -0,0 +1,316 @@
+/**
+ * Role Schema
+ * Single definition of the role object shape, its defaults, the rules every
+ * saved role must follow and the ordered migrations that upgrade roles
+ * stored by older versions of the extension.
+ * Pure functions only - storage access lives in role-storage.js
+ */
+
+/**
+ * Current schema version
+ * Bump this and append a migration whenever the role shape changes.
+ */
+const ROLE_SCHEMA_VERSION = 8;
+
+/**
+ * Role fields
+ * type: 'string' | 'list' (string[]) | 'number' | 'boolean' | 'map' ({ [key]: string })
+ * default: value used when the field is missing (omitted for generated fields)
+ * label: display name for user-editable fields (omitted for internal fields)
+ * maxLength: longest allowed text, per entry for lists
+ * maxItems: most entries allowed in a list
+ */
+const ROLE_FIELDS = {
+  id: { type: 'string' },
+  name: { type: 'string', default: '', label: 'Name', maxLength: 100 },
+  area: { type: 'string', default: '', label: 'Area', maxLength: 50 },
+  tags: { type: 'list', default: [], label: 'Tags', maxLength: 30, maxItems: 20 },
+  pinned: { type: 'boolean', default: false },  // shown first in role lists
+  description: { type: 'string', default: '', label: 'Description', maxLength: 1000 },
+  skills: { type: 'list', default: [], label: 'Skills', maxLength: 500, maxItems: 50 },
+  tools: { type: 'list', default: [], label: 'Tools', maxLength: 500, maxItems: 50 },
+  constraints: { type: 'list', default: [], label: 'Constraints', maxLength: 500, maxItems: 50 },
+  behavior: { type: 'string', default: '', label: 'Behavior & Tonality', maxLength: 5000 },
+  moreInfo: { type: 'string', default: '', label: 'Additional Information', maxLength: 10000 },
+  snippetIds: { type: 'list', default: [], label: 'Snippets', maxItems: 20 }, // appended to moreInfo on injection
+  parentId: { type: 'string', default: '', label: 'Parent Role' },
+  mergeRules: { type: 'map', default: {}, label: 'Merge Rules' },
+  variables: { type: 'map', default: {}, label: 'Variable Defaults' },
+  templateId: { type: 'string', default: '', label: 'Injection Template' },
+  catalogId: { type: 'string', default: '' },       // catalog entry the role was added from
+  catalogVersion: { type: 'number', default: 0 },   // catalog entry version last written
+  catalogSyncedAt: { type: 'number', default: 0 },  // updatedAt of the last catalog write
+  encrypted: { type: 'boolean', default: false },   // content is sealed with the vault key
+  vault: { type: 'map', default: {} },              // encrypted content ({ iv, data }) while sealed
+  createdAt: { type: 'number' },
+  updatedAt: { type: 'number' }
+};
+
+/**
+ * Coerce a value to a field type, falling back to the field default
+ * @param {any} value
+ * @param {Object} field - Entry of ROLE_FIELDS
+ * @returns {any}
+ */
+function coerceField(value, field) {
+  let fallback = field.default;
+  if (Array.isArray(field.default)) {
+    fallback = [...field.default];
+  } else if (field.type === 'map') {
+    fallback = { ...field.default };
+  }
+
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  switch (field.type) {
+    case 'list':
+      if (Array.isArray(value)) {
+        return value.filter(item => item !== null && item !== undefined).map(String);
+      }
+      // Older builds stored lists as newline-separated text
+      if (typeof value === 'string') {
+        return value.split('\n').map(item => item.trim()).filter(Boolean);
+      }
+      return fallback;
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? value : fallback;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fallback;
+    case 'map':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fallback;
+      }
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([, item]) => item !== null && item !== undefined)
+          .map(([key, item]) => [key, String(item)])
+      );
+    default:
+      return typeof value === 'string' ? value : String(value);
+  }
+}
+
+/**
+ * Fill in defaults and coerce known fields; unknown fields are kept as-is
+ * @param {Object} data
+ * @returns {Object}
+ */
+function applyRoleDefaults(data = {}) {
+  const role = { ...data };
+
+  Object.entries(ROLE_FIELDS).forEach(([key, field]) => {
+    const value = coerceField(data[key], field);
+    if (value === undefined) {
+      delete role[key];
+    } else {
+      role[key] = value;
+    }
+  });
+
+  return role;
+}
+
+/**
+ * Check that a value has a field's type
+ * @param {any} value
+ * @param {Object} field - Entry of ROLE_FIELDS
+ * @returns {boolean}
+ */
+function hasFieldType(value, field) {
+  switch (field.type) {
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'map':
+      return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+        Object.values(value).every(item => typeof item === 'string');
+    default:
+      return typeof value === 'string';
+  }
+}
+
+const FIELD_TYPE_NAMES = {
+  string: 'text',
+  list: 'a list of texts',
+  number: 'a number',
+  boolean: 'true or false',
+  map: 'a set of named texts'
+};
+
+/**
+ * Validate a role before it is saved
+ * Checks field types, lengths, repeated list entries and - when the other
+ * roles are given - that no other role in the same area has the same name.
+ * Names and list entries are compared trimmed and case-insensitively.
+ * @param {Object} role
+ * @param {Role[]|null} roles - All stored roles (the role itself is skipped
+ *   by id); null skips the name check
+ * @returns {{ [fieldKey: string]: string }} First error per field, empty when valid
+ */
+function validateRole(role, roles = null) {
+  const errors = {};
+  const normalize = (text) => text.trim().toLowerCase();
+
+  Object.entries(ROLE_FIELDS).forEach(([key, field]) => {
+    const value = role[key];
+    const label = field.label || key;
+    if (value === undefined) return;
+
+    if (!hasFieldType(value, field)) {
+      errors[key] = `${label} must be ${FIELD_TYPE_NAMES[field.type]}`;
+    } else if (field.type === 'string' && field.maxLength && value.length > field.maxLength) {
+      errors[key] = `${label} is too long (${value.length} of ${field.maxLength} characters)`;
+    } else if (field.type === 'list') {
+      const tooLong = value.find(item => field.maxLength && item.length > field.maxLength);
+      const duplicate = value.find((item, index) => value.findIndex(other => normalize(other) === normalize(item)) !== index);
+
+      if (field.maxItems && value.length > field.maxItems) {
+        errors[key] = `${label} has too many entries (${value.length} of ${field.maxItems})`;
+      } else if (tooLong) {
+        errors[key] = `"${tooLong.slice(0, 30)}..." is too long (${tooLong.length} of ${field.maxLength} characters)`;
+      } else if (duplicate) {
+        errors[key] = `"${duplicate.trim()}" is listed more than once`;
+      }
+    }
+  });
+
+  if (!errors.name && !(role.name || '').trim()) {
+    errors.name = 'Name is required';
+  }
+
+  if (!errors.name && !errors.area && roles) {
+    const name = normalize(role.name);
+    const area = (role.area || '').trim();
+    const taken = roles.some(other => other.id !== role.id &&
+      (other.area || '').trim() === area && normalize(other.name || '') === name);
+    if (taken) {
+      errors.name = area
+        ? `Another role in ${area} is already named "${role.name.trim()}"`
+        : `Another role without an area is already named "${role.name.trim()}"`;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * A name no other role in the area has, numbering copies like "Name (2)"
+ * @param {string} name
+ * @param {string} area
+ * @param {Role[]} roles
+ * @returns {string}
+ */
+function getAvailableRoleName(name, area, roles) {
+  const taken = new Set(roles
+    .filter(role => (role.area || '').trim() === (area || '').trim())
+    .map(role => (role.name || '').trim().toLowerCase()));
+
+  let candidate = name.trim();
+  for (let number = 2; taken.has(candidate.toLowerCase()); number++) {
+    candidate = `${name.trim()} (${number})`;
+  }
+  return candidate;
+}
+
+/**
+ * Ordered migrations
+ * Each migration upgrades a single role from (version - 1) to version.
+ * Migrations must be pure and must throw on data they cannot handle.
+ */
+const ROLE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize roles saved before schema versioning',
+    migrate: (role) => {
+      if (!role || typeof role !== 'object' || !role.id) {
+        throw new Error('Role without id');
+      }
+      const now = Date.now();
+      return applyRoleDefaults({
+        ...role,
+        createdAt: role.createdAt || role.updatedAt || now,
+        updatedAt: role.updatedAt || role.createdAt || now
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add parent role and inheritance merge rules',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 3,
+    description: 'Add default values for {{variables}}',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 4,
+    description: 'Add per-role injection template',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 5,
+    description: 'Track roles added from the starter catalog',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 6,
+    description: 'Add tags and pinning',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 7,
+    description: 'Add passphrase encryption',
+    migrate: (role) => applyRoleDefaults(role)
+  },
+  {
+    version: 8,
+    description: 'Add snippet references',
+    migrate: (role) => applyRoleDefaults(role)
+  }
+];
+
+/**
+ * Run all migrations newer than fromVersion on a copy of the roles
+ * @param {Object[]} roles
+ * @param {number} fromVersion
+ * @returns {Object[]} Migrated roles (input is never modified)
+ * @throws {Error} If a migration fails or fromVersion is newer than this build
+ */
+function migrateRoles(roles, fromVersion) {
+  if (fromVersion > ROLE_SCHEMA_VERSION) {
+    throw new Error(`Roles use schema version ${fromVersion}, newer than supported ${ROLE_SCHEMA_VERSION}`);
+  }
+
+  let migrated = JSON.parse(JSON.stringify(roles || []));
+
+  ROLE_MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      migrated = migrated.map((role, index) => {
+        try {
+          return migration.migrate(role);
+        } catch (error) {
+          throw new Error(`Migration ${migration.version} failed for role ${index}: ${error.message}`);
+        }
+      });
+    });
+
+  return migrated;
+}
+
+// Expose globally (loaded via importScripts in background.js and as regular script in popup.html)
+const RoleSchema = {
+  ROLE_SCHEMA_VERSION,
+  ROLE_FIELDS,
+  applyRoleDefaults,
+  validateRole,
+  getAvailableRoleName,
+  migrateRoles
+};
@@ -0,0 +1,284 @@
+/**
+ * Role Search
+ * Full-text search over roles: matches every query word across the role's
+ * text fields, tolerates typos, ranks the results and reports the matched
+ * text ranges for highlighting. Shared by the popup list and the in-page
+ * dropdown so both find roles the same way.
+ * Pure functions only - loaded as regular script in popup.html and as
+ * content script
+ */
+
+/**
+ * Search Result Schema:
+ * {
+ *   role: Role,
+ *   score: number,   // higher ranks first
+ *   fields: {
+ *     [fieldKey]: {
+ *       text: string,               // searched text (list fields joined)
+ *       ranges: [number, number][]  // matched [start, end), sorted, merged
+ *     }
+ *   }
+ * }
+ */
+
+// Searched fields, in the order matches are reported
+const SEARCH_FIELDS = [
+  { key: 'name', label: 'Name', weight: 10 },
+  { key: 'area', label: 'Area', weight: 6 },
+  { key: 'description', label: 'Description', weight: 4 },
+  { key: 'skills', label: 'Skills', weight: 3 },
+  { key: 'tools', label: 'Tools', weight: 3 },
+  { key: 'constraints', label: 'Constraints', weight: 2 }
+];
+
+// How well a query word matched, multiplied by the field weight
+const MATCH_QUALITY = {
+  WORD_START: 1,
+  INSIDE_WORD: 0.6,
+  TYPO: 0.4
+};
+
+const NAME_PREFIX_BONUS = 5;    // the name starts with the whole query
+const SNIPPET_RADIUS = 30;      // characters kept around the first match
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a query into lowercase words
+ * @param {string} query
+ * @returns {string[]}
+ */
+function tokenizeQuery(query) {
+  const words = (query || '').toLowerCase().match(WORD_PATTERN) || [];
+  return [...new Set(words)];
+}
+
+/**
+ * Text of a role field as searched and highlighted
+ * @param {Role} role
+ * @param {string} key
+ * @returns {string}
+ */
+function getSearchText(role, key) {
+  const value = role[key];
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+}
+
+/**
+ * Typos allowed for a query word - short words must match exactly
+ * @param {string} term
+ * @returns {number}
+ */
+function getAllowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find a query word in a text
+ * Exact occurrences win; otherwise words within the allowed typos match,
+ * including words the query word is a mistyped start of.
+ * @param {string} term - Lowercase query word
+ * @param {string} lowerText - Lowercase text
+ * @returns {{ quality: number, ranges: [number, number][] }|null}
+ */
+function matchTerm(term, lowerText) {
+  const ranges = [];
+  let quality = 0;
+
+  let index = lowerText.indexOf(term);
+  while (index >= 0) {
+    ranges.push([index, index + term.length]);
+    const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(lowerText[index - 1]);
+    quality = Math.max(quality, atWordStart ? MATCH_QUALITY.WORD_START : MATCH_QUALITY.INSIDE_WORD);
+    index = lowerText.indexOf(term, index + term.length);
+  }
+  if (ranges.length > 0) {
+    return { quality, ranges };
+  }
+
+  const allowed = getAllowedTypos(term);
+  if (allowed === 0) return null;
+
+  for (const word of lowerText.matchAll(WORD_PATTERN)) {
+    const text = word[0];
+    const candidates = [text, text.slice(0, term.length - 1), text.slice(0, term.length), text.slice(0, term.length + 1)];
+    const distance = Math.min(...candidates.map(candidate => getEditDistance(term, candidate)));
+    if (distance <= allowed) {
+      ranges.push([word.index, word.index + text.length]);
+    }
+  }
+
+  return ranges.length > 0 ? { quality: MATCH_QUALITY.TYPO, ranges } : null;
+}
+
+/**
+ * Sort ranges and merge the overlapping ones
+ * @param {[number, number][]} ranges
+ * @returns {[number, number][]}
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Search roles
+ * Every query word has to match one of the searched fields. Results are
+ * ranked by where and how well the words matched, then by name.
+ * @param {Role[]} roles
+ * @param {string} query
+ * @returns {SearchResult[]} Empty query returns all roles unranked
+ */
+function searchRoles(roles, query) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) {
+    return roles.map(role => ({ role, score: 0, fields: {} }));
+  }
+
+  const wholeQuery = terms.join(' ');
+  const results = [];
+
+  roles.forEach(role => {
+    const texts = SEARCH_FIELDS
+      .map(field => {
+        const text = getSearchText(role, field.key);
+        return { field, text, lowerText: text.toLowerCase() };
+      })
+      .filter(entry => entry.text);
+
+    const fields = {};
+    let score = 0;
+
+    const allMatched = terms.every(term => {
+      let termScore = 0;
+      texts.forEach(({ field, text, lowerText }) => {
+        const match = matchTerm(term, lowerText);
+        if (!match) return;
+
+        termScore = Math.max(termScore, field.weight * match.quality);
+        if (!fields[field.key]) {
+          fields[field.key] = { text, ranges: [] };
+        }
+        fields[field.key].ranges.push(...match.ranges);
+      });
+      score += termScore;
+      return termScore > 0;
+    });
+
+    if (!allMatched) return;
+
+    Object.values(fields).forEach(match => {
+      match.ranges = mergeRanges(match.ranges);
+    });
+    if ((role.name || '').toLowerCase().startsWith(wholeQuery)) {
+      score += NAME_PREFIX_BONUS;
+    }
+
+    results.push({ role, score, fields });
+  });
+
+  return results.sort((a, b) => b.score - a.score || (a.role.name || '').localeCompare(b.role.name || ''));
+}
+
+/**
+ * Shorten a field match to the text around its first matched range
+ * @param {{ text: string, ranges: [number, number][] }} match
+ * @param {number} radius - Characters kept before and after the first range
+ * @returns {{ text: string, ranges: [number, number][] }}
+ */
+function getSnippet(match, radius = SNIPPET_RADIUS) {
+  const { text, ranges } = match;
+  if (ranges.length === 0) {
+    return { text, ranges };
+  }
+
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length])
+  };
+}
+
+/**
+ * Snippet of the first matched field among the given ones
+ * Used to show why a role matched when the field is not otherwise visible.
+ * @param {SearchResult} result
+ * @param {string[]} keys - Field keys, see SEARCH_FIELDS
+ * @returns {{ key: string, label: string, text: string, ranges: [number, number][] }|null}
+ */
+function getMatchSnippet(result, keys) {
+  const field = SEARCH_FIELDS.find(entry => keys.includes(entry.key) && result.fields[entry.key]);
+  if (!field) return null;
+
+  return { key: field.key, label: field.label, ...getSnippet(result.fields[field.key]) };
+}
+
+/**
+ * Split text into plain and highlighted parts
+ * @param {string} text
+ * @param {[number, number][]} ranges - Sorted, not overlapping
+ * @returns {{ text: string, highlighted: boolean }[]}
+ */
+function splitHighlights(text, ranges = []) {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      parts.push({ text: text.slice(position, start), highlighted: false });
+    }
+    parts.push({ text: text.slice(start, end), highlighted: true });
+    position = end;
+  });
+  if (position < text.length) {
+    parts.push({ text: text.slice(position), highlighted: false });
+  }
+
+  return parts;
+}
+
+// Expose globally (loaded as regular script in popup.html and as content script)
+const RoleSearch = {
+  SEARCH_FIELDS,
+  searchRoles,
+  getSnippet,
+  getMatchSnippet,
+  splitHighlights
+};
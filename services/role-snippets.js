@@ -0,0 +1,100 @@
+/**
+ * Role Snippets
+ * Reusable blocks of context (company background, style guide, glossary)
+ * kept once in a snippet library. Roles reference snippets by id in
+ * role.snippetIds; the bodies are appended to the role's Additional
+ * Information when it is injected, so editing a snippet changes every role
+ * that uses it.
+ * Pure functions only - loaded via importScripts in background.js, as regular
+ * script in popup.html and as content script
+ */
+
+/**
+ * Snippet Schema:
+ * {
+ *   id: string,
+ *   name: string,
+ *   body: string,
+ *   createdAt: number,
+ *   updatedAt: number
+ * }
+ */
+
+const SNIPPET_NAME_MAX_LENGTH = 100;
+const SNIPPET_BODY_MAX_LENGTH = 10000;
+
+/**
+ * Validate a snippet before it is saved
+ * @param {Partial<Snippet>} snippet
+ * @param {Snippet[]} snippets - All stored snippets (the snippet itself is skipped by id)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSnippet(snippet, snippets = []) {
+  const name = (snippet.name || '').trim();
+  const body = snippet.body || '';
+
+  if (!name) {
+    return 'Snippet name is required';
+  }
+  if (name.length > SNIPPET_NAME_MAX_LENGTH) {
+    return `Snippet name is too long (${name.length} of ${SNIPPET_NAME_MAX_LENGTH} characters)`;
+  }
+  if (!body.trim()) {
+    return 'Snippet text is required';
+  }
+  if (body.length > SNIPPET_BODY_MAX_LENGTH) {
+    return `Snippet text is too long (${body.length} of ${SNIPPET_BODY_MAX_LENGTH} characters)`;
+  }
+  if (snippets.some(other => other.id !== snippet.id && other.name.trim().toLowerCase() === name.toLowerCase())) {
+    return `Another snippet is already named "${name}"`;
+  }
+  return null;
+}
+
+/**
+ * Snippets a role references, in the role's order
+ * References to deleted snippets are skipped.
+ * @param {Role} role
+ * @param {Snippet[]} snippets
+ * @returns {Snippet[]}
+ */
+function getRoleSnippets(role, snippets = []) {
+  const byId = new Map(snippets.map(snippet => [snippet.id, snippet]));
+  return (role.snippetIds || []).map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Append the referenced snippet bodies to the role's Additional Information
+ * @param {Role} role
+ * @param {Snippet[]} snippets
+ * @returns {Role} Copy of the role without snippet references
+ */
+function expandSnippets(role, snippets = []) {
+  const bodies = getRoleSnippets(role, snippets).map(snippet => snippet.body.trim());
+  if (bodies.length === 0) {
+    return { ...role, snippetIds: [] };
+  }
+
+  const moreInfo = [(role.moreInfo || '').trim(), ...bodies].filter(Boolean).join('\n\n');
+  return { ...role, moreInfo, snippetIds: [] };
+}
+
+/**
+ * Roles that reference a snippet
+ * @param {string} snippetId
+ * @param {Role[]} roles
+ * @returns {Role[]}
+ */
+function getSnippetUsers(snippetId, roles = []) {
+  return roles.filter(role => (role.snippetIds || []).includes(snippetId));
+}
+
+// Expose globally (loaded via importScripts in background.js, as regular script in popup.html and as content script)
+const RoleSnippets = {
+  SNIPPET_NAME_MAX_LENGTH,
+  SNIPPET_BODY_MAX_LENGTH,
+  validateSnippet,
+  getRoleSnippets,
+  expandSnippets,
+  getSnippetUsers
+};
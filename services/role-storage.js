@@ -1,27 +1,33 @@
 /**
  * Role Storage Service
- * Manages roles using Chrome storage sync with local fallback
+ * Role repository backed by IndexedDB (services/role-database.js), one
+ * record per role, next to their history. Trash and schema version stay in
+ * chrome.storage.local.
+ * Loaded only by the background service worker - other contexts go through
+ * RoleClient (services/role-client.js) so everyone reads the same store.
+ * Roles are stored as RoleVault seals them: encrypted roles come back from
+ * here with their content in `vault`, RoleVault.revealRole() decrypts them.
  */
 
 /**
- * Role Schema:
- * {
- *   id: string,
- *   name: string,
- *   area: string,
- *   description: string,
- *   skills: string[],
- *   tools: string[],
- *   constraints: string[],
- *   behavior: string,
- *   moreInfo: string,
- *   createdAt: number,
- *   updatedAt: number
- * }
+ * Role Schema: see ROLE_FIELDS in services/role-schema.js
+ * Requires: services/role-schema.js, services/role-history.js, services/role-trash.js,
+ *           services/role-inheritance.js, services/role-variables.js,
+ *           services/format-profiles.js, services/role-snippets.js,
+ *           services/role-template.js, services/role-catalog.js,
+ *           services/area-storage.js, services/settings-storage.js,
+ *           services/snippet-storage.js,
+ *           services/role-vault.js, services/role-grouping.js,
+ *           services/write-queue.js, services/role-database.js
  */
 
-const STORAGE_KEY = 'agentique_roles';
-const SYNC_QUOTA_BYTES = 102400; // 100KB sync quota
+// Roles were kept as one array under this key before the role database;
+// migrateStoredRoles() moves them over and removes it
+const LEGACY_STORAGE_KEY = 'agentique_roles';
+const SCHEMA_VERSION_KEY = 'agentique_schema_version';
+
+// Callbacks of onRolesChanged()
+const rolesChangedListeners = new Set();
 
 /**
  * Generate unique ID for a role
@@ -38,29 +44,67 @@ function generateId() {
  */
 function createRole(data = {}) {
   const now = Date.now();
-  return {
+  const role = {};
+
+  // Only schema fields make it into a new role
+  Object.keys(RoleSchema.ROLE_FIELDS).forEach(key => {
+    role[key] = data[key];
+  });
+
+  return RoleSchema.applyRoleDefaults({
+    ...role,
     id: data.id || generateId(),
-    name: data.name || '',
-    area: data.area || '',
-    description: data.description || '',
-    skills: data.skills || [],
-    tools: data.tools || [],
-    constraints: data.constraints || [],
-    behavior: data.behavior || '',
-    moreInfo: data.moreInfo || '',
     createdAt: data.createdAt || now,
     updatedAt: data.updatedAt || now
-  };
+  });
+}
+
+/**
+ * Throw if a role breaks the schema rules
+ * Every write runs this on the roles it changes, against the role set it
+ * is about to store. For an existing role only the fields the write changes
+ * are checked (the name also when the area changes), so a role that predates
+ * a rule does not block writes that leave it as it is.
+ * @param {Role} role
+ * @param {Role[]|null} roles - Roles after the write; null skips the name check
+ * @param {Role|null} [previous] - The role as stored before the write
+ * @throws {Error} Naming the role and its problems
+ */
+function assertValidRole(role, roles, previous = null) {
+  const isChanged = (key) => !previous ||
+    JSON.stringify(role[key]) !== JSON.stringify(previous[key]) ||
+    (key === 'name' && role.area !== previous.area);
+  const errors = Object.entries(RoleSchema.validateRole(role, roles))
+    .filter(([key]) => isChanged(key))
+    .map(([, error]) => error);
+  if (errors.length > 0) {
+    throw new Error(`Invalid role "${role.name || 'Untitled Role'}": ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Decrypt a stored role that is about to be edited
+ * @param {Role} role - Stored role
+ * @returns {Promise<Role>}
+ * @throws {Error} If the role is encrypted and the vault is locked
+ */
+async function revealForEdit(role) {
+  const revealed = await RoleVault.revealRole(role);
+  if (revealed.locked) {
+    throw new Error(`Unlock the vault to change "${role.name}"`);
+  }
+  return revealed;
 }
 
 /**
- * Check if data fits in sync storage
- * @param {Object} data
- * @returns {boolean}
+ * Encrypt roles that are about to be added
+ * While the vault encrypts all roles, every added role is encrypted.
+ * @param {Role[]} roles - Readable roles
+ * @returns {Promise<Role[]>} Roles as they are stored
  */
-function fitsInSync(data) {
-  const size = new Blob([JSON.stringify(data)]).size;
-  return size < SYNC_QUOTA_BYTES;
+async function sealNewRoles(roles) {
+  const encryptAll = await RoleVault.isEncryptAll();
+  return Promise.all(roles.map(role => RoleVault.sealRole(encryptAll ? { ...role, encrypted: true } : role)));
 }
 
 /**
@@ -80,19 +124,20 @@ function withTimeout(promise, ms) {
 
 /**
  * Get all roles
+ * Never falls back to an empty list: writes, sync and export would take it
+ * for a user without roles.
  * @returns {Promise<Role[]>}
+ * @throws {Error} If the role database cannot be read in time
  */
 async function getAllRoles() {
   try {
-    // Use local storage directly - it's faster and more reliable
-    const result = await withTimeout(
-      chrome.storage.local.get(STORAGE_KEY),
+    return await withTimeout(
+      RoleDatabase.getAllRecords(),
       2000 // 2 second timeout
     );
-    return result[STORAGE_KEY] || [];
   } catch (error) {
     console.error('[RoleStorage] Failed to get roles:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -102,42 +147,143 @@ async function getAllRoles() {
  * @returns {Promise<Role|null>}
  */
 async function getRole(id) {
+  try {
+    return await withTimeout(
+      RoleDatabase.getRecord(id),
+      2000 // 2 second timeout
+    );
+  } catch (error) {
+    console.error('[RoleStorage] Failed to get role:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the roles of an area
+ * Reads the area index, so checking a name does not load every role.
+ * @param {string} area - '' for roles without an area
+ * @returns {Promise<Role[]>}
+ * @throws {Error} If the role database cannot be read in time
+ */
+async function getRolesByArea(area) {
+  try {
+    return await withTimeout(
+      RoleDatabase.getRecordsBy(RoleDatabase.ROLE_INDEXES.AREA, area || ''),
+      2000 // 2 second timeout
+    );
+  } catch (error) {
+    console.error('[RoleStorage] Failed to get roles by area:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of roles in the order the role list shows them
+ * Lets a list show its first roles before the rest are loaded, without
+ * moving them once the rest arrives. Every page reads the whole set: the
+ * list order (pinned roles, the user's area order, usage) has no index.
+ * @param {number} offset - Roles to skip
+ * @param {number} [limit=ROLE_PAGE_SIZE]
+ * @param {Object} [order] - The list's order, as RoleGrouping.groupRoles() takes it
+ * @returns {Promise<{ roles: Role[], total: number }>}
+ */
+async function getRolePage(offset, limit = ROLE_PAGE_SIZE, order = {}) {
   const roles = await getAllRoles();
-  return roles.find(role => role.id === id) || null;
+  const ordered = RoleGrouping.groupRoles(roles, order).flatMap(group => group.roles);
+  return { roles: ordered.slice(offset, offset + limit), total: roles.length };
+}
+
+/**
+ * Count the stored roles
+ * @returns {Promise<number>}
+ */
+async function countRoles() {
+  return withTimeout(
+    RoleDatabase.countRecords(),
+    2000 // 2 second timeout
+  );
+}
+
+/**
+ * Write role records and tell onRolesChanged() subscribers what was written
+ * @param {{ put?: Role[], remove?: string[], replace?: boolean }} changes
+ * @returns {Promise<void>}
+ */
+async function writeRoles(changes) {
+  await withTimeout(
+    RoleDatabase.writeRecords(changes),
+    2000 // 2 second timeout
+  );
+
+  rolesChangedListeners.forEach(callback => callback(changes));
+}
+
+/**
+ * Throw if a role was changed or deleted since an edit read it
+ * @param {Role|undefined} stored - The stored role, if it still exists
+ * @param {Partial<Role>} roleData - The edit, with the updatedAt it started from
+ * @throws {Error} With code ROLE_ERRORS.CONFLICT
+ */
+function assertUnchangedSince(stored, roleData) {
+  if (stored && stored.updatedAt === roleData.updatedAt) {
+    return;
+  }
+
+  const name = (stored || roleData).name || 'Untitled Role';
+  const error = new Error(`"${name}" was ${stored ? 'changed' : 'deleted'} in another window since you opened it`);
+  error.code = ROLE_ERRORS.CONFLICT;
+  throw error;
 }
 
 /**
  * Save a role (create or update)
+ * roleData is readable; encrypted roles are encrypted before they are stored.
+ * An update that carries updatedAt only succeeds if the stored role is still
+ * at that version, so an edit cannot silently overwrite a newer one.
  * @param {Partial<Role>} roleData
- * @returns {Promise<Role>}
+ * @returns {Promise<Role>} The role as stored
+ * @throws {Error} With code ROLE_ERRORS.CONFLICT if the role changed meanwhile
  */
 async function saveRole(roleData) {
-  const roles = await getAllRoles();
-  const existingIndex = roles.findIndex(r => r.id === roleData.id);
+  const stored = roleData.id
+    ? await withTimeout(RoleDatabase.getRecord(roleData.id), 2000) // 2 second timeout
+    : null;
+
+  if (roleData.id && roleData.updatedAt) {
+    assertUnchangedSince(stored, roleData);
+  }
+
+  // Only a new parent can close a cycle, and only then are all roles needed
+  if (roleData.parentId && (!stored || roleData.parentId !== stored.parentId) &&
+      RoleInheritance.createsCycle(roleData.id, roleData.parentId, await getAllRoles())) {
+    throw new Error('A role cannot extend itself or one of the roles that extend it');
+  }
 
+  const { locked, updatedAt, ...fields } = roleData;
   let role;
-  if (existingIndex >= 0) {
-    // Update existing
-    role = {
-      ...roles[existingIndex],
-      ...roleData,
-      updatedAt: Date.now()
+  if (stored) {
+    // Update existing, keeping the previous state in history
+    const previous = await revealForEdit(stored);
+    const next = {
+      ...previous,
+      ...fields,
+      vault: {},
+      // Always a new version, even for two saves within a millisecond
+      updatedAt: Math.max(Date.now(), previous.updatedAt + 1)
     };
-    roles[existingIndex] = role;
+    assertValidRole(next, await getRolesByArea(next.area), previous);
+    role = await RoleVault.sealRole(next);
+    await RoleHistory.recordRevision(previous, next, stored);
   } else {
     // Create new
-    role = createRole(roleData);
-    roles.push(role);
+    const encrypted = typeof fields.encrypted === 'boolean' ? fields.encrypted : await RoleVault.isEncryptAll();
+    const next = createRole({ ...fields, encrypted, vault: {} });
+    assertValidRole(next, await getRolesByArea(next.area));
+    role = await RoleVault.sealRole(next);
   }
 
-  // Save to local storage with timeout
-  const data = { [STORAGE_KEY]: roles };
-
   try {
-    await withTimeout(
-      chrome.storage.local.set(data),
-      2000 // 2 second timeout
-    );
+    await writeRoles({ put: [role] });
     console.log('[RoleStorage] Saved:', role.name);
   } catch (error) {
     console.error('[RoleStorage] Failed to save:', error);
@@ -147,141 +293,854 @@ async function saveRole(roleData) {
   return role;
 }
 
+/**
+ * Pin or unpin a role
+ * Pinning is not a content edit: it is not kept in history and does not stop
+ * catalog updates for the role.
+ * @param {string} id
+ * @param {boolean} pinned
+ * @returns {Promise<Role>}
+ */
+async function setRolePinned(id, pinned) {
+  const roles = await getAllRoles();
+  const index = roles.findIndex(r => r.id === id);
+  if (index < 0) {
+    throw new Error('Role not found');
+  }
+
+  // Bump updatedAt so sync picks the change up
+  const now = Date.now();
+  const role = roles[index];
+  const untouchedCatalogRole = role.catalogId && !RoleCatalog.isCatalogRoleEdited(role);
+  roles[index] = {
+    ...role,
+    pinned: Boolean(pinned),
+    updatedAt: now,
+    ...(untouchedCatalogRole ? { catalogSyncedAt: now } : {})
+  };
+
+  try {
+    await writeRoles({ put: [roles[index]] });
+    console.log('[RoleStorage]', pinned ? 'Pinned:' : 'Unpinned:', role.name);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to pin role:', error);
+    throw error;
+  }
+
+  return roles[index];
+}
+
+/**
+ * Delete a snippet and drop it from the roles that reference it
+ * Like pinning, dropping a reference is not kept in history.
+ * @param {string} id - Snippet ID
+ * @returns {Promise<boolean>} False if there was no such snippet
+ */
+async function deleteSnippetFromRoles(id) {
+  const now = Date.now();
+  const users = RoleSnippets.getSnippetUsers(id, await getAllRoles()).map(role => ({
+    ...role,
+    snippetIds: role.snippetIds.filter(snippetId => snippetId !== id),
+    updatedAt: now
+  }));
+
+  if (!await SnippetStorage.deleteSnippet(id)) {
+    return false;
+  }
+  if (users.length === 0) {
+    return true;
+  }
+
+  try {
+    await writeRoles({ put: users });
+    console.log('[RoleStorage] Dropped a deleted snippet from', users.length, 'roles');
+  } catch (error) {
+    console.error('[RoleStorage] Failed to drop a deleted snippet from roles:', error);
+    throw error;
+  }
+
+  return true;
+}
+
 /**
  * Delete a role by ID
+ * The role moves to the trash (together with its history) and can be
+ * restored until it is purged.
  * @param {string} id
  * @returns {Promise<boolean>}
  */
 async function deleteRole(id) {
+  return (await deleteRoles([id])) > 0;
+}
+
+/**
+ * Delete several roles in a single write
+ * The roles move to the trash like deleteRole().
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of roles moved to the trash
+ * @throws {Error} If the trash or the roles could not be written
+ */
+async function deleteRoles(ids) {
   const roles = await getAllRoles();
-  const filteredRoles = roles.filter(r => r.id !== id);
+  const deleted = roles.filter(r => ids.includes(r.id));
 
-  if (filteredRoles.length === roles.length) {
-    return false; // Role not found
+  if (deleted.length === 0) {
+    return 0; // Roles not found
   }
 
-  const data = { [STORAGE_KEY]: filteredRoles };
+  let trash = await RoleTrash.getTrash();
+  deleted.forEach(role => {
+    trash = RoleTrash.addToTrash(trash, role);
+  });
 
+  // Trash first: if removing the roles fails they are in both places,
+  // never in neither
   try {
     await withTimeout(
-      chrome.storage.local.set(data),
+      chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash }),
       2000 // 2 second timeout
     );
-    console.log('[RoleStorage] Deleted role:', id);
-    return true;
+    await writeRoles({ remove: deleted.map(role => role.id) });
+    console.log('[RoleStorage] Moved roles to trash:', deleted.length);
+    return deleted.length;
   } catch (error) {
     console.error('[RoleStorage] Failed to delete:', error);
-    return false;
+    throw error;
   }
 }
 
 /**
- * Get all unique areas from existing roles
- * @returns {Promise<string[]>}
+ * Edit several roles in a single write
+ * Each changed role keeps its previous state in history.
+ * @param {string[]} ids
+ * @param {Object} changes
+ * @param {string} [changes.area] - Move the roles to this area ('' = no area)
+ * @param {string[]} [changes.addTags] - Add these tags (existing ones are kept once)
+ * @returns {Promise<Role[]>} The changed roles
  */
-async function getAllAreas() {
+async function updateRoles(ids, changes) {
   const roles = await getAllRoles();
-  const areas = [...new Set(roles.map(r => r.area).filter(Boolean))];
-  return areas.sort();
+  const now = Date.now();
+  const changed = []; // { previous, role }
+
+  for (let index = 0; index < roles.length; index++) {
+    const previous = roles[index];
+    if (!ids.includes(previous.id)) continue;
+
+    const role = { ...previous };
+    if (typeof changes.area === 'string') {
+      role.area = changes.area.trim();
+    }
+    if (Array.isArray(changes.addTags)) {
+      const tags = [...previous.tags];
+      changes.addTags.map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+        if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+      });
+      role.tags = tags;
+    }
+
+    if (role.area === previous.area && role.tags.length === previous.tags.length) continue;
+
+    role.updatedAt = now;
+    roles[index] = role;
+    changed.push({ previous, role });
+  }
+
+  // Check every role before any history is written
+  changed.forEach(({ previous, role }) => assertValidRole(role, roles, previous));
+  for (const { previous, role } of changed) {
+    await RoleHistory.recordRevision(previous, role);
+  }
+
+  const updated = changed.map(({ role }) => role);
+  if (updated.length === 0) {
+    return updated;
+  }
+
+  try {
+    await writeRoles({ put: updated });
+    console.log('[RoleStorage] Updated roles:', updated.length);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to update roles:', error);
+    throw error;
+  }
+
+  return updated;
 }
 
 /**
- * Get roles filtered by area
- * @param {string} area
- * @returns {Promise<Role[]>}
+ * Copy a role under a new id
+ * The copy is a regular role: not pinned, not linked to the catalog and
+ * without the original's history.
+ * @param {string} id
+ * @returns {Promise<Role>} The copy
  */
-async function getRolesByArea(area) {
+async function duplicateRole(id) {
+  const stored = await getRole(id);
+  if (!stored) {
+    throw new Error('Role not found');
+  }
+
+  const original = await revealForEdit(stored);
+  const { id: originalId, createdAt, updatedAt, pinned, catalogId, catalogVersion, catalogSyncedAt, ...fields } = original;
+  const name = RoleSchema.getAvailableRoleName(`${original.name} (copy)`, original.area, await getAllRoles());
+  return saveRole({ ...fields, name });
+}
+
+/**
+ * Restore a role from the trash
+ * @param {string} id
+ * @returns {Promise<Role>}
+ */
+async function restoreDeletedRole(id) {
+  const trash = await RoleTrash.getTrash();
+  const entry = trash.find(e => e.role.id === id);
+  if (!entry) {
+    throw new Error('Role not found in trash');
+  }
+
+  // Bump updatedAt so sync treats the role as new instead of deleted. A role
+  // created with the same name since the delete keeps it, the restored one
+  // is numbered
+  const roles = (await getAllRoles()).filter(r => r.id !== id);
+  const role = {
+    ...entry.role,
+    name: RoleSchema.getAvailableRoleName(entry.role.name, entry.role.area, roles),
+    updatedAt: Date.now()
+  };
+  assertValidRole(role, roles, entry.role);
+
+  // Role first: if emptying its trash entry fails it is in both places,
+  // never in neither
+  try {
+    await writeRoles({ put: [role] });
+    await withTimeout(
+      chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash.filter(e => e.role.id !== id) }),
+      2000 // 2 second timeout
+    );
+    console.log('[RoleStorage] Restored role from trash:', role.name);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to restore from trash:', error);
+    throw error;
+  }
+
+  return role;
+}
+
+/**
+ * Restore a role to a past revision.
+ * Saved like any other edit, so the restore itself can be undone.
+ * @param {string} roleId
+ * @param {string} revisionId
+ * @returns {Promise<Role>}
+ */
+async function restoreRevision(roleId, revisionId) {
+  const revision = await RoleHistory.getRevision(roleId, revisionId);
+  if (!revision) {
+    throw new Error('Revision not found');
+  }
+
+  const { id, createdAt, updatedAt, ...fields } = await revealForEdit(revision.role);
+  return saveRole({ ...fields, id: roleId });
+}
+
+/**
+ * Import roles in a single write
+ * Overwritten roles keep their id and creation date, and their previous
+ * state is kept in history. Kept copies of roles with a taken name are
+ * numbered. Nothing is imported if any role is invalid.
+ * @param {{ role: Role, action: string, targetId?: string }[]} items - action is one of IMPORT_ACTIONS
+ * @returns {Promise<{ added: number, overwritten: number, skipped: number }>}
+ */
+async function importRoles(items) {
+  const roles = await getAllRoles();
+  const summary = { added: 0, overwritten: 0, skipped: 0 };
+  const now = Date.now();
+  const encryptAll = await RoleVault.isEncryptAll();
+  const written = [];
+  const overwritten = []; // { previous, role }
+
+  for (const { role: imported, action, targetId } of items) {
+    const { id, createdAt, updatedAt, locked, ...fields } = imported;
+
+    if (action === IMPORT_ACTIONS.OVERWRITE) {
+      const index = roles.findIndex(r => r.id === targetId);
+      if (index >= 0) {
+        // An encrypted role stays encrypted when it is overwritten
+        const role = createRole({
+          ...fields,
+          encrypted: Boolean(fields.encrypted || roles[index].encrypted || encryptAll),
+          id: roles[index].id,
+          createdAt: roles[index].createdAt,
+          updatedAt: now
+        });
+        overwritten.push({ previous: roles[index], role });
+        roles[index] = role;
+        written.push(role);
+        summary.overwritten++;
+        continue;
+      }
+    }
+
+    if (action === IMPORT_ACTIONS.SKIP) {
+      summary.skipped++;
+      continue;
+    }
+
+    // Add or keep both: keep the file's id only if it is still free
+    const keepId = action === IMPORT_ACTIONS.ADD && id && !roles.some(r => r.id === id);
+    const name = action === IMPORT_ACTIONS.KEEP_BOTH
+      ? RoleSchema.getAvailableRoleName(fields.name || '', fields.area, roles)
+      : fields.name;
+    const role = createRole({
+      ...fields,
+      name,
+      encrypted: Boolean(fields.encrypted || encryptAll),
+      id: keepId ? id : undefined,
+      createdAt,
+      updatedAt: now
+    });
+    roles.push(role);
+    written.push(role);
+    summary.added++;
+  }
+
+  written.forEach(role => assertValidRole(role, roles));
+  const sealed = await Promise.all(written.map(role => RoleVault.sealRole(role)));
+  for (const { previous, role } of overwritten) {
+    // A locked role is compared without its content, its previous state is still kept
+    await RoleHistory.recordRevision(await RoleVault.revealRole(previous), role, previous);
+  }
+
+  try {
+    await writeRoles({ put: sealed });
+    console.log('[RoleStorage] Imported roles:', summary);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to import:', error);
+    throw error;
+  }
+
+  return summary;
+}
+
+/**
+ * Add catalog entries to the user's roles in a single write
+ * @param {string[]} catalogIds
+ * @returns {Promise<Role[]>} The added roles
+ */
+async function addCatalogRoles(catalogIds) {
   const roles = await getAllRoles();
-  return roles.filter(r => r.area === area);
+  const now = Date.now();
+  let added = catalogIds
+    .map(catalogId => RoleCatalog.getCatalogEntry(catalogId))
+    .filter(Boolean)
+    .map(entry => createRole({
+      ...RoleCatalog.catalogEntryToRole(entry),
+      createdAt: now,
+      updatedAt: now,
+      catalogSyncedAt: now
+    }));
+
+  if (added.length === 0) {
+    return [];
+  }
+  added.forEach(role => assertValidRole(role, [...roles, ...added]));
+  added = await sealNewRoles(added);
+
+  try {
+    await writeRoles({ put: added });
+    console.log('[RoleStorage] Added catalog roles:', added.map(r => r.name));
+  } catch (error) {
+    console.error('[RoleStorage] Failed to add catalog roles:', error);
+    throw error;
+  }
+
+  return added;
 }
 
 /**
- * Format role for injection into AI chat
- * @param {Role} role
- * @returns {string}
+ * Add the starter catalog roles for a new user
+ * Does nothing if roles already exist (e.g. pulled from another device).
+ * @returns {Promise<Role[]>} The added roles
  */
-function formatRoleForInjection(role) {
-  const sections = [];
+async function seedStarterRoles() {
+  const roles = await getAllRoles();
+  if (roles.length > 0) {
+    console.log('[RoleStorage] Roles already present, skipping starter roles');
+    return [];
+  }
 
-  // 1. Role name
-  sections.push(`Role: ${role.name}`);
-  sections.push('');
-  sections.push('');
+  const starterIds = RoleCatalog.ROLE_CATALOG
+    .filter(entry => entry.starter)
+    .map(entry => entry.catalogId);
+  return addCatalogRoles(starterIds);
+}
 
-  // 2. Task placeholder
-  sections.push('Task: [Describe your task here]');
-  sections.push('');
-  sections.push('');
+/**
+ * Bring catalog roles up to the catalog shipped with this build
+ * Only roles the user has not edited since the catalog wrote them are
+ * updated; their previous state is kept in history. Encrypted roles are
+ * left alone.
+ * @returns {Promise<number>} Number of updated roles
+ */
+async function updateCatalogRoles() {
+  const roles = await getAllRoles();
+  const now = Date.now();
+  const updated = [];
 
-  // 3. Role Context (details from extension)
-  const contextParts = [];
+  for (const [index, role] of roles.entries()) {
+    const entry = role.catalogId && RoleCatalog.getCatalogEntry(role.catalogId);
+    if (!entry || role.encrypted || entry.version <= role.catalogVersion || RoleCatalog.isCatalogRoleEdited(role)) {
+      continue;
+    }
 
-  if (role.area) {
-    contextParts.push(`Area: ${role.area}`);
+    const next = {
+      ...role,
+      ...RoleCatalog.catalogEntryToRole(entry),
+      updatedAt: now,
+      catalogSyncedAt: now
+    };
+    assertValidRole(next, roles, role);
+    await RoleHistory.recordRevision(role, next);
+    roles[index] = next;
+    updated.push(next);
   }
 
-  if (role.description) {
-    contextParts.push(`Description: ${role.description}`);
+  if (updated.length === 0) {
+    return 0;
   }
 
-  if (role.skills && role.skills.length > 0) {
-    contextParts.push('Skills:\n' + role.skills.map(s => `- ${s}`).join('\n'));
+  try {
+    await writeRoles({ put: updated });
+    console.log('[RoleStorage] Updated catalog roles:', updated.length);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to update catalog roles:', error);
+    throw error;
   }
 
-  if (role.tools && role.tools.length > 0) {
-    contextParts.push('Tools:\n' + role.tools.map(t => `- ${t}`).join('\n'));
+  return updated.length;
+}
+
+/**
+ * Replace the whole role set (used when merging replicated data)
+ * The merge runs on the roles stored at the time of the write, so local
+ * edits made while the merge was prepared are not lost. Roles are not
+ * validated: they were already stored on this or another device, and a
+ * single role from before a rule must not stop the merge. Roles the merge
+ * leaves out move to the trash, like roles deleted here.
+ * @param {(stored: Role[]) => Role[]} merge - Builds the new role set
+ * @returns {Promise<{ roles: Role[], changed: boolean }>}
+ */
+async function replaceAllRoles(merge) {
+  const storedRoles = await getAllRoles();
+  const roles = merge(storedRoles);
+
+  // Only records that differ are written
+  const stored = new Map(storedRoles.map(role => [role.id, JSON.stringify(role)]));
+  const put = roles.filter(role => stored.get(role.id) !== JSON.stringify(role));
+
+  const kept = new Set(roles.map(role => role.id));
+  const removed = storedRoles.filter(role => !kept.has(role.id));
+
+  if (put.length === 0 && removed.length === 0) {
+    return { roles, changed: false };
   }
 
-  if (role.constraints && role.constraints.length > 0) {
-    contextParts.push('Constraints:\n' + role.constraints.map(c => `- ${c}`).join('\n'));
+  try {
+    // Trash first, as in deleteRoles()
+    if (removed.length > 0) {
+      let trash = await RoleTrash.getTrash();
+      removed.forEach(role => {
+        trash = RoleTrash.addToTrash(trash, role);
+      });
+      await withTimeout(
+        chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash }),
+        2000 // 2 second timeout
+      );
+    }
+    await writeRoles({ put, remove: removed.map(role => role.id) });
+    console.log('[RoleStorage] Replaced all roles:', roles.length);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to replace roles:', error);
+    throw error;
   }
 
-  if (role.behavior) {
-    contextParts.push(`Behavior & Tonality: ${role.behavior}`);
+  return { roles, changed: true };
+}
+
+/**
+ * Encrypt or decrypt roles and their history in a single write
+ * Not a content edit: like pinning, it does not stop catalog updates of a
+ * decrypted role.
+ * @param {string[]} ids
+ * @param {boolean} encrypted
+ * @returns {Promise<Role[]>} The changed roles, as stored
+ * @throws {Error} If the vault is locked
+ */
+async function setRolesEncrypted(ids, encrypted) {
+  const roles = await getAllRoles();
+  const now = Date.now();
+  const changed = [];
+
+  for (const [index, role] of roles.entries()) {
+    if (!ids.includes(role.id) || role.encrypted === Boolean(encrypted)) continue;
+
+    const untouchedCatalogRole = role.catalogId && !RoleCatalog.isCatalogRoleEdited(role);
+    roles[index] = await RoleVault.sealRole({
+      ...(await revealForEdit(role)),
+      encrypted: Boolean(encrypted),
+      updatedAt: now,
+      ...(untouchedCatalogRole ? { catalogSyncedAt: now } : {})
+    });
+    changed.push(roles[index]);
   }
 
-  if (role.moreInfo) {
-    contextParts.push(`Additional Information: ${role.moreInfo}`);
+  if (changed.length === 0) {
+    return changed;
   }
 
-  sections.push('Role Context:');
-  sections.push(contextParts.join('\n\n'));
-  sections.push('');
-  sections.push('');
+  await RoleHistory.rewriteRevisions(changed.map(role => role.id), async (revision) =>
+    RoleVault.sealRole({ ...(await RoleVault.revealRole(revision)), encrypted: Boolean(encrypted) })
+  );
 
-  // 4. More Context placeholder
-  sections.push('More Context: [Add any additional context, data, or background information here]');
+  try {
+    await writeRoles({ put: changed });
+    console.log('[RoleStorage]', encrypted ? 'Encrypted roles:' : 'Decrypted roles:', changed.length);
+  } catch (error) {
+    console.error('[RoleStorage] Failed to change role encryption:', error);
+    throw error;
+  }
 
-  return sections.join('\n');
+  return changed;
 }
 
 /**
- * Subscribe to storage changes
- * @param {Function} callback
- * @returns {Function} Unsubscribe function
+ * Change vault options, encrypting every role when encryptAll is turned on
+ * @param {{ encryptAll?: boolean, timeoutMinutes?: number }} changes
+ * @returns {Promise<VaultState>}
  */
-function onRolesChanged(callback) {
-  const listener = (changes, areaName) => {
-    if (changes[STORAGE_KEY]) {
-      callback(changes[STORAGE_KEY].newValue || []);
+async function saveVaultOptions(changes) {
+  if (changes.encryptAll) {
+    const roles = await getAllRoles();
+    await setRolesEncrypted(roles.map(role => role.id), true);
+  }
+  return RoleVault.saveVaultOptions(changes);
+}
+
+/**
+ * Decrypt every role, its history and the trash, then remove the vault
+ * History and trashed roles sealed with another key cannot be decrypted
+ * anymore; they are kept as they are instead of blocking the removal.
+ * @returns {Promise<void>}
+ * @throws {Error} If the vault is locked
+ */
+async function removeVault() {
+  if (!(await RoleVault.getVaultState()).unlocked) {
+    throw new Error('Unlock the vault to remove it');
+  }
+
+  const now = Date.now();
+  const decrypt = async (role) => ({ ...(await revealForEdit(role)), encrypted: false });
+
+  // Bump updatedAt so sync carries the decrypted roles to other devices
+  const roles = await Promise.all((await getAllRoles())
+    .filter(role => role.encrypted)
+    .map(async role => ({ ...(await decrypt(role)), updatedAt: now })));
+
+  let undecryptable = 0;
+  const trash = await Promise.all((await RoleTrash.getTrash()).map(async (entry) => {
+    const revealed = await RoleVault.revealRole(entry.role);
+    if (revealed.locked) {
+      undecryptable++;
+      return entry;
     }
-  };
+    return { ...entry, role: { ...revealed, encrypted: false } };
+  }));
+  if (undecryptable > 0) {
+    console.warn('[RoleStorage] Kept', undecryptable, 'trashed roles that could not be decrypted');
+  }
+
+  await RoleHistory.rewriteRevisions(null, async (revision) => {
+    const revealed = await RoleVault.revealRole(revision);
+    return revealed.locked ? revision : { ...revealed, encrypted: false };
+  });
+
+  try {
+    await writeRoles({ put: roles });
+    await withTimeout(
+      chrome.storage.local.set({ [TRASH_STORAGE_KEY]: trash }),
+      2000 // 2 second timeout
+    );
+    console.log('[RoleStorage] Decrypted all roles');
+  } catch (error) {
+    console.error('[RoleStorage] Failed to decrypt roles:', error);
+    throw error;
+  }
+
+  await RoleVault.deleteVault();
+}
+
+let migrationPromise = null;
+
+/**
+ * Upgrade stored roles to the current schema version.
+ * Roles still kept under the legacy chrome.storage.local key are moved into
+ * the role database on the way, next to any roles it already holds. The
+ * roles are written before the version and the legacy key is removed last,
+ * so a failed migration starts over from the same data on the next run.
+ * History left under its legacy key is moved over first.
+ * Concurrent calls share the same run.
+ * @returns {Promise<{ from: number, to: number, migrated: boolean, error?: string }>}
+ */
+function migrateStoredRoles() {
+  if (!migrationPromise) {
+    migrationPromise = WriteQueue.run(async () => {
+      // A failure leaves the history where it was, but does not hold the roles back
+      await RoleHistory.moveLegacyHistory().catch((error) => {
+        console.error('[RoleStorage] Failed to move history into the role database:', error);
+      });
+      return runStoredMigrations();
+    }).finally(() => {
+      migrationPromise = null;
+    });
+  }
+  return migrationPromise;
+}
+
+/**
+ * Pick the legacy roles to move into a database that may already hold roles
+ * A run that failed before the legacy key was removed leaves roles the user
+ * created since then in the database. They are kept: a legacy role only
+ * replaces a newer copy of itself, and is renamed if its name is now taken.
+ * @param {Role[]} legacyRoles - Migrated roles from the legacy key
+ * @param {Role[]} databaseRoles - Roles already in the database
+ * @returns {Role[]} Legacy roles to write
+ */
+function mergeLegacyRoles(legacyRoles, databaseRoles) {
+  const stored = new Map(databaseRoles.map(role => [role.id, role]));
+  const roles = [...databaseRoles];
+  const moved = [];
+
+  legacyRoles.forEach((role) => {
+    const existing = stored.get(role.id);
+    if (existing) {
+      if ((existing.updatedAt || 0) >= (role.updatedAt || 0)) return;
+      moved.push(role);
+      return;
+    }
+
+    const named = { ...role, name: RoleSchema.getAvailableRoleName(role.name, role.area, roles) };
+    roles.push(named);
+    moved.push(named);
+  });
+
+  return moved;
+}
+
+/**
+ * Migration run behind migrateStoredRoles()
+ * @returns {Promise<Object>}
+ */
+async function runStoredMigrations() {
+  const target = RoleSchema.ROLE_SCHEMA_VERSION;
+  let from = 0;
+
+  try {
+    const result = await withTimeout(
+      chrome.storage.local.get([LEGACY_STORAGE_KEY, SCHEMA_VERSION_KEY]),
+      2000 // 2 second timeout
+    );
+    from = result[SCHEMA_VERSION_KEY] || 0;
+    const legacyRoles = result[LEGACY_STORAGE_KEY];
+
+    if (from === target && !legacyRoles) {
+      return { from, to: target, migrated: false };
+    }
+
+    const databaseRoles = await getAllRoles();
+    const migrated = legacyRoles
+      ? mergeLegacyRoles(RoleSchema.migrateRoles(legacyRoles, from), databaseRoles)
+      : RoleSchema.migrateRoles(databaseRoles, from);
+
+    await writeRoles({ put: migrated });
+    await withTimeout(
+      chrome.storage.local.set({ [SCHEMA_VERSION_KEY]: target }),
+      2000 // 2 second timeout
+    );
+    if (legacyRoles) {
+      await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+      console.log('[RoleStorage] Moved', migrated.length, 'roles into the role database');
+    }
+    console.log('[RoleStorage] Migrated', migrated.length, 'roles from schema', from, 'to', target);
+    return { from, to: target, migrated: true };
+  } catch (error) {
+    console.error('[RoleStorage] Migration failed, stored roles left unchanged:', error);
+    return { from, to: target, migrated: false, error: error.message };
+  }
+}
+
+/**
+ * Get all unique areas from existing roles
+ * @returns {Promise<string[]>}
+ */
+async function getAllAreas() {
+  const roles = await getAllRoles();
+  const areas = [...new Set(roles.map(r => r.area).filter(Boolean))];
+  return areas.sort();
+}
+
+/**
+ * Rename areas in a list of area names, keeping the first position of each
+ * @param {string[]} list
+ * @param {string[]} names - Areas merged away
+ * @param {string} target - '' drops them
+ * @returns {string[]}
+ */
+function renameAreaInList(list, names, target) {
+  const renamed = list.map(area => (names.includes(area) ? target : area)).filter(Boolean);
+  return [...new Set(renamed)];
+}
+
+/**
+ * Move every role of some areas to another area in a single write
+ * Renaming is merging one area, deleting is merging into no area. The
+ * areas' style, position and collapsed state carry over to the target, and
+ * each moved role keeps its previous state in history.
+ * @param {string[]} names - Areas to merge away
+ * @param {string} target - Area to move the roles to ('' = no area)
+ * @returns {Promise<Role[]>} The moved roles
+ */
+async function mergeAreas(names, target) {
+  const targetName = (target || '').trim();
+  const sources = names.filter(name => name && name !== targetName);
+  if (sources.length === 0) {
+    return [];
+  }
+
+  const roles = await getAllRoles();
+  const previousRoles = [...roles];
+  const now = Date.now();
+  const moved = [];
+
+  for (let index = 0; index < roles.length; index++) {
+    const previous = roles[index];
+    if (!sources.includes(previous.area)) continue;
+
+    const role = { ...previous, area: targetName, updatedAt: now };
+    roles[index] = role;
+    moved.push(role);
+  }
+
+  // Roles with the same name cannot end up in one area
+  moved.forEach(role => assertValidRole(role, roles, previousRoles.find(r => r.id === role.id)));
+  for (const role of moved) {
+    await RoleHistory.recordRevision(previousRoles.find(r => r.id === role.id), role);
+  }
+
+  const styles = AreaStorage.mergeAreaStyles(await AreaStorage.getAreaStyles(), sources, targetName);
+
+  try {
+    await writeRoles({ put: moved });
+    await withTimeout(
+      chrome.storage.local.set({ [AREA_STORAGE_KEY]: styles }),
+      2000 // 2 second timeout
+    );
+    console.log('[RoleStorage] Moved areas', sources, 'to', targetName || '(none)');
+  } catch (error) {
+    console.error('[RoleStorage] Failed to move areas:', error);
+    throw error;
+  }
+
+  const settings = await SettingsStorage.getSettings();
+  await SettingsStorage.writeSettings({
+    areaOrder: renameAreaInList(settings.areaOrder, sources, targetName),
+    collapsedAreas: renameAreaInList(settings.collapsedAreas, sources, targetName)
+  });
 
-  chrome.storage.onChanged.addListener(listener);
+  return moved;
+}
+
+/**
+ * Rename an area - renaming to an existing area merges both
+ * @param {string} name
+ * @param {string} newName
+ * @returns {Promise<Role[]>} The moved roles
+ */
+async function renameArea(name, newName) {
+  if (!(newName || '').trim()) {
+    throw new Error('Area name is required');
+  }
+  return mergeAreas([name], newName);
+}
+
+/**
+ * Delete an area - its roles move to no area
+ * @param {string} name
+ * @returns {Promise<Role[]>} The moved roles
+ */
+async function deleteArea(name) {
+  return mergeAreas([name], '');
+}
+
+/**
+ * Format role for injection into AI chat
+ * @param {Role} role
+ * @param {Role[]} allRoles - Roles to look up parents in
+ * @param {Object} variableValues - { [name]: string }, defaults apply otherwise
+ * @param {TemplateState} templateState - Templates and the default to render with
+ * @param {string} profile - One of FormatProfiles.FORMAT_PROFILES
+ * @param {Snippet[]} snippets - Snippet library the role's references are expanded from
+ * @returns {string}
+ */
+function formatRoleForInjection(role, allRoles = [], variableValues = {}, templateState = {}, profile = FORMAT_PROFILES.PLAIN, snippets = []) {
+  return RoleTemplate.renderRoleInjection(role, allRoles, variableValues, templateState, profile, snippets);
+}
+
+/**
+ * Subscribe to role changes
+ * IndexedDB has no change events, so every write in this file reports itself.
+ * @param {Function} callback - Receives each write's changes
+ *   ({ put?: Role[], remove?: string[], replace?: boolean }, roles as stored)
+ * @returns {Function} Unsubscribe function
+ */
+function onRolesChanged(callback) {
+  rolesChangedListeners.add(callback);
 
   return () => {
-    chrome.storage.onChanged.removeListener(listener);
+    rolesChangedListeners.delete(callback);
   };
 }
 
-// Expose globally (loaded as regular script in popup.html)
+// Expose globally (loaded via importScripts in background.js)
+// Writes go through the write queue; functions above call each other directly
 const RoleStorage = {
   createRole,
   getAllRoles,
   getRole,
-  saveRole,
-  deleteRole,
+  getRolePage,
+  countRoles,
+  saveRole: WriteQueue.queued(saveRole),
+  setRolePinned: WriteQueue.queued(setRolePinned),
+  deleteSnippet: WriteQueue.queued(deleteSnippetFromRoles),
+  deleteRole: WriteQueue.queued(deleteRole),
+  deleteRoles: WriteQueue.queued(deleteRoles),
+  updateRoles: WriteQueue.queued(updateRoles),
+  duplicateRole: WriteQueue.queued(duplicateRole),
+  restoreDeletedRole: WriteQueue.queued(restoreDeletedRole),
+  restoreRevision: WriteQueue.queued(restoreRevision),
+  importRoles: WriteQueue.queued(importRoles),
+  addCatalogRoles: WriteQueue.queued(addCatalogRoles),
+  seedStarterRoles: WriteQueue.queued(seedStarterRoles),
+  updateCatalogRoles: WriteQueue.queued(updateCatalogRoles),
+  replaceAllRoles: WriteQueue.queued(replaceAllRoles),
+  setRolesEncrypted: WriteQueue.queued(setRolesEncrypted),
+  saveVaultOptions: WriteQueue.queued(saveVaultOptions),
+  removeVault: WriteQueue.queued(removeVault),
+  migrateStoredRoles,
   getAllAreas,
+  mergeAreas: WriteQueue.queued(mergeAreas),
+  renameArea: WriteQueue.queued(renameArea),
+  deleteArea: WriteQueue.queued(deleteArea),
   getRolesByArea,
   formatRoleForInjection,
   onRolesChanged
@@ -0,0 +1,494 @@
+/**
+ * Role Sync Service
+ * Replicates the local role set and snippet library into chrome.storage.sync
+ * so roles follow the user to other Chrome profiles and machines.
+ * Local storage stays authoritative - sync only holds a chunked copy.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-messages.js, services/role-schema.js, services/role-storage.js,
+ *           services/snippet-storage.js, services/write-queue.js
+ */
+
+/**
+ * Remote layout in chrome.storage.sync:
+ * agentique_roles_sync    -> { version, schemaVersion, chunks, bytes, deviceId, writtenAt }
+ * agentique_roles_sync_0  -> string (first slice of the serialized { roles, snippets })
+ * agentique_roles_sync_1  -> string
+ * ...
+ */
+
+const SYNC_META_KEY = 'agentique_roles_sync';
+const SYNC_CHUNK_PREFIX = 'agentique_roles_sync_';
+const SYNC_STATE_KEY = 'agentique_sync_state';
+const SYNC_FORMAT_VERSION = 2; // 1 held the bare role array, without snippets
+const SYNC_PUSH_DELAY = 2000; // ms - batch rapid edits into one write (sync allows 120 writes/min)
+
+// Fallbacks for chrome.storage.sync.QUOTA_BYTES / QUOTA_BYTES_PER_ITEM / MAX_ITEMS
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+
+/**
+ * Sync State Schema (chrome.storage.local):
+ * {
+ *   deviceId: string,
+ *   lastSyncedAt: number,   // last successful push or pull
+ *   status: string,         // one of SYNC_STATUS (role-messages.js)
+ *   bytes: number,          // size of the serialized role set
+ *   quota: number,          // total sync quota in bytes
+ *   error: string|null
+ * }
+ */
+
+let pushTimer = null;
+
+// Set while the remote role set could not be merged - a push would then
+// overwrite it with the local set, and other devices would take the roles
+// missing from it for deleted
+let remotePending = false;
+
+/**
+ * Byte size of a string as counted by the sync quota
+ * @param {string} value
+ * @returns {number}
+ */
+function byteSize(value) {
+  return new Blob([value]).size;
+}
+
+/**
+ * Get the quota limits (real values when available)
+ * @returns {{ total: number, perItem: number, maxItems: number }}
+ */
+function getSyncQuota() {
+  const sync = chrome.storage.sync;
+  return {
+    total: sync.QUOTA_BYTES || SYNC_QUOTA_BYTES,
+    perItem: sync.QUOTA_BYTES_PER_ITEM || SYNC_QUOTA_BYTES_PER_ITEM,
+    maxItems: sync.MAX_ITEMS || SYNC_MAX_ITEMS
+  };
+}
+
+/**
+ * Split a serialized role set into chunks that respect the per-item quota.
+ * Each item is measured the way sync measures it: key + JSON of the value.
+ * @param {string} serialized
+ * @param {number} perItem
+ * @returns {string[]}
+ */
+function splitIntoChunks(serialized, perItem) {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < serialized.length) {
+    const key = SYNC_CHUNK_PREFIX + chunks.length;
+    // Start optimistic and shrink until the escaped chunk fits
+    let length = Math.min(serialized.length - offset, perItem);
+    let chunk = serialized.substr(offset, length);
+
+    while (byteSize(key) + byteSize(JSON.stringify(chunk)) > perItem) {
+      const overflow = byteSize(key) + byteSize(JSON.stringify(chunk)) - perItem;
+      length -= Math.max(1, Math.ceil(overflow / 2));
+      chunk = serialized.substr(offset, length);
+    }
+
+    // Never split a surrogate pair across two chunks
+    const lastCode = chunk.charCodeAt(chunk.length - 1);
+    if (lastCode >= 0xD800 && lastCode <= 0xDBFF && chunk.length > 1) {
+      chunk = chunk.slice(0, -1);
+    }
+
+    chunks.push(chunk);
+    offset += chunk.length;
+  }
+
+  return chunks;
+}
+
+/**
+ * Read local sync state, storing a new device ID on first use
+ * Runs in the write queue (see getSyncState()).
+ * @returns {Promise<Object>}
+ */
+async function readSyncState() {
+  const result = await chrome.storage.local.get(SYNC_STATE_KEY);
+  const stored = result[SYNC_STATE_KEY] || {};
+
+  const state = {
+    deviceId: stored.deviceId || `device_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    lastSyncedAt: stored.lastSyncedAt || 0,
+    status: stored.status || SYNC_STATUS.PENDING,
+    bytes: stored.bytes || 0,
+    quota: stored.quota || getSyncQuota().total,
+    error: stored.error || null
+  };
+
+  // Persist a freshly generated device ID right away so it stays stable
+  if (!stored.deviceId) {
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+  }
+
+  return state;
+}
+
+/**
+ * Read local sync state
+ * Queued so two first reads cannot each create a device ID.
+ * @returns {Promise<Object>}
+ */
+function getSyncState() {
+  return WriteQueue.run(readSyncState);
+}
+
+/**
+ * Merge updates into local sync state
+ * @param {Object} updates
+ * @returns {Promise<Object>} New state
+ */
+function updateSyncState(updates) {
+  return WriteQueue.run(async () => {
+    const state = { ...(await readSyncState()), ...updates };
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+    return state;
+  });
+}
+
+/**
+ * Read and reassemble the remote role set
+ * @returns {Promise<{ meta: Object, serialized: string }|null>}
+ */
+async function readRemote() {
+  const metaResult = await chrome.storage.sync.get(SYNC_META_KEY);
+  const meta = metaResult[SYNC_META_KEY];
+  if (!meta || !meta.chunks) {
+    return null;
+  }
+
+  if (meta.version > SYNC_FORMAT_VERSION) {
+    throw new Error(`Unsupported sync format version ${meta.version}`);
+  }
+
+  const keys = Array.from({ length: meta.chunks }, (_, i) => SYNC_CHUNK_PREFIX + i);
+  const chunkResult = await chrome.storage.sync.get(keys);
+
+  const missing = keys.find(key => typeof chunkResult[key] !== 'string');
+  if (missing) {
+    // Another device is mid-write - the next onChanged event will retry
+    console.warn('[RoleSync] Remote snapshot incomplete, missing', missing);
+    return null;
+  }
+
+  return { meta, serialized: keys.map(key => chunkResult[key]).join('') };
+}
+
+/**
+ * Roles and snippets of a remote snapshot
+ * Snapshots of format version 1 hold no snippets: their snippets are null,
+ * so the local library is left as it is.
+ * @param {{ meta: Object, serialized: string }} remote
+ * @returns {{ roles: Role[], snippets: Snippet[]|null }}
+ */
+function parseRemote(remote) {
+  const data = JSON.parse(remote.serialized);
+  if (remote.meta.version < 2) {
+    return { roles: data, snippets: null };
+  }
+  return { roles: data.roles || [], snippets: data.snippets || [] };
+}
+
+/**
+ * Serialize a value with object keys in a fixed order
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check whether two snapshots hold the same roles and snippets
+ * The order of the records and of their keys does not count.
+ * @param {{ roles: Role[], snippets: Snippet[]|null }} a
+ * @param {{ roles: Role[], snippets: Snippet[]|null }} b
+ * @returns {boolean}
+ */
+function isSameSnapshot(a, b) {
+  const sortById = (records) => records && [...records].sort((x, y) => String(x.id).localeCompare(String(y.id)));
+  const canonical = ({ roles, snippets }) => canonicalJson({ roles: sortById(roles), snippets: sortById(snippets) });
+  return canonical(a) === canonical(b);
+}
+
+/**
+ * Check whether a remote snapshot already holds the given data
+ * A snapshot that cannot be read counts as different, so a push replaces it.
+ * @param {{ meta: Object, serialized: string }} remote
+ * @param {{ roles: Role[], snippets: Snippet[] }} snapshot
+ * @returns {boolean}
+ */
+function isSameRemote(remote, snapshot) {
+  try {
+    return isSameSnapshot(parseRemote(remote), snapshot);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Push the local role set into sync storage
+ * Remote changes that could not be merged are pulled first; if that still
+ * fails nothing is pushed.
+ * @returns {Promise<Object>} Sync state after the push
+ */
+async function pushRoles() {
+  if (remotePending) {
+    try {
+      await pullRoles();
+    } catch (error) {
+      console.warn('[RoleSync] Push skipped until remote roles can be merged');
+      return getSyncState();
+    }
+  }
+
+  const state = await getSyncState();
+  const quota = getSyncQuota();
+  let bytes = state.bytes;
+
+  try {
+    const [roles, snippets] = await Promise.all([RoleStorage.getAllRoles(), SnippetStorage.getSnippets()]);
+    const serialized = JSON.stringify({ roles, snippets });
+    bytes = byteSize(serialized);
+
+    const chunks = splitIntoChunks(serialized, quota.perItem);
+    const meta = {
+      version: SYNC_FORMAT_VERSION,
+      schemaVersion: RoleSchema.ROLE_SCHEMA_VERSION,
+      chunks: chunks.length,
+      bytes,
+      deviceId: state.deviceId,
+      writtenAt: Date.now()
+    };
+
+    const items = { [SYNC_META_KEY]: meta };
+    chunks.forEach((chunk, i) => {
+      items[SYNC_CHUNK_PREFIX + i] = chunk;
+    });
+
+    const totalBytes = Object.entries(items)
+      .reduce((sum, [key, value]) => sum + byteSize(key) + byteSize(JSON.stringify(value)), 0);
+
+    if (totalBytes > quota.total || chunks.length + 1 > quota.maxItems) {
+      console.warn('[RoleSync] Role set too large to sync:', totalBytes, 'bytes');
+      return updateSyncState({ status: SYNC_STATUS.TOO_LARGE, bytes: totalBytes, quota: quota.total, error: null });
+    }
+
+    // Skip the write when sync already holds exactly this data
+    const remote = await readRemote();
+    if (!remote || !isSameRemote(remote, { roles, snippets })) {
+      await chrome.storage.sync.set(items);
+
+      if (remote && remote.meta.chunks > chunks.length) {
+        const staleKeys = [];
+        for (let i = chunks.length; i < remote.meta.chunks; i++) {
+          staleKeys.push(SYNC_CHUNK_PREFIX + i);
+        }
+        await chrome.storage.sync.remove(staleKeys);
+      }
+
+      console.log('[RoleSync] Pushed', roles.length, 'roles and', snippets.length, 'snippets in', chunks.length, 'chunks');
+    }
+
+    return updateSyncState({
+      lastSyncedAt: Date.now(),
+      status: SYNC_STATUS.SYNCED,
+      bytes: totalBytes,
+      quota: quota.total,
+      error: null
+    });
+  } catch (error) {
+    console.error('[RoleSync] Failed to push roles:', error);
+    return updateSyncState({ status: SYNC_STATUS.ERROR, bytes, quota: quota.total, error: error.message });
+  }
+}
+
+/**
+ * Merge remote roles or snippets into local ones.
+ * Newer updatedAt wins. A record missing on one side counts as deleted there
+ * if it has not changed since the last successful sync, otherwise as new.
+ * Roles deleted this way move to the local trash (see replaceAllRoles()).
+ * @param {Array<Role|Snippet>} localRecords
+ * @param {Array<Role|Snippet>} remoteRecords
+ * @param {number} lastSyncedAt
+ * @returns {Array<Role|Snippet>}
+ */
+function mergeRecords(localRecords, remoteRecords, lastSyncedAt) {
+  const remoteById = new Map(remoteRecords.map(record => [record.id, record]));
+  const localIds = new Set(localRecords.map(record => record.id));
+  const merged = [];
+
+  localRecords.forEach(local => {
+    const remote = remoteById.get(local.id);
+    if (remote) {
+      merged.push((remote.updatedAt || 0) > (local.updatedAt || 0) ? remote : local);
+    } else if ((local.updatedAt || 0) > lastSyncedAt) {
+      merged.push(local); // Created or edited here since the last sync
+    }
+  });
+
+  remoteRecords.forEach(remote => {
+    if (!localIds.has(remote.id) && (remote.updatedAt || 0) > lastSyncedAt) {
+      merged.push(remote); // Created or edited elsewhere since the last sync
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Pull the remote role set and snippet library and merge them into local storage
+ * @returns {Promise<boolean>} True if local roles or snippets changed
+ * @throws {Error} If the remote roles could not be merged - pushes are held
+ *                 back until a pull succeeds
+ */
+async function pullRoles() {
+  try {
+    const state = await getSyncState();
+    const remote = await readRemote();
+
+    if (!remote || remote.meta.deviceId === state.deviceId) {
+      remotePending = false;
+      return false;
+    }
+
+    // Roles written by an older build are upgraded before merging; roles from
+    // a newer build make migrateRoles() throw and are left for that build
+    const data = parseRemote(remote);
+    const remoteRoles = RoleSchema.migrateRoles(data.roles, remote.meta.schemaVersion || 0);
+    const { roles: merged, changed } = await RoleStorage.replaceAllRoles(
+      localRoles => mergeRecords(localRoles, remoteRoles, state.lastSyncedAt)
+    );
+    if (changed) {
+      console.log('[RoleSync] Pulled', remoteRoles.length, 'remote roles, now', merged.length, 'local');
+    }
+
+    let mergedSnippets = null;
+    let snippetsChanged = false;
+    if (data.snippets) {
+      ({ snippets: mergedSnippets, changed: snippetsChanged } = await SnippetStorage.replaceAllSnippets(
+        localSnippets => mergeRecords(localSnippets, data.snippets, state.lastSyncedAt)
+      ));
+      if (snippetsChanged) {
+        console.log('[RoleSync] Pulled', data.snippets.length, 'remote snippets, now', mergedSnippets.length, 'local');
+      }
+    }
+
+    // Only advance the sync point once both sides hold the same data -
+    // local-only changes keep counting as new until the next push
+    if (data.snippets && isSameSnapshot({ roles: merged, snippets: mergedSnippets }, data)) {
+      await updateSyncState({ lastSyncedAt: Date.now(), status: SYNC_STATUS.SYNCED, error: null });
+    }
+    remotePending = false;
+    return changed || snippetsChanged;
+  } catch (error) {
+    console.error('[RoleSync] Failed to pull roles:', error);
+    remotePending = true;
+    await updateSyncState({ status: SYNC_STATUS.ERROR, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Schedule a push, batching rapid local changes
+ * Nothing waits for the push, so its failures are kept in the sync state.
+ */
+function schedulePush() {
+  clearTimeout(pushTimer);
+  updateSyncState({ status: SYNC_STATUS.PENDING })
+    .catch((error) => console.error('[RoleSync] Failed to mark a push as pending:', error));
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    pushRoles().catch((error) => {
+      console.error('[RoleSync] Failed to push roles:', error);
+      return updateSyncState({ status: SYNC_STATUS.ERROR, error: error.message });
+    }).catch((error) => console.error('[RoleSync] Failed to record a push failure:', error));
+  }, SYNC_PUSH_DELAY);
+}
+
+/**
+ * Start replication: pull once, then follow local changes
+ * Remote changes are followed through onRemoteRolesChanged(), which the
+ * service worker registers at its top level.
+ * @returns {Promise<void>}
+ */
+async function startSync() {
+  RoleStorage.onRolesChanged(() => schedulePush());
+  SnippetStorage.onSnippetsChanged(() => schedulePush());
+
+  // Push afterwards: merged results and local changes made while the worker
+  // was stopped both need to reach sync (unchanged data is not rewritten).
+  // A failed pull is kept in the sync state and holds the push back
+  try {
+    await pullRoles();
+  } catch (error) {
+    return;
+  }
+  await pushRoles();
+}
+
+/**
+ * Subscribe to role sets written to sync by other devices
+ * Register it synchronously when the service worker starts: only listeners
+ * added then wake a stopped worker.
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onRemoteRolesChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'sync' && changes[SYNC_META_KEY]) {
+      callback();
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+/**
+ * Subscribe to sync state changes
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onSyncStateChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[SYNC_STATE_KEY]) {
+      callback(changes[SYNC_STATE_KEY].newValue);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleSync = {
+  startSync,
+  pushRoles,
+  pullRoles,
+  getSyncState,
+  onRemoteRolesChanged,
+  onSyncStateChanged
+};
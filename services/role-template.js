@@ -0,0 +1,301 @@
+/**
+ * Role Templates
+ * Small template language that decides how a role is written into the chat:
+ *
+ *   {{field}}              value of a role field (lists are joined with ", ")
+ *   {{?field}}...{{/field}} only rendered when the field is not empty
+ *   {{^field}}...{{/field}} only rendered when the field is empty
+ *   {{#field}}...{{/field}} list rendering - repeated for each item, {{.}} is
+ *                          the item; on a text field it acts like {{?field}}
+ *
+ * A line holding nothing but a section tag is dropped entirely, so sections
+ * can sit on their own lines. Unknown fields render as empty text.
+ * Pure functions only - loaded via importScripts in background.js, as regular
+ * script in popup.html and as content script
+ * Requires: services/role-inheritance.js, services/role-variables.js,
+ *           services/format-profiles.js, services/role-snippets.js
+ */
+
+/**
+ * Template Schema:
+ * {
+ *   id: string,
+ *   name: string,
+ *   body: string,
+ *   builtIn?: boolean   // shipped templates cannot be edited or deleted
+ * }
+ */
+
+const TEMPLATE_TAG_PATTERN = /\{\{\s*([#^?/]?)\s*([\w.]+)\s*\}\}/g;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-standard',
+    name: 'Standard',
+    builtIn: true,
+    body: [
+      'Role: {{name}}',
+      '',
+      'Task: [Describe your task here]',
+      '',
+      'Role Context:',
+      '{{?area}}',
+      'Area: {{area}}',
+      '',
+      '{{/area}}',
+      '{{?description}}',
+      'Description: {{description}}',
+      '',
+      '{{/description}}',
+      '{{?skills}}',
+      'Skills:',
+      '{{#skills}}',
+      '- {{.}}',
+      '{{/skills}}',
+      '',
+      '{{/skills}}',
+      '{{?tools}}',
+      'Tools:',
+      '{{#tools}}',
+      '- {{.}}',
+      '{{/tools}}',
+      '',
+      '{{/tools}}',
+      '{{?constraints}}',
+      'Constraints:',
+      '{{#constraints}}',
+      '- {{.}}',
+      '{{/constraints}}',
+      '',
+      '{{/constraints}}',
+      '{{?behavior}}',
+      'Behavior & Tonality: {{behavior}}',
+      '',
+      '{{/behavior}}',
+      '{{?moreInfo}}',
+      'Additional Information: {{moreInfo}}',
+      '',
+      '{{/moreInfo}}',
+      'More Context: [Add any additional context, data, or background information here]'
+    ].join('\n')
+  },
+  {
+    id: 'builtin-compact',
+    name: 'Compact',
+    builtIn: true,
+    body: [
+      'Act as {{name}}{{?area}} ({{area}}){{/area}}.{{?description}} {{description}}{{/description}}',
+      '{{?skills}}',
+      'Skills: {{skills}}.',
+      '{{/skills}}',
+      '{{?tools}}',
+      'Tools: {{tools}}.',
+      '{{/tools}}',
+      '{{?constraints}}',
+      'Constraints: {{constraints}}.',
+      '{{/constraints}}',
+      '{{?behavior}}',
+      'Tone: {{behavior}}',
+      '{{/behavior}}',
+      '',
+      'Task: '
+    ].join('\n')
+  }
+];
+
+const DEFAULT_TEMPLATE_ID = BUILT_IN_TEMPLATES[0].id;
+
+/**
+ * Parse a template into a tree
+ * @param {string} body
+ * @returns {Object[]} Nodes: { type: 'text', text } | { type: 'value', name }
+ *                     | { type: 'section', kind: '#'|'?'|'^', name, children }
+ * @throws {Error} On unclosed or mismatched sections
+ */
+function parseTemplate(body) {
+  const root = { children: [] };
+  const stack = [root];
+  let position = 0;
+
+  for (const match of body.matchAll(TEMPLATE_TAG_PATTERN)) {
+    const [tag, kind, name] = match;
+    let start = match.index;
+    let end = start + tag.length;
+
+    // Standalone section tags take their whole line with them
+    if (kind) {
+      const lineStart = body.lastIndexOf('\n', start - 1) + 1;
+      const newline = body.indexOf('\n', end);
+      const lineEnd = newline < 0 ? body.length : newline;
+      if (!body.slice(lineStart, start).trim() && !body.slice(end, lineEnd).trim() && lineStart >= position) {
+        start = lineStart;
+        end = newline < 0 ? body.length : newline + 1;
+      }
+    }
+
+    const current = stack[stack.length - 1];
+    if (start > position) {
+      current.children.push({ type: 'text', text: body.slice(position, start) });
+    }
+    position = end;
+
+    if (!kind) {
+      current.children.push({ type: 'value', name });
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? ` - {{${current.kind}${current.name}}} is still open` : ''}`);
+      }
+      stack.pop();
+    } else {
+      const section = { type: 'section', kind, name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`{{${open.kind}${open.name}}} is never closed`);
+  }
+  if (position < body.length) {
+    root.children.push({ type: 'text', text: body.slice(position) });
+  }
+
+  return root.children;
+}
+
+/**
+ * Check whether a context value counts as empty
+ */
+function isBlank(value) {
+  return Array.isArray(value) ? value.length === 0 : value === undefined || value === null || value === '';
+}
+
+/**
+ * Look up a name in the scope chain (innermost first)
+ */
+function lookupValue(scopes, name) {
+  if (name === '.') return scopes[0];
+  for (const scope of scopes) {
+    if (scope && typeof scope === 'object' && !Array.isArray(scope) && name in scope) {
+      return scope[name];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Render parsed nodes
+ */
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+
+    const value = lookupValue(scopes, node.name);
+
+    if (node.type === 'value') {
+      if (isBlank(value)) return '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    if (node.kind === '^') {
+      return isBlank(value) ? renderNodes(node.children, scopes) : '';
+    }
+    if (isBlank(value)) return '';
+    if (node.kind === '#' && Array.isArray(value)) {
+      return value.map(item => renderNodes(node.children, [item, ...scopes])).join('');
+    }
+    return renderNodes(node.children, scopes);
+  }).join('');
+}
+
+/**
+ * Render a template for a role
+ * @param {string} body
+ * @param {Object} role
+ * @returns {string}
+ * @throws {Error} If the template cannot be parsed
+ */
+function renderTemplate(body, role) {
+  return renderNodes(parseTemplate(body), [role]).trim();
+}
+
+/**
+ * Check a template for syntax errors
+ * @param {string} body
+ * @returns {string|null} Error message, or null if the template is fine
+ */
+function validateTemplate(body) {
+  try {
+    parseTemplate(body);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Pick the template for a role: its own choice, else the default
+ * @param {Role} role
+ * @param {{ templates: Template[], defaultId: string }} templateState
+ * @returns {Template}
+ */
+function getTemplateForRole(role, templateState = {}) {
+  const templates = templateState.templates || BUILT_IN_TEMPLATES;
+  return templates.find(t => t.id === role.templateId) ||
+    templates.find(t => t.id === templateState.defaultId) ||
+    BUILT_IN_TEMPLATES[0];
+}
+
+/**
+ * Whether a role picks a template of its own (one that still exists)
+ * @param {Role} role
+ * @param {{ templates: Template[] }} templateState
+ * @returns {boolean}
+ */
+function hasOwnTemplate(role, templateState = {}) {
+  const templates = templateState.templates || BUILT_IN_TEMPLATES;
+  return Boolean(role.templateId) && templates.some(t => t.id === role.templateId);
+}
+
+/**
+ * Format a role for injection into AI chat
+ * Inherited fields are resolved against the role's parent chain first, then
+ * referenced snippets are expanded and {{variables}} are filled in. The plain
+ * profile renders the role's template, the other profiles build their own
+ * structure.
+ * @param {Role} role
+ * @param {Role[]} allRoles - Roles to look up parents in
+ * @param {Object} variableValues - { [name]: string }, defaults apply otherwise
+ * @param {{ templates: Template[], defaultId: string }} templateState
+ * @param {string} profile - One of FormatProfiles.FORMAT_PROFILES
+ * @param {Snippet[]} snippets - Snippet library to expand references from
+ * @returns {string}
+ */
+function renderRoleInjection(role, allRoles = [], variableValues = {}, templateState = {}, profile = FORMAT_PROFILES.PLAIN, snippets = []) {
+  const expandedRole = RoleSnippets.expandSnippets(RoleInheritance.resolveRole(role, allRoles), snippets);
+  const filledRole = RoleVariables.fillVariables(expandedRole, variableValues);
+  const structured = FormatProfiles.formatWithProfile(filledRole, profile);
+  if (structured !== null) return structured;
+
+  const template = getTemplateForRole(role, templateState);
+
+  try {
+    return renderTemplate(template.body, filledRole);
+  } catch (error) {
+    // Templates are validated on save; fall back rather than inject nothing
+    console.error('[RoleTemplate] Invalid template, using the standard one:', error);
+    return renderTemplate(BUILT_IN_TEMPLATES[0].body, filledRole);
+  }
+}
+
+// Expose globally (loaded via importScripts in background.js, as regular script in popup.html and as content script)
+const RoleTemplate = {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  renderTemplate,
+  validateTemplate,
+  getTemplateForRole,
+  hasOwnTemplate,
+  renderRoleInjection
+};
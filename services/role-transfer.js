@@ -0,0 +1,454 @@
+/**
+ * Role Transfer Service
+ * Builds exports of the role library (versioned JSON, or Markdown files with
+ * YAML frontmatter) and turns import files into a preview plan that flags
+ * duplicates by id or name. Single roles can also be shared as a short text
+ * code, pasted into Add from code on the other side.
+ * Requires: services/role-messages.js, services/role-schema.js,
+ *           services/role-markdown.js, services/zip-archive.js,
+ *           services/role-inheritance.js, services/role-snippets.js,
+ *           services/role-template.js
+ */
+
+/**
+ * Export File Schema:
+ * {
+ *   format: 'agentique-roles',
+ *   version: number,        // export file format version
+ *   schemaVersion: number,  // ROLE_SCHEMA_VERSION of the exported roles
+ *   exportedAt: string,     // ISO date
+ *   roles: Role[]
+ * }
+ */
+
+const EXPORT_FORMAT = 'agentique-roles';
+const EXPORT_VERSION = 1;
+
+/**
+ * File formats offered for export
+ * Markdown exports one .md file per role - several roles are bundled in a zip.
+ */
+const TRANSFER_FORMATS = {
+  JSON: 'json',
+  MARKDOWN: 'markdown'
+};
+
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+
+/**
+ * Share Code Format:
+ *   AGQ<version>.<payload>.<checksum>
+ * payload:  base64url of the raw-deflated JSON { s: schemaVersion, r: role }
+ * checksum: CRC-32 of the deflated bytes, 8 hex digits
+ * There are no share links: a chrome-extension:// URL cannot be opened from
+ * a chat or mail, and its id differs between installs.
+ */
+const SHARE_CODE_VERSION = 1;
+const SHARE_CODE_PATTERN = /^AGQ(\d+)\.([A-Za-z0-9_-]+)\.([0-9a-f]{8})$/i;
+
+// Fields a share code carries; ids, history, usage and vault data stay behind
+const SHARED_FIELDS = [
+  'name', 'area', 'tags', 'description', 'skills', 'tools', 'constraints',
+  'behavior', 'moreInfo', 'variables', 'templateId'
+];
+
+/**
+ * Import Plan Item:
+ * {
+ *   role: Role,               // role from the file (already migrated)
+ *   conflict: null|'id'|'name',
+ *   existing: Role|null,      // stored role it collides with
+ *   error: string|null,       // why the role cannot be imported
+ *   action: string            // one of IMPORT_ACTIONS
+ * }
+ */
+
+/**
+ * Build the export file content
+ * @param {Role[]} roles
+ * @returns {string} Pretty-printed JSON
+ */
+function serializeExport(roles) {
+  const file = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    schemaVersion: RoleSchema.ROLE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    roles: roles
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Turn a label into a file name part
+ * @param {string} text
+ * @param {string} fallback
+ * @returns {string}
+ */
+function slugify(text, fallback) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || fallback;
+}
+
+/**
+ * Build a file name for an export
+ * @param {string} label - e.g. 'all', an area name or 'selection'
+ * @param {string} extension
+ * @returns {string}
+ */
+function getExportFileName(label, extension = 'json') {
+  const date = new Date().toISOString().slice(0, 10);
+  return `agentique-${slugify(label, 'roles')}-${date}.${extension}`;
+}
+
+/**
+ * Build a Markdown bundle: one file per role, in a folder per area
+ * @param {Role[]} roles
+ * @returns {Uint8Array} Zip archive
+ */
+function serializeMarkdownBundle(roles) {
+  const usedNames = new Set();
+
+  const files = roles.map(role => {
+    const folder = slugify(role.area, 'uncategorized');
+    const base = `${folder}/${slugify(role.name, 'role')}`;
+    let name = `${base}.md`;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${base}-${n}.md`;
+    }
+    usedNames.add(name);
+    return { name, content: RoleMarkdown.serializeRole(role) };
+  });
+
+  return ZipArchive.createZip(files);
+}
+
+/**
+ * Build an export download in the chosen format
+ * Snippets only exist in this browser, so their text is written into the
+ * roles that reference them.
+ * @param {Role[]} roles
+ * @param {string} label - Scope label used in the file name
+ * @param {string} format - One of TRANSFER_FORMATS
+ * @param {Snippet[]} [snippets] - Snippet library to expand references from
+ * @returns {{ content: string|Uint8Array, fileName: string, mimeType: string }}
+ */
+function buildExport(roles, label, format = TRANSFER_FORMATS.JSON, snippets = []) {
+  const exported = roles.map(role => RoleSnippets.expandSnippets(role, snippets));
+
+  if (format !== TRANSFER_FORMATS.MARKDOWN) {
+    return {
+      content: serializeExport(exported),
+      fileName: getExportFileName(label, 'json'),
+      mimeType: 'application/json'
+    };
+  }
+
+  if (exported.length === 1) {
+    return {
+      content: RoleMarkdown.serializeRole(exported[0]),
+      fileName: `${slugify(exported[0].name, 'role')}.md`,
+      mimeType: 'text/markdown'
+    };
+  }
+
+  return {
+    content: serializeMarkdownBundle(exported),
+    fileName: getExportFileName(label, 'zip'),
+    mimeType: 'application/zip'
+  };
+}
+
+/**
+ * Trigger a browser download
+ * @param {string|Uint8Array} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+function downloadFile(content, fileName, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Parse an import file and upgrade its roles to the current schema
+ * Accepts the versioned export format and, for convenience, a bare role array.
+ * @param {string} text
+ * @returns {Role[]}
+ * @throws {Error} With a user-facing message if the file cannot be imported
+ */
+function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  let roles;
+  let schemaVersion;
+
+  if (Array.isArray(data)) {
+    roles = data;
+    schemaVersion = 0;
+  } else if (data && data.format === EXPORT_FORMAT && Array.isArray(data.roles)) {
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('This file was exported by a newer version of Agentique.');
+    }
+    roles = data.roles;
+    schemaVersion = data.schemaVersion || 0;
+  } else {
+    throw new Error('This file is not an Agentique role export.');
+  }
+
+  return upgradeImportedRoles(roles, schemaVersion);
+}
+
+/**
+ * Parse a Markdown role file and upgrade it to the current schema
+ * @param {string} text
+ * @returns {Role[]}
+ * @throws {Error} With a user-facing message if the file cannot be imported
+ */
+function parseMarkdownImport(text) {
+  let parsed;
+  try {
+    parsed = RoleMarkdown.parseRole(text);
+  } catch (error) {
+    throw new Error(`This file is not a Markdown role: ${error.message}`);
+  }
+  return upgradeImportedRoles([parsed.role], parsed.schemaVersion);
+}
+
+/**
+ * Upgrade imported roles to the current schema
+ * @param {Object[]} roles
+ * @param {number} schemaVersion
+ * @returns {Role[]}
+ */
+function upgradeImportedRoles(roles, schemaVersion) {
+  // Files written by hand may lack ids - give them temporary ones so the
+  // schema migrations accept them (the background assigns real ids)
+  const withIds = roles
+    .filter(role => role && typeof role === 'object')
+    .map((role, index) => ({ ...role, id: role.id || `import_${index}` }));
+
+  try {
+    // Defaults also cover fields left out of current-version files
+    return RoleSchema.migrateRoles(withIds, schemaVersion)
+      .map(role => RoleSchema.applyRoleDefaults(role))
+      .map(role => (role.id.startsWith('import_') ? { ...role, id: undefined } : role));
+  } catch (error) {
+    throw new Error(`Roles in this file could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Get the lower-case extension of a file name
+ * @param {string} name
+ * @returns {string}
+ */
+function getFileExtension(name) {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Read roles from chosen files: JSON exports, Markdown role files and zip
+ * bundles of either
+ * @param {File[]} files
+ * @returns {Promise<Role[]>}
+ * @throws {Error} With a user-facing message naming the file that failed
+ */
+async function readImportFiles(files) {
+  const roles = [];
+
+  for (const file of files) {
+    const extension = getFileExtension(file.name);
+
+    try {
+      if (extension === 'zip') {
+        const entries = await ZipArchive.readZip(new Uint8Array(await file.arrayBuffer()));
+        entries
+          .filter(entry => !entry.name.split('/').pop().startsWith('.'))
+          .forEach(entry => {
+            const entryExtension = getFileExtension(entry.name);
+            if (MARKDOWN_EXTENSIONS.includes(entryExtension)) {
+              roles.push(...parseMarkdownImport(entry.text));
+            } else if (entryExtension === 'json') {
+              roles.push(...parseImport(entry.text));
+            }
+          });
+      } else if (MARKDOWN_EXTENSIONS.includes(extension)) {
+        roles.push(...parseMarkdownImport(await file.text()));
+      } else {
+        roles.push(...parseImport(await file.text()));
+      }
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Build a share code for a role
+ * The code is self-contained: inherited values and snippets are written into
+ * the role, and a template is only kept if it is one of the built-in ones.
+ * @param {Role} role
+ * @param {Role[]} allRoles - Roles to look up parents in
+ * @param {Snippet[]} snippets - Snippet library to expand references from
+ * @returns {Promise<string>}
+ */
+async function buildShareCode(role, allRoles = [], snippets = []) {
+  const resolved = RoleSnippets.expandSnippets(RoleInheritance.resolveRole(role, allRoles), snippets);
+  const shared = {};
+
+  SHARED_FIELDS.forEach(field => {
+    const value = resolved[field];
+    const empty = !value || (Array.isArray(value) ? value.length === 0 : typeof value === 'object' && Object.keys(value).length === 0);
+    if (!empty) shared[field] = value;
+  });
+  if (!RoleTemplate.BUILT_IN_TEMPLATES.some(template => template.id === shared.templateId)) {
+    delete shared.templateId;
+  }
+
+  const json = JSON.stringify({ s: RoleSchema.ROLE_SCHEMA_VERSION, r: shared });
+  const compressed = await ZipArchive.deflateRaw(new TextEncoder().encode(json));
+  const checksum = ZipArchive.crc32(compressed).toString(16).padStart(8, '0');
+  return `AGQ${SHARE_CODE_VERSION}.${toBase64Url(compressed)}.${checksum}`;
+}
+
+/**
+ * Clean up a pasted share code
+ * Mail and chat apps may wrap a long code over several lines.
+ * @param {string} text
+ * @returns {string} The code without whitespace
+ */
+function extractShareCode(text) {
+  return (text || '').replace(/\s+/g, '');
+}
+
+/**
+ * Decode a share code into a new role
+ * @param {string} text
+ * @returns {Promise<Role>} Role without id, upgraded to the current schema
+ * @throws {Error} With a user-facing message if the code cannot be read
+ */
+async function parseShareCode(text) {
+  const match = SHARE_CODE_PATTERN.exec(extractShareCode(text));
+  if (!match) {
+    throw new Error('This is not an Agentique role code.');
+  }
+
+  const [, version, payload, checksum] = match;
+  if (Number(version) > SHARE_CODE_VERSION) {
+    throw new Error('This code was made by a newer version of Agentique.');
+  }
+
+  let data;
+  try {
+    const compressed = fromBase64Url(payload);
+    if (ZipArchive.crc32(compressed) !== parseInt(checksum, 16)) {
+      throw new Error('Checksum mismatch');
+    }
+    data = JSON.parse(new TextDecoder().decode(await ZipArchive.inflateRaw(compressed)));
+  } catch (error) {
+    throw new Error('This code is damaged or incomplete. Copy the whole code and try again.');
+  }
+
+  if (!data || typeof data.r !== 'object' || data.r === null) {
+    throw new Error('This code does not contain a role.');
+  }
+
+  const shared = {};
+  SHARED_FIELDS.forEach(field => {
+    if (field in data.r) shared[field] = data.r[field];
+  });
+  return upgradeImportedRoles([shared], data.s || 0)[0];
+}
+
+/**
+ * Normalize a role name for duplicate detection
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeRoleName(name) {
+  return (name || '').trim().toLowerCase();
+}
+
+/**
+ * Compare imported roles with stored roles
+ * Conflicting roles default to skip, everything else to add. Roles that
+ * break the schema rules are always skipped.
+ * @param {Role[]} importedRoles
+ * @param {Role[]} existingRoles
+ * @returns {ImportPlanItem[]}
+ */
+function planImport(importedRoles, existingRoles) {
+  const byId = new Map(existingRoles.map(role => [role.id, role]));
+  const byName = new Map(existingRoles.map(role => [normalizeRoleName(role.name), role]));
+
+  return importedRoles.map(role => {
+    const error = Object.values(RoleSchema.validateRole(role))[0] || null;
+    if (error) {
+      return { role, conflict: null, existing: null, error, action: IMPORT_ACTIONS.SKIP };
+    }
+    if (role.id && byId.has(role.id)) {
+      return { role, conflict: 'id', existing: byId.get(role.id), error: null, action: IMPORT_ACTIONS.SKIP };
+    }
+    if (byName.has(normalizeRoleName(role.name))) {
+      return { role, conflict: 'name', existing: byName.get(normalizeRoleName(role.name)), error: null, action: IMPORT_ACTIONS.SKIP };
+    }
+    return { role, conflict: null, existing: null, error: null, action: IMPORT_ACTIONS.ADD };
+  });
+}
+
+// Expose globally (loaded as regular script in popup.html)
+const RoleTransfer = {
+  TRANSFER_FORMATS,
+  serializeExport,
+  getExportFileName,
+  buildExport,
+  downloadFile,
+  parseImport,
+  parseMarkdownImport,
+  readImportFiles,
+  planImport,
+  buildShareCode,
+  extractShareCode,
+  parseShareCode
+};
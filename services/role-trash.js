@@ -0,0 +1,127 @@
+/**
+ * Role Trash Service
+ * Deleted roles are kept here until they are restored, purged by hand or
+ * expire after the retention period. Trash stays in chrome.storage.local.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-messages.js, services/role-history.js,
+ *           services/role-variable-values.js, services/role-usage.js,
+ *           services/write-queue.js
+ */
+
+/**
+ * Trash Entry Schema:
+ * {
+ *   role: Role,
+ *   deletedAt: number
+ * }
+ */
+
+const TRASH_STORAGE_KEY = 'agentique_trash';
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Get all trashed roles
+ * @returns {Promise<TrashEntry[]>} Most recently deleted first
+ */
+async function getTrash() {
+  const result = await chrome.storage.local.get(TRASH_STORAGE_KEY);
+  return result[TRASH_STORAGE_KEY] || [];
+}
+
+/**
+ * Build a new trash list with a role added on top
+ * (pure - the caller writes it together with the role list)
+ * @param {TrashEntry[]} trash
+ * @param {Role} role
+ * @returns {TrashEntry[]}
+ */
+function addToTrash(trash, role) {
+  return [
+    { role, deletedAt: Date.now() },
+    ...trash.filter(entry => entry.role.id !== role.id)
+  ];
+}
+
+/**
+ * Remove trashed roles for good, including their version history,
+ * remembered variable values and usage
+ * @param {string[]} ids
+ * @returns {Promise<number>} Number of purged roles
+ */
+async function purgeTrashed(ids) {
+  const trash = await getTrash();
+  const remaining = trash.filter(entry => !ids.includes(entry.role.id));
+  const purgedCount = trash.length - remaining.length;
+
+  if (purgedCount === 0) {
+    return 0;
+  }
+
+  await chrome.storage.local.set({ [TRASH_STORAGE_KEY]: remaining });
+  for (const id of ids) {
+    await RoleHistory.clearHistory(id);
+  }
+  await RoleVariableValues.clearValues(ids);
+  await RoleUsage.clearRoleUsage(ids);
+
+  console.log('[RoleTrash] Purged', purgedCount, 'roles');
+  return purgedCount;
+}
+
+/**
+ * Remove a single trashed role for good
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function purgeRole(id) {
+  return (await purgeTrashed([id])) > 0;
+}
+
+/**
+ * Remove every trashed role for good
+ * @returns {Promise<number>} Number of purged roles
+ */
+async function emptyTrash() {
+  const trash = await getTrash();
+  return purgeTrashed(trash.map(entry => entry.role.id));
+}
+
+/**
+ * Purge roles that have been in the trash longer than the retention period
+ * @returns {Promise<number>} Number of purged roles
+ */
+async function purgeExpired() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  const trash = await getTrash();
+  const expired = trash.filter(entry => entry.deletedAt < cutoff);
+  return purgeTrashed(expired.map(entry => entry.role.id));
+}
+
+/**
+ * Subscribe to trash changes
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function onTrashChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[TRASH_STORAGE_KEY]) {
+      callback(changes[TRASH_STORAGE_KEY].newValue || []);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleTrash = {
+  getTrash,
+  addToTrash,
+  purgeRole: WriteQueue.queued(purgeRole),
+  emptyTrash: WriteQueue.queued(emptyTrash),
+  purgeExpired: WriteQueue.queued(purgeExpired),
+  onTrashChanged
+};
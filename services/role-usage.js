@@ -0,0 +1,129 @@
+/**
+ * Role Usage Service
+ * Records every role injection (role, platform, time) so roles can show how
+ * often and how recently they were used. Usage stays in chrome.storage.local
+ * only - it is never synced or sent anywhere.
+ * Loaded via importScripts in background.js
+ * Requires: services/write-queue.js
+ */
+
+/**
+ * Usage Schema:
+ * {
+ *   roles: {
+ *     [roleId]: {
+ *       count: number,
+ *       lastUsedAt: number,
+ *       platforms: { [platformId]: number }   // injections per platform
+ *     }
+ *   },
+ *   events: { roleId: string, platformId: string, at: number }[]
+ *                                            // most recent last, capped
+ * }
+ */
+
+const USAGE_STORAGE_KEY = 'agentique_usage';
+const MAX_USAGE_EVENTS = 500;
+
+/**
+ * Fill in missing parts of stored usage
+ * @param {Object} data
+ * @returns {Usage}
+ */
+function normalizeUsage(data) {
+  return {
+    roles: (data && data.roles) || {},
+    events: (data && data.events) || []
+  };
+}
+
+/**
+ * Get all recorded usage
+ * @returns {Promise<Usage>}
+ */
+async function getUsage() {
+  const result = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  return normalizeUsage(result[USAGE_STORAGE_KEY]);
+}
+
+/**
+ * Record that a role was injected
+ * Totals are kept per role, so counts stay correct once old events are
+ * dropped from the capped event list.
+ * @param {string} roleId
+ * @param {string} platformId
+ * @returns {Promise<Object>} Updated totals of the role
+ */
+async function recordUsage(roleId, platformId) {
+  if (!roleId) {
+    throw new Error('Role id is required');
+  }
+
+  const usage = await getUsage();
+  const at = Date.now();
+  const stats = usage.roles[roleId] || { count: 0, lastUsedAt: 0, platforms: {} };
+
+  usage.roles[roleId] = {
+    count: stats.count + 1,
+    lastUsedAt: at,
+    platforms: { ...stats.platforms, [platformId]: (stats.platforms[platformId] || 0) + 1 }
+  };
+  usage.events = [...usage.events, { roleId, platformId, at }].slice(-MAX_USAGE_EVENTS);
+
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage });
+  return usage.roles[roleId];
+}
+
+/**
+ * Forget all recorded usage
+ * @returns {Promise<boolean>}
+ */
+async function clearUsage() {
+  await chrome.storage.local.remove(USAGE_STORAGE_KEY);
+  console.log('[RoleUsage] Usage cleared');
+  return true;
+}
+
+/**
+ * Forget the usage of removed roles
+ * @param {string[]} roleIds
+ */
+async function clearRoleUsage(roleIds) {
+  const usage = await getUsage();
+  const events = usage.events.filter(event => !roleIds.includes(event.roleId));
+  const hasStats = roleIds.some(id => usage.roles[id]);
+  if (!hasStats && events.length === usage.events.length) return;
+
+  roleIds.forEach(id => {
+    delete usage.roles[id];
+  });
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: { roles: usage.roles, events } });
+}
+
+/**
+ * Subscribe to usage changes
+ * @param {Function} callback - Receives the new usage
+ * @returns {Function} Unsubscribe function
+ */
+function onUsageChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName === 'local' && changes[USAGE_STORAGE_KEY]) {
+      callback(normalizeUsage(changes[USAGE_STORAGE_KEY].newValue));
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleUsage = {
+  getUsage,
+  recordUsage: WriteQueue.queued(recordUsage),
+  clearUsage: WriteQueue.queued(clearUsage),
+  clearRoleUsage,
+  onUsageChanged
+};
@@ -0,0 +1,70 @@
+/**
+ * Role Variable Values Service
+ * Remembers the values last used for each role's {{variables}} so the fill-in
+ * form can start from them. Values stay in chrome.storage.local only.
+ * Loaded via importScripts in background.js
+ * Requires: services/write-queue.js
+ */
+
+/**
+ * Stored as { [roleId]: { [variableName]: string } }
+ */
+const VARIABLE_VALUES_STORAGE_KEY = 'agentique_variable_values';
+
+/**
+ * Read the values map
+ * @returns {Promise<Object>}
+ */
+async function getVariableValuesMap() {
+  const result = await chrome.storage.local.get(VARIABLE_VALUES_STORAGE_KEY);
+  return result[VARIABLE_VALUES_STORAGE_KEY] || {};
+}
+
+/**
+ * Get the values last used for a role
+ * @param {string} roleId
+ * @returns {Promise<Object>}
+ */
+async function getVariableValues(roleId) {
+  const valuesMap = await getVariableValuesMap();
+  return valuesMap[roleId] || {};
+}
+
+/**
+ * Remember the values used for a role
+ * @param {string} roleId
+ * @param {Object} values - { [variableName]: string }
+ * @returns {Promise<Object>} Stored values
+ */
+async function saveVariableValues(roleId, values) {
+  const valuesMap = await getVariableValuesMap();
+  const stored = {};
+  Object.entries(values || {}).forEach(([name, value]) => {
+    if (typeof value === 'string') stored[name] = value;
+  });
+
+  valuesMap[roleId] = { ...(valuesMap[roleId] || {}), ...stored };
+  await chrome.storage.local.set({ [VARIABLE_VALUES_STORAGE_KEY]: valuesMap });
+  return valuesMap[roleId];
+}
+
+/**
+ * Forget the values of removed roles
+ * @param {string[]} roleIds
+ */
+async function clearVariableValues(roleIds) {
+  const valuesMap = await getVariableValuesMap();
+  const remaining = Object.keys(valuesMap).filter(id => !roleIds.includes(id));
+  if (remaining.length === Object.keys(valuesMap).length) return;
+
+  await chrome.storage.local.set({
+    [VARIABLE_VALUES_STORAGE_KEY]: Object.fromEntries(remaining.map(id => [id, valuesMap[id]]))
+  });
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleVariableValues = {
+  getValues: getVariableValues,
+  saveValues: WriteQueue.queued(saveVariableValues),
+  clearValues: clearVariableValues
+};
@@ -0,0 +1,79 @@
+/**
+ * Role Variables
+ * {{variable}} placeholders in role text and list fields, filled in when the
+ * role is injected. Default values live on the role (role.variables).
+ * Pure functions only - loaded via importScripts in background.js, as regular
+ * script in popup.html and as content script
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Fields that may contain placeholders
+ */
+const VARIABLE_FIELDS = ['name', 'area', 'description', 'skills', 'tools', 'constraints', 'behavior', 'moreInfo'];
+
+/**
+ * Variable names used in a piece of text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findVariablesInText(text) {
+  return [...(text || '').matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Variable names used by a role, in order of first appearance
+ * @param {Partial<Role>} role
+ * @returns {string[]}
+ */
+function findVariables(role) {
+  const names = [];
+
+  VARIABLE_FIELDS.forEach(field => {
+    const value = role[field];
+    const texts = Array.isArray(value) ? value : [value];
+    texts.forEach(text => {
+      findVariablesInText(text).forEach(name => {
+        if (!names.includes(name)) names.push(name);
+      });
+    });
+  });
+
+  return names;
+}
+
+/**
+ * Replace placeholders with values
+ * A value given for a variable wins (even when empty), then the role's default.
+ * Variables without either are left as {{name}}.
+ * @param {Role} role
+ * @param {Object} values - { [name]: string }
+ * @returns {Role} Copy of the role
+ */
+function fillVariables(role, values = {}) {
+  const defaults = role.variables || {};
+  const replace = (text) => text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (typeof values[name] === 'string') return values[name];
+    if (defaults[name]) return defaults[name];
+    return placeholder;
+  });
+
+  const filled = { ...role };
+  VARIABLE_FIELDS.forEach(field => {
+    const value = role[field];
+    if (Array.isArray(value)) {
+      filled[field] = value.map(replace);
+    } else if (typeof value === 'string') {
+      filled[field] = replace(value);
+    }
+  });
+  return filled;
+}
+
+// Expose globally (loaded via importScripts in background.js, as regular script in popup.html and as content script)
+const RoleVariables = {
+  VARIABLE_FIELDS,
+  findVariables,
+  fillVariables
+};
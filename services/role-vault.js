@@ -0,0 +1,384 @@
+/**
+ * Role Vault Service
+ * Optional passphrase encryption for role content. An AES-GCM key is
+ * derived from the passphrase with PBKDF2; encrypted roles keep their name,
+ * area and tags readable so they can still be listed, and store the rest
+ * of their content as one encrypted payload in the role's `vault` field.
+ * The key only lives in chrome.storage.session (memory only, and not
+ * readable by content scripts) until the vault locks again.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-messages.js, services/role-schema.js
+ */
+
+/**
+ * Vault Schema (chrome.storage.sync, so every device derives the same key):
+ * {
+ *   salt: string,              // base64
+ *   iterations: number,        // PBKDF2 iterations
+ *   check: { iv, data },       // VAULT_CHECK_TEXT encrypted with the key
+ *   encryptAll: boolean,       // new and existing roles are encrypted
+ *   timeoutMinutes: number     // how long an unlock lasts
+ * }
+ *
+ * Vault State (sent to clients):
+ * {
+ *   enabled: boolean,
+ *   unlocked: boolean,
+ *   expiresAt: number,         // when the vault locks again, 0 when locked
+ *   encryptAll: boolean,
+ *   timeoutMinutes: number
+ * }
+ */
+
+const VAULT_STORAGE_KEY = 'agentique_vault';
+const VAULT_SESSION_KEY = 'agentique_vault_session';
+const VAULT_LOCK_ALARM = 'agentique-vault-lock';
+const VAULT_CHECK_TEXT = 'agentique-vault';
+const VAULT_ITERATIONS = 600000;
+const DEFAULT_VAULT_TIMEOUT = 15; // minutes, one of VAULT_TIMEOUTS
+
+// Role fields stored in the encrypted payload
+const ENCRYPTED_FIELDS = ['description', 'skills', 'tools', 'constraints', 'behavior', 'moreInfo', 'variables'];
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the vault key from a passphrase
+ * @param {string} passphrase
+ * @param {string} salt - base64
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // exported to session storage while unlocked
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt text
+ * @param {CryptoKey} key
+ * @param {string} text
+ * @returns {Promise<{ iv: string, data: string }>}
+ */
+async function encryptText(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt text
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} payload
+ * @returns {Promise<string>}
+ * @throws {Error} If the key is wrong or the payload was changed
+ */
+async function decryptText(key, payload) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data)
+  );
+  return new TextDecoder().decode(data);
+}
+
+/**
+ * Get the vault settings
+ * @returns {Promise<Vault|null>} null when no vault was set up
+ */
+async function getVault() {
+  const result = await chrome.storage.sync.get(VAULT_STORAGE_KEY);
+  return result[VAULT_STORAGE_KEY] || null;
+}
+
+/**
+ * Get the unlocked key, locking the vault if its time is up
+ * @returns {Promise<CryptoKey|null>} null while locked
+ */
+async function getKey() {
+  const result = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  const session = result[VAULT_SESSION_KEY];
+  if (!session) return null;
+
+  if (Date.now() >= session.expiresAt) {
+    await lockVault();
+    return null;
+  }
+
+  return crypto.subtle.importKey('raw', fromBase64(session.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Get the vault state for clients
+ * @returns {Promise<VaultState>}
+ */
+async function getVaultState() {
+  const vault = await getVault();
+  if (!vault) {
+    return { enabled: false, unlocked: false, expiresAt: 0, encryptAll: false, timeoutMinutes: DEFAULT_VAULT_TIMEOUT };
+  }
+
+  const key = await getKey();
+  const result = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  return {
+    enabled: true,
+    unlocked: Boolean(key),
+    expiresAt: key ? result[VAULT_SESSION_KEY].expiresAt : 0,
+    encryptAll: Boolean(vault.encryptAll),
+    timeoutMinutes: vault.timeoutMinutes || DEFAULT_VAULT_TIMEOUT
+  };
+}
+
+/**
+ * Keep a key for this browser session and lock again after the timeout
+ * @param {CryptoKey} key
+ * @param {number} timeoutMinutes
+ */
+async function startSession(key, timeoutMinutes) {
+  const expiresAt = Date.now() + timeoutMinutes * 60 * 1000;
+  const raw = await crypto.subtle.exportKey('raw', key);
+
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: { key: toBase64(raw), expiresAt } });
+  chrome.alarms.create(VAULT_LOCK_ALARM, { when: expiresAt });
+}
+
+/**
+ * Set up the vault with a passphrase and unlock it
+ * @param {string} passphrase
+ * @returns {Promise<VaultState>}
+ */
+async function createVault(passphrase) {
+  if (await getVault()) {
+    throw new Error('A vault already exists');
+  }
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const key = await deriveKey(passphrase, salt, VAULT_ITERATIONS);
+  const vault = {
+    salt,
+    iterations: VAULT_ITERATIONS,
+    check: await encryptText(key, VAULT_CHECK_TEXT),
+    encryptAll: false,
+    timeoutMinutes: DEFAULT_VAULT_TIMEOUT
+  };
+
+  await chrome.storage.sync.set({ [VAULT_STORAGE_KEY]: vault });
+  await startSession(key, vault.timeoutMinutes);
+  console.log('[RoleVault] Created vault');
+  return getVaultState();
+}
+
+/**
+ * Unlock the vault for its timeout
+ * @param {string} passphrase
+ * @returns {Promise<VaultState>}
+ * @throws {Error} If there is no vault or the passphrase is wrong
+ */
+async function unlockVault(passphrase) {
+  const vault = await getVault();
+  if (!vault) {
+    throw new Error('No vault has been set up');
+  }
+
+  const key = await deriveKey(passphrase || '', vault.salt, vault.iterations);
+  try {
+    await decryptText(key, vault.check);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+
+  await startSession(key, vault.timeoutMinutes || DEFAULT_VAULT_TIMEOUT);
+  console.log('[RoleVault] Unlocked');
+  return getVaultState();
+}
+
+/**
+ * Forget the key until the next unlock
+ * @returns {Promise<void>}
+ */
+async function lockVault() {
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+  console.log('[RoleVault] Locked');
+}
+
+/**
+ * Change vault options
+ * @param {{ encryptAll?: boolean, timeoutMinutes?: number }} changes
+ * @returns {Promise<VaultState>}
+ */
+async function writeVaultOptions(changes) {
+  const vault = await getVault();
+  if (!vault) {
+    throw new Error('No vault has been set up');
+  }
+
+  const next = { ...vault };
+  if (typeof changes.encryptAll === 'boolean') {
+    next.encryptAll = changes.encryptAll;
+  }
+  if (VAULT_TIMEOUTS.includes(changes.timeoutMinutes)) {
+    next.timeoutMinutes = changes.timeoutMinutes;
+  }
+
+  await chrome.storage.sync.set({ [VAULT_STORAGE_KEY]: next });
+  return getVaultState();
+}
+
+/**
+ * Remove the vault settings and lock
+ * Roles have to be decrypted first (see RoleStorage.removeVault).
+ * @returns {Promise<void>}
+ */
+async function deleteVault() {
+  await lockVault();
+  await chrome.storage.sync.remove(VAULT_STORAGE_KEY);
+  console.log('[RoleVault] Removed vault');
+}
+
+/**
+ * Whether new roles are encrypted
+ * @returns {Promise<boolean>}
+ */
+async function isEncryptAll() {
+  const vault = await getVault();
+  return Boolean(vault && vault.encryptAll);
+}
+
+/**
+ * Turn a role into its stored form
+ * Encrypted roles get their content sealed into `vault`; roles that already
+ * carry a payload (e.g. imported while locked) are kept as they are.
+ * @param {Role} role - Readable role
+ * @returns {Promise<Role>}
+ * @throws {Error} If the role is encrypted and the vault is locked
+ */
+async function sealRole(role) {
+  const { locked, ...stored } = role;
+
+  if (stored.vault && stored.vault.data) {
+    return stored;
+  }
+  if (!stored.encrypted) {
+    return { ...stored, vault: {} };
+  }
+
+  const key = await getKey();
+  if (!key) {
+    throw new Error('Unlock the vault to save encrypted roles');
+  }
+
+  const content = {};
+  ENCRYPTED_FIELDS.forEach(field => {
+    content[field] = stored[field];
+  });
+  const empty = RoleSchema.applyRoleDefaults({});
+  ENCRYPTED_FIELDS.forEach(field => {
+    stored[field] = empty[field];
+  });
+
+  return { ...stored, vault: await encryptText(key, JSON.stringify(content)) };
+}
+
+/**
+ * Turn a stored role into the form clients see
+ * While the vault is locked, encrypted roles come back with `locked: true`
+ * and without their content.
+ * @param {Role} role - Stored role
+ * @param {CryptoKey|null} [key] - Unlocked key, read from the session when omitted
+ * @returns {Promise<Role>}
+ */
+async function revealRole(role, key) {
+  if (!role || !role.vault || !role.vault.data) {
+    return role;
+  }
+
+  const unlockedKey = key === undefined ? await getKey() : key;
+  if (!unlockedKey) {
+    return { ...role, locked: true };
+  }
+
+  try {
+    const content = JSON.parse(await decryptText(unlockedKey, role.vault));
+    return { ...role, ...content, vault: {} };
+  } catch (error) {
+    // Sealed with another key (e.g. a vault that was removed and set up again)
+    console.error('[RoleVault] Failed to decrypt role:', role.name, error);
+    return { ...role, locked: true };
+  }
+}
+
+/**
+ * Reveal several stored roles
+ * @param {Role[]} roles
+ * @returns {Promise<Role[]>}
+ */
+async function revealRoles(roles) {
+  const key = await getKey();
+  return Promise.all((roles || []).map(role => revealRole(role, key)));
+}
+
+/**
+ * Subscribe to vault changes (set up, options, lock and unlock)
+ * @param {Function} callback - Receives the new VaultState
+ * @returns {Function} Unsubscribe function
+ */
+function onVaultChanged(callback) {
+  const listener = (changes, areaName) => {
+    if ((areaName === 'sync' && changes[VAULT_STORAGE_KEY]) ||
+      (areaName === 'session' && changes[VAULT_SESSION_KEY])) {
+      getVaultState().then(callback);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const RoleVault = {
+  VAULT_LOCK_ALARM,
+  getVaultState,
+  createVault,
+  unlockVault,
+  lockVault,
+  saveVaultOptions: writeVaultOptions,
+  deleteVault,
+  isEncryptAll,
+  sealRole,
+  revealRole,
+  revealRoles,
+  onVaultChanged
+};
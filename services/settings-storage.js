@@ -0,0 +1,110 @@
+/**
+ * Settings Storage Service
+ * Extension-wide user settings. Settings stay in chrome.storage.local.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-messages.js, services/format-profiles.js,
+ *           services/write-queue.js
+ */
+
+/**
+ * Settings Schema:
+ * {
+ *   platformProfiles: { [platformId]: string }  // FORMAT_PROFILES override per
+ *                                               // platform; missing = automatic
+ *   platformLimits: { [platformId]: { tokens: number, characters: number } }
+ *                                               // input limits, 0 = no limit;
+ *                                               // missing = built-in default
+ *   condenseToFit: boolean                      // drop optional sections of
+ *                                               // roles over a limit
+ *   roleSort: string                            // one of ROLE_SORTS, used by
+ *                                               // the popup and the dropdown
+ *   roleOrder: string[]                         // role ids as arranged by the
+ *                                               // user; missing roles go last
+ *   areaOrder: string[]                         // area names as arranged by
+ *                                               // the user; missing go last
+ *   collapsedAreas: string[]                    // areas collapsed in the popup
+ * }
+ */
+
+const SETTINGS_STORAGE_KEY = 'agentique_settings';
+
+/**
+ * Fill in defaults and drop invalid values
+ * @param {Object} data
+ * @returns {Settings}
+ */
+function normalizeSettings(data = {}) {
+  const profiles = Object.values(FormatProfiles.FORMAT_PROFILES);
+  const platformIds = FormatProfiles.PLATFORM_PROFILES.map(p => p.id);
+
+  const toLimit = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+  const toStringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+  return {
+    ...data,
+    platformProfiles: Object.fromEntries(
+      Object.entries(data.platformProfiles || {})
+        .filter(([platformId, profile]) => platformIds.includes(platformId) && profiles.includes(profile))
+    ),
+    platformLimits: Object.fromEntries(
+      Object.entries(data.platformLimits || {})
+        .filter(([platformId, limits]) => platformIds.includes(platformId) && limits && typeof limits === 'object')
+        .map(([platformId, limits]) => [platformId, { tokens: toLimit(limits.tokens), characters: toLimit(limits.characters) }])
+    ),
+    condenseToFit: data.condenseToFit !== false,
+    roleSort: Object.values(ROLE_SORTS).includes(data.roleSort) ? data.roleSort : ROLE_SORTS.DEFAULT,
+    roleOrder: toStringList(data.roleOrder),
+    areaOrder: toStringList(data.areaOrder),
+    collapsedAreas: toStringList(data.collapsedAreas)
+  };
+}
+
+/**
+ * Get the current settings
+ * @returns {Promise<Settings>}
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
+  return normalizeSettings(result[SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * Update settings
+ * Top-level keys in changes replace the stored ones.
+ * @param {Partial<Settings>} changes
+ * @returns {Promise<Settings>}
+ */
+async function saveSettings(changes) {
+  const settings = normalizeSettings({ ...(await getSettings()), ...changes });
+  await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: settings });
+  console.log('[SettingsStorage] Settings saved');
+  return settings;
+}
+
+/**
+ * Subscribe to settings changes
+ * @param {Function} callback - Receives the new settings
+ * @returns {Function} Unsubscribe function
+ */
+function onSettingsChanged(callback) {
+  const listener = (changes) => {
+    if (changes[SETTINGS_STORAGE_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+// writeSettings skips the write queue, for writes that already run in it
+const SettingsStorage = {
+  getSettings,
+  saveSettings: WriteQueue.queued(saveSettings),
+  writeSettings: saveSettings,
+  onSettingsChanged
+};
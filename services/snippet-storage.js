@@ -0,0 +1,135 @@
+/**
+ * Snippet Storage Service
+ * The snippet library roles reference by id (see role-snippets.js).
+ * Snippets are kept in chrome.storage.local and synced with the roles.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-snippets.js, services/write-queue.js
+ */
+
+const SNIPPETS_STORAGE_KEY = 'agentique_snippets';
+
+/**
+ * Get all snippets
+ * @returns {Promise<Snippet[]>} Ordered by name
+ */
+async function getSnippets() {
+  const result = await chrome.storage.local.get(SNIPPETS_STORAGE_KEY);
+  return sortSnippets(result[SNIPPETS_STORAGE_KEY] || []);
+}
+
+/**
+ * Order snippets by name
+ * @param {Snippet[]} snippets
+ * @returns {Snippet[]}
+ */
+function sortSnippets(snippets) {
+  return [...snippets].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Generate a snippet ID
+ * @returns {string}
+ */
+function generateSnippetId() {
+  return `snippet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Save a snippet (create or update)
+ * Roles pick up the new text the next time they are injected.
+ * @param {Partial<Snippet>} snippet
+ * @returns {Promise<Snippet>}
+ * @throws {Error} If the snippet is unnamed, empty, too long or its name is taken
+ */
+async function saveSnippet(snippet) {
+  const snippets = await getSnippets();
+  const validationError = RoleSnippets.validateSnippet(snippet, snippets);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+
+  const now = Date.now();
+  const index = snippets.findIndex(s => s.id === snippet.id);
+  const saved = {
+    id: index >= 0 ? snippet.id : generateSnippetId(),
+    name: snippet.name.trim(),
+    body: snippet.body,
+    createdAt: index >= 0 ? snippets[index].createdAt : now,
+    updatedAt: now
+  };
+
+  if (index >= 0) {
+    snippets[index] = saved;
+  } else {
+    snippets.push(saved);
+  }
+
+  await chrome.storage.local.set({ [SNIPPETS_STORAGE_KEY]: snippets });
+  console.log('[SnippetStorage] Snippet saved:', saved.name);
+  return saved;
+}
+
+/**
+ * Delete a snippet
+ * Runs inside RoleStorage.deleteSnippet(), which also drops the snippet
+ * from the roles that reference it.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteSnippet(id) {
+  const snippets = await getSnippets();
+  const remaining = snippets.filter(s => s.id !== id);
+
+  if (remaining.length === snippets.length) {
+    return false;
+  }
+
+  await chrome.storage.local.set({ [SNIPPETS_STORAGE_KEY]: remaining });
+  console.log('[SnippetStorage] Snippet deleted:', id);
+  return true;
+}
+
+/**
+ * Replace the snippet library with a merged version of it
+ * @param {Function} merge - (snippets: Snippet[]) => Snippet[]
+ * @returns {Promise<{ snippets: Snippet[], changed: boolean }>}
+ */
+async function replaceAllSnippets(merge) {
+  const snippets = await getSnippets();
+  const merged = sortSnippets(merge(snippets));
+  const changed = JSON.stringify(merged) !== JSON.stringify(snippets);
+
+  if (changed) {
+    await chrome.storage.local.set({ [SNIPPETS_STORAGE_KEY]: merged });
+  }
+  return { snippets: merged, changed };
+}
+
+/**
+ * Subscribe to snippet changes
+ * @param {Function} callback - Receives the new snippets, ordered by name
+ * @returns {Function} Unsubscribe function
+ */
+function onSnippetsChanged(callback) {
+  const listener = (changes) => {
+    if (changes[SNIPPETS_STORAGE_KEY]) {
+      callback(sortSnippets(changes[SNIPPETS_STORAGE_KEY].newValue || []));
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const SnippetStorage = {
+  getSnippets,
+  saveSnippet: WriteQueue.queued(saveSnippet),
+  // deleteSnippet skips the write queue: RoleStorage.deleteSnippet() runs it there
+  deleteSnippet,
+  replaceAllSnippets: WriteQueue.queued(replaceAllSnippets),
+  onSnippetsChanged
+};
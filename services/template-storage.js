@@ -0,0 +1,173 @@
+/**
+ * Template Storage Service
+ * User-defined injection templates and the global default template.
+ * The built-in templates are not stored; they are always listed first.
+ * Templates stay in chrome.storage.local.
+ * Loaded via importScripts in background.js
+ * Requires: services/role-template.js, services/write-queue.js
+ */
+
+/**
+ * Template State Schema:
+ * {
+ *   templates: Template[],   // built-in templates first, then the user's
+ *   defaultId: string        // template used by roles without their own
+ * }
+ */
+
+const TEMPLATES_STORAGE_KEY = 'agentique_templates';
+
+/**
+ * Read the stored templates
+ * @returns {Promise<{ templates: Template[], defaultId: string }>} User templates only
+ */
+async function getStoredTemplates() {
+  const result = await chrome.storage.local.get(TEMPLATES_STORAGE_KEY);
+  const stored = result[TEMPLATES_STORAGE_KEY] || {};
+  return {
+    templates: stored.templates || [],
+    defaultId: stored.defaultId || RoleTemplate.DEFAULT_TEMPLATE_ID
+  };
+}
+
+/**
+ * Write the user templates
+ * @param {{ templates: Template[], defaultId: string }} stored
+ */
+async function writeStoredTemplates(stored) {
+  await chrome.storage.local.set({ [TEMPLATES_STORAGE_KEY]: stored });
+}
+
+/**
+ * Build the state handed out to clients
+ * @param {{ templates: Template[], defaultId: string }} stored
+ * @returns {TemplateState}
+ */
+function toTemplateState(stored) {
+  const templates = [...RoleTemplate.BUILT_IN_TEMPLATES, ...stored.templates];
+  const defaultId = templates.some(t => t.id === stored.defaultId)
+    ? stored.defaultId
+    : RoleTemplate.DEFAULT_TEMPLATE_ID;
+  return { templates, defaultId };
+}
+
+/**
+ * Get all templates and the default
+ * @returns {Promise<TemplateState>}
+ */
+async function getTemplateState() {
+  return toTemplateState(await getStoredTemplates());
+}
+
+/**
+ * Generate a template ID
+ * @returns {string}
+ */
+function generateTemplateId() {
+  return `template_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Save a template (create or update)
+ * @param {Partial<Template>} template
+ * @returns {Promise<Template>}
+ * @throws {Error} If the template is built in, unnamed or has syntax errors
+ */
+async function saveTemplate(template) {
+  if (RoleTemplate.BUILT_IN_TEMPLATES.some(t => t.id === template.id)) {
+    throw new Error('Built-in templates cannot be changed');
+  }
+
+  const name = (template.name || '').trim();
+  const body = template.body || '';
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  const syntaxError = RoleTemplate.validateTemplate(body);
+  if (syntaxError) {
+    throw new Error(`Template has an error: ${syntaxError}`);
+  }
+
+  const stored = await getStoredTemplates();
+  const saved = { id: template.id || generateTemplateId(), name, body };
+  const index = stored.templates.findIndex(t => t.id === saved.id);
+
+  if (index >= 0) {
+    stored.templates[index] = saved;
+  } else {
+    stored.templates.push(saved);
+  }
+
+  await writeStoredTemplates(stored);
+  console.log('[TemplateStorage] Template saved:', saved.name);
+  return saved;
+}
+
+/**
+ * Delete a template
+ * Roles that used it fall back to the default template.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+async function deleteTemplate(id) {
+  const stored = await getStoredTemplates();
+  const remaining = stored.templates.filter(t => t.id !== id);
+
+  if (remaining.length === stored.templates.length) {
+    return false;
+  }
+
+  await writeStoredTemplates({
+    templates: remaining,
+    defaultId: stored.defaultId === id ? RoleTemplate.DEFAULT_TEMPLATE_ID : stored.defaultId
+  });
+  console.log('[TemplateStorage] Template deleted:', id);
+  return true;
+}
+
+/**
+ * Choose the template used by roles without their own
+ * @param {string} id
+ * @returns {Promise<TemplateState>}
+ */
+async function setDefaultTemplate(id) {
+  const stored = await getStoredTemplates();
+  if (!toTemplateState(stored).templates.some(t => t.id === id)) {
+    throw new Error('Template not found');
+  }
+
+  stored.defaultId = id;
+  await writeStoredTemplates(stored);
+  return toTemplateState(stored);
+}
+
+/**
+ * Subscribe to template changes
+ * @param {Function} callback - Receives the new TemplateState
+ * @returns {Function} Unsubscribe function
+ */
+function onTemplatesChanged(callback) {
+  const listener = (changes) => {
+    if (changes[TEMPLATES_STORAGE_KEY]) {
+      callback(toTemplateState({
+        templates: [],
+        ...(changes[TEMPLATES_STORAGE_KEY].newValue || {})
+      }));
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(listener);
+  };
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const TemplateStorage = {
+  getTemplateState,
+  saveTemplate: WriteQueue.queued(saveTemplate),
+  deleteTemplate: WriteQueue.queued(deleteTemplate),
+  setDefaultTemplate: WriteQueue.queued(setDefaultTemplate),
+  onTemplatesChanged
+};
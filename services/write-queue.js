@@ -0,0 +1,40 @@
+/**
+ * Write Queue Service
+ * Every write in the background reads a stored key, changes it and writes
+ * it back. Two writes running side by side (a save from the popup and one
+ * from the side panel, or two quick saves) would both start from the same
+ * data and the later one would drop the other's change. The storage
+ * services run their writes through this single queue, one at a time.
+ * Queue only the outermost call: an operation that waits for another
+ * queued operation never finishes.
+ * Loaded via importScripts in background.js
+ */
+
+let writeQueueTail = Promise.resolve();
+
+/**
+ * Run an operation once every earlier operation has finished
+ * A failed operation does not stop the ones queued after it.
+ * @param {Function} operation - async () => any
+ * @returns {Promise<any>} The operation's result
+ */
+function runQueuedWrite(operation) {
+  const result = writeQueueTail.then(() => operation());
+  writeQueueTail = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Wrap a write function so every call goes through the queue
+ * @param {Function} write - async (...args) => any
+ * @returns {Function}
+ */
+function queuedWrite(write) {
+  return (...args) => runQueuedWrite(() => write(...args));
+}
+
+// Expose globally (loaded via importScripts in background.js)
+const WriteQueue = {
+  run: runQueuedWrite,
+  queued: queuedWrite
+};